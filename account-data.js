@@ -0,0 +1,155 @@
+const { IDENTITY_PROVIDERS, getUserIdentities } = require('./identities');
+const { phoneLookupVariants } = require('./sms-provider');
+
+/**
+ * Where a user's personal data lives, shared by the /me/export route and the
+ * account purge job so both always cover the same collections.
+ */
+
+const ACCOUNT_DELETION_GRACE_DAYS = Number(process.env.ACCOUNT_DELETION_GRACE_DAYS || 30);
+
+// Fields that only make sense server-side and are left out of exports
+const EXPORT_REDACTED_FIELDS = {
+  sessions: ['tokenHash', 'refreshTokenHash', 'usedRefreshTokenHashes'],
+  otp_codes: ['otpHash']
+};
+
+// Values the user's records may be keyed by: user id, verified phones (all stored formats)
+// and emails. Unverified `phone` / `profile.phone` values could name someone else's number.
+function getUserDataKeys(user) {
+  const userKey = user._id.toString();
+  const phones = new Set();
+  const emails = new Set();
+
+  if (typeof user.email === 'string' && user.email.trim()) {
+    emails.add(user.email.trim());
+  }
+
+  getUserIdentities(user).forEach((identity) => {
+    if (identity.provider === IDENTITY_PROVIDERS.PHONE) {
+      phoneLookupVariants(identity.value).forEach((variant) => phones.add(variant));
+    } else if (identity.provider === IDENTITY_PROVIDERS.EMAIL) {
+      emails.add(identity.value);
+    }
+  });
+  phones.delete('');
+
+  return {
+    userId: user._id,
+    userKey,
+    phones: [...phones],
+    emails: [...emails],
+    // Legacy farmerId/userId string fields hold either the user id or a phone
+    identifiers: [userKey, ...phones]
+  };
+}
+
+/**
+ * Filters per collection for everything tied to the user. Alerts reference farmer
+ * documents by _id, so the user's farmer ids must be looked up first.
+ * @param {Object} user - users document
+ * @param {Array<ObjectId>} farmerIds - _id values of the user's farmers documents
+ * @returns {Object} Map of collection name to MongoDB filter
+ */
+function buildUserDataFilters(user, farmerIds = []) {
+  const keys = getUserDataKeys(user);
+  return {
+    users: { _id: keys.userId },
+    // Farmer profiles matched by phone only count when no other user has claimed them
+    farmers: { $or: [{ userId: keys.userId }, { phone: { $in: keys.phones }, userId: { $exists: false } }] },
+    user_context: { userId: keys.userId },
+    user_memories: { userKey: keys.userKey },
+    aiinteractions: { $or: [{ userId: keys.userKey }, { farmerId: { $in: keys.identifiers } }] },
+    activities: { farmerId: { $in: keys.identifiers } },
+    weather_data: { userId: { $in: [keys.userKey, keys.userId] } },
+    sessions: { userId: keys.userId },
+    alerts: { farmerId: { $in: [...farmerIds, ...keys.identifiers] } },
+    price_alert_rules: { userId: keys.userId },
+    price_alert_triggers: { userId: keys.userId },
+    device_tokens: { userId: keys.userId },
+    voice_calls: { userId: keys.userId },
+    scheme_applications: { userId: keys.userId },
+    otp_codes: { identifier: { $in: [...keys.emails, ...keys.phones] } }
+  };
+}
+
+async function findFarmerIds(db, user) {
+  const { farmers } = buildUserDataFilters(user);
+  const docs = await db.collection('farmers').find(farmers, { projection: { _id: 1 } }).toArray();
+  return docs.map((doc) => doc._id);
+}
+
+/**
+ * Filter for the user's documents in `alerts`, used by the alerts inbox
+ * @param {Db} db - KrushiMitraDB handle
+ * @param {Object} user - users document
+ * @returns {Promise<Object>} MongoDB filter
+ */
+async function getUserAlertsFilter(db, user) {
+  const farmerIds = await findFarmerIds(db, user);
+  return buildUserDataFilters(user, farmerIds).alerts;
+}
+
+function redact(collectionName, doc) {
+  const fields = EXPORT_REDACTED_FIELDS[collectionName];
+  if (!fields) {
+    return doc;
+  }
+  const copy = { ...doc };
+  fields.forEach((field) => delete copy[field]);
+  return copy;
+}
+
+/**
+ * Collect every document tied to the user, grouped by collection
+ * @param {Db} db - KrushiMitraDB handle
+ * @param {Object} user - users document
+ * @returns {Promise<Object>} { exportedAt, userId, collections: { name: [docs] } }
+ */
+async function collectUserData(db, user) {
+  const farmerIds = await findFarmerIds(db, user);
+  const filters = buildUserDataFilters(user, farmerIds);
+  const collections = {};
+
+  for (const [collectionName, filter] of Object.entries(filters)) {
+    const docs = await db.collection(collectionName).find(filter).toArray();
+    collections[collectionName] = docs.map((doc) => redact(collectionName, doc));
+  }
+
+  return {
+    exportedAt: new Date(),
+    userId: user._id.toString(),
+    collections
+  };
+}
+
+/**
+ * Permanently delete everything tied to the user, including tombstones of accounts
+ * that were merged into it. The users document goes last so a failed run can be retried.
+ * @returns {Promise<Object>} Deleted document counts per collection
+ */
+async function purgeUserData(db, user) {
+  const farmerIds = await findFarmerIds(db, user);
+  const { users: userFilter, ...filters } = buildUserDataFilters(user, farmerIds);
+  const deleted = {};
+
+  for (const [collectionName, filter] of Object.entries(filters)) {
+    const result = await db.collection(collectionName).deleteMany(filter);
+    deleted[collectionName] = result.deletedCount;
+  }
+
+  const merged = await db.collection('users').deleteMany({ mergedInto: user._id });
+  const result = await db.collection('users').deleteOne(userFilter);
+  deleted.users = result.deletedCount + merged.deletedCount;
+
+  return deleted;
+}
+
+module.exports = {
+  ACCOUNT_DELETION_GRACE_DAYS,
+  getUserDataKeys,
+  buildUserDataFilters,
+  getUserAlertsFilter,
+  collectUserData,
+  purgeUserData
+};
@@ -0,0 +1,89 @@
+const { buildUserDataFilters, getUserAlertsFilter } = require('./account-data');
+const { buildInboxQuery } = require('./alerts');
+const { extractCrops } = require('./farmer-profile');
+const { findNearestPrice, findRecentWeather } = require('./voice-alerts');
+
+/**
+ * Context for /ai/chat, read from the user's own data: farmer profile, nearest mandi
+ * prices for their crops, recent weather, unread alerts and logged farm activities.
+ * The shape is what farmer-llm-prompt.js renders.
+ */
+
+const MAX_CHAT_CROPS = 3;
+const MAX_CHAT_ALERTS = 3;
+const MAX_CHAT_ACTIVITIES = 5;
+
+// Stored coordinates, from the session user or the app's last location report
+function resolveCoordinates(user, userData) {
+  const candidates = [user.lastKnownLocation, userData?.location];
+  return candidates.find((location) => Number.isFinite(location?.latitude) && Number.isFinite(location?.longitude)) || null;
+}
+
+// Readings as the prompt shows them; cached app weather is used when none is stored nearby
+function describeWeather(weather) {
+  if (!weather) {
+    return null;
+  }
+  const { temperature, humidity, windSpeed, precipitationProbability, condition } = weather;
+  return {
+    condition: condition || null,
+    temperature: Number.isFinite(temperature) ? `${Math.round(temperature)} C` : null,
+    humidity: Number.isFinite(humidity) ? `${Math.round(humidity)}%` : null,
+    wind: Number.isFinite(windSpeed) ? `${Math.round(windSpeed)} km/h` : null,
+    rainfall: Number.isFinite(precipitationProbability) ? `${Math.round(precipitationProbability)}% chance of rain` : null
+  };
+}
+
+/**
+ * Gather the chat context for one user
+ * @param {Db} db - KrushiMitraDB handle
+ * @param {Object} user - users document
+ * @param {Object} options - { userData (from user_context), memory (user_memories entries), now }
+ * @returns {Promise<Object>} Context for buildFarmerSystemPrompt
+ */
+async function gatherChatContext(db, user, { userData = null, memory = [], now = new Date() } = {}) {
+  const filters = buildUserDataFilters(user);
+  const farmer = await db.collection('farmers').findOne(filters.farmers, { sort: { updatedAt: -1 } });
+  const crops = extractCrops(farmer?.crops || user.profile?.crops);
+  const coordinates = resolveCoordinates(user, userData);
+
+  const mandi = [];
+  let weather = null;
+  if (coordinates) {
+    for (const crop of crops.slice(0, MAX_CHAT_CROPS)) {
+      const price = await findNearestPrice(crop, coordinates);
+      if (price) {
+        mandi.push(price);
+      }
+    }
+    weather = await findRecentWeather(db, coordinates, now);
+  }
+
+  const alertsFilter = await getUserAlertsFilter(db, user);
+  const alerts = await db.collection('alerts')
+    .find(buildInboxQuery(alertsFilter, { unreadOnly: true }))
+    .sort({ createdAt: -1 })
+    .limit(MAX_CHAT_ALERTS)
+    .toArray();
+
+  const activities = await db.collection('activities')
+    .find(filters.activities)
+    .sort({ date: -1 })
+    .limit(MAX_CHAT_ACTIVITIES)
+    .toArray();
+
+  return {
+    farmerProfile: farmer ? { ...farmer, name: farmer.name || user.profile?.name || user.name, crops } : null,
+    userProfile: { profile: { ...(user.profile || {}), name: user.profile?.name || user.name || userData?.name, crops } },
+    weather: describeWeather(weather || userData?.weather),
+    mandi,
+    alerts: alerts.map((alert) => ({ type: alert.type, message: alert.message })),
+    activities: activities.map((activity) => ({ description: activity.description, type: activity.type, date: activity.date })),
+    location: userData?.location?.address || null,
+    memory
+  };
+}
+
+module.exports = {
+  gatherChatContext
+};
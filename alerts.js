@@ -0,0 +1,201 @@
+const { ObjectId } = require('mongodb');
+
+/**
+ * The `alerts` inbox. Background jobs insert alerts (price, scheme, ...); farmers read,
+ * mark and dismiss them through /alerts.
+ *
+ * Alerts reference their owner in older ways too: `farmerId` is a farmers document _id
+ * (mandi/scheme jobs) or the user id string (price alert rules), so the inbox reuses the
+ * account-data filter that already covers every form.
+ *
+ * Expiry: every alert carries `expiresAt` and a TTL index removes it afterwards.
+ * Retention depends on the type; dismissing an alert shortens it.
+ */
+
+const COLLECTION_NAME = 'alerts';
+let alertsCollection;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const ALERT_RETENTION_DAYS = {
+  price: 30,
+  scheme: 180,
+  scheme_deadline: 30,
+  default: 90
+};
+const DISMISSED_RETENTION_DAYS = 7;
+
+async function safelyCreateIndex(collection, keys, options) {
+  try {
+    await collection.createIndex(keys, options);
+  } catch (error) {
+    const label = JSON.stringify({ keys, options });
+    console.warn(`Alerts index creation skipped: ${label}`, error.message);
+  }
+}
+
+function getCollection() {
+  if (!alertsCollection) {
+    throw new Error('Alerts collection not initialized');
+  }
+  return alertsCollection;
+}
+
+function retentionDays(type) {
+  return ALERT_RETENTION_DAYS[type] || ALERT_RETENTION_DAYS.default;
+}
+
+/**
+ * When an alert of this type should expire
+ * @param {string} type - Alert type
+ * @param {Date} createdAt
+ * @returns {Date}
+ */
+function alertExpiry(type, createdAt = new Date()) {
+  return new Date(createdAt.getTime() + retentionDays(type) * DAY_MS);
+}
+
+async function initAlertsCollection(db) {
+  const collection = db.collection(COLLECTION_NAME);
+  alertsCollection = collection;
+
+  await safelyCreateIndex(collection, { farmerId: 1, createdAt: -1 }, { background: true });
+  await safelyCreateIndex(collection, { expiresAt: 1 }, { expireAfterSeconds: 0, background: true });
+
+  // Alerts created before the expiry policy get one based on their type and age
+  try {
+    const types = Object.keys(ALERT_RETENTION_DAYS).filter((type) => type !== 'default');
+    for (const type of types) {
+      await collection.updateMany(
+        { type, expiresAt: { $exists: false } },
+        [{ $set: { expiresAt: { $add: [{ $ifNull: ['$createdAt', '$$NOW'] }, retentionDays(type) * DAY_MS] } } }]
+      );
+    }
+    await collection.updateMany(
+      { type: { $nin: types }, expiresAt: { $exists: false } },
+      [{ $set: { expiresAt: { $add: [{ $ifNull: ['$createdAt', '$$NOW'] }, ALERT_RETENTION_DAYS.default * DAY_MS] } } }]
+    );
+  } catch (error) {
+    console.warn('Alert expiry backfill skipped', error.message);
+  }
+
+  return collection;
+}
+
+/**
+ * Inbox query for a user: their alerts that have not been dismissed
+ * @param {Object} ownerFilter - Alerts filter for the user (account-data getUserAlertsFilter)
+ * @param {Object} options - { types, unreadOnly }
+ */
+function buildInboxQuery(ownerFilter, { types = [], unreadOnly = false } = {}) {
+  const query = { ...ownerFilter, status: { $ne: 'dismissed' } };
+  if (types.length > 0) {
+    query.type = { $in: types };
+  }
+  if (unreadOnly) {
+    query.readAt = null;
+  }
+  return query;
+}
+
+function formatAlertResponse(alert) {
+  return {
+    id: alert._id.toString(),
+    type: alert.type,
+    message: alert.message,
+    read: Boolean(alert.readAt),
+    readAt: alert.readAt || null,
+    createdAt: alert.createdAt,
+    expiresAt: alert.expiresAt || null,
+    metadata: alert.metadata || {}
+  };
+}
+
+/**
+ * A page of the inbox, newest first, with unread counts per type
+ * @param {Object} ownerFilter - Alerts filter for the user
+ * @param {Object} options - { types, unreadOnly, limit, offset }
+ * @returns {Promise<{alerts: Array, total: number, unreadCount: number, unreadByType: Object}>}
+ */
+async function listAlerts(ownerFilter, { types = [], unreadOnly = false, limit = 20, offset = 0 } = {}) {
+  const collection = getCollection();
+  const query = buildInboxQuery(ownerFilter, { types, unreadOnly });
+  const unreadQuery = buildInboxQuery(ownerFilter, { unreadOnly: true });
+
+  const [alerts, total, unreadGroups] = await Promise.all([
+    collection.find(query).sort({ createdAt: -1 }).skip(offset).limit(limit).toArray(),
+    collection.countDocuments(query),
+    collection.aggregate([
+      { $match: unreadQuery },
+      { $group: { _id: '$type', count: { $sum: 1 } } }
+    ]).toArray()
+  ]);
+
+  const unreadByType = Object.fromEntries(unreadGroups.map((group) => [group._id || 'other', group.count]));
+  const unreadCount = unreadGroups.reduce((sum, group) => sum + group.count, 0);
+
+  return { alerts: alerts.map(formatAlertResponse), total, unreadCount, unreadByType };
+}
+
+function alertIdFilter(ownerFilter, alertId) {
+  if (!ObjectId.isValid(alertId)) {
+    return null;
+  }
+  return { ...buildInboxQuery(ownerFilter), _id: new ObjectId(alertId) };
+}
+
+/**
+ * @returns {Promise<Object|null>} The updated alert, or null when it is not the user's
+ */
+async function markAlertRead(ownerFilter, alertId) {
+  const query = alertIdFilter(ownerFilter, alertId);
+  if (!query) {
+    return null;
+  }
+  const collection = getCollection();
+  // Keep the first read time when an alert is opened again
+  await collection.updateOne({ ...query, readAt: null }, { $set: { readAt: new Date() } });
+  return collection.findOne(query);
+}
+
+async function markAllAlertsRead(ownerFilter, { types = [] } = {}) {
+  const query = buildInboxQuery(ownerFilter, { types, unreadOnly: true });
+  const result = await getCollection().updateMany(query, { $set: { readAt: new Date() } });
+  return result.modifiedCount;
+}
+
+/**
+ * Hide an alert from the inbox; it expires DISMISSED_RETENTION_DAYS later
+ * @returns {Promise<boolean>} false when the alert is not the user's
+ */
+async function dismissAlert(ownerFilter, alertId) {
+  const query = alertIdFilter(ownerFilter, alertId);
+  if (!query) {
+    return false;
+  }
+  const now = new Date();
+  const dismissedExpiry = new Date(now.getTime() + DISMISSED_RETENTION_DAYS * DAY_MS);
+  const result = await getCollection().updateOne(query, [
+    {
+      $set: {
+        status: 'dismissed',
+        dismissedAt: now,
+        readAt: { $ifNull: ['$readAt', now] },
+        expiresAt: { $min: [{ $ifNull: ['$expiresAt', dismissedExpiry] }, dismissedExpiry] }
+      }
+    }
+  ]);
+  return result.matchedCount === 1;
+}
+
+module.exports = {
+  ALERT_RETENTION_DAYS,
+  DISMISSED_RETENTION_DAYS,
+  alertExpiry,
+  initAlertsCollection,
+  buildInboxQuery,
+  listAlerts,
+  markAlertRead,
+  markAllAlertsRead,
+  dismissAlert,
+  formatAlertResponse
+};
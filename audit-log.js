@@ -0,0 +1,226 @@
+const { ObjectId } = require('mongodb');
+const { logger } = require('./logger');
+
+const COLLECTION_NAME = 'audit_events';
+let auditCollection;
+
+// Append-only by design: this module only ever inserts and reads audit events
+const AUDIT_ACTIONS = {
+  LOGIN: 'auth.login',
+  LOGIN_FAILED: 'auth.otp_failed',
+  LOGOUT: 'auth.logout',
+  SESSION_REVOKED: 'auth.session_revoked',
+  SESSIONS_REVOKED_ALL: 'auth.sessions_revoked_all',
+  REFRESH_TOKEN_REUSED: 'auth.refresh_token_reused',
+  IDENTITY_LINKED: 'auth.identity_linked',
+  IDENTITY_UNLINKED: 'auth.identity_unlinked',
+  ACCOUNTS_MERGED: 'auth.accounts_merged',
+  PROFILE_UPDATED: 'user.profile_updated',
+  ROLES_UPDATED: 'user.roles_updated',
+  ACCOUNT_DELETION_REQUESTED: 'user.deletion_requested',
+  ACCOUNT_RESTORED: 'user.deletion_cancelled',
+  DATA_EXPORTED: 'user.data_exported',
+  FARMER_UPSERTED: 'farmer.upserted',
+  MANDI_PRICES_PUBLISHED: 'mandi_prices.published',
+  MARKETS_PUBLISHED: 'markets.published',
+  SCHEME_CREATED: 'scheme.created'
+};
+
+// Never copied into before/after snapshots
+const SENSITIVE_FIELDS = new Set(['otpHash', 'tokenHash', 'refreshTokenHash', 'usedRefreshTokenHashes']);
+
+async function safelyCreateIndex(collection, keys, options) {
+  try {
+    await collection.createIndex(keys, options);
+  } catch (error) {
+    const label = JSON.stringify({ keys, options });
+    console.warn(`Audit log index creation skipped: ${label}`, error.message);
+  }
+}
+
+function getCollection() {
+  if (!auditCollection) {
+    throw new Error('Audit log collection not initialized');
+  }
+  return auditCollection;
+}
+
+async function initAuditLogCollection(db) {
+  const collection = db.collection(COLLECTION_NAME);
+  auditCollection = collection;
+
+  await safelyCreateIndex(collection, { createdAt: -1 }, { background: true });
+  await safelyCreateIndex(collection, { 'actor.userId': 1, createdAt: -1 }, { background: true });
+  await safelyCreateIndex(collection, { action: 1, createdAt: -1 }, { background: true });
+  await safelyCreateIndex(collection, { 'target.type': 1, 'target.id': 1, createdAt: -1 }, { background: true });
+  await safelyCreateIndex(collection, { 'changes.field': 1, createdAt: -1 }, { background: true });
+
+  return collection;
+}
+
+function isPlainObject(value) {
+  return value !== null
+    && typeof value === 'object'
+    && !Array.isArray(value)
+    && !(value instanceof Date)
+    && !(value instanceof ObjectId);
+}
+
+function flatten(value, prefix = '', out = {}) {
+  if (!isPlainObject(value)) {
+    if (prefix) {
+      out[prefix] = value;
+    }
+    return out;
+  }
+  Object.entries(value).forEach(([key, nested]) => {
+    if (SENSITIVE_FIELDS.has(key)) {
+      return;
+    }
+    flatten(nested, prefix ? `${prefix}.${key}` : key, out);
+  });
+  return out;
+}
+
+function comparable(value) {
+  if (value instanceof Date || value instanceof ObjectId) {
+    return value.toString();
+  }
+  return JSON.stringify(value ?? null);
+}
+
+/**
+ * Field-level differences between two snapshots, with nested fields in dot notation
+ * @returns {Array<{field: string, from: *, to: *}>}
+ */
+function diffChanges(before = {}, after = {}) {
+  const flatBefore = flatten(before || {});
+  const flatAfter = flatten(after || {});
+  const fields = new Set([...Object.keys(flatBefore), ...Object.keys(flatAfter)]);
+  return [...fields]
+    .filter((field) => field !== 'updatedAt' && comparable(flatBefore[field]) !== comparable(flatAfter[field]))
+    .sort()
+    .map((field) => ({ field, from: flatBefore[field] ?? null, to: flatAfter[field] ?? null }));
+}
+
+function describeActor(req, actorOverride) {
+  if (actorOverride) {
+    return actorOverride;
+  }
+  if (req?.user?._id) {
+    return {
+      type: 'user',
+      userId: req.user._id,
+      roles: Array.isArray(req.user.roles) ? req.user.roles : []
+    };
+  }
+  return { type: 'anonymous', userId: null };
+}
+
+/**
+ * Append an audit event. Auditing must never break the request it describes,
+ * so failures are logged and swallowed.
+ * @param {Object} req - Express request (actor, IP and user agent come from here)
+ * @param {Object} event - { action, target: { type, id }, before, after, metadata, outcome, actor }
+ */
+async function recordAuditEvent(req, { action, target = null, before, after, metadata = {}, outcome = 'success', actor } = {}) {
+  try {
+    const collection = getCollection();
+    const changes = before !== undefined || after !== undefined ? diffChanges(before, after) : [];
+    await collection.insertOne({
+      action,
+      outcome,
+      actor: describeActor(req, actor),
+      target: target ? { type: target.type, id: target.id != null ? String(target.id) : null } : null,
+      changes,
+      metadata,
+      ipAddress: req?.ip || null,
+      userAgent: req?.get?.('user-agent') || null,
+      requestPath: req?.originalUrl || null,
+      createdAt: new Date()
+    });
+  } catch (error) {
+    logger.warn('Audit event not recorded', { action, error: error.message });
+  }
+}
+
+const AUDIT_FILTER_FIELDS = ['actorId', 'action', 'targetType', 'targetId', 'field', 'outcome', 'from', 'to'];
+
+/**
+ * Read audit filters from query parameters. Repeated parameters (`?action=a&action=b`) and
+ * bracket syntax arrive as arrays or objects and are rejected rather than passed to Mongo.
+ * @param {Object} query - req.query
+ * @returns {{value: Object}|{error: string}}
+ */
+function parseAuditFilters(query = {}) {
+  const value = {};
+  for (const key of AUDIT_FILTER_FIELDS) {
+    const raw = query[key];
+    if (raw === undefined || raw === '') {
+      continue;
+    }
+    if (typeof raw !== 'string') {
+      return { error: `${key} must be a single value` };
+    }
+    value[key] = raw.trim();
+  }
+  if ((value.from && Number.isNaN(Date.parse(value.from))) || (value.to && Number.isNaN(Date.parse(value.to)))) {
+    return { error: 'from and to must be ISO dates' };
+  }
+  return { value };
+}
+
+/**
+ * Query audit events, newest first
+ * @param {Object} filters - { actorId, action, targetType, targetId, field, outcome, from, to }
+ * @param {Object} paging - { limit, offset }
+ * @returns {Promise<{events: Array, total: number}>}
+ */
+async function queryAuditEvents(filters = {}, { limit = 50, offset = 0 } = {}) {
+  const collection = getCollection();
+  const query = {};
+
+  if (filters.actorId) {
+    const actorId = String(filters.actorId);
+    query['actor.userId'] = ObjectId.isValid(actorId) ? new ObjectId(actorId) : actorId;
+  }
+  if (filters.action) {
+    const action = String(filters.action);
+    // "auth.*" style prefixes select a whole family of actions
+    query.action = action.endsWith('.*')
+      ? { $regex: `^${action.slice(0, -2).replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\.` }
+      : action;
+  }
+  if (filters.targetType) {
+    query['target.type'] = String(filters.targetType);
+  }
+  if (filters.targetId) {
+    query['target.id'] = String(filters.targetId);
+  }
+  if (filters.field) {
+    query['changes.field'] = String(filters.field);
+  }
+  if (filters.outcome) {
+    query.outcome = String(filters.outcome);
+  }
+  if (filters.from || filters.to) {
+    query.createdAt = {};
+    if (filters.from) query.createdAt.$gte = new Date(filters.from);
+    if (filters.to) query.createdAt.$lte = new Date(filters.to);
+  }
+
+  const [events, total] = await Promise.all([
+    collection.find(query).sort({ createdAt: -1 }).skip(offset).limit(limit).toArray(),
+    collection.countDocuments(query)
+  ]);
+  return { events, total };
+}
+
+module.exports = {
+  AUDIT_ACTIONS,
+  initAuditLogCollection,
+  recordAuditEvent,
+  parseAuditFilters,
+  queryAuditEvents,
+  diffChanges
+};
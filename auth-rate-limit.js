@@ -0,0 +1,206 @@
+const COLLECTION_NAME = 'auth_rate_limits';
+let rateLimitCollection;
+
+// Request limits use one counter document per key and fixed window, incremented atomically so
+// concurrent requests cannot all slip under the limit; the previous window's count is weighted
+// by its remaining overlap to approximate a sliding window. Failures and locks are individual
+// documents. The TTL index on expiresAt removes entries once they can no longer affect a decision.
+const KIND_BUCKET = 'bucket';
+const KIND_FAILURE = 'failure';
+const KIND_LOCK = 'lock';
+
+async function safelyCreateIndex(collection, keys, options) {
+  try {
+    await collection.createIndex(keys, options);
+  } catch (error) {
+    const label = JSON.stringify({ keys, options });
+    console.warn(`Auth rate limit index creation skipped: ${label}`, error.message);
+  }
+}
+
+function getCollection() {
+  if (!rateLimitCollection) {
+    throw new Error('Auth rate limit collection not initialized');
+  }
+  return rateLimitCollection;
+}
+
+async function initAuthRateLimitCollection(db) {
+  const collection = db.collection(COLLECTION_NAME);
+  rateLimitCollection = collection;
+
+  await safelyCreateIndex(collection, { key: 1, kind: 1, createdAt: -1 }, { background: true });
+  await safelyCreateIndex(
+    collection,
+    { key: 1, windowStart: 1 },
+    { unique: true, partialFilterExpression: { kind: KIND_BUCKET }, background: true }
+  );
+  await safelyCreateIndex(collection, { expiresAt: 1 }, { expireAfterSeconds: 0, background: true });
+
+  return collection;
+}
+
+function normalizeKeyPart(value) {
+  return String(value || 'unknown').trim().toLowerCase();
+}
+
+function buildKey(scope, type, value) {
+  return `${scope}:${type}:${normalizeKeyPart(value)}`;
+}
+
+async function countInWindow(key, kind, windowMs, now) {
+  const collection = getCollection();
+  const since = new Date(now.getTime() - windowMs);
+  return collection.countDocuments({ key, kind, createdAt: { $gt: since } });
+}
+
+// Increments the current window's counter only while it is below `allowance`; returns null when full
+async function incrementBucket(key, windowStart, windowMs, allowance, now) {
+  const collection = getCollection();
+  const filter = { key, kind: KIND_BUCKET, windowStart, count: { $lt: allowance } };
+  const update = {
+    $inc: { count: 1 },
+    $setOnInsert: { createdAt: now, expiresAt: new Date(windowStart.getTime() + 2 * windowMs) }
+  };
+
+  // A full bucket fails the filter, so the upsert collides with it on the unique index. Two first
+  // requests racing to create the bucket collide the same way, hence one retry before giving up.
+  for (let attempt = 0; attempt < 2; attempt += 1) {
+    try {
+      return await collection.findOneAndUpdate(filter, update, { upsert: true, returnDocument: 'after' });
+    } catch (error) {
+      if (error.code !== 11000) {
+        throw error;
+      }
+    }
+  }
+  return null;
+}
+
+// Time until the weighted count of the previous window drops below what the current one leaves free
+function computeRetryAfterMs({ limit, windowMs, previousCount, currentCount, elapsedMs }) {
+  const untilNextWindow = windowMs - elapsedMs;
+  const free = limit - currentCount;
+  if (free <= 0 || previousCount <= 0) {
+    return Math.max(untilNextWindow, 1000);
+  }
+  // A request fits once previousCount * (windowMs - t) / windowMs is at most free - 1
+  const decayAt = windowMs - (windowMs * (free - 1)) / previousCount;
+  return Math.max(Math.min(Math.ceil(decayAt - elapsedMs), untilNextWindow), 1000);
+}
+
+/**
+ * Counts a request against `key` unless `limit` requests already fall inside the sliding window.
+ * The check and the increment are a single atomic update.
+ * @returns {Promise<{allowed: boolean, remaining: number, retryAfterMs: number}>}
+ */
+async function consumeRateLimit(key, { limit, windowMs }) {
+  const collection = getCollection();
+  const now = new Date();
+  const windowStart = new Date(Math.floor(now.getTime() / windowMs) * windowMs);
+  const elapsedMs = now.getTime() - windowStart.getTime();
+
+  const previous = await collection.findOne(
+    { key, kind: KIND_BUCKET, windowStart: new Date(windowStart.getTime() - windowMs) },
+    { projection: { count: 1 } }
+  );
+  const previousCount = previous?.count || 0;
+  const carried = Math.ceil(previousCount * (windowMs - elapsedMs) / windowMs);
+  const allowance = limit - carried;
+
+  const bucket = allowance > 0
+    ? await incrementBucket(key, windowStart, windowMs, allowance, now)
+    : null;
+
+  if (!bucket) {
+    const current = await collection.findOne(
+      { key, kind: KIND_BUCKET, windowStart },
+      { projection: { count: 1 } }
+    );
+    const retryAfterMs = computeRetryAfterMs({
+      limit,
+      windowMs,
+      previousCount,
+      currentCount: current?.count || 0,
+      elapsedMs
+    });
+    return { allowed: false, remaining: 0, retryAfterMs };
+  }
+
+  return { allowed: true, remaining: Math.max(allowance - bucket.count, 0), retryAfterMs: 0 };
+}
+
+/**
+ * Milliseconds left before another OTP may be sent to an identifier, measured from the last
+ * successful send. Zero when there is no earlier send or the cooldown has passed.
+ */
+function getResendCooldownMs(lastSentAt, cooldownMs, now = new Date()) {
+  if (!lastSentAt) {
+    return 0;
+  }
+  return Math.max(cooldownMs - (now.getTime() - new Date(lastSentAt).getTime()), 0);
+}
+
+/**
+ * Returns the remaining lockout for `key`, or null when it is not locked.
+ * @returns {Promise<{lockedUntil: Date, retryAfterMs: number}|null>}
+ */
+async function getLockout(key) {
+  const collection = getCollection();
+  const now = new Date();
+  const lock = await collection.findOne(
+    { key, kind: KIND_LOCK, expiresAt: { $gt: now } },
+    { sort: { expiresAt: -1 } }
+  );
+  if (!lock) {
+    return null;
+  }
+  return {
+    lockedUntil: lock.expiresAt,
+    retryAfterMs: lock.expiresAt.getTime() - now.getTime()
+  };
+}
+
+/**
+ * Records a failed attempt and locks `key` for `lockoutMs` once `threshold` failures
+ * fall inside `windowMs`.
+ * @returns {Promise<{locked: boolean, failures: number, retryAfterMs: number}>}
+ */
+async function recordFailure(key, { threshold, windowMs, lockoutMs }) {
+  const collection = getCollection();
+  const now = new Date();
+
+  await collection.insertOne({
+    key,
+    kind: KIND_FAILURE,
+    createdAt: now,
+    expiresAt: new Date(now.getTime() + windowMs)
+  });
+
+  const count = await countInWindow(key, KIND_FAILURE, windowMs, now);
+  if (count < threshold) {
+    return { locked: false, failures: count, retryAfterMs: 0 };
+  }
+
+  const lockedUntil = new Date(now.getTime() + lockoutMs);
+  await collection.insertOne({ key, kind: KIND_LOCK, createdAt: now, expiresAt: lockedUntil });
+  // Start counting afresh once the lock expires
+  await collection.deleteMany({ key, kind: KIND_FAILURE });
+
+  return { locked: true, failures: count, retryAfterMs: lockoutMs };
+}
+
+async function clearFailures(key) {
+  const collection = getCollection();
+  await collection.deleteMany({ key, kind: KIND_FAILURE });
+}
+
+module.exports = {
+  initAuthRateLimitCollection,
+  buildKey,
+  consumeRateLimit,
+  getResendCooldownMs,
+  getLockout,
+  recordFailure,
+  clearFailures
+};
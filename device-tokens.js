@@ -0,0 +1,136 @@
+const { isExpoPushToken } = require('./expo-push');
+
+/**
+ * Expo push tokens of the devices a user is signed in on. A token belongs to one user
+ * at a time: signing in as someone else on the same device moves it. Tokens Expo
+ * reports as no longer registered are kept with `disabledAt` set and are skipped
+ * until the app registers them again.
+ */
+
+const COLLECTION_NAME = 'device_tokens';
+let deviceTokensCollection;
+
+const PLATFORMS = ['ios', 'android', 'web'];
+const MAX_TOKENS_PER_USER = 10;
+
+async function safelyCreateIndex(collection, keys, options) {
+  try {
+    await collection.createIndex(keys, options);
+  } catch (error) {
+    const label = JSON.stringify({ keys, options });
+    console.warn(`Device token index creation skipped: ${label}`, error.message);
+  }
+}
+
+function getCollection() {
+  if (!deviceTokensCollection) {
+    throw new Error('Device tokens collection not initialized');
+  }
+  return deviceTokensCollection;
+}
+
+async function initDeviceTokensCollection(db) {
+  const collection = db.collection(COLLECTION_NAME);
+  deviceTokensCollection = collection;
+
+  await safelyCreateIndex(collection, { token: 1 }, { unique: true, background: true });
+  await safelyCreateIndex(collection, { userId: 1, updatedAt: -1 }, { background: true });
+
+  return collection;
+}
+
+/**
+ * Validate a registration request
+ * @param {Object} input - { token, platform }
+ * @returns {{value?: Object, error?: string}}
+ */
+function validateDeviceToken(input = {}) {
+  const token = typeof input.token === 'string' ? input.token.trim() : '';
+  if (!isExpoPushToken(token)) {
+    return { error: 'token must be an Expo push token (ExponentPushToken[...])' };
+  }
+  const platform = input.platform ? String(input.platform).toLowerCase() : null;
+  if (platform && !PLATFORMS.includes(platform)) {
+    return { error: `platform must be one of ${PLATFORMS.join(', ')}` };
+  }
+  return { value: { token, platform } };
+}
+
+function formatDeviceTokenResponse(doc) {
+  return {
+    token: doc.token,
+    platform: doc.platform || null,
+    active: !doc.disabledAt,
+    createdAt: doc.createdAt,
+    updatedAt: doc.updatedAt
+  };
+}
+
+/**
+ * Register (or re-enable) a token for a user. Beyond MAX_TOKENS_PER_USER the least
+ * recently registered tokens are removed.
+ * @param {ObjectId} userId - users._id
+ * @param {Object} value - validateDeviceToken(...).value
+ * @returns {Promise<Object>} The stored token
+ */
+async function registerDeviceToken(userId, { token, platform }) {
+  const collection = getCollection();
+  const now = new Date();
+  const doc = await collection.findOneAndUpdate(
+    { token },
+    {
+      $set: { userId, platform, updatedAt: now },
+      $unset: { disabledAt: '', disabledReason: '' },
+      $setOnInsert: { token, createdAt: now }
+    },
+    { upsert: true, returnDocument: 'after' }
+  );
+
+  const stale = await collection
+    .find({ userId }, { projection: { _id: 1 } })
+    .sort({ updatedAt: -1 })
+    .skip(MAX_TOKENS_PER_USER)
+    .toArray();
+  if (stale.length > 0) {
+    await collection.deleteMany({ _id: { $in: stale.map((entry) => entry._id) } });
+  }
+
+  return doc;
+}
+
+/**
+ * @returns {Promise<boolean>} false when the token is not registered to the user
+ */
+async function unregisterDeviceToken(userId, token) {
+  const result = await getCollection().deleteOne({ userId, token });
+  return result.deletedCount === 1;
+}
+
+async function listDeviceTokens(userId) {
+  return getCollection().find({ userId }).sort({ updatedAt: -1 }).toArray();
+}
+
+/**
+ * Hand a merged-away user's devices to the account they were merged into
+ * @returns {Promise<number>} Number of tokens moved
+ */
+async function moveDeviceTokens(fromUserId, toUserId) {
+  const result = await getCollection().updateMany(
+    { userId: fromUserId },
+    { $set: { userId: toUserId, updatedAt: new Date() } }
+  );
+  return result.modifiedCount;
+}
+
+module.exports = {
+  COLLECTION_NAME,
+  PLATFORMS,
+  MAX_TOKENS_PER_USER,
+  initDeviceTokensCollection,
+  validateDeviceToken,
+  formatDeviceTokenResponse,
+  registerDeviceToken,
+  unregisterDeviceToken,
+  listDeviceTokens,
+  moveDeviceTokens
+};
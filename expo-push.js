@@ -0,0 +1,162 @@
+const { logger } = require('./logger');
+
+/**
+ * Minimal client for the Expo push service (https://docs.expo.dev/push-notifications/sending-notifications/).
+ * Messages are sent in chunks of 100 and receipts fetched in chunks of 300, the
+ * limits Expo documents. Rate limiting (429) and server errors are retried with
+ * exponential backoff; anything else fails the call.
+ *
+ * EXPO_PUSH_API_URL points the client at another server, which the tests use to run
+ * against a local mock.
+ */
+
+const DEFAULT_API_URL = 'https://exp.host/--/api/v2/push';
+const MESSAGES_PER_REQUEST = 100;
+const RECEIPT_IDS_PER_REQUEST = 300;
+const REQUEST_TIMEOUT_MS = 30 * 1000;
+
+// Expo error codes meaning the token will never work again
+const INVALID_TOKEN_ERRORS = ['DeviceNotRegistered'];
+// Ticket error used when Expo could not be reached at all
+const REQUEST_FAILED = 'RequestFailed';
+
+/**
+ * Whether a value looks like an Expo push token, e.g. ExponentPushToken[xxxxxxxx]
+ * @param {string} value
+ * @returns {boolean}
+ */
+function isExpoPushToken(value) {
+  return typeof value === 'string' && /^Expo(nent)?PushToken\[[^\]]+\]$/.test(value.trim());
+}
+
+function chunk(items, size) {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size));
+  }
+  return chunks;
+}
+
+function isRetryableStatus(status) {
+  return status === 429 || status >= 500;
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Build an Expo push client
+ * @param {Object} env - Environment variables
+ * @param {Object} options - { fetchImpl, sleepImpl } for tests
+ * @returns {{sendPushMessages: Function, getPushReceipts: Function}}
+ */
+function createExpoPushClient(env = process.env, { fetchImpl = fetch, sleepImpl = sleep } = {}) {
+  const apiUrl = (env.EXPO_PUSH_API_URL || DEFAULT_API_URL).replace(/\/$/, '');
+  const accessToken = env.EXPO_ACCESS_TOKEN;
+  const maxRetries = Number(env.EXPO_PUSH_MAX_RETRIES || 3);
+  const retryBaseMs = Number(env.EXPO_PUSH_RETRY_BASE_MS || 1000);
+
+  async function post(path, body) {
+    for (let attempt = 0; ; attempt++) {
+      let response;
+      const controller = new AbortController();
+      const timeout = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
+      try {
+        response = await fetchImpl(`${apiUrl}${path}`, {
+          method: 'POST',
+          headers: {
+            Accept: 'application/json',
+            'Content-Type': 'application/json',
+            ...(accessToken ? { Authorization: `Bearer ${accessToken}` } : {})
+          },
+          body: JSON.stringify(body),
+          signal: controller.signal
+        });
+      } catch (error) {
+        // Network errors and timeouts are worth another try
+        response = { ok: false, status: 0, networkError: error };
+      } finally {
+        clearTimeout(timeout);
+      }
+
+      if (response.ok) {
+        const payload = await response.json();
+        if (payload.errors?.length) {
+          throw new Error(`Expo push request failed: ${payload.errors.map((error) => error.message).join('; ')}`);
+        }
+        return payload.data;
+      }
+
+      const retryable = response.status === 0 || isRetryableStatus(response.status);
+      if (!retryable || attempt >= maxRetries) {
+        const reason = response.networkError ? response.networkError.message : `HTTP ${response.status}`;
+        throw new Error(`Expo push request to ${path} failed: ${reason}`);
+      }
+
+      const retryAfter = Number(response.headers?.get?.('retry-after'));
+      const delayMs = Number.isFinite(retryAfter) && retryAfter > 0
+        ? retryAfter * 1000
+        : retryBaseMs * 2 ** attempt;
+      logger.warn('Expo push request failed, retrying', { path, status: response.status, attempt: attempt + 1, delayMs });
+      await sleepImpl(delayMs);
+    }
+  }
+
+  return {
+    /**
+     * Send push messages
+     * @param {Array<Object>} messages - Expo messages ({ to, title, body, data, ... }), one token each
+     * @returns {Promise<Array<Object>>} One ticket per message, in order:
+     *   { status: 'ok', id } or { status: 'error', message, details: { error } }. A chunk
+     *   that still fails after retries gets `RequestFailed` tickets, so chunks already
+     *   delivered are not sent again.
+     */
+    async sendPushMessages(messages) {
+      const tickets = [];
+      for (const batch of chunk(messages, MESSAGES_PER_REQUEST)) {
+        try {
+          tickets.push(...(await post('/send', batch)));
+        } catch (error) {
+          logger.error('Expo push send failed', { error: error.message, messages: batch.length });
+          tickets.push(...batch.map(() => ({
+            status: 'error',
+            message: error.message,
+            details: { error: REQUEST_FAILED }
+          })));
+        }
+      }
+      return tickets;
+    },
+
+    /**
+     * Fetch receipts for tickets sent earlier. Receipts that are not ready yet are absent.
+     * @param {Array<string>} ids - Ticket ids
+     * @returns {Promise<Object>} Map of ticket id to { status, message?, details? }
+     */
+    async getPushReceipts(ids) {
+      const receipts = {};
+      for (const batch of chunk(ids, RECEIPT_IDS_PER_REQUEST)) {
+        Object.assign(receipts, await post('/getReceipts', { ids: batch }));
+      }
+      return receipts;
+    }
+  };
+}
+
+/**
+ * Whether an error ticket or receipt means the token should be disabled
+ * @param {Object} result - Ticket or receipt
+ */
+function isInvalidTokenResult(result) {
+  return result?.status === 'error' && INVALID_TOKEN_ERRORS.includes(result.details?.error);
+}
+
+module.exports = {
+  MESSAGES_PER_REQUEST,
+  RECEIPT_IDS_PER_REQUEST,
+  REQUEST_FAILED,
+  isExpoPushToken,
+  isInvalidTokenResult,
+  createExpoPushClient
+};
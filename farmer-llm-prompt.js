@@ -111,6 +111,22 @@ const responseGuidelines = {
 
 
 const MAX_MEMORY_ROWS = 5;
+const MAX_LIST_ROWS = 3;
+// Upper bound for the whole prompt; context is trimmed to fit
+const DEFAULT_MAX_PROMPT_TOKENS = Number(process.env.AI_PROMPT_MAX_TOKENS || 3000);
+
+// Context sections, most relevant first when the query does not point elsewhere
+const SECTION_PRIORITY = ['profile', 'alerts', 'mandi', 'weather', 'memory', 'activities', 'tasks', 'soil', 'location', 'notes'];
+
+// Queries mentioning these move the section to the front
+const SECTION_KEYWORDS = {
+  mandi: /price|mandi|market|sell|rate|bhav|भाव|बाजार|किंमत/i,
+  weather: /weather|rain|temperature|forecast|wind|humid|पाऊस|हवामान|मौसम|बारिश/i,
+  alerts: /alert|scheme|reminder|notification|योजना/i,
+  activities: /sow|spray|irrigat|fertili|harvest|did i|last time|पेरणी|फवारणी/i,
+  tasks: /task|todo|pending|next step/i,
+  soil: /soil|माती|मिट्टी/i
+};
 
 function getFarmerPersona(language) {
   return farmerPersonas[language] || farmerPersonas.en;
@@ -120,6 +136,14 @@ function getResponseGuidelines(language) {
   return responseGuidelines[language] || responseGuidelines.en;
 }
 
+/**
+ * Rough token count: about four bytes of UTF-8 per token, which also covers
+ * Devanagari (three bytes a character) well enough for budgeting
+ */
+function estimateTokens(text) {
+  return Math.ceil(Buffer.byteLength(String(text || ''), 'utf8') / 4);
+}
+
 function summarizeList(value) {
   if (!value) {
     return null;
@@ -130,7 +154,12 @@ function summarizeList(value) {
   return String(value);
 }
 
-function buildProfileSection(farmerProfile, userProfile) {
+function formatDay(value) {
+  const date = value ? new Date(value) : null;
+  return date && !Number.isNaN(date.getTime()) ? date.toISOString().slice(0, 10) : null;
+}
+
+function buildProfileItems(farmerProfile, userProfile) {
   const profile = farmerProfile || userProfile || {};
   const details = [];
 
@@ -139,21 +168,18 @@ function buildProfileSection(farmerProfile, userProfile) {
   if (profile.village) details.push(`Village: ${profile.village}`);
   if (profile.taluka) details.push(`Taluka: ${profile.taluka}`);
   if (profile.district) details.push(`District: ${profile.district}`);
-  if (profile.crops) details.push(`Crops: ${summarizeList(profile.crops)}`);
+  const crops = summarizeList(profile.crops);
+  if (crops) details.push(`Crops: ${crops}`);
   if (profile.landSize) details.push(`Land Size: ${profile.landSize}`);
   if (profile.soilType) details.push(`Soil: ${profile.soilType}`);
   if (profile.irrigation) details.push(`Irrigation: ${profile.irrigation}`);
 
-  if (details.length === 0) {
-    return '';
-  }
-
-  return `Farmer Profile:\n${details.join('\n')}`;
+  return details;
 }
 
-function buildWeatherSection(weather) {
+function buildWeatherItems(weather) {
   if (!weather) {
-    return '';
+    return [];
   }
 
   const parts = [];
@@ -163,17 +189,22 @@ function buildWeatherSection(weather) {
   if (weather.rainfall) parts.push(`Rainfall: ${weather.rainfall}`);
   if (weather.wind) parts.push(`Wind: ${weather.wind}`);
   if (weather.advisory) parts.push(`Advisory: ${weather.advisory}`);
-
-  if (parts.length === 0) {
-    return '';
-  }
-
-  return `Weather Snapshot:\n${parts.join('\n')}`;
+  return parts;
 }
 
-function buildMandiSection(mandi) {
+// One mandi insight ({ crop, price, trend, market }) or a list of nearest prices
+function buildMandiItems(mandi) {
   if (!mandi) {
-    return '';
+    return [];
+  }
+
+  if (Array.isArray(mandi)) {
+    return mandi.slice(0, MAX_LIST_ROWS).map((price) => {
+      const crop = price.variety && price.variety !== 'Other' ? `${price.commodity} (${price.variety})` : price.commodity;
+      const where = [price.market, Number.isFinite(price.distanceKm) ? `${Math.round(price.distanceKm)} km away` : null].filter(Boolean).join(', ');
+      const day = formatDay(price.arrivalDate);
+      return `${crop}: Rs ${price.modalPrice}/quintal${where ? ` at ${where}` : ''}${day ? ` on ${day}` : ''}`;
+    });
   }
 
   const parts = [];
@@ -181,21 +212,16 @@ function buildMandiSection(mandi) {
   if (mandi.price) parts.push(`Price: ${mandi.price}`);
   if (mandi.trend) parts.push(`Trend: ${mandi.trend}`);
   if (mandi.market) parts.push(`Market: ${mandi.market}`);
-
-  if (parts.length === 0) {
-    return '';
-  }
-
-  return `Mandi Insight:\n${parts.join('\n')}`;
+  return parts;
 }
 
-function buildAlertsSection(alerts) {
+function buildAlertItems(alerts) {
   if (!alerts || alerts.length === 0) {
-    return '';
+    return [];
   }
 
-  const formatted = alerts
-    .slice(0, 3)
+  return alerts
+    .slice(0, MAX_LIST_ROWS)
     .map((alert, index) => {
       if (typeof alert === 'string') {
         return `${index + 1}. ${alert}`;
@@ -207,28 +233,40 @@ function buildAlertsSection(alerts) {
       }
       return `${index + 1}. ${String(alert)}`;
     });
-
-  return `Alerts & Reminders:\n${formatted.join('\n')}`;
 }
 
-function buildTasksSection(tasks) {
+function buildTaskItems(tasks) {
   if (!tasks || tasks.length === 0) {
-    return '';
+    return [];
   }
 
-  const formatted = tasks
-    .slice(0, 3)
+  return tasks
+    .slice(0, MAX_LIST_ROWS)
     .map((task, index) => `${index + 1}. ${typeof task === 'string' ? task : task.title || 'Pending task'}`);
+}
+
+function buildActivityItems(activities) {
+  if (!Array.isArray(activities) || activities.length === 0) {
+    return [];
+  }
 
-  return `Open Tasks:\n${formatted.join('\n')}`;
+  return activities.slice(0, MAX_LIST_ROWS).map((activity) => {
+    if (typeof activity === 'string') {
+      return `- ${activity}`;
+    }
+    const day = formatDay(activity.date);
+    const type = activity.type && activity.type !== 'general' ? ` (${activity.type})` : '';
+    return `- ${day ? day + ': ' : ''}${activity.description}${type}`;
+  });
 }
 
-function buildMemorySection(memoryEntries) {
+// Oldest first, as the conversation happened
+function buildMemoryItems(memoryEntries) {
   if (!Array.isArray(memoryEntries) || memoryEntries.length === 0) {
-    return '';
+    return [];
   }
 
-  const formatted = memoryEntries
+  return memoryEntries
     .slice(-MAX_MEMORY_ROWS)
     .map(entry => {
       const speaker = entry.role === 'user' ? 'Farmer' : 'KrushiAI';
@@ -237,68 +275,139 @@ function buildMemorySection(memoryEntries) {
         : JSON.stringify(entry.content);
       return `- ${speaker}: ${content}`;
     });
-
-  return `Recent Conversation:\n${formatted.join('\n')}`;
 }
 
-function buildContextSection(rawContext = {}) {
-  if (!rawContext || typeof rawContext !== 'object') {
-    return '';
+/**
+ * The context as titled sections of lines. Lists are ordered most useful line
+ * first, except the conversation, which loses its oldest lines first.
+ */
+function collectContextSections(context = {}) {
+  if (!context || typeof context !== 'object') {
+    return [];
   }
 
-  const { memory, ...context } = rawContext;
-  const sections = [];
-
-  const profileSection = buildProfileSection(context.farmerProfile, context.userProfile?.profile);
-  if (profileSection) sections.push(profileSection);
-
-  const weatherSection = buildWeatherSection(context.weather || context.weatherData);
-  if (weatherSection) sections.push(weatherSection);
-
-  const mandiSection = buildMandiSection(context.mandi || context.mandiPrice);
-  if (mandiSection) sections.push(mandiSection);
-
-  const alertsSection = buildAlertsSection(context.alerts || context.reminders);
-  if (alertsSection) sections.push(alertsSection);
-
-  const tasksSection = buildTasksSection(context.tasks || context.pendingActions);
-  if (tasksSection) sections.push(tasksSection);
+  const sections = [
+    { key: 'profile', title: 'Farmer Profile', items: buildProfileItems(context.farmerProfile, context.userProfile?.profile) },
+    { key: 'weather', title: 'Weather Snapshot', items: buildWeatherItems(context.weather || context.weatherData) },
+    {
+      key: 'mandi',
+      title: Array.isArray(context.mandi || context.mandiPrice) ? 'Nearest Mandi Prices' : 'Mandi Insight',
+      items: buildMandiItems(context.mandi || context.mandiPrice)
+    },
+    { key: 'alerts', title: 'Alerts & Reminders', items: buildAlertItems(context.alerts || context.reminders) },
+    { key: 'tasks', title: 'Open Tasks', items: buildTaskItems(context.tasks || context.pendingActions) },
+    { key: 'activities', title: 'Recent Farm Activities', items: buildActivityItems(context.activities) },
+    { key: 'memory', title: 'Recent Conversation', items: buildMemoryItems(context.memory), dropOldest: true }
+  ];
 
   if (context.soil) {
     const soilSummary = typeof context.soil === 'string'
       ? context.soil
       : summarizeList(Object.entries(context.soil).map(([key, value]) => `${key}: ${value}`));
-    if (soilSummary) {
-      sections.push(`Soil & Field Notes:\n${soilSummary}`);
-    }
+    sections.push({ key: 'soil', title: 'Soil & Field Notes', items: soilSummary ? [soilSummary] : [] });
   }
 
   if (context.location && typeof context.location === 'string') {
-    sections.push(`Location Note:\n${context.location}`);
+    sections.push({ key: 'location', title: 'Location Note', items: [context.location] });
   }
 
   if (context.customNotes) {
-    sections.push(`App Notes:\n${summarizeList(context.customNotes)}`);
+    sections.push({ key: 'notes', title: 'App Notes', items: [summarizeList(context.customNotes)] });
   }
 
-  return sections.length ? `Context Data:\n${sections.join('\n\n')}` : '';
+  return sections.filter((section) => section.items.length > 0);
+}
+
+/**
+ * Section keys from most to least relevant for this query
+ */
+function rankSections(keys, userQuery = '') {
+  const mentioned = Object.keys(SECTION_KEYWORDS).filter((key) => SECTION_KEYWORDS[key].test(userQuery));
+  const order = [...mentioned, ...SECTION_PRIORITY.filter((key) => !mentioned.includes(key))];
+  return [...keys].sort((a, b) => order.indexOf(a) - order.indexOf(b));
+}
+
+function renderSection(section) {
+  return `${section.title}:\n${section.items.join('\n')}`;
 }
 
-function generateFarmerPrompt(language, userQuery, context = {}) {
+/**
+ * Drop context lines, least relevant section first, until the prompt fits
+ * @param {Array<Object>} sections - From collectContextSections
+ * @param {number} budget - Tokens available for the context
+ * @param {string} userQuery - Decides which sections matter most
+ * @returns {Array<Object>} Sections that fit, in their original order
+ */
+function fitSectionsToBudget(sections, budget, userQuery) {
+  const kept = sections.map((section) => ({ ...section, items: [...section.items] }));
+  const cost = () => kept
+    .filter((section) => section.items.length > 0)
+    .reduce((total, section) => total + estimateTokens(renderSection(section)) + 1, 0);
+
+  const leastRelevantFirst = rankSections(kept.map((section) => section.key), userQuery).reverse();
+  for (const key of leastRelevantFirst) {
+    const section = kept.find((candidate) => candidate.key === key);
+    while (section.items.length > 0 && cost() > budget) {
+      if (section.dropOldest) {
+        section.items.shift();
+      } else {
+        section.items.pop();
+      }
+    }
+    if (cost() <= budget) {
+      break;
+    }
+  }
+  return kept.filter((section) => section.items.length > 0);
+}
+
+function buildPromptParts(language, context, { query = '', maxTokens = DEFAULT_MAX_PROMPT_TOKENS } = {}) {
   const resolvedLanguage = farmerPersonas[language] ? language : 'en';
+  const languageLabel = LANGUAGE_LABELS[language] || LANGUAGE_LABELS.en;
   const persona = getFarmerPersona(resolvedLanguage);
   const guidelines = getResponseGuidelines(resolvedLanguage);
-  const contextSection = buildContextSection(context);
-  const memorySection = buildMemorySection(context.memory);
-  const languageLabel = LANGUAGE_LABELS[resolvedLanguage] || LANGUAGE_LABELS.en;
+  const instruction = `Respond in ${languageLabel} using the structure above. Reference real context data explicitly and end with actionable next steps.`;
 
-  const promptParts = [
+  const fixedTokens = estimateTokens([persona, guidelines, instruction, `Farmer Query: ${query}`, 'Context Data:'].join('\n\n'));
+  const sections = fitSectionsToBudget(collectContextSections(context), maxTokens - fixedTokens, query);
+  const memory = sections.find((section) => section.key === 'memory');
+  const contextSections = sections.filter((section) => section.key !== 'memory');
+
+  return {
     persona,
     guidelines,
-    contextSection,
-    memorySection,
+    contextSection: contextSections.length ? `Context Data:\n${contextSections.map(renderSection).join('\n\n')}` : '',
+    memorySection: memory ? renderSection(memory) : '',
+    instruction
+  };
+}
+
+/**
+ * Persona, guidelines and context for the system message of a chat completion,
+ * with the farmer's query sent separately. Context that does not fit
+ * `maxTokens` together with the query is trimmed, least relevant first.
+ * @param {string} language - en, hi, mr, ml
+ * @param {Object} context - Profile, weather, mandi, alerts, tasks, activities, memory, ...
+ * @param {Object} options - { query, maxTokens }
+ * @returns {string}
+ */
+function buildFarmerSystemPrompt(language, context = {}, options = {}) {
+  const parts = buildPromptParts(language, context, options);
+  return [parts.persona, parts.guidelines, parts.contextSection, parts.memorySection, parts.instruction]
+    .filter(Boolean)
+    .join('\n\n')
+    .trim();
+}
+
+function generateFarmerPrompt(language, userQuery, context = {}, options = {}) {
+  const parts = buildPromptParts(language, context, { ...options, query: userQuery });
+  const promptParts = [
+    parts.persona,
+    parts.guidelines,
+    parts.contextSection,
+    parts.memorySection,
     `Farmer Query: ${userQuery}`,
-    `Respond in ${languageLabel} using the structure above. Reference real context data explicitly and end with actionable next steps.`
+    parts.instruction
   ].filter(Boolean);
 
   return promptParts.join('\n\n').trim();
@@ -307,5 +416,9 @@ function generateFarmerPrompt(language, userQuery, context = {}) {
 module.exports = {
   getFarmerPersona,
   getResponseGuidelines,
+  estimateTokens,
+  collectContextSections,
+  fitSectionsToBudget,
+  buildFarmerSystemPrompt,
   generateFarmerPrompt
 };
@@ -0,0 +1,38 @@
+const { normalizeName } = require('./jobs/mandi-price-sources');
+
+/**
+ * Farmer profile helpers: readers for fields that were stored in more than one shape
+ * over time (shared by voice alerts, chat context and scheme eligibility), and who may
+ * write a profile.
+ */
+
+// Farmer profiles store crops as a list of names, objects or one comma-separated string
+function extractCrops(crops) {
+  const list = typeof crops === 'string' ? crops.split(',') : Array.isArray(crops) ? crops : [];
+  const names = list
+    .map((crop) => (typeof crop === 'string' ? crop : crop?.name || crop?.crop))
+    .filter((crop) => typeof crop === 'string' && crop.trim())
+    .map((crop) => normalizeName(crop));
+  return [...new Set(names)];
+}
+
+/**
+ * Farmer profiles are keyed by phone, so only a user who verified the number may create
+ * or adopt one; a profile already linked to another account stays with that account.
+ * @param {Object} write - { ownsPhone, userId, existingFarmer }
+ * @returns {string|null} 'PHONE_NOT_VERIFIED' or 'OWNED_BY_OTHER', null when allowed
+ */
+function getFarmerProfileWriteError({ ownsPhone, userId, existingFarmer }) {
+  if (!ownsPhone) {
+    return 'PHONE_NOT_VERIFIED';
+  }
+  if (existingFarmer?.userId && existingFarmer.userId.toString() !== String(userId)) {
+    return 'OWNED_BY_OTHER';
+  }
+  return null;
+}
+
+module.exports = {
+  extractCrops,
+  getFarmerProfileWriteError
+};
@@ -0,0 +1,205 @@
+const { normalizePhoneNumber, phoneLookupVariants } = require('./sms-provider');
+
+/**
+ * Login identities linked to a user document.
+ *
+ * Each user carries `identities: [{ provider, value, key, verifiedAt, linkedAt }]`, where
+ * `key` is `<provider>:<normalized value>` and is unique across users. Older users only
+ * have the legacy `googleId` / `email` / `phone` fields; they are read as identities until
+ * the next login writes the array.
+ */
+
+const IDENTITY_PROVIDERS = {
+  GOOGLE: 'google',
+  EMAIL: 'email',
+  PHONE: 'phone'
+};
+
+const VALID_PROVIDERS = Object.values(IDENTITY_PROVIDERS);
+
+function normalizeIdentityValue(provider, value) {
+  if (typeof value !== 'string' || !value.trim()) {
+    return null;
+  }
+  const trimmed = value.trim();
+  switch (provider) {
+    case IDENTITY_PROVIDERS.GOOGLE:
+      return trimmed;
+    case IDENTITY_PROVIDERS.EMAIL:
+      return trimmed.includes('@') ? trimmed.toLowerCase() : null;
+    case IDENTITY_PROVIDERS.PHONE:
+      return normalizePhoneNumber(trimmed);
+    default:
+      return null;
+  }
+}
+
+function buildIdentityKey(provider, value) {
+  const normalized = normalizeIdentityValue(provider, value);
+  return normalized ? `${provider}:${normalized}` : null;
+}
+
+/**
+ * Build a verified identity entry for the users.identities array
+ * @returns {Object|null} Identity entry, or null when the value is not valid for the provider
+ */
+function createIdentity(provider, value, now = new Date()) {
+  const normalized = normalizeIdentityValue(provider, value);
+  if (!normalized) {
+    return null;
+  }
+  return {
+    provider,
+    value: normalized,
+    key: `${provider}:${normalized}`,
+    verifiedAt: now,
+    linkedAt: now
+  };
+}
+
+// Matches users created before identities existed by their legacy login fields
+function legacyLookupQuery(provider, value) {
+  const normalized = normalizeIdentityValue(provider, value);
+  if (!normalized) {
+    return null;
+  }
+  switch (provider) {
+    case IDENTITY_PROVIDERS.GOOGLE:
+      return { googleId: normalized };
+    case IDENTITY_PROVIDERS.EMAIL:
+      return { email: { $in: [...new Set([value.trim(), normalized])] } };
+    case IDENTITY_PROVIDERS.PHONE: {
+      // An unverified phone (or anything in profile.phone) does not prove ownership
+      return { phone: { $in: phoneLookupVariants(normalized) }, phoneVerified: true };
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Query that finds the user owning an identity, falling back to legacy fields for
+ * users whose identities have not been written yet. Merged-away users never match.
+ * @returns {Object|null} MongoDB filter for the users collection
+ */
+function identityLookupQuery(provider, value) {
+  const key = buildIdentityKey(provider, value);
+  if (!key) {
+    return null;
+  }
+  return {
+    mergedInto: { $exists: false },
+    $or: [
+      { 'identities.key': key },
+      { identities: { $exists: false }, ...legacyLookupQuery(provider, value) }
+    ]
+  };
+}
+
+// Identities implied by legacy fields; an unverified phone typed during email signup does not count
+function getLegacyIdentities(user) {
+  if (!user) {
+    return [];
+  }
+  const since = user.createdAt || new Date();
+  return [
+    user.googleId ? createIdentity(IDENTITY_PROVIDERS.GOOGLE, user.googleId, since) : null,
+    user.email ? createIdentity(IDENTITY_PROVIDERS.EMAIL, user.email, since) : null,
+    user.phoneVerified && user.phone
+      ? createIdentity(IDENTITY_PROVIDERS.PHONE, user.phone, user.phoneVerifiedAt || since)
+      : null
+  ].filter(Boolean);
+}
+
+function getUserIdentities(user) {
+  if (Array.isArray(user?.identities)) {
+    return user.identities;
+  }
+  return getLegacyIdentities(user);
+}
+
+/**
+ * Phone numbers the user has proven they own (normalized). `phone` / `profile.phone`
+ * can be typed freely, so ownership of phone-keyed records is only ever decided here.
+ * @returns {Array<string>}
+ */
+function getVerifiedPhones(user) {
+  return getUserIdentities(user)
+    .filter((identity) => identity.provider === IDENTITY_PROVIDERS.PHONE)
+    .map((identity) => identity.value);
+}
+
+// Legacy fields kept in sync with identities, since the rest of the app still reads them
+function legacyFieldsForIdentity(identity) {
+  switch (identity.provider) {
+    case IDENTITY_PROVIDERS.GOOGLE:
+      return { googleId: identity.value };
+    case IDENTITY_PROVIDERS.EMAIL:
+      return { email: identity.value };
+    case IDENTITY_PROVIDERS.PHONE:
+      return {
+        phone: identity.value,
+        'profile.phone': identity.value,
+        phoneVerified: true,
+        phoneVerifiedAt: identity.verifiedAt
+      };
+    default:
+      return {};
+  }
+}
+
+function legacyFieldsToUnset(provider) {
+  switch (provider) {
+    case IDENTITY_PROVIDERS.GOOGLE:
+      return { googleId: '' };
+    case IDENTITY_PROVIDERS.EMAIL:
+      return { email: '' };
+    case IDENTITY_PROVIDERS.PHONE:
+      return { phone: '', 'profile.phone': '', phoneVerified: '', phoneVerifiedAt: '' };
+    default:
+      return {};
+  }
+}
+
+/**
+ * A user may hold several identities per provider; the earliest linked one is mirrored
+ * into the legacy field. Builds the $set/$unset parts that bring those fields in line.
+ * @param {Array<Object>} identities - The user's identities after the change
+ * @param {Array<string>} providers - Providers whose legacy fields may have changed
+ * @returns {{$set: Object, $unset: Object}}
+ */
+function legacyFieldsUpdate(identities, providers) {
+  const update = { $set: {}, $unset: {} };
+  [...new Set(providers)].forEach((provider) => {
+    const primary = identities.find((identity) => identity.provider === provider);
+    if (primary) {
+      Object.assign(update.$set, legacyFieldsForIdentity(primary));
+    } else {
+      Object.assign(update.$unset, legacyFieldsToUnset(provider));
+    }
+  });
+  return update;
+}
+
+function formatIdentityResponse(identity) {
+  return {
+    provider: identity.provider,
+    value: identity.value,
+    verifiedAt: identity.verifiedAt || null,
+    linkedAt: identity.linkedAt || null
+  };
+}
+
+module.exports = {
+  IDENTITY_PROVIDERS,
+  VALID_PROVIDERS,
+  normalizeIdentityValue,
+  buildIdentityKey,
+  createIdentity,
+  identityLookupQuery,
+  getLegacyIdentities,
+  getUserIdentities,
+  getVerifiedPhones,
+  legacyFieldsUpdate,
+  formatIdentityResponse
+};
@@ -0,0 +1,135 @@
+/**
+ * Account Purge Job
+ *
+ * This background job runs daily and permanently deletes accounts whose deletion
+ * grace period (requested through DELETE /me) has ended, together with every
+ * document tied to them.
+ */
+
+const { MongoClient } = require('mongodb');
+const { purgeUserData } = require('../account-data');
+require('dotenv').config();
+
+// MongoDB connection
+const uri = `mongodb+srv://${process.env.DB_USER}:${process.env.DB_PASS}@${process.env.CLUSTER_HOST}/KrushiMitraDB?retryWrites=true&w=majority`;
+const client = new MongoClient(uri);
+
+// Job execution statistics
+let stats = {
+  accountsDue: 0,
+  accountsPurged: 0,
+  accountsFailed: 0,
+  documentsDeleted: 0
+};
+
+/**
+ * Find accounts whose grace period has ended
+ * @param {Db} db - KrushiMitraDB handle
+ * @returns {Promise<Array>} users documents due for purging
+ */
+async function findAccountsDueForPurge(db) {
+  const users = await db.collection("users")
+    .find({ deletionRequestedAt: { $exists: true }, purgeAfter: { $lte: new Date() } })
+    .toArray();
+
+  stats.accountsDue = users.length;
+  console.log(`Found ${users.length} accounts due for purging`);
+  return users;
+}
+
+/**
+ * Run the Account Purge job
+ * @returns {Promise<Object>} Job execution report
+ */
+async function runAccountPurge() {
+  const startTime = new Date();
+  console.log("Starting Account Purge job...");
+
+  // Reset statistics
+  stats = {
+    accountsDue: 0,
+    accountsPurged: 0,
+    accountsFailed: 0,
+    documentsDeleted: 0
+  };
+
+  try {
+    // Connect to database
+    await client.connect();
+    console.log("Connected to database");
+
+    const db = client.db("KrushiMitraDB");
+    const users = await findAccountsDueForPurge(db);
+
+    for (const user of users) {
+      try {
+        const deleted = await purgeUserData(db, user);
+        const total = Object.values(deleted).reduce((sum, count) => sum + count, 0);
+        stats.accountsPurged++;
+        stats.documentsDeleted += total;
+        console.log(`Purged account ${user._id} (${total} documents)`);
+      } catch (purgeError) {
+        stats.accountsFailed++;
+        console.error(`Error purging account ${user._id}:`, purgeError);
+        // Continue with other accounts; this one is retried on the next run
+      }
+    }
+
+    const endTime = new Date();
+    const durationSeconds = (endTime - startTime) / 1000;
+
+    // Create success report
+    const report = {
+      jobName: "Account Purge",
+      status: stats.accountsFailed > 0 ? "PARTIAL_SUCCESS" : "SUCCESS",
+      startedAt: startTime,
+      completedAt: endTime,
+      durationSeconds: durationSeconds,
+      statistics: { ...stats }
+    };
+
+    console.log("Account Purge job completed");
+    return report;
+  } catch (error) {
+    const endTime = new Date();
+    const durationSeconds = (endTime - startTime) / 1000;
+
+    // Create failure report
+    const report = {
+      jobName: "Account Purge",
+      status: "FAILURE",
+      startedAt: startTime,
+      completedAt: endTime,
+      durationSeconds: durationSeconds,
+      error: {
+        code: "JOB_EXECUTION_ERROR",
+        message: error.message,
+        details: error.stack
+      },
+      statistics: { ...stats }
+    };
+
+    console.error("Account Purge job failed:", error);
+    return report;
+  } finally {
+    // Close database connection
+    await client.close();
+    console.log("Database connection closed");
+  }
+}
+
+// Export the job function
+module.exports = { runAccountPurge };
+
+// Run the job if this file is executed directly
+if (require.main === module) {
+  runAccountPurge()
+    .then(report => {
+      console.log("Job Report:", JSON.stringify(report, null, 2));
+      process.exit(0);
+    })
+    .catch(error => {
+      console.error("Job failed with unhandled error:", error);
+      process.exit(1);
+    });
+}
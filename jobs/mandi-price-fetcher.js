@@ -8,6 +8,9 @@
 
 const { MongoClient } = require('mongodb');
 require('dotenv').config();
+const { createMandiPriceSources } = require('./mandi-price-sources');
+const { ensureMandiPriceIndexes, upsertMandiPrices } = require('../mandi-prices');
+const { alertExpiry } = require('../alerts');
 
 // MongoDB connection
 const uri = `mongodb+srv://${process.env.DB_USER}:${process.env.DB_PASS}@${process.env.CLUSTER_HOST}/KrushiMitraDB?retryWrites=true&w=majority`;
@@ -17,82 +20,56 @@ const client = new MongoClient(uri);
 let stats = {
   pricesFetched: 0,
   pricesInserted: 0,
+  pricesUpdated: 0,
+  pricesUnchanged: 0,
+  recordsSkipped: 0,
   goldenChancesDetected: 0,
   alertsCreated: 0,
   farmersNotified: 0
 };
 
-// Sources for mandi price data
-const sources = [
-  {
-    name: "Maharashtra Mandi Board",
-    url: "https://maharashtramandiboard.example.com/api/prices",
-    enabled: true
-  },
-  {
-    name: "National Agriculture Market",
-    url: "https://nammarket.example.com/api/mandiprices",
-    enabled: true
-  }
-];
-
 /**
- * Fetch external mandi price data from a source
- * @param {Object} source - The data source configuration
- * @returns {Promise<Array>} Array of price data
+ * Fetch mandi price data from a source adapter
+ * @param {Object} source - Source adapter from mandi-price-sources.js
+ * @returns {Promise<Array>} Array of normalized price records
  */
 async function fetchExternalPrices(source) {
   console.log(`Fetching prices from ${source.name}...`);
-  
-  // In a real implementation, this would make HTTP requests to external APIs
-  // For demo purposes, we'll return mock data
-  
-  // Simulate network delay
-  await new Promise(resolve => setTimeout(resolve, 1000));
-  
-  // Mock data
-  const mockPrices = [
-    {
-      crop: "Wheat",
-      location: "Pune",
-      price: 2400,
-      date: new Date()
-    },
-    {
-      crop: "Soybean",
-      location: "Pune",
-      price: 5200,
-      date: new Date()
-    },
-    {
-      crop: "Rice",
-      location: "Nagpur",
-      price: 2800,
-      date: new Date()
-    }
-  ];
-  
-  stats.pricesFetched += mockPrices.length;
-  console.log(`Fetched ${mockPrices.length} prices from ${source.name}`);
-  
-  return mockPrices;
+
+  const { records, skipped } = await source.fetchPrices();
+  const fetchedAt = new Date();
+  records.forEach((record) => {
+    record.fetchedAt = fetchedAt;
+  });
+
+  stats.pricesFetched += records.length;
+  stats.recordsSkipped += skipped;
+  console.log(`Fetched ${records.length} prices from ${source.name} (${skipped} invalid rows skipped)`);
+
+  return records;
 }
 
 /**
- * Insert mandi prices into the database
- * @param {Array} prices - Array of price objects to insert
- * @returns {Promise<void>}
+ * Upsert mandi prices on their natural key (market, commodity, variety, arrival date)
+ * @param {Array} prices - Array of normalized price records
+ * @returns {Promise<Array>} Records that were inserted or changed by this run
  */
 async function insertPrices(prices) {
   try {
     const db = client.db("KrushiMitraDB");
     const collection = db.collection("mandiprices");
     
-    if (prices.length > 0) {
-      const result = await collection.insertMany(prices);
-      stats.pricesInserted += result.insertedCount;
-      console.log(`Inserted ${result.insertedCount} prices into database`);
+    if (prices.length === 0) {
+      return [];
     }
+    
+    const result = await upsertMandiPrices(collection, prices);
+    stats.pricesInserted += result.inserted;
+    stats.pricesUpdated += result.updated;
+    stats.pricesUnchanged += result.unchanged;
+    console.log(`Prices stored: ${result.inserted} inserted, ${result.updated} updated, ${result.unchanged} unchanged`);
+    
+    return result.changedRecords;
   } catch (error) {
     console.error("Error inserting prices:", error);
     throw error;
@@ -159,7 +136,7 @@ async function findEligibleFarmers(crop, location) {
     
     const farmers = await collection.find({
       crops: crop,
-      location: { $regex: new RegExp(location, 'i') },
+      location: { $regex: new RegExp(location.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i') },
       priceAlerts: true
     }).toArray();
     
@@ -199,6 +176,7 @@ async function createPriceAlerts(farmers, priceData) {
           : `Price update for ${priceData.crop} in ${priceData.location}: ₹${priceData.price} per quintal`,
         status: "active",
         createdAt: new Date(),
+        expiresAt: alertExpiry("price"),
         metadata: {
           crop: priceData.crop,
           location: priceData.location,
@@ -233,20 +211,28 @@ async function runMandiPriceFetcher() {
   stats = {
     pricesFetched: 0,
     pricesInserted: 0,
+    pricesUpdated: 0,
+    pricesUnchanged: 0,
+    recordsSkipped: 0,
     goldenChancesDetected: 0,
     alertsCreated: 0,
     farmersNotified: 0
   };
+  const sourceResults = [];
   
   try {
     // Connect to database
     await client.connect();
     console.log("Connected to database");
+    await ensureMandiPriceIndexes(client.db("KrushiMitraDB").collection("mandiprices"));
+    
+    const sources = createMandiPriceSources();
     
     // Process each data source
     for (const source of sources) {
       if (!source.enabled) {
-        console.log(`Skipping disabled source: ${source.name}`);
+        console.log(`Skipping unconfigured source: ${source.name}`);
+        sourceResults.push({ name: source.name, status: "SKIPPED" });
         continue;
       }
       
@@ -254,11 +240,15 @@ async function runMandiPriceFetcher() {
         // Fetch prices from external source
         const prices = await fetchExternalPrices(source);
         
-        // Insert prices into database
-        await insertPrices(prices);
+        // Upsert prices; unchanged prices were already alerted on by an earlier run
+        const changedPrices = await insertPrices(prices);
+        if (source.markProcessed) {
+          await source.markProcessed();
+        }
+        sourceResults.push({ name: source.name, status: "SUCCESS", pricesFetched: prices.length });
         
-        // Process each price for golden chance detection and alerts
-        for (const price of prices) {
+        // Process each new or changed price for golden chance detection and alerts
+        for (const price of changedPrices) {
           // Find eligible farmers
           const farmers = await findEligibleFarmers(price.crop, price.location);
           
@@ -269,6 +259,7 @@ async function runMandiPriceFetcher() {
         }
       } catch (sourceError) {
         console.error(`Error processing source ${source.name}:`, sourceError);
+        sourceResults.push({ name: source.name, status: "FAILURE", error: sourceError.message });
         // Continue with other sources even if one fails
       }
     }
@@ -276,23 +267,27 @@ async function runMandiPriceFetcher() {
     const endTime = new Date();
     const durationSeconds = (endTime - startTime) / 1000;
     
-    // Create success report
+    const failedSources = sourceResults.filter(result => result.status === "FAILURE").length;
+    const attemptedSources = sourceResults.filter(result => result.status !== "SKIPPED").length;
+    let status = "SUCCESS";
+    if (failedSources > 0) {
+      status = failedSources === attemptedSources ? "FAILURE" : "PARTIAL_SUCCESS";
+    }
+    
+    // Create report
     const report = {
       jobName: "Mandi Price Fetcher",
-      status: "SUCCESS",
+      status,
       startedAt: startTime,
       completedAt: endTime,
       durationSeconds: durationSeconds,
       statistics: { ...stats },
       details: {
-        sources: sources.map(source => ({
-          name: source.name,
-          status: "SUCCESS"
-        }))
+        sources: sourceResults
       }
     };
     
-    console.log("Mandi Price Fetcher job completed successfully");
+    console.log(`Mandi Price Fetcher job completed with status ${status}`);
     return report;
   } catch (error) {
     const endTime = new Date();
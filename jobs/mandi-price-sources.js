@@ -0,0 +1,385 @@
+/**
+ * Mandi Price Sources
+ *
+ * Adapters that feed the Mandi Price Fetcher job. Every adapter returns records in
+ * the same normalized shape (see normalizePriceRecord), whatever the upstream format:
+ *   - agmarknet: data.gov.in "Current Daily Price of Various Commodities from
+ *     Various Markets (Mandi)" API
+ *   - csv: Agmarknet-style CSV dumps dropped into a local folder for offline runs
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const AGMARKNET_RESOURCE_ID = '9ef84268-d588-465a-a308-a864a43d0070';
+const AGMARKNET_BASE_URL = 'https://api.data.gov.in/resource';
+const AGMARKNET_PAGE_SIZE = 1000;
+const REQUEST_TIMEOUT_MS = 30000;
+const PRICE_UNIT = 'Rs/Quintal';
+
+const MONTHS = {
+  jan: 0, feb: 1, mar: 2, apr: 3, may: 4, jun: 5,
+  jul: 6, aug: 7, sep: 8, oct: 9, nov: 10, dec: 11
+};
+
+// Upstream column names (after normalizeHeader) for each normalized field. The legacy
+// crop/location/price names let older POST /mandiprices/update payloads through.
+const FIELD_ALIASES = {
+  state: ['state', 'state_name'],
+  district: ['district', 'district_name'],
+  market: ['market', 'market_name', 'apmc', 'location'],
+  commodity: ['commodity', 'commodity_name', 'crop'],
+  variety: ['variety'],
+  grade: ['grade'],
+  minPrice: ['min_price', 'minprice', 'minimum_price'],
+  maxPrice: ['max_price', 'maxprice', 'maximum_price'],
+  modalPrice: ['modal_price', 'modalprice', 'price'],
+  arrivalDate: ['arrival_date', 'arrivaldate', 'price_date', 'reported_date', 'date']
+};
+
+/**
+ * Normalize a column header: "Min_x0020_Price", "Min Price (Rs./Quintal)" and
+ * "min_price" all become "min_price"
+ * @param {string} header - Raw header
+ * @returns {string} Normalized header
+ */
+function normalizeHeader(header) {
+  return String(header)
+    .replace(/_x0020_/gi, ' ')
+    .replace(/\(.*?\)/g, ' ')
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '');
+}
+
+function pickField(record, field) {
+  for (const alias of FIELD_ALIASES[field]) {
+    if (record[alias] !== undefined && record[alias] !== null && String(record[alias]).trim() !== '') {
+      return record[alias];
+    }
+  }
+  return null;
+}
+
+/**
+ * Collapse whitespace and title-case names so "PUNE", "pune " and "Pune" match
+ * @param {string} value - Raw name
+ * @returns {string|null} Normalized name
+ */
+function normalizeName(value) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  const collapsed = String(value).replace(/\s+/g, ' ').trim();
+  if (!collapsed) {
+    return null;
+  }
+  return collapsed
+    .toLowerCase()
+    .replace(/(^|[\s(/-])([a-z])/g, (match, separator, letter) => `${separator}${letter.toUpperCase()}`);
+}
+
+function parsePrice(value) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  const parsed = Number(String(value).replace(/,/g, '').trim());
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : null;
+}
+
+/**
+ * Parse the arrival date formats seen in Agmarknet data into a UTC midnight Date:
+ * "19/10/2026", "19-10-2026", "2026-10-19" and "19-Oct-2026"
+ * @param {string|Date} value - Raw date
+ * @returns {Date|null} Parsed date
+ */
+function parseArrivalDate(value) {
+  if (typeof value === 'number') {
+    return parseArrivalDate(new Date(value));
+  }
+  if (value instanceof Date) {
+    return Number.isNaN(value.getTime())
+      ? null
+      : new Date(Date.UTC(value.getUTCFullYear(), value.getUTCMonth(), value.getUTCDate()));
+  }
+  if (typeof value !== 'string' || !value.trim()) {
+    return null;
+  }
+  const trimmed = value.trim();
+  let year;
+  let month;
+  let day;
+
+  let match = trimmed.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+  if (match) {
+    [, year, month, day] = match.map(Number);
+    month -= 1;
+  } else if ((match = trimmed.match(/^(\d{1,2})[/-](\d{1,2})[/-](\d{4})$/))) {
+    [, day, month, year] = match.map(Number);
+    month -= 1;
+  } else if ((match = trimmed.match(/^(\d{1,2})[\s/-]([A-Za-z]{3})[a-z]*[\s/-](\d{4})$/))) {
+    day = Number(match[1]);
+    month = MONTHS[match[2].toLowerCase()];
+    year = Number(match[3]);
+  } else {
+    return null;
+  }
+
+  if (month === undefined || month < 0 || month > 11 || day < 1 || day > 31) {
+    return null;
+  }
+  const date = new Date(Date.UTC(year, month, day));
+  return date.getUTCDate() === day ? date : null;
+}
+
+/**
+ * Map an upstream record onto the normalized price shape. The legacy crop/location/
+ * price/date fields are kept for GET /mandiprices and the alert logic.
+ * @param {Object} raw - Upstream record (keys in any supported header style)
+ * @param {string} sourceName - Name of the adapter that produced it
+ * @returns {Object|null} Normalized record, or null when required fields are missing
+ */
+function normalizePriceRecord(raw, sourceName) {
+  const record = {};
+  Object.entries(raw || {}).forEach(([key, value]) => {
+    record[normalizeHeader(key)] = value;
+  });
+
+  const commodity = normalizeName(pickField(record, 'commodity'));
+  const market = normalizeName(pickField(record, 'market'));
+  const arrivalDate = parseArrivalDate(pickField(record, 'arrivalDate'));
+  let minPrice = parsePrice(pickField(record, 'minPrice'));
+  let maxPrice = parsePrice(pickField(record, 'maxPrice'));
+  const modalPrice = parsePrice(pickField(record, 'modalPrice'));
+
+  if (!commodity || !market || !arrivalDate || !modalPrice) {
+    return null;
+  }
+  if (minPrice && maxPrice && minPrice > maxPrice) {
+    [minPrice, maxPrice] = [maxPrice, minPrice];
+  }
+
+  const state = normalizeName(pickField(record, 'state'));
+  const district = normalizeName(pickField(record, 'district'));
+
+  return {
+    state,
+    district,
+    market,
+    commodity,
+    variety: normalizeName(pickField(record, 'variety')) || 'Other',
+    grade: normalizeName(pickField(record, 'grade')),
+    minPrice: minPrice || modalPrice,
+    maxPrice: maxPrice || modalPrice,
+    modalPrice,
+    unit: PRICE_UNIT,
+    arrivalDate,
+    source: sourceName,
+    // Legacy fields
+    crop: commodity,
+    location: district || market,
+    price: modalPrice,
+    date: arrivalDate
+  };
+}
+
+/**
+ * Minimal RFC 4180 CSV parser (quoted fields, escaped quotes, CRLF)
+ * @param {string} text - CSV contents
+ * @returns {Array<Object>} Rows keyed by header
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  const input = String(text).replace(/^﻿/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const nonEmpty = rows.filter((cells) => cells.some((cell) => cell.trim() !== ''));
+  if (nonEmpty.length === 0) {
+    return [];
+  }
+  const [header, ...dataRows] = nonEmpty;
+  return dataRows.map((cells) => Object.fromEntries(header.map((name, index) => [name, cells[index] ?? ''])));
+}
+
+async function fetchJson(url) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
+  try {
+    const response = await fetch(url, { signal: controller.signal, headers: { Accept: 'application/json' } });
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status} from ${url.replace(/api-key=[^&]+/, 'api-key=***')}`);
+    }
+    return await response.json();
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+function splitList(value) {
+  return String(value || '')
+    .split(',')
+    .map((item) => item.trim())
+    .filter(Boolean);
+}
+
+/**
+ * data.gov.in Agmarknet daily prices. Needs DATA_GOV_IN_API_KEY; MANDI_STATES
+ * (comma-separated) limits the download to those states.
+ */
+function createAgmarknetSource(env = process.env) {
+  const apiKey = env.DATA_GOV_IN_API_KEY;
+  const states = splitList(env.MANDI_STATES);
+  const maxRecords = Number(env.MANDI_AGMARKNET_MAX_RECORDS || 10000);
+
+  return {
+    name: 'Agmarknet (data.gov.in)',
+    enabled: Boolean(apiKey),
+    async fetchPrices() {
+      const records = [];
+      let skipped = 0;
+      for (const state of states.length > 0 ? states : [null]) {
+        for (let offset = 0; offset < maxRecords; offset += AGMARKNET_PAGE_SIZE) {
+          const params = new URLSearchParams({
+            'api-key': apiKey,
+            format: 'json',
+            offset: String(offset),
+            limit: String(AGMARKNET_PAGE_SIZE)
+          });
+          if (state) {
+            params.set('filters[state]', state);
+          }
+          const body = await fetchJson(`${AGMARKNET_BASE_URL}/${AGMARKNET_RESOURCE_ID}?${params}`);
+          const page = Array.isArray(body.records) ? body.records : [];
+          page.forEach((raw) => {
+            const normalized = normalizePriceRecord(raw, this.name);
+            if (normalized) {
+              records.push(normalized);
+            } else {
+              skipped++;
+            }
+          });
+          if (page.length < AGMARKNET_PAGE_SIZE) {
+            break;
+          }
+        }
+      }
+      return { records, skipped };
+    }
+  };
+}
+
+/**
+ * CSV dumps in MANDI_CSV_DIR (default ./data/mandi-csv). Files are moved to a
+ * processed/ subfolder once their prices are stored, so each dump is read once.
+ */
+function createCsvDirectorySource(env = process.env) {
+  const directory = path.resolve(env.MANDI_CSV_DIR || path.join(__dirname, '..', 'data', 'mandi-csv'));
+  const processedDirectory = path.join(directory, 'processed');
+  let pendingFiles = [];
+
+  return {
+    name: 'CSV folder',
+    enabled: fs.existsSync(directory),
+    directory,
+    async fetchPrices() {
+      const entries = await fs.promises.readdir(directory, { withFileTypes: true });
+      pendingFiles = entries
+        .filter((entry) => entry.isFile() && entry.name.toLowerCase().endsWith('.csv'))
+        .map((entry) => path.join(directory, entry.name));
+
+      const records = [];
+      let skipped = 0;
+      for (const file of pendingFiles) {
+        const rows = parseCsv(await fs.promises.readFile(file, 'utf-8'));
+        rows.forEach((raw) => {
+          const normalized = normalizePriceRecord(raw, `${this.name}: ${path.basename(file)}`);
+          if (normalized) {
+            records.push(normalized);
+          } else {
+            skipped++;
+          }
+        });
+      }
+      return { records, skipped };
+    },
+    async markProcessed() {
+      if (pendingFiles.length === 0) {
+        return;
+      }
+      await fs.promises.mkdir(processedDirectory, { recursive: true });
+      for (const file of pendingFiles) {
+        await fs.promises.rename(file, path.join(processedDirectory, path.basename(file)));
+      }
+      pendingFiles = [];
+    }
+  };
+}
+
+const sourceFactories = {
+  agmarknet: createAgmarknetSource,
+  csv: createCsvDirectorySource
+};
+
+/**
+ * Build the sources selected by MANDI_SOURCES (comma-separated, default "agmarknet,csv").
+ * Sources without configuration come back disabled rather than failing the job.
+ * @param {Object} env - Environment variables
+ * @returns {Array<Object>} Source adapters
+ */
+function createMandiPriceSources(env = process.env) {
+  const requested = splitList(env.MANDI_SOURCES || 'agmarknet,csv').map((name) => name.toLowerCase());
+  return requested
+    .filter((name) => {
+      if (!sourceFactories[name]) {
+        console.warn(`Unknown mandi price source "${name}" ignored`);
+        return false;
+      }
+      return true;
+    })
+    .map((name) => sourceFactories[name](env));
+}
+
+module.exports = {
+  createMandiPriceSources,
+  normalizeHeader,
+  normalizeName,
+  normalizePriceRecord,
+  parseArrivalDate,
+  parseCsv
+};
@@ -0,0 +1,394 @@
+/**
+ * Price Alert Evaluator Job
+ *
+ * This background job runs every 15 minutes. It checks every active personal price
+ * alert rule (see price-alert-rules.js) against the latest mandi prices, records a
+ * trigger for each price that matches, and delivers pending triggers over the rule's
+ * channels once the rule's quiet hours are over.
+ */
+
+const { MongoClient } = require('mongodb');
+const {
+  RULES_COLLECTION,
+  TRIGGERS_COLLECTION,
+  nextDeliveryTime,
+  evaluateCondition,
+  buildDedupeKey,
+  describeTrigger
+} = require('../price-alert-rules');
+const { alertExpiry } = require('../alerts');
+const { createSmsProvider } = require('../sms-provider');
+require('dotenv').config();
+
+// MongoDB connection
+const uri = `mongodb+srv://${process.env.DB_USER}:${process.env.DB_PASS}@${process.env.CLUSTER_HOST}/KrushiMitraDB?retryWrites=true&w=majority`;
+const client = new MongoClient(uri);
+
+// Prices older than this are not "current" any more and never trigger
+const PRICE_MAX_AGE_DAYS = 2;
+const MAX_DELIVERY_ATTEMPTS = 3;
+const RETRY_DELAY_MINUTES = 15;
+const DELIVERY_BATCH_SIZE = 500;
+const EARTH_RADIUS_KM = 6378.1;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Job execution statistics
+let stats = {
+  rulesEvaluated: 0,
+  pricesChecked: 0,
+  triggersCreated: 0,
+  triggersDeduplicated: 0,
+  deliveriesSent: 0,
+  deliveriesDeferred: 0,
+  deliveriesRetried: 0,
+  deliveriesFailed: 0,
+  deliveriesCancelled: 0
+};
+
+/**
+ * Delivery channels: (db, trigger, user) => Promise<{ id }>. A thrown error is
+ * recorded on the delivery and retried.
+ */
+const deliveryChannels = {
+  async in_app(db, trigger, user) {
+    const result = await db.collection("alerts").insertOne({
+      farmerId: user._id.toString(),
+      userId: user._id,
+      type: "price",
+      message: trigger.message,
+      status: "active",
+      createdAt: new Date(),
+      expiresAt: alertExpiry("price"),
+      metadata: {
+        ruleId: trigger.ruleId,
+        triggerId: trigger._id,
+        crop: trigger.commodity,
+        location: trigger.market,
+        variety: trigger.variety,
+        price: trigger.modalPrice,
+        arrivalDate: trigger.arrivalDate,
+        changePercent: trigger.changePercent
+      }
+    });
+    return { id: result.insertedId.toString() };
+  },
+
+  async sms(db, trigger, user) {
+    const phone = user.phoneVerified ? user.phone : null;
+    if (!phone) {
+      throw new Error("No verified phone number");
+    }
+    return createSmsProvider().sendSms(phone, `KrushiMitra: ${trigger.message}`);
+  }
+};
+
+/**
+ * Names of the markets a rule covers
+ * @param {Db} db - KrushiMitraDB handle
+ * @param {Object} rule - price_alert_rules document
+ * @returns {Promise<Array<string>>}
+ */
+async function resolveRuleMarkets(db, rule) {
+  if (rule.market) {
+    return [rule.market];
+  }
+  const [lon, lat] = rule.near.location.coordinates;
+  const markets = await db.collection("markets")
+    .find(
+      { location: { $geoWithin: { $centerSphere: [[lon, lat], rule.near.radiusKm / EARTH_RADIUS_KM] } } },
+      { projection: { name: 1 } }
+    )
+    .toArray();
+  return [...new Set(markets.map(market => market.name))];
+}
+
+/**
+ * Latest current price per market and variety for a rule
+ * @returns {Promise<Array>} mandiprices records
+ */
+async function findCurrentPrices(db, rule, marketNames, now) {
+  if (marketNames.length === 0) {
+    return [];
+  }
+  const since = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()) - PRICE_MAX_AGE_DAYS * DAY_MS);
+  const prices = await db.collection("mandiprices")
+    .find({ commodity: rule.commodity, market: { $in: marketNames }, arrivalDate: { $gte: since } })
+    .sort({ arrivalDate: -1 })
+    .toArray();
+
+  const latest = new Map();
+  prices.forEach(price => {
+    const key = `${price.market}|${price.variety}`;
+    if (!latest.has(key)) {
+      latest.set(key, price);
+    }
+  });
+  return [...latest.values()];
+}
+
+async function findBasePrice(db, price, windowDays) {
+  const base = await db.collection("mandiprices")
+    .find({
+      commodity: price.commodity,
+      market: price.market,
+      variety: price.variety,
+      arrivalDate: { $lte: new Date(price.arrivalDate.getTime() - windowDays * DAY_MS) }
+    })
+    .sort({ arrivalDate: -1 })
+    .limit(1)
+    .toArray();
+  return base[0]?.modalPrice || null;
+}
+
+/**
+ * Evaluate one rule and record a trigger for every matching price it has not fired for yet
+ * @param {Db} db - KrushiMitraDB handle
+ * @param {Object} rule - price_alert_rules document
+ * @param {Date} now
+ */
+async function evaluateRule(db, rule, now) {
+  const marketNames = await resolveRuleMarkets(db, rule);
+  const prices = await findCurrentPrices(db, rule, marketNames, now);
+  const triggers = db.collection(TRIGGERS_COLLECTION);
+  let fired = false;
+
+  for (const price of prices) {
+    stats.pricesChecked++;
+    const basePrice = rule.condition.type === "percent_change"
+      ? await findBasePrice(db, price, rule.condition.windowDays)
+      : null;
+    const result = evaluateCondition(rule.condition, price, basePrice);
+    if (!result) {
+      continue;
+    }
+
+    const deliverAfter = nextDeliveryTime(rule.quietHours, now);
+
+    try {
+      await triggers.insertOne({
+        ruleId: rule._id,
+        userId: rule.userId,
+        dedupeKey: buildDedupeKey(rule._id, price),
+        commodity: price.commodity,
+        market: price.market,
+        variety: price.variety,
+        arrivalDate: price.arrivalDate,
+        modalPrice: price.modalPrice,
+        basePrice,
+        changePercent: result.changePercent,
+        condition: rule.condition,
+        message: describeTrigger(rule, price, result),
+        triggeredAt: now,
+        deliveries: rule.channels.map(channel => ({
+          channel,
+          status: "pending",
+          attempts: 0,
+          deliverAfter,
+          sentAt: null,
+          lastError: null
+        }))
+      });
+      stats.triggersCreated++;
+      if (deliverAfter > now) {
+        stats.deliveriesDeferred += rule.channels.length;
+      }
+      fired = true;
+    } catch (error) {
+      // Duplicate dedupeKey: this rule already fired for this price
+      if (error.code === 11000) {
+        stats.triggersDeduplicated++;
+        continue;
+      }
+      throw error;
+    }
+  }
+
+  if (fired) {
+    await db.collection(RULES_COLLECTION).updateOne({ _id: rule._id }, { $set: { lastTriggeredAt: now } });
+  }
+}
+
+/**
+ * Send every pending delivery whose time has come
+ * @param {Db} db - KrushiMitraDB handle
+ * @param {Date} now
+ */
+async function deliverPendingTriggers(db, now) {
+  const triggers = db.collection(TRIGGERS_COLLECTION);
+  const due = await triggers
+    .find({ deliveries: { $elemMatch: { status: "pending", deliverAfter: { $lte: now } } } })
+    .limit(DELIVERY_BATCH_SIZE)
+    .toArray();
+  const users = new Map();
+
+  for (const trigger of due) {
+    if (!users.has(trigger.userId.toString())) {
+      users.set(
+        trigger.userId.toString(),
+        await db.collection("users").findOne({ _id: trigger.userId, mergedInto: { $exists: false } })
+      );
+    }
+    const user = users.get(trigger.userId.toString());
+
+    for (const delivery of trigger.deliveries) {
+      if (delivery.status !== "pending" || delivery.deliverAfter > now) {
+        continue;
+      }
+
+      // Nothing more is sent to an account waiting to be purged
+      if (user?.deletionRequestedAt) {
+        stats.deliveriesCancelled++;
+        await triggers.updateOne(
+          { _id: trigger._id },
+          { $set: { "deliveries.$[delivery].status": "cancelled", "deliveries.$[delivery].lastError": "Account deletion requested" } },
+          { arrayFilters: [{ "delivery.channel": delivery.channel }] }
+        );
+        continue;
+      }
+
+      const attempts = delivery.attempts + 1;
+      const update = { "deliveries.$[delivery].attempts": attempts };
+      try {
+        if (!user) {
+          throw new Error("User not found");
+        }
+        const channel = deliveryChannels[delivery.channel];
+        if (!channel) {
+          throw new Error(`Unknown channel ${delivery.channel}`);
+        }
+        const result = await channel(db, trigger, user);
+        update["deliveries.$[delivery].status"] = "sent";
+        update["deliveries.$[delivery].sentAt"] = new Date();
+        update["deliveries.$[delivery].providerId"] = result?.id || null;
+        update["deliveries.$[delivery].lastError"] = null;
+        stats.deliveriesSent++;
+      } catch (error) {
+        const giveUp = !user || attempts >= MAX_DELIVERY_ATTEMPTS;
+        update["deliveries.$[delivery].status"] = giveUp ? "failed" : "pending";
+        update["deliveries.$[delivery].lastError"] = error.message;
+        update["deliveries.$[delivery].deliverAfter"] = new Date(now.getTime() + attempts * RETRY_DELAY_MINUTES * 60 * 1000);
+        if (giveUp) {
+          stats.deliveriesFailed++;
+        } else {
+          stats.deliveriesRetried++;
+        }
+        console.error(`Delivery of trigger ${trigger._id} over ${delivery.channel} failed:`, error.message);
+      }
+
+      await triggers.updateOne(
+        { _id: trigger._id },
+        { $set: update },
+        { arrayFilters: [{ "delivery.channel": delivery.channel }] }
+      );
+    }
+  }
+}
+
+/**
+ * Main function to run the price alert evaluator job
+ * @returns {Promise<Object>} Job execution report
+ */
+async function runPriceAlertEvaluator() {
+  const startTime = new Date();
+  console.log("Starting Price Alert Evaluator job...");
+
+  // Reset statistics
+  stats = {
+    rulesEvaluated: 0,
+    pricesChecked: 0,
+    triggersCreated: 0,
+    triggersDeduplicated: 0,
+    deliveriesSent: 0,
+    deliveriesDeferred: 0,
+    deliveriesRetried: 0,
+    deliveriesFailed: 0,
+    deliveriesCancelled: 0
+  };
+  let rulesFailed = 0;
+
+  try {
+    // Connect to database
+    await client.connect();
+    console.log("Connected to database");
+
+    const db = client.db("KrushiMitraDB");
+    const now = new Date();
+    const rules = await db.collection(RULES_COLLECTION).find({ active: true }).toArray();
+
+    for (const rule of rules) {
+      try {
+        await evaluateRule(db, rule, now);
+        stats.rulesEvaluated++;
+      } catch (ruleError) {
+        rulesFailed++;
+        console.error(`Error evaluating price alert rule ${rule._id}:`, ruleError);
+        // Continue with other rules; this one is evaluated again on the next run
+      }
+    }
+
+    await deliverPendingTriggers(db, now);
+
+    const endTime = new Date();
+    const durationSeconds = (endTime - startTime) / 1000;
+
+    // Create report
+    const report = {
+      jobName: "Price Alert Evaluator",
+      status: rulesFailed > 0 ? "PARTIAL_SUCCESS" : "SUCCESS",
+      startedAt: startTime,
+      completedAt: endTime,
+      durationSeconds: durationSeconds,
+      statistics: { ...stats, rulesFailed }
+    };
+
+    console.log("Price Alert Evaluator job completed");
+    return report;
+  } catch (error) {
+    const endTime = new Date();
+    const durationSeconds = (endTime - startTime) / 1000;
+
+    // Create failure report
+    const report = {
+      jobName: "Price Alert Evaluator",
+      status: "FAILURE",
+      startedAt: startTime,
+      completedAt: endTime,
+      durationSeconds: durationSeconds,
+      error: {
+        code: "JOB_EXECUTION_ERROR",
+        message: error.message,
+        details: error.stack
+      },
+      statistics: { ...stats, rulesFailed }
+    };
+
+    console.error("Price Alert Evaluator job failed:", error);
+    return report;
+  } finally {
+    // Close database connection
+    await client.close();
+    console.log("Database connection closed");
+  }
+}
+
+// Export the job function
+module.exports = {
+  runPriceAlertEvaluator,
+  deliveryChannels,
+  evaluateRule,
+  deliverPendingTriggers,
+  MAX_DELIVERY_ATTEMPTS
+};
+
+// Run the job if this file is executed directly
+if (require.main === module) {
+  runPriceAlertEvaluator()
+    .then(report => {
+      console.log("Job Report:", JSON.stringify(report, null, 2));
+      process.exit(0);
+    })
+    .catch(error => {
+      console.error("Job failed with unhandled error:", error);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,388 @@
+/**
+ * Push Notification Dispatcher Job
+ *
+ * This background job runs every 5 minutes. It sends an Expo push notification for
+ * every new alert to the devices of the alert's owner, records the tickets Expo
+ * returns, and later checks their receipts so tokens of uninstalled apps get disabled.
+ */
+
+const { MongoClient, ObjectId } = require('mongodb');
+const { createExpoPushClient, isInvalidTokenResult, REQUEST_FAILED } = require('../expo-push');
+const { IDENTITY_PROVIDERS, identityLookupQuery } = require('../identities');
+require('dotenv').config();
+
+// MongoDB connection
+const uri = `mongodb+srv://${process.env.DB_USER}:${process.env.DB_PASS}@${process.env.CLUSTER_HOST}/KrushiMitraDB?retryWrites=true&w=majority`;
+const client = new MongoClient(uri);
+
+// Alerts older than this when first seen are not pushed (e.g. alerts from before push existed)
+const MAX_ALERT_AGE_HOURS = 24;
+const ALERT_BATCH_SIZE = 500;
+const MAX_PUSH_ATTEMPTS = 4;
+const RETRY_BASE_MINUTES = 5;
+// Expo advises waiting before fetching receipts and keeps them for a day
+const RECEIPT_DELAY_MINUTES = 15;
+const RECEIPT_MAX_AGE_HOURS = 24;
+const RECEIPT_BATCH_SIZE = 1000;
+const TICKET_RETENTION_DAYS = 2;
+// Ticket errors worth sending the alert again for
+const RETRYABLE_TICKET_ERRORS = [REQUEST_FAILED, "MessageRateExceeded"];
+
+const PUSH_TITLES = {
+  price: "Mandi price alert",
+  scheme: "New government scheme",
+  scheme_deadline: "Scheme deadline approaching"
+};
+
+// Job execution statistics
+let stats = {
+  alertsProcessed: 0,
+  messagesSent: 0,
+  alertsWithoutDevices: 0,
+  alertsRetried: 0,
+  alertsFailed: 0,
+  receiptsChecked: 0,
+  receiptErrors: 0,
+  tokensDisabled: 0
+};
+
+async function ensurePushIndexes(db) {
+  await db.collection("alerts").createIndex({ "push.status": 1, createdAt: -1 }, { background: true });
+  await db.collection("push_tickets").createIndex({ receiptCheckedAt: 1, createdAt: 1 }, { background: true });
+  await db.collection("push_tickets").createIndex(
+    { createdAt: 1 },
+    { expireAfterSeconds: TICKET_RETENTION_DAYS * 24 * 60 * 60, background: true }
+  );
+}
+
+/**
+ * Expo message for an alert
+ * @param {Object} alert - alerts document
+ * @param {string} token - Expo push token
+ * @returns {Object}
+ */
+function buildPushMessage(alert, token) {
+  return {
+    to: token,
+    title: PUSH_TITLES[alert.type] || "KrushiMitra",
+    body: alert.message,
+    sound: "default",
+    priority: "high",
+    data: { alertId: alert._id.toString(), type: alert.type }
+  };
+}
+
+// Accounts that still receive notifications: not merged away, no deletion pending
+const ACTIVE_USER_FILTER = { mergedInto: { $exists: false }, deletionRequestedAt: { $exists: false } };
+
+/**
+ * Users an alert belongs to. `farmerId` is a farmers _id (mandi/scheme jobs), a user id
+ * string (price alert rules) or, on old alerts, a phone number. Phones only resolve to
+ * users who verified them.
+ * @param {Db} db - KrushiMitraDB handle
+ * @param {Object} alert - alerts document
+ * @returns {Promise<Array<ObjectId>>}
+ */
+async function resolveAlertUserIds(db, alert) {
+  let userId = null;
+  let phone = null;
+  if (alert.userId instanceof ObjectId) {
+    userId = alert.userId;
+  } else if (alert.farmerId instanceof ObjectId) {
+    const farmer = await db.collection("farmers").findOne(
+      { _id: alert.farmerId },
+      { projection: { userId: 1, phone: 1 } }
+    );
+    userId = farmer?.userId || null;
+    phone = userId ? null : farmer?.phone;
+  } else if (typeof alert.farmerId === "string" && /^[0-9a-f]{24}$/i.test(alert.farmerId)) {
+    userId = new ObjectId(alert.farmerId);
+  } else {
+    phone = alert.farmerId;
+  }
+
+  const ownerQuery = userId
+    ? { _id: userId }
+    : phone ? identityLookupQuery(IDENTITY_PROVIDERS.PHONE, String(phone)) : null;
+  if (!ownerQuery) {
+    return [];
+  }
+  const users = await db.collection("users")
+    .find({ $and: [ownerQuery, ACTIVE_USER_FILTER] }, { projection: { _id: 1 } })
+    .toArray();
+  return users.map(user => user._id);
+}
+
+async function disableToken(db, token, reason) {
+  const result = await db.collection("device_tokens").updateOne(
+    { token, disabledAt: { $exists: false } },
+    { $set: { disabledAt: new Date(), disabledReason: reason } }
+  );
+  stats.tokensDisabled += result.modifiedCount;
+}
+
+/**
+ * Push state to store on an alert after a send attempt
+ * @param {Array<Object>} tickets - Tickets for the alert's messages
+ * @param {number} attempts - Attempts including this one
+ * @param {Date} now
+ * @returns {Object} alerts.push
+ */
+function nextPushState(tickets, attempts, now) {
+  if (tickets.length === 0) {
+    return { status: "no_devices", attempts, lastAttemptAt: now };
+  }
+  // One device reached is enough; retrying would notify that device twice
+  if (tickets.some(ticket => ticket.status === "ok")) {
+    return { status: "sent", attempts, lastAttemptAt: now, sentAt: now };
+  }
+  const lastError = tickets[0].message || tickets[0].details?.error || "Push failed";
+  const retryable = tickets.some(ticket => RETRYABLE_TICKET_ERRORS.includes(ticket.details?.error));
+  if (retryable && attempts < MAX_PUSH_ATTEMPTS) {
+    return {
+      status: "retry",
+      attempts,
+      lastAttemptAt: now,
+      lastError,
+      nextAttemptAt: new Date(now.getTime() + RETRY_BASE_MINUTES * 2 ** (attempts - 1) * 60 * 1000)
+    };
+  }
+  return { status: "failed", attempts, lastAttemptAt: now, lastError };
+}
+
+/**
+ * Send pushes for new alerts and alerts due for a retry
+ * @param {Db} db - KrushiMitraDB handle
+ * @param {Object} pushClient - createExpoPushClient(...)
+ * @param {Date} now
+ */
+async function dispatchAlerts(db, pushClient, now) {
+  const alertsCollection = db.collection("alerts");
+  const alerts = await alertsCollection
+    .find({
+      createdAt: { $gte: new Date(now.getTime() - MAX_ALERT_AGE_HOURS * 60 * 60 * 1000) },
+      $or: [
+        { push: { $exists: false } },
+        { "push.status": "retry", "push.nextAttemptAt": { $lte: now } }
+      ]
+    })
+    .sort({ createdAt: 1 })
+    .limit(ALERT_BATCH_SIZE)
+    .toArray();
+
+  const messages = [];
+  const targets = [];
+  for (const alert of alerts) {
+    stats.alertsProcessed++;
+    // Seen in the app before we got to it: nothing to notify about
+    if (alert.readAt || alert.status === "dismissed") {
+      await alertsCollection.updateOne({ _id: alert._id }, { $set: { push: { status: "skipped", lastAttemptAt: now } } });
+      continue;
+    }
+
+    const userIds = await resolveAlertUserIds(db, alert);
+    const tokens = userIds.length === 0 ? [] : await db.collection("device_tokens")
+      .find({ userId: { $in: userIds }, disabledAt: { $exists: false } }, { projection: { token: 1, userId: 1 } })
+      .toArray();
+    const target = { alert, tokens, tickets: [] };
+    targets.push(target);
+    tokens.forEach(({ token }) => messages.push({ target, token, message: buildPushMessage(alert, token) }));
+  }
+
+  const tickets = messages.length > 0
+    ? await pushClient.sendPushMessages(messages.map(entry => entry.message))
+    : [];
+
+  const ticketDocs = [];
+  for (const [index, entry] of messages.entries()) {
+    const ticket = tickets[index] || { status: "error", message: "No ticket returned", details: { error: REQUEST_FAILED } };
+    entry.target.tickets.push(ticket);
+    if (ticket.status === "ok") {
+      stats.messagesSent++;
+      ticketDocs.push({
+        ticketId: ticket.id,
+        alertId: entry.target.alert._id,
+        token: entry.token,
+        createdAt: now,
+        receiptCheckedAt: null
+      });
+    } else if (isInvalidTokenResult(ticket)) {
+      await disableToken(db, entry.token, ticket.details.error);
+    }
+  }
+  if (ticketDocs.length > 0) {
+    await db.collection("push_tickets").insertMany(ticketDocs);
+  }
+
+  for (const { alert, tokens, tickets: alertTickets } of targets) {
+    const push = nextPushState(alertTickets, (alert.push?.attempts || 0) + 1, now);
+    if (tokens.length === 0) {
+      stats.alertsWithoutDevices++;
+    } else if (push.status === "retry") {
+      stats.alertsRetried++;
+    } else if (push.status === "failed") {
+      stats.alertsFailed++;
+      console.error(`Push for alert ${alert._id} failed:`, push.lastError);
+    }
+    await alertsCollection.updateOne({ _id: alert._id }, { $set: { push } });
+  }
+}
+
+/**
+ * Fetch receipts for tickets old enough to have one and disable tokens Expo rejected
+ * @param {Db} db - KrushiMitraDB handle
+ * @param {Object} pushClient - createExpoPushClient(...)
+ * @param {Date} now
+ */
+async function checkReceipts(db, pushClient, now) {
+  const ticketsCollection = db.collection("push_tickets");
+  const tickets = await ticketsCollection
+    .find({
+      receiptCheckedAt: null,
+      createdAt: { $lte: new Date(now.getTime() - RECEIPT_DELAY_MINUTES * 60 * 1000) }
+    })
+    .limit(RECEIPT_BATCH_SIZE)
+    .toArray();
+  if (tickets.length === 0) {
+    return;
+  }
+
+  const receipts = await pushClient.getPushReceipts(tickets.map(ticket => ticket.ticketId));
+  const expiredBefore = new Date(now.getTime() - RECEIPT_MAX_AGE_HOURS * 60 * 60 * 1000);
+
+  for (const ticket of tickets) {
+    const receipt = receipts[ticket.ticketId];
+    if (!receipt) {
+      // Not ready yet; Expo drops receipts after a day, so stop asking then
+      if (ticket.createdAt < expiredBefore) {
+        await ticketsCollection.updateOne(
+          { _id: ticket._id },
+          { $set: { receiptCheckedAt: now, receiptStatus: "unavailable" } }
+        );
+      }
+      continue;
+    }
+
+    stats.receiptsChecked++;
+    if (receipt.status === "error") {
+      stats.receiptErrors++;
+      console.error(`Push receipt ${ticket.ticketId} reported an error:`, receipt.message);
+    }
+    if (isInvalidTokenResult(receipt)) {
+      await disableToken(db, ticket.token, receipt.details.error);
+    }
+    await ticketsCollection.updateOne(
+      { _id: ticket._id },
+      {
+        $set: {
+          receiptCheckedAt: now,
+          receiptStatus: receipt.status,
+          receiptError: receipt.status === "error" ? receipt.details?.error || receipt.message : null
+        }
+      }
+    );
+  }
+}
+
+/**
+ * Main function to run the push dispatcher job
+ * @param {Object} pushClient - Expo push client, replaceable in tests
+ * @returns {Promise<Object>} Job execution report
+ */
+async function runPushDispatcher(pushClient = createExpoPushClient()) {
+  const startTime = new Date();
+  console.log("Starting Push Notification Dispatcher job...");
+
+  // Reset statistics
+  stats = {
+    alertsProcessed: 0,
+    messagesSent: 0,
+    alertsWithoutDevices: 0,
+    alertsRetried: 0,
+    alertsFailed: 0,
+    receiptsChecked: 0,
+    receiptErrors: 0,
+    tokensDisabled: 0
+  };
+
+  try {
+    // Connect to database
+    await client.connect();
+    console.log("Connected to database");
+
+    const db = client.db("KrushiMitraDB");
+    const now = new Date();
+    await ensurePushIndexes(db);
+
+    await dispatchAlerts(db, pushClient, now);
+
+    let receiptError = null;
+    try {
+      await checkReceipts(db, pushClient, now);
+    } catch (error) {
+      // Receipts are checked again next run
+      receiptError = error;
+      console.error("Error checking push receipts:", error);
+    }
+
+    const endTime = new Date();
+    const durationSeconds = (endTime - startTime) / 1000;
+
+    // Create report
+    const report = {
+      jobName: "Push Notification Dispatcher",
+      status: receiptError || stats.alertsFailed > 0 ? "PARTIAL_SUCCESS" : "SUCCESS",
+      startedAt: startTime,
+      completedAt: endTime,
+      durationSeconds: durationSeconds,
+      statistics: stats
+    };
+    if (receiptError) {
+      report.details = { receiptError: receiptError.message };
+    }
+
+    console.log("Push Notification Dispatcher job completed");
+    return report;
+  } catch (error) {
+    const endTime = new Date();
+    const durationSeconds = (endTime - startTime) / 1000;
+
+    // Create failure report
+    const report = {
+      jobName: "Push Notification Dispatcher",
+      status: "FAILURE",
+      startedAt: startTime,
+      completedAt: endTime,
+      durationSeconds: durationSeconds,
+      error: {
+        code: "JOB_EXECUTION_ERROR",
+        message: error.message,
+        details: error.stack
+      },
+      statistics: stats
+    };
+
+    console.error("Push Notification Dispatcher job failed:", error);
+    return report;
+  } finally {
+    // Close database connection
+    await client.close();
+    console.log("Database connection closed");
+  }
+}
+
+// Export the job function
+module.exports = { runPushDispatcher, buildPushMessage, nextPushState, resolveAlertUserIds };
+
+// Run the job if this file is executed directly
+if (require.main === module) {
+  runPushDispatcher()
+    .then(report => {
+      console.log("Job Report:", JSON.stringify(report, null, 2));
+      process.exit(0);
+    })
+    .catch(error => {
+      console.error("Job failed with unhandled error:", error);
+      process.exit(1);
+    });
+}
@@ -8,6 +8,11 @@
 const cron = require('node-cron');
 const { runMandiPriceFetcher } = require('./mandi-price-fetcher');
 const { runSchemeWatcher } = require('./scheme-watcher');
+const { runAccountPurge } = require('./account-purge');
+const { runPriceAlertEvaluator } = require('./price-alert-evaluator');
+const { runPushDispatcher } = require('./push-dispatcher');
+const { runVoiceCallRetry } = require('./voice-call-retry');
+const { runSchemeApplicationReminders } = require('./scheme-application-reminders');
 
 // Job execution history
 const jobHistory = [];
@@ -95,6 +100,136 @@ function scheduleSchemeWatcher() {
   });
 }
 
+/**
+ * Schedule the Account Purge job
+ * Runs daily at 3:00 AM
+ */
+function scheduleAccountPurge() {
+  console.log("Scheduling Account Purge job (runs daily at 3:00 AM)");
+  
+  cron.schedule('0 3 * * *', async () => {
+    try {
+      console.log("Starting scheduled Account Purge job");
+      const report = await runAccountPurge();
+      logJobResult(report);
+    } catch (error) {
+      console.error("Scheduled Account Purge job failed:", error);
+      logJobResult({
+        jobName: "Account Purge",
+        status: "FAILURE",
+        durationSeconds: 0,
+        error: {
+          message: error.message
+        }
+      });
+    }
+  });
+}
+
+/**
+ * Schedule the Price Alert Evaluator job
+ * Runs every 15 minutes, so deliveries held for quiet hours go out soon after they end
+ */
+function schedulePriceAlertEvaluator() {
+  console.log("Scheduling Price Alert Evaluator job (runs every 15 minutes)");
+  
+  cron.schedule('*/15 * * * *', async () => {
+    try {
+      console.log("Starting scheduled Price Alert Evaluator job");
+      const report = await runPriceAlertEvaluator();
+      logJobResult(report);
+    } catch (error) {
+      console.error("Scheduled Price Alert Evaluator job failed:", error);
+      logJobResult({
+        jobName: "Price Alert Evaluator",
+        status: "FAILURE",
+        durationSeconds: 0,
+        error: {
+          message: error.message
+        }
+      });
+    }
+  });
+}
+
+/**
+ * Schedule the Push Notification Dispatcher job
+ * Runs every 5 minutes, so new alerts reach devices shortly after they are created
+ */
+function schedulePushDispatcher() {
+  console.log("Scheduling Push Notification Dispatcher job (runs every 5 minutes)");
+  
+  cron.schedule('*/5 * * * *', async () => {
+    try {
+      console.log("Starting scheduled Push Notification Dispatcher job");
+      const report = await runPushDispatcher();
+      logJobResult(report);
+    } catch (error) {
+      console.error("Scheduled Push Notification Dispatcher job failed:", error);
+      logJobResult({
+        jobName: "Push Notification Dispatcher",
+        status: "FAILURE",
+        durationSeconds: 0,
+        error: {
+          message: error.message
+        }
+      });
+    }
+  });
+}
+
+/**
+ * Schedule the Voice Call Retry job
+ * Runs every 5 minutes, placing unanswered voice alert calls again once their retry is due
+ */
+function scheduleVoiceCallRetry() {
+  console.log("Scheduling Voice Call Retry job (runs every 5 minutes)");
+  
+  cron.schedule('*/5 * * * *', async () => {
+    try {
+      console.log("Starting scheduled Voice Call Retry job");
+      const report = await runVoiceCallRetry();
+      logJobResult(report);
+    } catch (error) {
+      console.error("Scheduled Voice Call Retry job failed:", error);
+      logJobResult({
+        jobName: "Voice Call Retry",
+        status: "FAILURE",
+        durationSeconds: 0,
+        error: {
+          message: error.message
+        }
+      });
+    }
+  });
+}
+
+/**
+ * Schedule the Scheme Application Reminders job
+ * Runs daily at 8:00 AM, after the Scheme Watcher, reminding farmers of unsubmitted applications
+ */
+function scheduleSchemeApplicationReminders() {
+  console.log("Scheduling Scheme Application Reminders job (runs daily at 8:00 AM)");
+  
+  cron.schedule('0 8 * * *', async () => {
+    try {
+      console.log("Starting scheduled Scheme Application Reminders job");
+      const report = await runSchemeApplicationReminders();
+      logJobResult(report);
+    } catch (error) {
+      console.error("Scheduled Scheme Application Reminders job failed:", error);
+      logJobResult({
+        jobName: "Scheme Application Reminders",
+        status: "FAILURE",
+        durationSeconds: 0,
+        error: {
+          message: error.message
+        }
+      });
+    }
+  });
+}
+
 /**
  * Start all scheduled jobs
  */
@@ -104,6 +239,11 @@ function startAllJobs() {
   // Schedule all jobs
   scheduleMandiPriceFetcher();
   scheduleSchemeWatcher();
+  scheduleAccountPurge();
+  schedulePriceAlertEvaluator();
+  schedulePushDispatcher();
+  scheduleVoiceCallRetry();
+  scheduleSchemeApplicationReminders();
   
   console.log("All background jobs scheduled");
 }
@@ -127,10 +267,30 @@ async function runAllJobsOnce() {
     const mandiReport = await runMandiPriceFetcher();
     logJobResult(mandiReport);
     
+    console.log("Running Price Alert Evaluator job");
+    const priceAlertReport = await runPriceAlertEvaluator();
+    logJobResult(priceAlertReport);
+    
     console.log("Running Scheme Watcher job");
     const schemeReport = await runSchemeWatcher();
     logJobResult(schemeReport);
     
+    console.log("Running Scheme Application Reminders job");
+    const schemeReminderReport = await runSchemeApplicationReminders();
+    logJobResult(schemeReminderReport);
+    
+    console.log("Running Push Notification Dispatcher job");
+    const pushReport = await runPushDispatcher();
+    logJobResult(pushReport);
+    
+    console.log("Running Voice Call Retry job");
+    const voiceRetryReport = await runVoiceCallRetry();
+    logJobResult(voiceRetryReport);
+    
+    console.log("Running Account Purge job");
+    const purgeReport = await runAccountPurge();
+    logJobResult(purgeReport);
+    
     console.log("All jobs completed");
   } catch (error) {
     console.error("Error running jobs:", error);
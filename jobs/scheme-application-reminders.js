@@ -0,0 +1,193 @@
+/**
+ * Scheme Application Reminders Job
+ *
+ * This background job runs daily. It reminds farmers of scheme applications they
+ * started but have not submitted (see scheme-applications.js) as the scheme's deadline
+ * approaches: one in-app alert at each of SCHEME_REMINDER_DAYS days before it.
+ */
+
+const { MongoClient } = require('mongodb');
+const { COLLECTION_NAME, pendingRequiredDocuments } = require('../scheme-applications');
+const { alertExpiry } = require('../alerts');
+require('dotenv').config();
+
+// MongoDB connection
+const uri = `mongodb+srv://${process.env.DB_USER}:${process.env.DB_PASS}@${process.env.CLUSTER_HOST}/KrushiMitraDB?retryWrites=true&w=majority`;
+const client = new MongoClient(uri);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const REMINDER_DAYS = (process.env.SCHEME_REMINDER_DAYS || "7,3,1")
+  .split(",")
+  .map(Number)
+  .filter((days) => Number.isInteger(days) && days > 0)
+  .sort((a, b) => a - b);
+
+// Job execution statistics
+let stats = {
+  applicationsChecked: 0,
+  remindersSent: 0,
+  remindersFailed: 0
+};
+
+/**
+ * The reminder an application is due for: the closest threshold at or above the days
+ * left, unless it (or a closer one) was already sent
+ * @param {Object} application - scheme_applications document
+ * @param {Date} now
+ * @param {Array<number>} thresholds - Days before the deadline, ascending
+ * @returns {{days: number, daysLeft: number}|null}
+ */
+function dueReminder(application, now = new Date(), thresholds = REMINDER_DAYS) {
+  if (!application.deadline || application.status !== "draft") {
+    return null;
+  }
+  const daysLeft = Math.ceil((new Date(application.deadline).getTime() - now.getTime()) / DAY_MS);
+  if (daysLeft <= 0) {
+    return null;
+  }
+  const days = thresholds.find((threshold) => daysLeft <= threshold);
+  if (days === undefined) {
+    return null;
+  }
+  const sent = application.remindersSent || [];
+  if (sent.some((sentDays) => sentDays <= days)) {
+    return null;
+  }
+  return { days, daysLeft };
+}
+
+function buildReminderMessage(application, daysLeft) {
+  const dayText = daysLeft === 1 ? "1 day" : `${daysLeft} days`;
+  const pending = pendingRequiredDocuments(application).length;
+  const documentsText = pending > 0
+    ? ` ${pending} required ${pending === 1 ? "document is" : "documents are"} still pending.`
+    : "";
+  return `Only ${dayText} left to apply for ${application.schemeTitle}.${documentsText}`;
+}
+
+/**
+ * Main function to run the scheme application reminders job
+ * @returns {Promise<Object>} Job execution report
+ */
+async function runSchemeApplicationReminders() {
+  const startTime = new Date();
+  console.log("Starting Scheme Application Reminders job...");
+
+  // Reset statistics
+  stats = {
+    applicationsChecked: 0,
+    remindersSent: 0,
+    remindersFailed: 0
+  };
+
+  try {
+    // Connect to database
+    await client.connect();
+    console.log("Connected to database");
+
+    const db = client.db("KrushiMitraDB");
+    const applications = db.collection(COLLECTION_NAME);
+    const alerts = db.collection("alerts");
+    const now = new Date();
+    const horizon = new Date(now.getTime() + Math.max(...REMINDER_DAYS, 0) * DAY_MS);
+
+    const cursor = applications.find({ status: "draft", deadline: { $gt: now, $lte: horizon } });
+    for await (const application of cursor) {
+      stats.applicationsChecked++;
+      const reminder = dueReminder(application, now);
+      if (!reminder) {
+        continue;
+      }
+
+      try {
+        // Claim the reminder first so a re-run never sends it twice
+        const claimed = await applications.updateOne(
+          { _id: application._id, remindersSent: { $ne: reminder.days } },
+          { $addToSet: { remindersSent: reminder.days } }
+        );
+        if (claimed.modifiedCount === 0) {
+          continue;
+        }
+
+        await alerts.insertOne({
+          farmerId: application.userId.toString(),
+          userId: application.userId,
+          type: "scheme_deadline",
+          message: buildReminderMessage(application, reminder.daysLeft),
+          status: "active",
+          createdAt: new Date(),
+          expiresAt: alertExpiry("scheme_deadline"),
+          metadata: {
+            applicationId: application._id,
+            schemeId: application.schemeId,
+            title: application.schemeTitle,
+            deadline: application.deadline,
+            daysLeft: reminder.daysLeft,
+            pendingDocuments: pendingRequiredDocuments(application).map((document) => document.name)
+          }
+        });
+        stats.remindersSent++;
+      } catch (error) {
+        stats.remindersFailed++;
+        console.error(`Error reminding about application ${application._id}:`, error.message);
+      }
+    }
+
+    const endTime = new Date();
+    const durationSeconds = (endTime - startTime) / 1000;
+
+    // Create report
+    const report = {
+      jobName: "Scheme Application Reminders",
+      status: stats.remindersFailed > 0 ? "PARTIAL_SUCCESS" : "SUCCESS",
+      startedAt: startTime,
+      completedAt: endTime,
+      durationSeconds: durationSeconds,
+      statistics: stats
+    };
+
+    console.log("Scheme Application Reminders job completed");
+    return report;
+  } catch (error) {
+    const endTime = new Date();
+    const durationSeconds = (endTime - startTime) / 1000;
+
+    // Create failure report
+    const report = {
+      jobName: "Scheme Application Reminders",
+      status: "FAILURE",
+      startedAt: startTime,
+      completedAt: endTime,
+      durationSeconds: durationSeconds,
+      error: {
+        code: "JOB_EXECUTION_ERROR",
+        message: error.message,
+        details: error.stack
+      },
+      statistics: stats
+    };
+
+    console.error("Scheme Application Reminders job failed:", error);
+    return report;
+  } finally {
+    // Close database connection
+    await client.close();
+    console.log("Database connection closed");
+  }
+}
+
+// Export the job function
+module.exports = { runSchemeApplicationReminders, dueReminder, buildReminderMessage };
+
+// Run the job if this file is executed directly
+if (require.main === module) {
+  runSchemeApplicationReminders()
+    .then(report => {
+      console.log("Job Report:", JSON.stringify(report, null, 2));
+      process.exit(0);
+    })
+    .catch(error => {
+      console.error("Job failed with unhandled error:", error);
+      process.exit(1);
+    });
+}
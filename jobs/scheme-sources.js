@@ -0,0 +1,397 @@
+/**
+ * Scheme Sources
+ *
+ * Adapters that feed the Scheme Watcher job. Every adapter returns schemes in the same
+ * normalized shape (see normalizeSchemeRecord), whatever the upstream format:
+ *   - json: an array of schemes, or { schemes: [...] } / { records: [...] }
+ *   - rss: RSS 2.0 items (scheme announcements)
+ *   - csv: one scheme per row
+ *   - html: the first table with a header row, e.g. a saved copy of a portal's scheme list
+ *
+ * SCHEME_SOURCES lists the feeds, comma-separated. Each entry is a URL or a local path,
+ * optionally prefixed with its type ("rss:https://example.gov.in/feed"); without a
+ * prefix the type comes from the file extension. A directory stands for every feed
+ * file in it. The default is the saved feeds in data/scheme-feeds.
+ *
+ * hashSchemeContent fingerprints the fields farmers see, so the job can tell a changed
+ * scheme (new deadline, new benefits) from one it has already stored.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { normalizeHeader, parseArrivalDate, parseCsv } = require('./mandi-price-sources');
+const { validateEligibilityRules } = require('../scheme-eligibility');
+
+const REQUEST_TIMEOUT_MS = 30000;
+const DEFAULT_FEED_DIR = path.join(__dirname, '..', 'data', 'scheme-feeds');
+const MAX_TEXT_LENGTH = 5000;
+
+const EXTENSION_TYPES = {
+  '.json': 'json',
+  '.rss': 'rss',
+  '.xml': 'rss',
+  '.csv': 'csv',
+  '.html': 'html',
+  '.htm': 'html'
+};
+
+// Upstream field names (after normalizeHeader) for each normalized field
+const FIELD_ALIASES = {
+  externalId: ['id', 'scheme_id', 'scheme_code', 'code', 'guid'],
+  title: ['title', 'scheme_name', 'name', 'scheme'],
+  description: ['description', 'details', 'summary', 'objective'],
+  eligibility: ['eligibility', 'eligibility_criteria', 'who_can_apply'],
+  benefits: ['benefits', 'benefit', 'assistance'],
+  benefitAmount: ['benefit_amount', 'amount'],
+  startDate: ['start_date', 'launch_date', 'opening_date', 'pubdate', 'published'],
+  endDate: ['end_date', 'last_date', 'last_date_to_apply', 'closing_date', 'deadline'],
+  location: ['location', 'state', 'applicable_in', 'region'],
+  applicationProcess: ['application_process', 'how_to_apply'],
+  requiredDocuments: ['required_documents', 'documents'],
+  url: ['url', 'link'],
+  eligibilityRules: ['eligibility_rules']
+};
+
+// The fields farmers see; a change to any of them is a new version of the scheme
+const CONTENT_FIELDS = [
+  'title', 'description', 'eligibility', 'eligibilityRules', 'benefits', 'benefitAmount',
+  'startDate', 'endDate', 'location', 'applicationProcess', 'requiredDocuments', 'url'
+];
+
+const NATIONWIDE = ['all', 'all india', 'india', 'national', 'pan india'];
+
+const HTML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return Number.isFinite(code) ? String.fromCodePoint(code) : match;
+    }
+    return HTML_ENTITIES[entity.toLowerCase()] ?? match;
+  });
+}
+
+/**
+ * Plain text from an HTML/XML fragment: CDATA unwrapped, tags dropped, entities decoded
+ */
+function htmlToText(fragment) {
+  const withoutCdata = String(fragment ?? '').replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1');
+  const text = decodeEntities(withoutCdata.replace(/<br\s*\/?>/gi, ' ').replace(/<[^>]*>/g, ' '));
+  return text.replace(/\s+/g, ' ').trim();
+}
+
+function pickField(record, field) {
+  for (const alias of FIELD_ALIASES[field]) {
+    const value = record[alias];
+    if (value !== undefined && value !== null && !(typeof value === 'string' && value.trim() === '')) {
+      return value;
+    }
+  }
+  return null;
+}
+
+function cleanText(value) {
+  return value === null || value === undefined ? '' : htmlToText(String(value)).slice(0, MAX_TEXT_LENGTH);
+}
+
+function parseSchemeDate(value) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+  const date = parseArrivalDate(value);
+  if (date) {
+    return date;
+  }
+  // RSS dates ("Mon, 19 Oct 2026 10:00:00 +0530")
+  const parsed = new Date(String(value));
+  return Number.isNaN(parsed.getTime()) ? null : parsed;
+}
+
+function parseAmount(value) {
+  if (typeof value === 'number') {
+    return Number.isFinite(value) && value >= 0 ? value : null;
+  }
+  const amount = Number(String(value ?? '').replace(/[₹,\s]|rs\.?/gi, ''));
+  return value !== null && value !== undefined && String(value).trim() && Number.isFinite(amount) && amount >= 0 ? amount : null;
+}
+
+function slugify(text) {
+  return text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 80);
+}
+
+/**
+ * Map an upstream record onto the normalized scheme shape
+ * @param {Object} raw - Upstream record (keys in any supported header style)
+ * @param {string} sourceName - Name of the adapter that produced it
+ * @returns {Object|null} Normalized scheme, or null without a title
+ */
+function normalizeSchemeRecord(raw, sourceName) {
+  const record = {};
+  Object.entries(raw || {}).forEach(([key, value]) => {
+    record[normalizeHeader(key)] = value;
+  });
+
+  const title = cleanText(pickField(record, 'title'));
+  if (!title) {
+    return null;
+  }
+
+  const location = cleanText(pickField(record, 'location'));
+  const documents = pickField(record, 'requiredDocuments');
+  const documentList = Array.isArray(documents) ? documents : String(documents ?? '').split(/[;|]/);
+  const requiredDocuments = documentList.map(cleanText).filter(Boolean);
+
+  let eligibilityRules = null;
+  const rawRules = pickField(record, 'eligibilityRules');
+  if (rawRules) {
+    const { value, error } = validateEligibilityRules(typeof rawRules === 'string' ? safeJson(rawRules) : rawRules);
+    if (error) {
+      console.warn(`Eligibility rules of "${title}" from ${sourceName} ignored: ${error}`);
+    } else {
+      eligibilityRules = value;
+    }
+  }
+
+  const externalId = cleanText(pickField(record, 'externalId')) || cleanText(pickField(record, 'url')) || slugify(title);
+
+  return {
+    externalId,
+    title,
+    description: cleanText(pickField(record, 'description')),
+    eligibility: cleanText(pickField(record, 'eligibility')),
+    eligibilityRules,
+    benefits: cleanText(pickField(record, 'benefits')),
+    benefitAmount: parseAmount(pickField(record, 'benefitAmount')),
+    startDate: parseSchemeDate(pickField(record, 'startDate')),
+    endDate: parseSchemeDate(pickField(record, 'endDate')),
+    location: !location || NATIONWIDE.includes(location.toLowerCase()) ? 'all' : location,
+    applicationProcess: cleanText(pickField(record, 'applicationProcess')),
+    requiredDocuments,
+    url: cleanText(pickField(record, 'url')) || null,
+    source: sourceName
+  };
+}
+
+function safeJson(text) {
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    return text;
+  }
+}
+
+function canonicalValue(value) {
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (Array.isArray(value)) {
+    return value.map(canonicalValue);
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.keys(value).sort().map((key) => [key, canonicalValue(value[key])]));
+  }
+  return value ?? null;
+}
+
+/**
+ * The content farmers see, with stable key order and ISO dates
+ * @param {Object} scheme - Normalized scheme or schemes document
+ * @returns {Object}
+ */
+function schemeContent(scheme) {
+  return Object.fromEntries(CONTENT_FIELDS.map((field) => [field, canonicalValue(scheme[field])]));
+}
+
+/**
+ * SHA-256 of the scheme's content
+ * @param {Object} scheme - Normalized scheme or schemes document
+ * @returns {string} Hex digest
+ */
+function hashSchemeContent(scheme) {
+  return crypto.createHash('sha256').update(JSON.stringify(schemeContent(scheme))).digest('hex');
+}
+
+/**
+ * Content fields that differ between two versions of a scheme
+ * @returns {Array<string>}
+ */
+function diffSchemeContent(before, after) {
+  const a = schemeContent(before);
+  const b = schemeContent(after);
+  return CONTENT_FIELDS.filter((field) => JSON.stringify(a[field]) !== JSON.stringify(b[field]));
+}
+
+function parseRss(text) {
+  const items = String(text).match(/<item[\s>][\s\S]*?<\/item>/gi) || [];
+  return items.map((item) => {
+    const tag = (name) => {
+      const match = item.match(new RegExp(`<${name}(?:\\s[^>]*)?>([\\s\\S]*?)</${name}>`, 'i'));
+      return match ? htmlToText(match[1]) : '';
+    };
+    return {
+      guid: tag('guid'),
+      title: tag('title'),
+      link: tag('link'),
+      description: tag('description'),
+      pubDate: tag('pubDate'),
+      category: tag('category')
+    };
+  });
+}
+
+/**
+ * Rows of the first HTML table that has a header row, keyed by header text
+ * @param {string} html
+ * @returns {Array<Object>}
+ */
+function parseHtmlTable(html) {
+  const tables = String(html).match(/<table[\s>][\s\S]*?<\/table>/gi) || [];
+  for (const table of tables) {
+    const rows = (table.match(/<tr[\s>][\s\S]*?<\/tr>/gi) || []).map((row) => ({
+      header: /<th[\s>]/i.test(row),
+      cells: (row.match(/<t[hd][\s>][\s\S]*?<\/t[hd]>/gi) || []).map((cell) => {
+        // Keep links: a cell holding only a link contributes its URL as well
+        const href = cell.match(/<a\s[^>]*href="([^"]+)"/i);
+        return { text: htmlToText(cell), href: href ? decodeEntities(href[1]) : null };
+      })
+    }));
+    const headerIndex = rows.findIndex((row) => row.header);
+    if (headerIndex === -1) {
+      continue;
+    }
+    const headers = rows[headerIndex].cells.map((cell) => cell.text);
+    return rows.slice(headerIndex + 1)
+      .filter((row) => row.cells.some((cell) => cell.text))
+      .map((row) => {
+        const record = Object.fromEntries(headers.map((header, index) => [header, row.cells[index]?.text ?? '']));
+        const link = row.cells.find((cell) => cell.href);
+        if (link && record.url === undefined && record.link === undefined) {
+          record.url = link.href;
+        }
+        return record;
+      });
+  }
+  return [];
+}
+
+const parsers = {
+  json(text) {
+    const body = JSON.parse(text);
+    if (Array.isArray(body)) return body;
+    return body.schemes || body.records || body.data || [];
+  },
+  rss: parseRss,
+  csv: parseCsv,
+  html: parseHtmlTable
+};
+
+function isUrl(location) {
+  return /^https?:\/\//i.test(location);
+}
+
+async function readFeed(location) {
+  if (!isUrl(location)) {
+    return fs.promises.readFile(location, 'utf-8');
+  }
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
+  try {
+    const response = await fetch(location, { signal: controller.signal });
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status} from ${location}`);
+    }
+    return await response.text();
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * One feed adapter
+ * @param {string} type - json, rss, csv or html
+ * @param {string} location - URL or file path
+ */
+function createSchemeSource(type, location) {
+  const name = `${type.toUpperCase()} ${isUrl(location) ? location : path.basename(location)}`;
+  return {
+    name,
+    type,
+    location,
+    enabled: isUrl(location) || fs.existsSync(location),
+    async fetchSchemes() {
+      const rows = parsers[type](await readFeed(location));
+      const records = [];
+      let skipped = 0;
+      rows.forEach((raw) => {
+        const normalized = normalizeSchemeRecord(raw, name);
+        if (normalized) {
+          records.push(normalized);
+        } else {
+          skipped++;
+        }
+      });
+      return { records, skipped };
+    }
+  };
+}
+
+function typeForLocation(location) {
+  const extension = path.extname(isUrl(location) ? new URL(location).pathname : location).toLowerCase();
+  return EXTENSION_TYPES[extension] || null;
+}
+
+/**
+ * Build the sources listed in SCHEME_SOURCES (default: data/scheme-feeds)
+ * @param {Object} env - Environment variables
+ * @returns {Array<Object>} Source adapters
+ */
+function createSchemeSources(env = process.env) {
+  const entries = String(env.SCHEME_SOURCES || DEFAULT_FEED_DIR)
+    .split(',')
+    .map((entry) => entry.trim())
+    .filter(Boolean);
+
+  const sources = [];
+  for (const entry of entries) {
+    const prefixed = entry.match(/^(json|rss|csv|html):(.+)$/i);
+    const location = prefixed ? prefixed[2].trim() : entry;
+
+    if (!prefixed && !isUrl(location) && fs.existsSync(location) && fs.statSync(location).isDirectory()) {
+      fs.readdirSync(location)
+        .filter((file) => EXTENSION_TYPES[path.extname(file).toLowerCase()])
+        .sort()
+        .forEach((file) => {
+          const filePath = path.join(location, file);
+          sources.push(createSchemeSource(EXTENSION_TYPES[path.extname(file).toLowerCase()], filePath));
+        });
+      continue;
+    }
+
+    let type;
+    try {
+      type = prefixed ? prefixed[1].toLowerCase() : typeForLocation(location);
+    } catch (error) {
+      // A malformed URL such as "http://" only drops its own entry
+      console.warn(`Scheme source "${entry}" ignored: ${error.message}`);
+      continue;
+    }
+    if (!type) {
+      console.warn(`Scheme source "${entry}" ignored: prefix it with json:, rss:, csv: or html:`);
+      continue;
+    }
+    sources.push(createSchemeSource(type, location));
+  }
+  return sources;
+}
+
+module.exports = {
+  CONTENT_FIELDS,
+  createSchemeSources,
+  normalizeSchemeRecord,
+  hashSchemeContent,
+  diffSchemeContent,
+  parseRss,
+  parseHtmlTable
+};
@@ -3,161 +3,177 @@
  * 
  * This background job runs daily to check official feeds for new agricultural schemes,
  * insert them into the database, and create alerts for eligible farmers.
+ *
+ * Feeds come from the adapters in scheme-sources.js. Each scheme is identified by its
+ * source and upstream id and fingerprinted with a content hash: an unchanged hash is
+ * skipped, a changed one stores the previous content in `scheme_versions`, bumps the
+ * scheme's `version` and re-alerts farmers when the deadline, benefits or eligibility moved.
  */
 
 const { MongoClient } = require('mongodb');
 require('dotenv').config();
+const { alertExpiry } = require('../alerts');
+const {
+  ELIGIBILITY_STATUS,
+  FARMER_FACT_FIELDS,
+  buildEligibleFarmersQuery,
+  evaluateEligibility
+} = require('../scheme-eligibility');
+const { SCHEME_VERSIONS_COLLECTION, initSchemesCollection } = require('../schemes');
+const { OPEN_STATUSES } = require('../scheme-applications');
+const { createSchemeSources, hashSchemeContent, diffSchemeContent, CONTENT_FIELDS } = require('./scheme-sources');
 
 // MongoDB connection
 const uri = `mongodb+srv://${process.env.DB_USER}:${process.env.DB_PASS}@${process.env.CLUSTER_HOST}/KrushiMitraDB?retryWrites=true&w=majority`;
 const client = new MongoClient(uri);
 
+// Changes farmers are alerted about again; other edits (wording, links) only add a version
+const ALERT_FIELDS = ["startDate", "endDate", "benefits", "benefitAmount", "eligibility", "eligibilityRules"];
+
 // Job execution statistics
 let stats = {
   schemesFetched: 0,
   newSchemesDetected: 0,
   schemesInserted: 0,
+  schemesUpdated: 0,
+  schemesUnchanged: 0,
   alertsCreated: 0,
-  farmersNotified: 0
+  farmersNotified: 0,
+  farmersIneligible: 0,
+  applicationsUpdated: 0
 };
 
-// Sources for scheme data
-const sources = [
-  {
-    name: "Ministry of Agriculture",
-    url: "https://mog.gov.in/api/schemes",
-    enabled: true
-  },
-  {
-    name: "State Agricultural Department",
-    url: "https://agri.state.gov.in/api/schemes",
-    enabled: true
-  }
-];
+function formatDate(date) {
+  return new Date(date).toLocaleDateString("en-IN", { day: "numeric", month: "short", year: "numeric", timeZone: "Asia/Kolkata" });
+}
 
 /**
- * Fetch official scheme data from a source
- * @param {Object} source - The data source configuration
- * @returns {Promise<Array>} Array of scheme data
+ * What changed, in words, for the re-alert message
+ * @param {Object} scheme - Updated scheme
+ * @param {Array<string>} changes - Changed content fields
+ * @returns {string}
  */
-async function fetchOfficialSchemes(source) {
-  console.log(`Fetching schemes from ${source.name}...`);
-  
-  // In a real implementation, this would make HTTP requests to official APIs
-  // For demo purposes, we'll return mock data
-  
-  // Simulate network delay
-  await new Promise(resolve => setTimeout(resolve, 1500));
-  
-  // Mock data
-  const mockSchemes = [
-    {
-      title: "PM Kisan Samman Nidhi",
-      description: "Financial assistance to small and marginal farmer families",
-      eligibility: "Small and marginal farmer families with cultivable land up to 2 hectares",
-      startDate: new Date('2023-04-01'),
-      endDate: new Date('2024-03-31'),
-      location: "all",
-      benefits: "₹6000 per year transferred directly to farmer's bank account in 3 equal installments",
-      applicationProcess: "Register through Common Service Centers or online portal",
-      source: source.name
-    },
-    {
-      title: "Pradhan Mantri Fasal Bima Yojana",
-      description: "Crop insurance scheme to provide insurance coverage and financial support to farmers",
-      eligibility: "All farmers including sharecroppers and tenant farmers growing notified crops",
-      startDate: new Date('2023-01-01'),
-      endDate: new Date('2023-12-31'),
-      location: "Maharashtra",
-      benefits: "Low premium rates and comprehensive insurance coverage",
-      applicationProcess: "Contact local agriculture department or insurance provider",
-      source: source.name
-    }
-  ];
-  
-  stats.schemesFetched += mockSchemes.length;
-  console.log(`Fetched ${mockSchemes.length} schemes from ${source.name}`);
-  
-  return mockSchemes;
+function describeSchemeChanges(scheme, changes) {
+  const parts = [];
+  if (changes.includes("endDate")) {
+    parts.push(scheme.endDate ? `Last date is now ${formatDate(scheme.endDate)}` : "No last date any more");
+  }
+  if (changes.includes("startDate") && scheme.startDate) {
+    parts.push(`Opens ${formatDate(scheme.startDate)}`);
+  }
+  if (changes.includes("benefits") || changes.includes("benefitAmount")) {
+    parts.push(`Benefits: ${scheme.benefits}`);
+  }
+  if (changes.includes("eligibility") || changes.includes("eligibilityRules")) {
+    parts.push("Eligibility has changed");
+  }
+  return parts.join(". ");
 }
 
 /**
- * Check if a scheme already exists in the database
- * @param {Object} scheme - Scheme object to check
- * @returns {Promise<boolean>} True if scheme exists
+ * Store a fetched scheme: insert it, record a new version when its content changed, or
+ * just note that it was seen again
+ * @param {Db} db - KrushiMitraDB handle
+ * @param {Object} record - Normalized scheme from a source adapter
+ * @returns {Promise<{action: string, scheme: Object, changes?: Array<string>, previous?: Object}>}
  */
-async function schemeExists(scheme) {
-  try {
-    const db = client.db("KrushiMitraDB");
-    const collection = db.collection("schemes");
-    
-    const existing = await collection.findOne({
-      title: scheme.title,
-      startDate: scheme.startDate
-    });
-    
-    return !!existing;
-  } catch (error) {
-    console.error("Error checking if scheme exists:", error);
-    throw error;
+async function syncScheme(db, record) {
+  const collection = db.collection("schemes");
+  const now = new Date();
+  const externalKey = `${record.source}|${record.externalId}`;
+  const contentHash = hashSchemeContent(record);
+
+  // Schemes stored before content hashing are adopted by title
+  const existing = await collection.findOne({ externalKey })
+    || await collection.findOne({ externalKey: { $exists: false }, source: { $ne: "admin" }, title: record.title });
+
+  if (!existing) {
+    const scheme = { ...record, externalKey, contentHash, version: 1, createdAt: now, updatedAt: now, lastSeenAt: now };
+    const result = await collection.insertOne(scheme);
+    scheme._id = result.insertedId;
+    return { action: "inserted", scheme };
+  }
+
+  if (existing.contentHash === contentHash) {
+    await collection.updateOne({ _id: existing._id }, { $set: { lastSeenAt: now } });
+    return { action: "unchanged", scheme: existing };
   }
+
+  const changes = diffSchemeContent(existing, record);
+  const version = (existing.version || 1) + 1;
+  await db.collection(SCHEME_VERSIONS_COLLECTION).insertOne({
+    schemeId: existing._id,
+    version: existing.version || 1,
+    contentHash: existing.contentHash || hashSchemeContent(existing),
+    content: Object.fromEntries(CONTENT_FIELDS.map((field) => [field, existing[field] ?? null])),
+    supersededAt: now,
+    changedFields: changes
+  });
+
+  const scheme = await collection.findOneAndUpdate(
+    { _id: existing._id },
+    { $set: { ...record, externalKey, contentHash, version, changedFields: changes, updatedAt: now, lastSeenAt: now } },
+    { returnDocument: "after" }
+  );
+  // Adopting a pre-hashing scheme is not news to farmers
+  return { action: "updated", scheme, changes: existing.contentHash ? changes : [], previous: existing };
 }
 
 /**
- * Insert new schemes into the database
- * @param {Array} schemes - Array of scheme objects to insert
- * @returns {Promise<Array>} Array of inserted scheme objects
+ * What a sync result alerts farmers about. New schemes always alert; updates only when
+ * one of the ALERT_FIELDS changed.
+ * @param {string} action - syncScheme action
+ * @param {Array<string>} changes - Changed content fields of an update
+ * @returns {Array<string>|null} Changes to mention ([] for a new scheme), or null for no alert
  */
-async function insertNewSchemes(schemes) {
-  try {
-    const db = client.db("KrushiMitraDB");
-    const collection = db.collection("schemes");
-    
-    const newSchemes = [];
-    
-    for (const scheme of schemes) {
-      const exists = await schemeExists(scheme);
-      
-      if (!exists) {
-        scheme.createdAt = new Date();
-        const result = await collection.insertOne(scheme);
-        scheme._id = result.insertedId;
-        newSchemes.push(scheme);
-        stats.newSchemesDetected++;
-        stats.schemesInserted++;
-        console.log(`Inserted new scheme: ${scheme.title}`);
-      }
-    }
-    
-    return newSchemes;
-  } catch (error) {
-    console.error("Error inserting new schemes:", error);
-    throw error;
+function schemeAlertChanges(action, changes = []) {
+  if (action === "inserted") {
+    return [];
   }
+  const alertChanges = action === "updated" ? changes.filter((field) => ALERT_FIELDS.includes(field)) : [];
+  return alertChanges.length > 0 ? alertChanges : null;
 }
 
 /**
- * Find farmers eligible for a scheme based on location and eligibility criteria
+ * Keep open applications' deadlines in step with the scheme. A later deadline resets
+ * the reminders so the countdown starts again.
+ * @returns {Promise<number>} Applications updated
+ */
+async function syncApplicationDeadlines(db, scheme, previous) {
+  const applications = db.collection("scheme_applications");
+  const extended = scheme.endDate && (!previous.endDate || new Date(scheme.endDate) > new Date(previous.endDate));
+  const result = await applications.updateMany(
+    { schemeId: scheme._id, status: { $in: OPEN_STATUSES } },
+    { $set: { deadline: scheme.endDate || null, schemeTitle: scheme.title, updatedAt: new Date(), ...(extended ? { remindersSent: [] } : {}) } }
+  );
+  return result.modifiedCount;
+}
+
+/**
+ * Find farmers eligible for a scheme using its eligibility rules (see scheme-eligibility.js).
+ * Farmers whose profile lacks facts a rule needs are included too, so they can complete it.
+ * The query already leaves out farmers excluded by the state, district or crop rules.
  * @param {Object} scheme - Scheme object
- * @returns {Promise<Array>} Array of eligible farmer objects
+ * @returns {Promise<Array<{farmer: Object, eligibility: Object}>>} Farmers with their evaluation
  */
 async function findEligibleFarmers(scheme) {
   try {
     const db = client.db("KrushiMitraDB");
     const collection = db.collection("farmers");
     
-    let query = {};
-    
-    // Location-based filtering
-    if (scheme.location !== "all") {
-      query.location = { $regex: new RegExp(scheme.location, 'i') };
+    const matches = [];
+    const projection = Object.fromEntries(FARMER_FACT_FIELDS.map((field) => [field, 1]));
+    const cursor = collection.find(buildEligibleFarmersQuery(scheme), { projection });
+    for await (const farmer of cursor) {
+      const eligibility = evaluateEligibility(scheme, farmer);
+      if (eligibility.status === ELIGIBILITY_STATUS.INELIGIBLE) {
+        stats.farmersIneligible++;
+        continue;
+      }
+      matches.push({ farmer, eligibility });
     }
     
-    // Additional eligibility criteria could be implemented here
-    // For example, checking land size, crop types, etc.
-    
-    const farmers = await collection.find(query).toArray();
-    return farmers;
+    return matches;
   } catch (error) {
     console.error("Error finding eligible farmers:", error);
     throw error;
@@ -165,29 +181,39 @@ async function findEligibleFarmers(scheme) {
 }
 
 /**
- * Create scheme alerts for eligible farmers
- * @param {Array} farmers - Array of farmer objects
+ * Create scheme alerts for eligible farmers, for a new scheme or an updated one
+ * @param {Array} matches - Farmers with their eligibility, from findEligibleFarmers
  * @param {Object} scheme - Scheme object
+ * @param {Array<string>} changes - Changed fields of an updated scheme
  * @returns {Promise<void>}
  */
-async function createSchemeAlerts(farmers, scheme) {
+async function createSchemeAlerts(matches, scheme, changes = []) {
   try {
     const db = client.db("KrushiMitraDB");
     const collection = db.collection("alerts");
+    const headline = changes.length > 0
+      ? `Scheme updated: ${scheme.title} - ${describeSchemeChanges(scheme, changes)}`
+      : `New scheme available: ${scheme.title} - ${scheme.benefits}`;
     
     // Create alerts for each farmer
-    for (const farmer of farmers) {
+    for (const { farmer, eligibility } of matches) {
+      const needsProfile = eligibility.status === ELIGIBILITY_STATUS.INCOMPLETE;
       const alert = {
         farmerId: farmer._id,
         type: "scheme",
-        message: `New scheme available: ${scheme.title} - ${scheme.benefits}`,
+        message: headline + (needsProfile ? " Complete your profile to confirm you are eligible." : ""),
         status: "active",
         createdAt: new Date(),
+        expiresAt: alertExpiry("scheme"),
         metadata: {
           schemeId: scheme._id,
+          version: scheme.version,
+          changes,
           title: scheme.title,
           benefits: scheme.benefits,
           eligibility: scheme.eligibility,
+          eligibilityStatus: eligibility.status,
+          eligibilityChecks: eligibility.checks,
           applicationProcess: scheme.applicationProcess
         }
       };
@@ -196,8 +222,8 @@ async function createSchemeAlerts(farmers, scheme) {
       stats.alertsCreated++;
     }
     
-    stats.farmersNotified += farmers.length;
-    console.log(`Created ${farmers.length} scheme alerts for "${scheme.title}"`);
+    stats.farmersNotified += matches.length;
+    console.log(`Created ${matches.length} scheme alerts for "${scheme.title}"`);
   } catch (error) {
     console.error("Error creating scheme alerts:", error);
     throw error;
@@ -217,41 +243,67 @@ async function runSchemeWatcher() {
     schemesFetched: 0,
     newSchemesDetected: 0,
     schemesInserted: 0,
+    schemesUpdated: 0,
+    schemesUnchanged: 0,
     alertsCreated: 0,
-    farmersNotified: 0
+    farmersNotified: 0,
+    farmersIneligible: 0,
+    applicationsUpdated: 0
   };
+  const sourceResults = [];
   
   try {
+    const sources = createSchemeSources();
+    
     // Connect to database
     await client.connect();
     console.log("Connected to database");
+    const db = client.db("KrushiMitraDB");
+    await initSchemesCollection(db);
     
     // Process each data source
     for (const source of sources) {
       if (!source.enabled) {
         console.log(`Skipping disabled source: ${source.name}`);
+        sourceResults.push({ name: source.name, status: "SKIPPED" });
         continue;
       }
       
       try {
-        // Fetch schemes from official source
-        const schemes = await fetchOfficialSchemes(source);
-        
-        // Insert new schemes into database
-        const newSchemes = await insertNewSchemes(schemes);
+        const { records, skipped } = await source.fetchSchemes();
+        stats.schemesFetched += records.length;
+        console.log(`Fetched ${records.length} schemes from ${source.name}` + (skipped ? ` (${skipped} unusable rows skipped)` : ""));
         
-        // Create alerts for each new scheme
-        for (const scheme of newSchemes) {
-          // Find eligible farmers
-          const farmers = await findEligibleFarmers(scheme);
+        const counts = { inserted: 0, updated: 0, unchanged: 0 };
+        for (const record of records) {
+          const { action, scheme, changes, previous } = await syncScheme(db, record);
+          counts[action]++;
+          
+          if (action === "unchanged") {
+            stats.schemesUnchanged++;
+            continue;
+          }
+          if (action === "inserted") {
+            stats.newSchemesDetected++;
+            stats.schemesInserted++;
+          } else {
+            stats.schemesUpdated++;
+            stats.applicationsUpdated += await syncApplicationDeadlines(db, scheme, previous);
+          }
           
-          if (farmers.length > 0) {
-            // Create alerts for farmers
-            await createSchemeAlerts(farmers, scheme);
+          const alertChanges = schemeAlertChanges(action, changes);
+          if (!alertChanges) {
+            continue;
+          }
+          const matches = await findEligibleFarmers(scheme);
+          if (matches.length > 0) {
+            await createSchemeAlerts(matches, scheme, alertChanges);
           }
         }
+        sourceResults.push({ name: source.name, status: "SUCCESS", fetched: records.length, skipped, ...counts });
       } catch (sourceError) {
         console.error(`Error processing source ${source.name}:`, sourceError);
+        sourceResults.push({ name: source.name, status: "FAILURE", error: sourceError.message });
         // Continue with other sources even if one fails
       }
     }
@@ -262,16 +314,13 @@ async function runSchemeWatcher() {
     // Create success report
     const report = {
       jobName: "Scheme Watcher",
-      status: "SUCCESS",
+      status: sourceResults.some((result) => result.status === "FAILURE") ? "PARTIAL_SUCCESS" : "SUCCESS",
       startedAt: startTime,
       completedAt: endTime,
       durationSeconds: durationSeconds,
       statistics: { ...stats },
       details: {
-        sources: sources.map(source => ({
-          name: source.name,
-          status: "SUCCESS"
-        }))
+        sources: sourceResults
       }
     };
     
@@ -306,7 +355,7 @@ async function runSchemeWatcher() {
 }
 
 // Export the job function
-module.exports = { runSchemeWatcher };
+module.exports = { runSchemeWatcher, syncScheme, schemeAlertChanges };
 
 // Run the job if this file is executed directly
 if (require.main === module) {
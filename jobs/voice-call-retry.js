@@ -0,0 +1,184 @@
+/**
+ * Voice Call Retry Job
+ *
+ * This background job runs every 5 minutes. Voice alert calls that end unanswered
+ * (no-answer or busy) get a retry scheduled by the /voice/status callback; this job
+ * places those calls again with a freshly built message, up to VOICE_CALL_MAX_ATTEMPTS.
+ */
+
+const { MongoClient } = require('mongodb');
+const { initMarketsCollection } = require('../markets');
+const { initVoiceCallsCollection, createVoiceClient, placeVoiceAlertCall } = require('../voice-alerts');
+require('dotenv').config();
+
+// MongoDB connection
+const uri = `mongodb+srv://${process.env.DB_USER}:${process.env.DB_PASS}@${process.env.CLUSTER_HOST}/KrushiMitraDB?retryWrites=true&w=majority`;
+const client = new MongoClient(uri);
+
+const RETRY_BATCH_SIZE = 100;
+
+// Job execution statistics
+let stats = {
+  retriesDue: 0,
+  callsPlaced: 0,
+  callsFailed: 0,
+  retriesCancelled: 0
+};
+
+async function finishRetry(calls, callId, status, fields = {}) {
+  const update = { "retry.status": status, updatedAt: new Date() };
+  Object.entries(fields).forEach(([key, value]) => {
+    update[`retry.${key}`] = value;
+  });
+  await calls.updateOne({ _id: callId }, { $set: update });
+}
+
+/**
+ * Place every retry that is due
+ * @param {Db} db - KrushiMitraDB handle
+ * @param {Object} options - { baseUrl, voiceClient }
+ * @param {Date} now
+ */
+async function placeDueRetries(db, { baseUrl, voiceClient }, now) {
+  const calls = db.collection("voice_calls");
+  const due = await calls
+    .find({ "retry.status": "scheduled", "retry.at": { $lte: now } })
+    .sort({ "retry.at": 1 })
+    .limit(RETRY_BATCH_SIZE)
+    .toArray();
+  stats.retriesDue = due.length;
+
+  for (const call of due) {
+    // Claim the retry so an overlapping run cannot place it twice
+    const claimed = await calls.findOneAndUpdate(
+      { _id: call._id, "retry.status": "scheduled" },
+      { $set: { "retry.status": "placing", updatedAt: new Date() } }
+    );
+    if (!claimed) {
+      continue;
+    }
+
+    const user = await db.collection("users").findOne({
+      _id: call.userId,
+      mergedInto: { $exists: false },
+      deletionRequestedAt: { $exists: false }
+    });
+    if (!user || !user.phoneVerified) {
+      stats.retriesCancelled++;
+      await finishRetry(calls, call._id, "cancelled", { reason: user ? "Phone no longer verified" : "User not found" });
+      continue;
+    }
+
+    try {
+      const retryCall = await placeVoiceAlertCall(db, user, {
+        baseUrl,
+        voiceClient,
+        attempt: (call.attempt || 1) + 1,
+        retryOf: call._id
+      });
+      if (retryCall.status === "failed") {
+        stats.callsFailed++;
+      } else {
+        stats.callsPlaced++;
+      }
+      await finishRetry(calls, call._id, "placed", { callId: retryCall._id, placedAt: new Date() });
+    } catch (error) {
+      stats.callsFailed++;
+      console.error(`Error retrying voice call ${call._id}:`, error.message);
+      await finishRetry(calls, call._id, "failed", { reason: error.message });
+    }
+  }
+}
+
+/**
+ * Main function to run the voice call retry job
+ * @returns {Promise<Object>} Job execution report
+ */
+async function runVoiceCallRetry() {
+  const startTime = new Date();
+  console.log("Starting Voice Call Retry job...");
+
+  // Reset statistics
+  stats = {
+    retriesDue: 0,
+    callsPlaced: 0,
+    callsFailed: 0,
+    retriesCancelled: 0
+  };
+
+  try {
+    const voiceClient = createVoiceClient();
+    const baseUrl = process.env.VOICE_WEBHOOK_BASE_URL;
+    if (!voiceClient || !baseUrl) {
+      throw new Error("Twilio voice and VOICE_WEBHOOK_BASE_URL must be configured to retry calls");
+    }
+
+    // Connect to database
+    await client.connect();
+    console.log("Connected to database");
+
+    const db = client.db("KrushiMitraDB");
+    // Retried calls rebuild their message, which reads nearby markets
+    await initVoiceCallsCollection(db);
+    await initMarketsCollection(db);
+
+    await placeDueRetries(db, { baseUrl: baseUrl.replace(/\/$/, ""), voiceClient }, new Date());
+
+    const endTime = new Date();
+    const durationSeconds = (endTime - startTime) / 1000;
+
+    // Create report
+    const report = {
+      jobName: "Voice Call Retry",
+      status: stats.callsFailed > 0 ? "PARTIAL_SUCCESS" : "SUCCESS",
+      startedAt: startTime,
+      completedAt: endTime,
+      durationSeconds: durationSeconds,
+      statistics: stats
+    };
+
+    console.log("Voice Call Retry job completed");
+    return report;
+  } catch (error) {
+    const endTime = new Date();
+    const durationSeconds = (endTime - startTime) / 1000;
+
+    // Create failure report
+    const report = {
+      jobName: "Voice Call Retry",
+      status: "FAILURE",
+      startedAt: startTime,
+      completedAt: endTime,
+      durationSeconds: durationSeconds,
+      error: {
+        code: "JOB_EXECUTION_ERROR",
+        message: error.message,
+        details: error.stack
+      },
+      statistics: stats
+    };
+
+    console.error("Voice Call Retry job failed:", error);
+    return report;
+  } finally {
+    // Close database connection
+    await client.close();
+    console.log("Database connection closed");
+  }
+}
+
+// Export the job function
+module.exports = { runVoiceCallRetry, placeDueRetries };
+
+// Run the job if this file is executed directly
+if (require.main === module) {
+  runVoiceCallRetry()
+    .then(report => {
+      console.log("Job Report:", JSON.stringify(report, null, 2));
+      process.exit(0);
+    })
+    .catch(error => {
+      console.error("Job failed with unhandled error:", error);
+      process.exit(1);
+    });
+}
@@ -1842,41 +1842,33 @@ export default function HomeScreen() {
 
 
   /* ==========================================================================
-     JUDGE DEMO: TRIPLE TAP HANDLER
+     VOICE ALERT CALL: TRIPLE TAP HANDLER
      ========================================================================== */
 
-  const triggerJudgeDemo = async () => {
+  // Asks the backend to call the signed-in farmer's verified phone with their voice alert
+  const requestVoiceAlertCall = async () => {
+    if (!sessionToken) {
+      Alert.alert('Sign in required', 'Sign in to get a voice alert call.');
+      return;
+    }
     try {
-      console.log('🔮 JUDGE DEMO: Triggering Orb Call...');
-      Alert.alert('🔮 Demo Triggered', 'Calling your phone with Mandi prices...');
-
-      // Get current user info
-      const farmerId = userData?.phone || sessionUserId || 'demo-farmer';
-      const phoneNumber = userData?.phone || userData?.profile?.phone || '919876543210'; // Fallback if no phone
-
-      if (!phoneNumber) {
-        Alert.alert('Error', 'No phone number found in profile to call.');
-        return;
-      }
-
       await serverManager.initialize();
       const { backendUrl } = getServerConfig();
 
-      const response = await fetch(`${backendUrl}/demo/orb-trigger`, {
+      const response = await fetch(`${backendUrl}/voice/alerts/call`, {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          farmerId,
-          phoneNumber
-        })
+        headers: { Authorization: `Bearer ${sessionToken}` }
       });
-
       const result = await response.json();
-      console.log('🔮 Demo Result:', result);
 
+      if (!response.ok) {
+        Alert.alert('Voice alert', result?.error?.message || 'Could not place the call.');
+        return;
+      }
+      Alert.alert('Voice alert', 'Calling your phone with your crop update...');
     } catch (error) {
-      console.error('🔮 Demo Error:', error);
-      Alert.alert('Demo Error', 'Failed to trigger call.');
+      console.error('Voice alert call error:', error);
+      Alert.alert('Voice alert', 'Could not place the call.');
     }
   };
 
@@ -1889,9 +1881,8 @@ export default function HomeScreen() {
     console.log(`Tap detected. Count: ${tapTimestamps.current.length}`);
 
     if (tapTimestamps.current.length >= 3) {
-      console.log("🔮 TRIPLE TAP! Resetting and Triggering Demo.");
       tapTimestamps.current = []; // Reset
-      triggerJudgeDemo();
+      requestVoiceAlertCall();
     }
 
     // Always toggle standard assistant behavior (or you could condition it)
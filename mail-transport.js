@@ -0,0 +1,194 @@
+const fs = require('fs');
+const path = require('path');
+const sgMail = require('@sendgrid/mail');
+const { logger } = require('./logger');
+
+/**
+ * Mail transports share one shape:
+ *   { name, configured, from, send({ to, subject, text, html }) => Promise<{ id }> }
+ * MAIL_PROVIDER selects one; see createMailTransport for the defaults.
+ */
+
+function resolveFrom(env) {
+  return env.MAIL_FROM || env.SENDGRID_FROM || env.SENDGRID_FROM_EMAIL || null;
+}
+
+function createSendGridTransport(env) {
+  const apiKey = env.SENDGRID_API_KEY;
+  const from = resolveFrom(env);
+  const configured = Boolean(apiKey && from);
+  if (apiKey) {
+    sgMail.setApiKey(apiKey);
+  }
+
+  return {
+    name: 'sendgrid',
+    configured,
+    from,
+    async send({ to, subject, text, html }) {
+      if (!configured) {
+        const reason = !apiKey ? 'SENDGRID_API_KEY missing' : 'MAIL_FROM missing';
+        throw new Error(`Email not configured: ${reason}`);
+      }
+      try {
+        const [response] = await sgMail.send({ to, from, subject, text, html });
+        return { id: response?.headers?.['x-message-id'] || null };
+      } catch (err) {
+        logger.error('SendGrid send failed', {
+          message: err?.message || String(err),
+          code: err?.code,
+          responseStatus: err?.response?.statusCode,
+          responseBody: err?.response?.body
+        });
+        throw new Error(err?.message || 'Failed to send email via SendGrid');
+      }
+    }
+  };
+}
+
+function createResendTransport(env) {
+  const apiKey = env.RESEND_API_KEY;
+  const from = resolveFrom(env);
+  const configured = Boolean(apiKey && from);
+  let client = null;
+
+  return {
+    name: 'resend',
+    configured,
+    from,
+    async send({ to, subject, text, html }) {
+      if (!configured) {
+        const reason = !apiKey ? 'RESEND_API_KEY missing' : 'MAIL_FROM missing';
+        throw new Error(`Email not configured: ${reason}`);
+      }
+      if (!client) {
+        const { Resend } = require('resend');
+        client = new Resend(apiKey);
+      }
+      const { data, error } = await client.emails.send({ from, to, subject, text, html });
+      if (error) {
+        logger.error('Resend send failed', { message: error.message, name: error.name });
+        throw new Error(error.message || 'Failed to send email via Resend');
+      }
+      return { id: data?.id || null };
+    }
+  };
+}
+
+function createSmtpTransport(env) {
+  const host = env.SMTP_HOST;
+  const from = resolveFrom(env);
+  const configured = Boolean(host && from);
+  let transporter = null;
+
+  return {
+    name: 'smtp',
+    configured,
+    from,
+    async send({ to, subject, text, html }) {
+      if (!configured) {
+        const reason = !host ? 'SMTP_HOST missing' : 'MAIL_FROM missing';
+        throw new Error(`Email not configured: ${reason}`);
+      }
+      if (!transporter) {
+        const nodemailer = require('nodemailer');
+        const port = Number(env.SMTP_PORT || 587);
+        transporter = nodemailer.createTransport({
+          host,
+          port,
+          secure: env.SMTP_SECURE ? env.SMTP_SECURE === 'true' : port === 465,
+          auth: env.SMTP_USER ? { user: env.SMTP_USER, pass: env.SMTP_PASS } : undefined
+        });
+      }
+      const info = await transporter.sendMail({ from, to, subject, text, html });
+      return { id: info.messageId || null };
+    }
+  };
+}
+
+// Offline transport: writes each message as JSON into an outbox folder instead of sending it
+function createFileTransport(env) {
+  const outboxDir = path.resolve(env.MAIL_OUTBOX_DIR || path.join(__dirname, 'outbox'));
+  const from = resolveFrom(env) || 'KrushiMitra <noreply@krushimitra.local>';
+
+  return {
+    name: 'file',
+    configured: true,
+    from,
+    outboxDir,
+    async send({ to, subject, text, html }) {
+      await fs.promises.mkdir(outboxDir, { recursive: true });
+      const safeRecipient = String(to).replace(/[^a-zA-Z0-9@._-]/g, '_');
+      const id = `${Date.now()}-${safeRecipient}`;
+      const filePath = path.join(outboxDir, `${id}.json`);
+      await fs.promises.writeFile(
+        filePath,
+        JSON.stringify({ id, from, to, subject, text, html, createdAt: new Date().toISOString() }, null, 2)
+      );
+      logger.info('Email written to outbox (file transport)', { to, filePath });
+      return { id };
+    }
+  };
+}
+
+const transportFactories = {
+  sendgrid: createSendGridTransport,
+  resend: createResendTransport,
+  smtp: createSmtpTransport,
+  file: createFileTransport
+};
+
+/**
+ * Register an additional mail transport
+ * @param {string} name - Value of MAIL_PROVIDER that selects it
+ * @param {Function} factory - (env) => transport
+ */
+function registerMailTransport(name, factory) {
+  transportFactories[name.toLowerCase()] = factory;
+}
+
+function defaultProviderName(env) {
+  if (env.SENDGRID_API_KEY) return 'sendgrid';
+  if (env.RESEND_API_KEY) return 'resend';
+  if (env.SMTP_HOST) return 'smtp';
+  return env.NODE_ENV === 'production' ? 'sendgrid' : 'file';
+}
+
+// Stands in for a misconfigured provider so /auth/send-otp answers 503 instead of filing OTPs on disk
+function createUnconfiguredTransport(name, env) {
+  return {
+    name,
+    configured: false,
+    from: resolveFrom(env),
+    async send() {
+      throw new Error(`Email not configured: unknown MAIL_PROVIDER "${name}"`);
+    }
+  };
+}
+
+/**
+ * Build the mail transport selected by MAIL_PROVIDER. Without it, the first
+ * vendor with credentials wins, and development falls back to the file outbox.
+ * An unknown MAIL_PROVIDER also falls back to the outbox in development; in
+ * production it yields an unconfigured transport.
+ * @param {Object} env - Environment variables
+ * @returns {Object} Mail transport
+ */
+function createMailTransport(env = process.env) {
+  const requested = (env.MAIL_PROVIDER || defaultProviderName(env)).toLowerCase();
+  const factory = transportFactories[requested];
+  if (!factory) {
+    if (env.NODE_ENV === 'production') {
+      logger.error('Unknown MAIL_PROVIDER, email is disabled', { requested });
+      return createUnconfiguredTransport(requested, env);
+    }
+    logger.error('Unknown MAIL_PROVIDER, falling back to file transport', { requested });
+    return createFileTransport(env);
+  }
+  return factory(env);
+}
+
+module.exports = {
+  registerMailTransport,
+  createMailTransport
+};
@@ -0,0 +1,255 @@
+/**
+ * Storage for normalized mandi price records, shared by the price fetcher job and
+ * POST /mandiprices/update. A price is identified by its natural key (market,
+ * commodity, variety, arrival date), so re-ingesting the same day's prices updates
+ * the existing document instead of adding a duplicate.
+ */
+
+const NATURAL_KEY_FIELDS = ['market', 'commodity', 'variety', 'arrivalDate'];
+
+// Fields compared to decide whether an existing price actually changed
+const PRICE_FIELDS = ['state', 'district', 'grade', 'minPrice', 'maxPrice', 'modalPrice', 'unit'];
+
+const UPSERT_BATCH_SIZE = 500;
+
+const HISTORY_INTERVALS = ['day', 'week', 'month'];
+const CHANGE_WINDOWS_DAYS = [7, 30, 90];
+// Longest moving average of the daily history series
+const MOVING_AVERAGE_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Create the unique natural-key index. Documents stored before normalization have no
+ * market/arrivalDate and are left out of it.
+ * @param {Collection} collection - mandiprices collection
+ */
+async function ensureMandiPriceIndexes(collection) {
+  await collection.createIndex(
+    { market: 1, commodity: 1, variety: 1, arrivalDate: 1 },
+    {
+      name: 'mandiprices_natural_key',
+      unique: true,
+      partialFilterExpression: {
+        market: { $exists: true },
+        commodity: { $exists: true },
+        variety: { $exists: true },
+        arrivalDate: { $exists: true }
+      }
+    }
+  );
+  // Price history lookups: one crop across markets, or one crop in one market
+  await collection.createIndex({ commodity: 1, arrivalDate: 1 });
+  await collection.createIndex({ commodity: 1, market: 1, arrivalDate: 1 });
+}
+
+function naturalKeyFilter(record) {
+  return Object.fromEntries(NATURAL_KEY_FIELDS.map((field) => [field, record[field]]));
+}
+
+function naturalKeyString(record) {
+  const arrival = record.arrivalDate instanceof Date ? record.arrivalDate.toISOString() : String(record.arrivalDate);
+  return [record.market, record.commodity, record.variety, arrival].join('|');
+}
+
+function hasPriceChanged(existing, record) {
+  return PRICE_FIELDS.some((field) => (existing[field] ?? null) !== (record[field] ?? null));
+}
+
+/**
+ * Upsert normalized price records on their natural key
+ * @param {Collection} collection - mandiprices collection
+ * @param {Array<Object>} records - Output of normalizePriceRecord
+ * @returns {Promise<{inserted: number, updated: number, unchanged: number, changedRecords: Array<Object>}>}
+ *   changedRecords holds the inserted and updated records, in input order
+ */
+async function upsertMandiPrices(collection, records) {
+  const result = { inserted: 0, updated: 0, unchanged: 0, changedRecords: [] };
+
+  // A later duplicate within the same batch wins, as it would on a re-run
+  const unique = new Map();
+  records.forEach((record) => unique.set(naturalKeyString(record), record));
+  const batch = [...unique.values()];
+
+  for (let start = 0; start < batch.length; start += UPSERT_BATCH_SIZE) {
+    const chunk = batch.slice(start, start + UPSERT_BATCH_SIZE);
+    const existingDocs = await collection
+      .find({ $or: chunk.map(naturalKeyFilter) })
+      .project({ _id: 0, ...Object.fromEntries([...NATURAL_KEY_FIELDS, ...PRICE_FIELDS].map((field) => [field, 1])) })
+      .toArray();
+    const existingByKey = new Map(existingDocs.map((doc) => [naturalKeyString(doc), doc]));
+
+    const operations = [];
+    const now = new Date();
+    chunk.forEach((record) => {
+      const existing = existingByKey.get(naturalKeyString(record));
+      if (existing && !hasPriceChanged(existing, record)) {
+        result.unchanged++;
+        return;
+      }
+
+      if (existing) {
+        result.updated++;
+      } else {
+        result.inserted++;
+      }
+      result.changedRecords.push(record);
+
+      const { fetchedAt, ...fields } = record;
+      operations.push({
+        updateOne: {
+          filter: naturalKeyFilter(record),
+          update: {
+            $set: { ...fields, updatedAt: now },
+            $setOnInsert: { fetchedAt: fetchedAt || now, createdAt: now }
+          },
+          upsert: true
+        }
+      });
+    });
+
+    if (operations.length > 0) {
+      await collection.bulkWrite(operations, { ordered: false });
+    }
+  }
+
+  return result;
+}
+
+function historyMatch({ commodity, market, from, to }) {
+  const match = { commodity, arrivalDate: { $gte: from, $lte: to } };
+  if (market) {
+    match.market = market;
+  }
+  return match;
+}
+
+/**
+ * Min/modal/max price series bucketed by interval. Several markets (or varieties) in one
+ * bucket are combined: lowest min, highest max, mean modal. Daily series also carry 7-
+ * and 30-day moving averages of the modal price; week and month buckets are too coarse
+ * for them, so they are null there.
+ * @param {Object} options - { commodity, market, from, to, interval: 'day'|'week'|'month' }
+ * @returns {Array<Object>} Aggregation pipeline
+ */
+function buildPriceHistoryPipeline({ commodity, market, from, to, interval = 'day' }) {
+  const movingAverage = (days) => ({
+    $avg: '$modalPrice',
+    window: { range: [-(days - 1), 0], unit: 'day' }
+  });
+
+  const bucket = { date: '$arrivalDate', unit: interval };
+  if (interval === 'week') {
+    bucket.startOfWeek = 'monday';
+  }
+  const group = {
+    $group: {
+      _id: { $dateTrunc: bucket },
+      minPrice: { $min: '$minPrice' },
+      maxPrice: { $max: '$maxPrice' },
+      modalPrice: { $avg: '$modalPrice' },
+      records: { $sum: 1 },
+      markets: { $addToSet: '$market' }
+    }
+  };
+  const project = {
+    _id: 0,
+    date: '$_id',
+    minPrice: 1,
+    maxPrice: 1,
+    modalPrice: { $round: ['$modalPrice', 2] },
+    movingAverage7d: { $literal: null },
+    movingAverage30d: { $literal: null },
+    records: 1,
+    markets: { $size: '$markets' }
+  };
+
+  if (interval !== 'day') {
+    return [
+      { $match: historyMatch({ commodity, market, from, to }) },
+      group,
+      { $project: project }
+    ];
+  }
+
+  // The first day's 30-day average needs the 29 days before it; those days are dropped again
+  const firstDay = new Date(Date.UTC(from.getUTCFullYear(), from.getUTCMonth(), from.getUTCDate()));
+  const warmUpFrom = new Date(firstDay.getTime() - (MOVING_AVERAGE_DAYS - 1) * DAY_MS);
+
+  return [
+    { $match: historyMatch({ commodity, market, from: warmUpFrom, to }) },
+    group,
+    {
+      $setWindowFields: {
+        sortBy: { _id: 1 },
+        output: {
+          movingAverage7d: movingAverage(7),
+          movingAverage30d: movingAverage(MOVING_AVERAGE_DAYS)
+        }
+      }
+    },
+    { $match: { _id: { $gte: firstDay } } },
+    {
+      $project: {
+        ...project,
+        movingAverage7d: { $round: ['$movingAverage7d', 2] },
+        movingAverage30d: { $round: ['$movingAverage30d', 2] }
+      }
+    }
+  ];
+}
+
+/**
+ * Daily mean modal price, newest first. Without `from` it covers enough days before
+ * `to` for the longest change window.
+ * @param {Object} options - { commodity, market, from, to }
+ * @returns {Array<Object>} Aggregation pipeline
+ */
+function buildDailyModalPipeline({ commodity, market, from: requestedFrom, to }) {
+  const longestWindow = Math.max(...CHANGE_WINDOWS_DAYS);
+  // Markets do not report every day, so look a little past the window for a base price
+  const from = requestedFrom || new Date(to.getTime() - (longestWindow + 14) * DAY_MS);
+
+  return [
+    { $match: historyMatch({ commodity, market, from, to }) },
+    { $group: { _id: '$arrivalDate', modalPrice: { $avg: '$modalPrice' } } },
+    { $sort: { _id: -1 } },
+    { $project: { _id: 0, date: '$_id', modalPrice: 1 } }
+  ];
+}
+
+/**
+ * Percent change of the latest daily modal price against the last price on or before
+ * 7, 30 and 90 days earlier
+ * @param {Array<{date: Date, modalPrice: number}>} dailyPrices - Output of buildDailyModalPipeline
+ * @returns {Object} { '7d': { fromDate, fromPrice, toDate, toPrice, percent } | null, ... }
+ */
+function computePriceChanges(dailyPrices) {
+  const [latest] = dailyPrices;
+  return Object.fromEntries(CHANGE_WINDOWS_DAYS.map((days) => {
+    if (!latest) {
+      return [`${days}d`, null];
+    }
+    const cutoff = latest.date.getTime() - days * DAY_MS;
+    const base = dailyPrices.find((entry) => entry.date.getTime() <= cutoff);
+    if (!base || !base.modalPrice) {
+      return [`${days}d`, null];
+    }
+    return [`${days}d`, {
+      fromDate: base.date,
+      fromPrice: Math.round(base.modalPrice * 100) / 100,
+      toDate: latest.date,
+      toPrice: Math.round(latest.modalPrice * 100) / 100,
+      percent: Math.round(((latest.modalPrice - base.modalPrice) / base.modalPrice) * 10000) / 100
+    }];
+  }));
+}
+
+module.exports = {
+  NATURAL_KEY_FIELDS,
+  HISTORY_INTERVALS,
+  ensureMandiPriceIndexes,
+  upsertMandiPrices,
+  buildPriceHistoryPipeline,
+  buildDailyModalPipeline,
+  computePriceChanges
+};
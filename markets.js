@@ -0,0 +1,208 @@
+const { normalizeName } = require('./jobs/mandi-price-sources');
+
+const COLLECTION_NAME = 'markets';
+let marketsCollection;
+
+// Rs per quintal per km, used to estimate what a farmer keeps after transport
+const DEFAULT_TRANSPORT_COST_PER_KM = Number(process.env.MANDI_TRANSPORT_COST_PER_KM || 2);
+// Markets report through the day, so "today" also accepts the last few days' prices
+const NEARBY_PRICE_MAX_AGE_DAYS = Number(process.env.MANDI_NEARBY_PRICE_MAX_AGE_DAYS || 2);
+const DEFAULT_RADIUS_KM = 50;
+const MAX_RADIUS_KM = 500;
+const MAX_NEARBY_MARKETS = 20;
+
+async function safelyCreateIndex(collection, keys, options) {
+  try {
+    await collection.createIndex(keys, options);
+  } catch (error) {
+    const label = JSON.stringify({ keys, options });
+    console.warn(`Markets index creation skipped: ${label}`, error.message);
+  }
+}
+
+function getCollection() {
+  if (!marketsCollection) {
+    throw new Error('Markets collection not initialized');
+  }
+  return marketsCollection;
+}
+
+async function initMarketsCollection(db) {
+  const collection = db.collection(COLLECTION_NAME);
+  marketsCollection = collection;
+
+  await safelyCreateIndex(collection, { location: '2dsphere' }, { background: true });
+  // Market names repeat across states, so the state is part of the key
+  await safelyCreateIndex(collection, { name: 1, state: 1 }, { unique: true, background: true });
+
+  return collection;
+}
+
+function parseCoordinate(value, limit) {
+  const parsed = typeof value === 'number' ? value : parseFloat(value);
+  return Number.isFinite(parsed) && Math.abs(parsed) <= limit ? parsed : null;
+}
+
+/**
+ * Validate and normalize a market master record. Names go through the same
+ * normalization as mandi prices so the two join on `market`.
+ * @param {Object} input - { name, state, district, lat, lon }
+ * @returns {Object|null} Market fields, or null when name or coordinates are invalid
+ */
+function normalizeMarket(input = {}) {
+  const name = normalizeName(input.name || input.market);
+  const lat = parseCoordinate(input.lat ?? input.latitude, 90);
+  const lon = parseCoordinate(input.lon ?? input.longitude, 180);
+  if (!name || lat === null || lon === null) {
+    return null;
+  }
+  return {
+    name,
+    state: normalizeName(input.state),
+    district: normalizeName(input.district),
+    location: { type: 'Point', coordinates: [lon, lat] }
+  };
+}
+
+/**
+ * Insert or update markets on name + state
+ * @param {Array<Object>} markets - Output of normalizeMarket
+ * @returns {Promise<{inserted: number, updated: number}>}
+ */
+async function upsertMarkets(markets) {
+  if (markets.length === 0) {
+    return { inserted: 0, updated: 0 };
+  }
+  const now = new Date();
+  const result = await getCollection().bulkWrite(markets.map((market) => ({
+    updateOne: {
+      filter: { name: market.name, state: market.state },
+      update: { $set: { ...market, updatedAt: now }, $setOnInsert: { createdAt: now } },
+      upsert: true
+    }
+  })), { ordered: false });
+  return { inserted: result.upsertedCount, updated: result.modifiedCount };
+}
+
+/**
+ * Markets within radiusKm of a point, nearest first, each with its latest price per
+ * commodity and variety from the last NEARBY_PRICE_MAX_AGE_DAYS days
+ * @param {Object} options - { lat, lon, radiusKm, commodity, limit, now }
+ * @returns {Array<Object>} Aggregation pipeline for the markets collection
+ */
+function buildNearbyMarketsPipeline({ lat, lon, radiusKm, commodity, limit = MAX_NEARBY_MARKETS, now = new Date() }) {
+  const since = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() - NEARBY_PRICE_MAX_AGE_DAYS));
+  // Prices without a state (manual uploads) match any market of that name
+  const sameState = {
+    $or: [
+      { $eq: [{ $ifNull: ['$state', null] }, null] },
+      { $eq: [{ $ifNull: ['$$marketState', null] }, null] },
+      { $eq: ['$state', '$$marketState'] }
+    ]
+  };
+
+  const priceMatch = { arrivalDate: { $gte: since } };
+  if (commodity) {
+    priceMatch.commodity = commodity;
+  }
+
+  const pipeline = [
+    {
+      $geoNear: {
+        near: { type: 'Point', coordinates: [lon, lat] },
+        distanceField: 'distanceMeters',
+        maxDistance: radiusKm * 1000,
+        spherical: true
+      }
+    },
+    {
+      $lookup: {
+        from: 'mandiprices',
+        localField: 'name',
+        foreignField: 'market',
+        let: { marketState: '$state' },
+        pipeline: [
+          { $match: priceMatch },
+          { $match: { $expr: sameState } },
+          { $sort: { arrivalDate: -1 } },
+          {
+            $group: {
+              _id: { commodity: '$commodity', variety: '$variety' },
+              latest: { $first: '$$ROOT' }
+            }
+          },
+          { $replaceRoot: { newRoot: '$latest' } },
+          {
+            $project: {
+              _id: 0,
+              commodity: 1,
+              variety: 1,
+              minPrice: 1,
+              maxPrice: 1,
+              modalPrice: 1,
+              unit: 1,
+              arrivalDate: 1
+            }
+          }
+        ],
+        as: 'prices'
+      }
+    }
+  ];
+
+  if (commodity) {
+    pipeline.push({ $match: { 'prices.0': { $exists: true } } });
+  }
+  pipeline.push({ $limit: limit });
+  return pipeline;
+}
+
+/**
+ * Add distance, transport cost and net price to nearby market results
+ * @param {Array<Object>} markets - Output of buildNearbyMarketsPipeline
+ * @param {number} transportCostPerKm - Rs per quintal per km
+ * @returns {Array<Object>} Markets with prices sorted by net price, best first
+ */
+function withNetPrices(markets, transportCostPerKm) {
+  return markets.map(({ _id, distanceMeters, location, prices, ...market }) => {
+    const distanceKm = Math.round(distanceMeters / 100) / 10;
+    const transportCost = Math.round(distanceKm * transportCostPerKm * 100) / 100;
+    return {
+      id: _id.toString(),
+      ...market,
+      latitude: location.coordinates[1],
+      longitude: location.coordinates[0],
+      distanceKm,
+      transportCost,
+      prices: prices
+        .map((price) => ({
+          ...price,
+          netPrice: Math.round((price.modalPrice - transportCost) * 100) / 100
+        }))
+        .sort((a, b) => b.netPrice - a.netPrice)
+    };
+  });
+}
+
+/**
+ * Nearest markets with today's prices and net price after transport
+ * @param {Object} options - { lat, lon, radiusKm, commodity, transportCostPerKm, limit }
+ * @returns {Promise<Array<Object>>}
+ */
+async function findNearbyMarkets({ transportCostPerKm = DEFAULT_TRANSPORT_COST_PER_KM, ...options }) {
+  const markets = await getCollection().aggregate(buildNearbyMarketsPipeline(options)).toArray();
+  return withNetPrices(markets, transportCostPerKm);
+}
+
+module.exports = {
+  DEFAULT_TRANSPORT_COST_PER_KM,
+  DEFAULT_RADIUS_KM,
+  MAX_RADIUS_KM,
+  MAX_NEARBY_MARKETS,
+  initMarketsCollection,
+  normalizeMarket,
+  upsertMarkets,
+  buildNearbyMarketsPipeline,
+  withNetPrices,
+  findNearbyMarkets
+};
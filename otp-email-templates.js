@@ -0,0 +1,107 @@
+/**
+ * Localized OTP email templates.
+ *
+ * Copy is keyed by the app's language codes (en, hi, mr, ml); anything else
+ * falls back to English. The HTML layout is shared across languages.
+ */
+
+const DEFAULT_LANGUAGE = 'en';
+
+const LANGUAGE_ALIASES = {
+  english: 'en',
+  hindi: 'hi',
+  marathi: 'mr',
+  malayalam: 'ml'
+};
+
+const otpEmailCopy = {
+  en: {
+    subject: 'KrushiMitra - Your OTP Code',
+    tagline: 'AI-Powered Farming Assistant',
+    heading: 'Your OTP Code',
+    intro: 'Your One-Time Password (OTP) for KrushiMitra login/signup is:',
+    validity: (minutes) => `This OTP is valid for ${minutes} minutes.`,
+    ignore: "If you didn't request this OTP, please ignore this email.",
+    text: (otp, minutes) => `Your KrushiMitra OTP is ${otp}. It is valid for ${minutes} minutes.`
+  },
+  hi: {
+    subject: 'KrushiMitra - आपका OTP कोड',
+    tagline: 'AI-आधारित खेती सहायक',
+    heading: 'आपका OTP कोड',
+    intro: 'KrushiMitra में लॉगिन/साइनअप के लिए आपका वन-टाइम पासवर्ड (OTP) है:',
+    validity: (minutes) => `यह OTP ${minutes} मिनट के लिए मान्य है।`,
+    ignore: 'अगर आपने यह OTP नहीं माँगा है, तो इस ईमेल को अनदेखा करें।',
+    text: (otp, minutes) => `आपका KrushiMitra OTP ${otp} है। यह ${minutes} मिनट के लिए मान्य है।`
+  },
+  mr: {
+    subject: 'KrushiMitra - तुमचा OTP कोड',
+    tagline: 'AI-आधारित शेती सहाय्यक',
+    heading: 'तुमचा OTP कोड',
+    intro: 'KrushiMitra लॉगिन/साइनअपसाठी तुमचा वन-टाइम पासवर्ड (OTP) आहे:',
+    validity: (minutes) => `हा OTP ${minutes} मिनिटांसाठी वैध आहे.`,
+    ignore: 'तुम्ही हा OTP मागितला नसेल तर या ईमेलकडे दुर्लक्ष करा.',
+    text: (otp, minutes) => `तुमचा KrushiMitra OTP ${otp} आहे. हा ${minutes} मिनिटांसाठी वैध आहे.`
+  },
+  ml: {
+    subject: 'KrushiMitra - നിങ്ങളുടെ OTP കോഡ്',
+    tagline: 'AI അധിഷ്ഠിത കൃഷി സഹായി',
+    heading: 'നിങ്ങളുടെ OTP കോഡ്',
+    intro: 'KrushiMitra ലോഗിൻ/സൈൻഅപ്പിനുള്ള നിങ്ങളുടെ വൺ-ടൈം പാസ്‌വേഡ് (OTP):',
+    validity: (minutes) => `ഈ OTP ${minutes} മിനിറ്റ് സാധുവാണ്.`,
+    ignore: 'നിങ്ങൾ ഈ OTP ആവശ്യപ്പെട്ടിട്ടില്ലെങ്കിൽ, ഈ ഇമെയിൽ അവഗണിക്കുക.',
+    text: (otp, minutes) => `നിങ്ങളുടെ KrushiMitra OTP ${otp} ആണ്. ഇത് ${minutes} മിനിറ്റ് സാധുവാണ്.`
+  }
+};
+
+function resolveTemplateLanguage(language) {
+  if (typeof language !== 'string' || !language.trim()) {
+    return DEFAULT_LANGUAGE;
+  }
+  const normalized = language.trim().toLowerCase();
+  const code = LANGUAGE_ALIASES[normalized] || normalized.split(/[-_]/)[0];
+  return otpEmailCopy[code] ? code : DEFAULT_LANGUAGE;
+}
+
+/**
+ * Render the OTP email in the user's preferred language
+ * @param {string} otp - One-time password
+ * @param {Object} options - { language, ttlMinutes }
+ * @returns {{subject: string, text: string, html: string, language: string}}
+ */
+function renderOtpEmail(otp, { language, ttlMinutes = 10 } = {}) {
+  const resolvedLanguage = resolveTemplateLanguage(language);
+  const copy = otpEmailCopy[resolvedLanguage];
+  const year = new Date().getFullYear();
+
+  const html = `
+    <div lang="${resolvedLanguage}" style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; background-color: #f5f5f5;">
+      <div style="background-color: #4CAF50; padding: 20px; text-align: center; border-radius: 10px 10px 0 0;">
+        <h1 style="color: white; margin: 0;">KrushiMitra</h1>
+        <p style="color: #E8F5E9; margin: 5px 0;">${copy.tagline}</p>
+      </div>
+      <div style="background-color: white; padding: 30px; border-radius: 0 0 10px 10px;">
+        <h2 style="color: #2E7D32; margin-top: 0;">${copy.heading}</h2>
+        <p style="color: #666; font-size: 16px;">${copy.intro}</p>
+        <div style="background-color: #F1F8E9; padding: 20px; margin: 20px 0; text-align: center; border-radius: 8px; border-left: 4px solid #4CAF50;">
+          <h1 style="color: #2E7D32; margin: 0; font-size: 36px; letter-spacing: 8px;">${otp}</h1>
+        </div>
+        <p style="color: #666; font-size: 14px;">${copy.validity(ttlMinutes)}</p>
+        <p style="color: #666; font-size: 14px;">${copy.ignore}</p>
+        <hr style="border: none; border-top: 1px solid #E0E0E0; margin: 20px 0;">
+        <p style="color: #999; font-size: 12px; text-align: center;">© ${year} KrushiMitra. All rights reserved.</p>
+      </div>
+    </div>
+  `;
+
+  return {
+    subject: copy.subject,
+    text: copy.text(otp, ttlMinutes),
+    html,
+    language: resolvedLanguage
+  };
+}
+
+module.exports = {
+  renderOtpEmail,
+  resolveTemplateLanguage
+};
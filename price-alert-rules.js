@@ -0,0 +1,388 @@
+const { ObjectId } = require('mongodb');
+const { normalizeName } = require('./jobs/mandi-price-sources');
+
+/**
+ * Personal price alert rules and the triggers they produce.
+ *
+ * A rule watches one commodity in one market, or in every market within a radius of a
+ * point, and fires when the modal price crosses a threshold or moves by a percentage.
+ * The Price Alert Evaluator job (jobs/price-alert-evaluator.js) records one trigger per
+ * rule and price observation in `price_alert_triggers`; its unique `dedupeKey` keeps
+ * re-runs from alerting twice, and `deliveries` tracks each channel's state.
+ */
+
+const RULES_COLLECTION = 'price_alert_rules';
+const TRIGGERS_COLLECTION = 'price_alert_triggers';
+let rulesCollection;
+let triggersCollection;
+
+const CONDITION_TYPES = ['above', 'below', 'percent_change'];
+const CHANGE_DIRECTIONS = ['up', 'down', 'any'];
+const DELIVERY_CHANNELS = ['in_app', 'sms'];
+const DEFAULT_TIMEZONE = 'Asia/Kolkata';
+const MAX_RULES_PER_USER = 50;
+const MAX_RADIUS_KM = 200;
+const MAX_CHANGE_WINDOW_DAYS = 30;
+
+async function safelyCreateIndex(collection, keys, options) {
+  try {
+    await collection.createIndex(keys, options);
+  } catch (error) {
+    const label = JSON.stringify({ keys, options });
+    console.warn(`Price alert index creation skipped: ${label}`, error.message);
+  }
+}
+
+function getRulesCollection() {
+  if (!rulesCollection) {
+    throw new Error('Price alert rules collection not initialized');
+  }
+  return rulesCollection;
+}
+
+function getTriggersCollection() {
+  if (!triggersCollection) {
+    throw new Error('Price alert triggers collection not initialized');
+  }
+  return triggersCollection;
+}
+
+async function initPriceAlertCollections(db) {
+  rulesCollection = db.collection(RULES_COLLECTION);
+  triggersCollection = db.collection(TRIGGERS_COLLECTION);
+
+  await safelyCreateIndex(rulesCollection, { userId: 1, createdAt: -1 }, { background: true });
+  await safelyCreateIndex(rulesCollection, { active: 1, commodity: 1 }, { background: true });
+  await safelyCreateIndex(triggersCollection, { dedupeKey: 1 }, { unique: true, background: true });
+  await safelyCreateIndex(triggersCollection, { ruleId: 1, triggeredAt: -1 }, { background: true });
+  await safelyCreateIndex(
+    triggersCollection,
+    { 'deliveries.status': 1, 'deliveries.deliverAfter': 1 },
+    { background: true }
+  );
+
+  return rulesCollection;
+}
+
+function parseClock(value) {
+  const match = typeof value === 'string' && value.trim().match(/^([01]?\d|2[0-3]):([0-5]\d)$/);
+  return match ? Number(match[1]) * 60 + Number(match[2]) : null;
+}
+
+function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+function validateCondition(input) {
+  if (!input || !CONDITION_TYPES.includes(input.type)) {
+    return { error: `condition.type must be one of ${CONDITION_TYPES.join(', ')}` };
+  }
+  if (input.type === 'percent_change') {
+    const percent = Number(input.percent);
+    const windowDays = input.windowDays === undefined ? 7 : Number(input.windowDays);
+    const direction = input.direction || 'any';
+    if (!Number.isFinite(percent) || percent <= 0 || percent > 100) {
+      return { error: 'condition.percent must be between 0 and 100' };
+    }
+    if (!Number.isInteger(windowDays) || windowDays < 1 || windowDays > MAX_CHANGE_WINDOW_DAYS) {
+      return { error: `condition.windowDays must be a whole number from 1 to ${MAX_CHANGE_WINDOW_DAYS}` };
+    }
+    if (!CHANGE_DIRECTIONS.includes(direction)) {
+      return { error: `condition.direction must be one of ${CHANGE_DIRECTIONS.join(', ')}` };
+    }
+    return { value: { type: input.type, percent, windowDays, direction } };
+  }
+  const price = Number(input.price);
+  if (!Number.isFinite(price) || price <= 0) {
+    return { error: 'condition.price must be a positive number (Rs/Quintal)' };
+  }
+  return { value: { type: input.type, price } };
+}
+
+function validateQuietHours(input) {
+  if (input === null) {
+    return { value: null };
+  }
+  const start = parseClock(input?.start);
+  const end = parseClock(input?.end);
+  const timezone = input?.timezone || DEFAULT_TIMEZONE;
+  if (start === null || end === null || start === end) {
+    return { error: 'quietHours needs different start and end times as HH:MM' };
+  }
+  if (!isValidTimezone(timezone)) {
+    return { error: 'quietHours.timezone must be an IANA time zone' };
+  }
+  return { value: { start: input.start.trim(), end: input.end.trim(), timezone } };
+}
+
+function validateArea(input, fallbackLocation) {
+  const market = normalizeName(input.market);
+  if (market) {
+    return { value: { market, near: null } };
+  }
+  if (input.radiusKm === undefined) {
+    return { error: 'Either market or radiusKm is required' };
+  }
+  const radiusKm = Number(input.radiusKm);
+  const lat = Number(input.lat ?? fallbackLocation?.latitude);
+  const lon = Number(input.lon ?? fallbackLocation?.longitude);
+  if (!Number.isFinite(radiusKm) || radiusKm <= 0 || radiusKm > MAX_RADIUS_KM) {
+    return { error: `radiusKm must be between 0 and ${MAX_RADIUS_KM}` };
+  }
+  if (!Number.isFinite(lat) || !Number.isFinite(lon) || Math.abs(lat) > 90 || Math.abs(lon) > 180) {
+    return { error: 'Valid lat and lon are required for a radius alert when no saved location exists' };
+  }
+  return {
+    value: {
+      market: null,
+      near: { location: { type: 'Point', coordinates: [lon, lat] }, radiusKm }
+    }
+  };
+}
+
+/**
+ * Validate a rule from the API. With `partial`, only the fields present are checked
+ * (for PATCH); area fields are validated together.
+ * @param {Object} input - Request body
+ * @param {Object} options - { partial, fallbackLocation: { latitude, longitude } }
+ * @returns {{value: Object}|{error: string}}
+ */
+function validatePriceAlertRule(input = {}, { partial = false, fallbackLocation } = {}) {
+  const value = {};
+
+  if (!partial || input.commodity !== undefined) {
+    const commodity = normalizeName(input.commodity);
+    if (!commodity) {
+      return { error: 'commodity is required' };
+    }
+    value.commodity = commodity;
+  }
+
+  if (!partial || input.market !== undefined || input.radiusKm !== undefined) {
+    const area = validateArea(input, fallbackLocation);
+    if (area.error) return area;
+    Object.assign(value, area.value);
+  }
+
+  if (!partial || input.condition !== undefined) {
+    const condition = validateCondition(input.condition);
+    if (condition.error) return condition;
+    value.condition = condition.value;
+  }
+
+  if (input.quietHours !== undefined) {
+    const quietHours = validateQuietHours(input.quietHours);
+    if (quietHours.error) return quietHours;
+    value.quietHours = quietHours.value;
+  } else if (!partial) {
+    value.quietHours = null;
+  }
+
+  if (!partial || input.channels !== undefined) {
+    const channels = input.channels === undefined ? ['in_app'] : input.channels;
+    if (!Array.isArray(channels) || channels.length === 0 || channels.some((channel) => !DELIVERY_CHANNELS.includes(channel))) {
+      return { error: `channels must be a non-empty list of ${DELIVERY_CHANNELS.join(', ')}` };
+    }
+    value.channels = [...new Set(channels)];
+  }
+
+  if (input.active !== undefined) {
+    if (typeof input.active !== 'boolean') {
+      return { error: 'active must be true or false' };
+    }
+    value.active = input.active;
+  } else if (!partial) {
+    value.active = true;
+  }
+
+  return { value };
+}
+
+function localMinutes(now, timezone) {
+  const parts = new Intl.DateTimeFormat('en-GB', {
+    timeZone: timezone,
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(now);
+  const hour = Number(parts.find((part) => part.type === 'hour').value);
+  const minute = Number(parts.find((part) => part.type === 'minute').value);
+  return hour * 60 + minute;
+}
+
+/**
+ * When a delivery may go out: now, or the end of the rule's quiet hours.
+ * Quiet hours may wrap past midnight (22:00-06:00).
+ * @param {Object|null} quietHours - { start, end, timezone }
+ * @param {Date} now
+ * @returns {Date}
+ */
+function nextDeliveryTime(quietHours, now = new Date()) {
+  if (!quietHours) {
+    return now;
+  }
+  const start = parseClock(quietHours.start);
+  const end = parseClock(quietHours.end);
+  const current = localMinutes(now, quietHours.timezone || DEFAULT_TIMEZONE);
+  const quiet = start < end
+    ? current >= start && current < end
+    : current >= start || current < end;
+  if (!quiet) {
+    return now;
+  }
+  const minutesUntilEnd = (end - current + 1440) % 1440;
+  const resume = new Date(now.getTime() + minutesUntilEnd * 60 * 1000);
+  resume.setUTCSeconds(0, 0);
+  return resume;
+}
+
+/**
+ * Check a price against a rule's condition
+ * @param {Object} condition - Rule condition
+ * @param {Object} price - mandiprices record
+ * @param {number|null} basePrice - Modal price windowDays earlier (percent_change only)
+ * @returns {Object|null} { changePercent } when the rule fires, otherwise null
+ */
+function evaluateCondition(condition, price, basePrice = null) {
+  switch (condition.type) {
+    case 'above':
+      return price.modalPrice >= condition.price ? { changePercent: null } : null;
+    case 'below':
+      return price.modalPrice <= condition.price ? { changePercent: null } : null;
+    case 'percent_change': {
+      if (!basePrice) {
+        return null;
+      }
+      const changePercent = Math.round(((price.modalPrice - basePrice) / basePrice) * 10000) / 100;
+      const fires = (condition.direction !== 'down' && changePercent >= condition.percent)
+        || (condition.direction !== 'up' && changePercent <= -condition.percent);
+      return fires ? { changePercent } : null;
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * One trigger per rule and price observation; a changed price on the same day
+ * for the same market and variety does not fire again
+ */
+function buildDedupeKey(ruleId, price) {
+  const arrival = price.arrivalDate instanceof Date ? price.arrivalDate.toISOString().slice(0, 10) : String(price.arrivalDate);
+  return [ruleId.toString(), price.market, price.variety, arrival].join('|');
+}
+
+function describeTrigger(rule, price, result) {
+  const where = `${price.commodity}${price.variety && price.variety !== 'Other' ? ` (${price.variety})` : ''} in ${price.market}`;
+  const amount = `₹${price.modalPrice} per quintal`;
+  switch (rule.condition.type) {
+    case 'above':
+      return `${where} is at ${amount}, above your ₹${rule.condition.price} alert`;
+    case 'below':
+      return `${where} is at ${amount}, below your ₹${rule.condition.price} alert`;
+    default:
+      return `${where} moved ${result.changePercent > 0 ? '+' : ''}${result.changePercent}% in ${rule.condition.windowDays} days to ${amount}`;
+  }
+}
+
+function formatRuleResponse(rule) {
+  return {
+    id: rule._id.toString(),
+    commodity: rule.commodity,
+    market: rule.market || null,
+    near: rule.near
+      ? {
+        latitude: rule.near.location.coordinates[1],
+        longitude: rule.near.location.coordinates[0],
+        radiusKm: rule.near.radiusKm
+      }
+      : null,
+    condition: rule.condition,
+    quietHours: rule.quietHours || null,
+    channels: rule.channels,
+    active: rule.active,
+    lastTriggeredAt: rule.lastTriggeredAt || null,
+    createdAt: rule.createdAt,
+    updatedAt: rule.updatedAt
+  };
+}
+
+function toObjectId(value) {
+  return ObjectId.isValid(value) ? new ObjectId(value) : null;
+}
+
+async function listPriceAlertRules(userId) {
+  return getRulesCollection().find({ userId }).sort({ createdAt: -1 }).toArray();
+}
+
+/**
+ * @returns {Promise<{rule: Object}|{error: string}>}
+ */
+async function createPriceAlertRule(userId, value) {
+  const collection = getRulesCollection();
+  const count = await collection.countDocuments({ userId });
+  if (count >= MAX_RULES_PER_USER) {
+    return { error: 'LIMIT_REACHED' };
+  }
+  const now = new Date();
+  const rule = { userId, ...value, createdAt: now, updatedAt: now };
+  const result = await collection.insertOne(rule);
+  return { rule: { _id: result.insertedId, ...rule } };
+}
+
+async function updatePriceAlertRule(userId, ruleId, value) {
+  const _id = toObjectId(ruleId);
+  if (!_id) {
+    return null;
+  }
+  return getRulesCollection().findOneAndUpdate(
+    { _id, userId },
+    { $set: { ...value, updatedAt: new Date() } },
+    { returnDocument: 'after' }
+  );
+}
+
+async function deletePriceAlertRule(userId, ruleId) {
+  const _id = toObjectId(ruleId);
+  if (!_id) {
+    return false;
+  }
+  const result = await getRulesCollection().deleteOne({ _id, userId });
+  return result.deletedCount === 1;
+}
+
+async function listPriceAlertTriggers(userId, ruleId, { limit = 20 } = {}) {
+  const _id = toObjectId(ruleId);
+  if (!_id) {
+    return [];
+  }
+  return getTriggersCollection()
+    .find({ ruleId: _id, userId })
+    .sort({ triggeredAt: -1 })
+    .limit(limit)
+    .toArray();
+}
+
+module.exports = {
+  RULES_COLLECTION,
+  TRIGGERS_COLLECTION,
+  DELIVERY_CHANNELS,
+  MAX_RULES_PER_USER,
+  initPriceAlertCollections,
+  validatePriceAlertRule,
+  nextDeliveryTime,
+  evaluateCondition,
+  buildDedupeKey,
+  describeTrigger,
+  formatRuleResponse,
+  listPriceAlertRules,
+  createPriceAlertRule,
+  updatePriceAlertRule,
+  deletePriceAlertRule,
+  listPriceAlertTriggers
+};
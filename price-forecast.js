@@ -0,0 +1,343 @@
+/**
+ * Local price forecasting for mandi prices. Works on a daily modal price series for
+ * one commodity (optionally one market), tries a few simple models, backtests each
+ * on the series' own history and forecasts with the most accurate one.
+ *
+ * Backtest results are kept per model in `forecast_backtests`, so callers such as the
+ * AI chat can quote a forecast together with how reliable it has been.
+ */
+
+const COLLECTION_NAME = 'forecast_backtests';
+let backtestsCollection;
+
+const FORECAST_HORIZONS = [7, 30];
+const HISTORY_DAYS = 365;
+const MIN_HISTORY_POINTS = 21;
+const BACKTEST_ORIGINS = 20;
+const SEASON_LENGTH = 7;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SMOOTHING_GRID = [0.1, 0.2, 0.3, 0.5, 0.7, 0.9];
+const TREND_DAMPING = 0.9;
+const Z_80 = 1.2816;
+const Z_95 = 1.96;
+
+async function safelyCreateIndex(collection, keys, options) {
+  try {
+    await collection.createIndex(keys, options);
+  } catch (error) {
+    const label = JSON.stringify({ keys, options });
+    console.warn(`Forecast backtest index creation skipped: ${label}`, error.message);
+  }
+}
+
+function getCollection() {
+  if (!backtestsCollection) {
+    throw new Error('Forecast backtests collection not initialized');
+  }
+  return backtestsCollection;
+}
+
+async function initForecastBacktestsCollection(db) {
+  const collection = db.collection(COLLECTION_NAME);
+  backtestsCollection = collection;
+
+  await safelyCreateIndex(
+    collection,
+    { commodity: 1, market: 1, model: 1, horizonDays: 1 },
+    { unique: true, background: true }
+  );
+
+  return collection;
+}
+
+/**
+ * Turn daily price rows into a gap-free ascending series. Markets skip holidays and
+ * weekends, so missing days carry the previous price forward.
+ * @param {Array<{date: Date, modalPrice: number}>} rows - Daily prices in any order
+ * @returns {{dates: Array<Date>, values: Array<number>}}
+ */
+function buildDailySeries(rows) {
+  const sorted = rows
+    .filter((row) => row.date instanceof Date && Number.isFinite(row.modalPrice))
+    .sort((a, b) => a.date - b.date);
+  if (sorted.length === 0) {
+    return { dates: [], values: [] };
+  }
+
+  const byDay = new Map(sorted.map((row) => [row.date.getTime(), row.modalPrice]));
+  const dates = [];
+  const values = [];
+  let last = sorted[0].modalPrice;
+  for (let time = sorted[0].date.getTime(); time <= sorted[sorted.length - 1].date.getTime(); time += DAY_MS) {
+    if (byDay.has(time)) {
+      last = byDay.get(time);
+    }
+    dates.push(new Date(time));
+    values.push(last);
+  }
+  return { dates, values };
+}
+
+function sumSquaredOneStepErrors(values, step) {
+  let state = null;
+  let sse = 0;
+  values.forEach((value) => {
+    if (state) {
+      const error = value - state.forecast(1);
+      sse += error * error;
+    }
+    state = step(state, value);
+  });
+  return sse;
+}
+
+// Simple exponential smoothing: level only
+function sesStep(alpha) {
+  return (state, value) => {
+    const level = state ? alpha * value + (1 - alpha) * state.level : value;
+    return { level, forecast: () => level };
+  };
+}
+
+// Holt's linear trend with damping, so 30-day projections do not run away
+function holtStep(alpha, beta) {
+  return (state, value) => {
+    if (!state) {
+      return { level: value, trend: 0, forecast: () => value };
+    }
+    const level = alpha * value + (1 - alpha) * (state.level + TREND_DAMPING * state.trend);
+    const trend = beta * (level - state.level) + (1 - beta) * TREND_DAMPING * state.trend;
+    return {
+      level,
+      trend,
+      forecast: (h) => {
+        let damped = 0;
+        for (let i = 1; i <= h; i++) {
+          damped += TREND_DAMPING ** i;
+        }
+        return level + damped * trend;
+      }
+    };
+  };
+}
+
+function fitSmoothing(values, candidates) {
+  let best = null;
+  candidates.forEach((step) => {
+    const sse = sumSquaredOneStepErrors(values, step);
+    if (!best || sse < best.sse) {
+      best = { step, sse };
+    }
+  });
+  let state = null;
+  values.forEach((value) => {
+    state = best.step(state, value);
+  });
+  return state;
+}
+
+const MODELS = {
+  naive: {
+    description: 'Last observed price',
+    forecast: (values, horizon) => Array.from({ length: horizon }, () => values[values.length - 1])
+  },
+  seasonal_naive: {
+    description: 'Price on the same weekday last week',
+    forecast: (values, horizon) => Array.from({ length: horizon }, (_, index) => {
+      const h = index + 1;
+      return values[values.length - SEASON_LENGTH + ((h - 1) % SEASON_LENGTH)];
+    })
+  },
+  exponential_smoothing: {
+    description: 'Simple exponential smoothing',
+    forecast: (values, horizon) => {
+      const state = fitSmoothing(values, SMOOTHING_GRID.map((alpha) => sesStep(alpha)));
+      return Array.from({ length: horizon }, (_, index) => state.forecast(index + 1));
+    }
+  },
+  holt_damped: {
+    description: 'Exponential smoothing with damped trend',
+    forecast: (values, horizon) => {
+      const candidates = [];
+      SMOOTHING_GRID.forEach((alpha) => {
+        [0.05, 0.1, 0.2].forEach((beta) => candidates.push(holtStep(alpha, beta)));
+      });
+      const state = fitSmoothing(values, candidates);
+      return Array.from({ length: horizon }, (_, index) => state.forecast(index + 1));
+    }
+  }
+};
+
+const MODEL_NAMES = Object.keys(MODELS);
+
+/**
+ * Rolling-origin backtest: forecast from each of the last BACKTEST_ORIGINS cut-off points
+ * and compare every day of the next `horizon` days with what actually happened
+ * @param {Array<number>} values - Daily series
+ * @param {string} modelName - Key of MODELS
+ * @param {number} horizon - Days ahead
+ * @returns {Object|null} { mape, mae, samples, stepErrors }, or null with too little history;
+ *   stepErrors[h - 1] holds the errors h days ahead
+ */
+function backtestModel(values, modelName, horizon) {
+  const lastOrigin = values.length - horizon;
+  const firstOrigin = Math.max(MIN_HISTORY_POINTS - horizon, SEASON_LENGTH, lastOrigin - BACKTEST_ORIGINS + 1);
+  if (lastOrigin < firstOrigin) {
+    return null;
+  }
+
+  let absoluteError = 0;
+  let percentageError = 0;
+  let samples = 0;
+  // Errors for every step ahead, used to size the confidence bands
+  const stepErrors = Array.from({ length: horizon }, () => []);
+
+  for (let origin = firstOrigin; origin <= lastOrigin; origin++) {
+    const forecast = MODELS[modelName].forecast(values.slice(0, origin), horizon);
+    forecast.forEach((predicted, index) => {
+      const actual = values[origin + index];
+      const error = actual - predicted;
+      stepErrors[index].push(error);
+      absoluteError += Math.abs(error);
+      percentageError += actual ? Math.abs(error) / actual : 0;
+    });
+    samples++;
+  }
+
+  const errorCount = samples * horizon;
+  return {
+    mape: Math.round((percentageError / errorCount) * 10000) / 100,
+    mae: Math.round((absoluteError / errorCount) * 100) / 100,
+    samples,
+    stepErrors
+  };
+}
+
+function rootMeanSquare(errors) {
+  if (errors.length === 0) {
+    return 0;
+  }
+  return Math.sqrt(errors.reduce((sum, error) => sum + error * error, 0) / errors.length);
+}
+
+/**
+ * Describe a backtest MAPE in words the AI chat and UI can show
+ * @param {number|null} mape - Mean absolute percentage error
+ * @returns {string} 'high' | 'medium' | 'low' | 'unknown'
+ */
+function describeReliability(mape) {
+  if (mape === null || mape === undefined) return 'unknown';
+  if (mape <= 5) return 'high';
+  if (mape <= 12) return 'medium';
+  return 'low';
+}
+
+/**
+ * Backtest every model, pick the most accurate per horizon and forecast with it
+ * @param {Array<{date: Date, modalPrice: number}>} rows - Daily prices
+ * @returns {Object|null} { lastDate, lastPrice, horizons: { '7d': {...}, '30d': {...} }, backtests }
+ *   or null when there is too little history
+ */
+function forecastPrices(rows) {
+  const { dates, values } = buildDailySeries(rows);
+  if (values.length < MIN_HISTORY_POINTS) {
+    return null;
+  }
+
+  const lastDate = dates[dates.length - 1];
+  const backtests = [];
+  const horizons = {};
+
+  FORECAST_HORIZONS.forEach((horizon) => {
+    let best = null;
+    MODEL_NAMES.forEach((model) => {
+      const result = backtestModel(values, model, horizon);
+      if (!result) {
+        return;
+      }
+      backtests.push({ model, horizonDays: horizon, mape: result.mape, mae: result.mae, samples: result.samples });
+      if (!best || result.mape < best.result.mape) {
+        best = { model, result };
+      }
+    });
+
+    // Short series can still be projected 7 days out, just not validated 30 days out
+    const model = best ? best.model : 'naive';
+    const predictions = MODELS[model].forecast(values, horizon);
+    const points = predictions.map((predicted, index) => {
+      const spread = best ? rootMeanSquare(best.result.stepErrors[index]) : 0;
+      const round = (value) => Math.round(Math.max(value, 0) * 100) / 100;
+      return {
+        date: new Date(lastDate.getTime() + (index + 1) * DAY_MS),
+        price: round(predicted),
+        lower80: round(predicted - Z_80 * spread),
+        upper80: round(predicted + Z_80 * spread),
+        lower95: round(predicted - Z_95 * spread),
+        upper95: round(predicted + Z_95 * spread)
+      };
+    });
+
+    const mape = best ? best.result.mape : null;
+    horizons[`${horizon}d`] = {
+      model,
+      modelDescription: MODELS[model].description,
+      backtestMape: mape,
+      reliability: describeReliability(mape),
+      points
+    };
+  });
+
+  return {
+    lastDate,
+    lastPrice: values[values.length - 1],
+    historyDays: values.length,
+    horizons,
+    backtests
+  };
+}
+
+/**
+ * Store backtest accuracy per model for a commodity/market
+ * @param {Object} scope - { commodity, market } (market null for all markets)
+ * @param {Array<Object>} backtests - forecastPrices(...).backtests
+ */
+async function saveBacktests({ commodity, market }, backtests) {
+  if (backtests.length === 0) {
+    return;
+  }
+  const now = new Date();
+  await getCollection().bulkWrite(backtests.map(({ model, horizonDays, mape, mae, samples }) => ({
+    updateOne: {
+      filter: { commodity, market: market || null, model, horizonDays },
+      update: {
+        $set: { mape, mae, samples, reliability: describeReliability(mape), evaluatedAt: now },
+        $setOnInsert: { createdAt: now }
+      },
+      upsert: true
+    }
+  })), { ordered: false });
+}
+
+/**
+ * Stored backtest results for a commodity/market, most accurate first
+ * @returns {Promise<Array<Object>>}
+ */
+async function getBacktests({ commodity, market }) {
+  return getCollection()
+    .find({ commodity, market: market || null }, { projection: { _id: 0 } })
+    .sort({ horizonDays: 1, mape: 1 })
+    .toArray();
+}
+
+module.exports = {
+  FORECAST_HORIZONS,
+  HISTORY_DAYS,
+  MODEL_NAMES,
+  initForecastBacktestsCollection,
+  buildDailySeries,
+  backtestModel,
+  describeReliability,
+  forecastPrices,
+  saveBacktests,
+  getBacktests
+};
@@ -0,0 +1,104 @@
+const ROLES = {
+  FARMER: 'farmer',
+  EXTENSION_OFFICER: 'extension_officer',
+  ADMIN: 'admin'
+};
+
+const VALID_ROLES = Object.values(ROLES);
+
+function parseList(value) {
+  return (value || '')
+    .split(',')
+    .map((item) => item.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+// Emails listed in ADMIN_EMAILS are always treated as admins so a fresh deployment can bootstrap roles
+function getBootstrapAdminEmails() {
+  return parseList(process.env.ADMIN_EMAILS);
+}
+
+function getUserRoles(user) {
+  if (!user) {
+    return [];
+  }
+  const roles = new Set(
+    (Array.isArray(user.roles) ? user.roles : []).filter((role) => VALID_ROLES.includes(role))
+  );
+  if (roles.size === 0) {
+    roles.add(ROLES.FARMER);
+  }
+  if (user.email && getBootstrapAdminEmails().includes(user.email.toLowerCase())) {
+    roles.add(ROLES.ADMIN);
+  }
+  return [...roles];
+}
+
+function hasRole(user, ...roles) {
+  const userRoles = getUserRoles(user);
+  return roles.some((role) => userRoles.includes(role));
+}
+
+function normalizeDistrict(value) {
+  return typeof value === 'string' ? value.trim().toLowerCase() : '';
+}
+
+function getAssignedDistricts(user) {
+  if (!Array.isArray(user?.assignedDistricts)) {
+    return [];
+  }
+  return user.assignedDistricts.map(normalizeDistrict).filter(Boolean);
+}
+
+// Farmers store either an explicit district or a free-text "City, State" location
+function getFarmerDistrict(farmer) {
+  if (!farmer) {
+    return '';
+  }
+  if (farmer.district) {
+    return normalizeDistrict(farmer.district);
+  }
+  if (typeof farmer.location === 'string') {
+    return normalizeDistrict(farmer.location.split(',')[0]);
+  }
+  return '';
+}
+
+function canReadFarmerAsStaff(user, farmer) {
+  if (hasRole(user, ROLES.ADMIN)) {
+    return true;
+  }
+  if (!farmer || !hasRole(user, ROLES.EXTENSION_OFFICER)) {
+    return false;
+  }
+  const district = getFarmerDistrict(farmer);
+  return Boolean(district) && getAssignedDistricts(user).includes(district);
+}
+
+// Route-level guard; must run after authenticate so req.user is populated
+function requireRole(...roles) {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        error: { code: 'SESSION_NOT_FOUND', message: 'Authentication required' }
+      });
+    }
+    if (!hasRole(req.user, ...roles)) {
+      return res.status(403).json({
+        error: { code: 'FORBIDDEN', message: 'You do not have permission to perform this action' }
+      });
+    }
+    return next();
+  };
+}
+
+module.exports = {
+  ROLES,
+  VALID_ROLES,
+  getUserRoles,
+  hasRole,
+  getAssignedDistricts,
+  getFarmerDistrict,
+  canReadFarmerAsStaff,
+  requireRole
+};
@@ -0,0 +1,392 @@
+const { ObjectId } = require('mongodb');
+
+/**
+ * Scheme applications a farmer is tracking (`scheme_applications`).
+ *
+ * An application follows one scheme through
+ *   draft -> submitted -> verified -> sanctioned -> disbursed
+ * and can end as `rejected` (after submission) or `withdrawn` (before verification).
+ * Every change is appended to `history`. The document checklist starts from the
+ * scheme's `requiredDocuments` (or the usual KYC set) and farmers can add their own.
+ *
+ * Applications in one of the OPEN_STATUSES carry `open: true`, unset when they close; a
+ * partial unique index on it allows one open application per scheme and farmer.
+ *
+ * `deadline` is copied from the scheme's `endDate`; the Scheme Application Reminders job
+ * (jobs/scheme-application-reminders.js) reminds farmers of drafts as it approaches.
+ */
+
+const COLLECTION_NAME = 'scheme_applications';
+let applicationsCollection;
+
+const APPLICATION_STATUSES = ['draft', 'submitted', 'verified', 'sanctioned', 'disbursed', 'rejected', 'withdrawn'];
+const STATUS_TRANSITIONS = {
+  draft: ['submitted', 'withdrawn'],
+  submitted: ['verified', 'rejected', 'withdrawn'],
+  verified: ['sanctioned', 'rejected'],
+  sanctioned: ['disbursed', 'rejected'],
+  disbursed: [],
+  rejected: [],
+  withdrawn: []
+};
+// Statuses where the farmer is still working on or waiting for the application
+const OPEN_STATUSES = ['draft', 'submitted', 'verified', 'sanctioned'];
+const DOCUMENT_STATUSES = ['pending', 'ready', 'submitted'];
+const MAX_DOCUMENTS = 30;
+const MAX_TEXT_LENGTH = 500;
+
+// Asked for by almost every central and state scheme
+const DEFAULT_DOCUMENTS = [
+  { key: 'aadhaar', name: 'Aadhaar card' },
+  { key: 'bank_passbook', name: 'Bank passbook (Aadhaar-linked account)' },
+  { key: 'land_records', name: 'Land records (7/12 extract or khatauni)' },
+  { key: 'photo', name: 'Passport-size photo' }
+];
+
+async function safelyCreateIndex(collection, keys, options) {
+  try {
+    await collection.createIndex(keys, options);
+  } catch (error) {
+    const label = JSON.stringify({ keys, options });
+    console.warn(`Scheme applications index creation skipped: ${label}`, error.message);
+  }
+}
+
+function getCollection() {
+  if (!applicationsCollection) {
+    throw new Error('Scheme applications collection not initialized');
+  }
+  return applicationsCollection;
+}
+
+async function initSchemeApplicationsCollection(db) {
+  const collection = db.collection(COLLECTION_NAME);
+  applicationsCollection = collection;
+
+  await safelyCreateIndex(collection, { userId: 1, updatedAt: -1 }, { background: true });
+  // Superseded by the unique index below
+  await collection.dropIndex('userId_1_schemeId_1').catch(() => {});
+  // Applications created before `open` existed
+  await collection.updateMany(
+    { status: { $in: OPEN_STATUSES }, open: { $exists: false } },
+    { $set: { open: true } }
+  );
+  // One open application per scheme and farmer, also under concurrent requests
+  await safelyCreateIndex(collection, { userId: 1, schemeId: 1 }, {
+    name: 'userId_1_schemeId_1_open',
+    unique: true,
+    partialFilterExpression: { open: true },
+    background: true
+  });
+  await safelyCreateIndex(collection, { status: 1, deadline: 1 }, { background: true });
+
+  return collection;
+}
+
+function cleanText(value) {
+  return typeof value === 'string' ? value.trim().slice(0, MAX_TEXT_LENGTH) : '';
+}
+
+function documentKey(name) {
+  return name.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '').slice(0, 50);
+}
+
+/**
+ * Checklist for a new application
+ * @param {Object} scheme - schemes document; `requiredDocuments` is a list of names
+ * @returns {Array<Object>}
+ */
+function buildDocumentChecklist(scheme = {}, now = new Date()) {
+  const names = Array.isArray(scheme.requiredDocuments)
+    ? scheme.requiredDocuments.map(cleanText).filter(Boolean)
+    : [];
+  const base = names.length > 0
+    ? names.map((name) => ({ key: documentKey(name), name }))
+    : DEFAULT_DOCUMENTS;
+  return base.map((document) => ({ ...document, required: true, status: 'pending', note: '', updatedAt: now }));
+}
+
+/**
+ * Validate checklist changes: `[{ key, status, note }]` updates an item,
+ * `[{ name, status?, note? }]` without a known key adds an optional item
+ * @param {Array<Object>} input
+ * @returns {{value: Array<Object>}|{error: string}}
+ */
+function validateDocumentUpdates(input) {
+  if (!Array.isArray(input) || input.length === 0 || input.length > MAX_DOCUMENTS) {
+    return { error: `documents must be a list of 1 to ${MAX_DOCUMENTS} items` };
+  }
+  const value = [];
+  for (const item of input) {
+    const name = cleanText(item?.name);
+    const key = typeof item?.key === 'string' && item.key.trim() ? item.key.trim() : name ? documentKey(name) : '';
+    if (!key) {
+      return { error: 'Each document needs a key or a name' };
+    }
+    if (item.status !== undefined && !DOCUMENT_STATUSES.includes(item.status)) {
+      return { error: `Document status must be one of ${DOCUMENT_STATUSES.join(', ')}` };
+    }
+    value.push({
+      key,
+      ...(name ? { name } : {}),
+      ...(item.status !== undefined ? { status: item.status } : {}),
+      ...(item.note !== undefined ? { note: cleanText(item.note) } : {})
+    });
+  }
+  return { value };
+}
+
+function applyDocumentUpdates(documents, updates, now = new Date()) {
+  const merged = documents.map((document) => ({ ...document }));
+  for (const update of updates) {
+    const existing = merged.find((document) => document.key === update.key);
+    if (existing) {
+      Object.assign(existing, update, { updatedAt: now });
+    } else {
+      merged.push({
+        key: update.key,
+        name: update.name || update.key,
+        required: false,
+        status: update.status || 'pending',
+        note: update.note || '',
+        updatedAt: now
+      });
+    }
+  }
+  return merged.slice(0, MAX_DOCUMENTS);
+}
+
+function pendingRequiredDocuments(application) {
+  return (application.documents || []).filter((document) => document.required && document.status === 'pending');
+}
+
+function formatApplicationResponse(application) {
+  return {
+    id: application._id.toString(),
+    schemeId: application.schemeId.toString(),
+    schemeTitle: application.schemeTitle,
+    status: application.status,
+    referenceNumber: application.referenceNumber || null,
+    notes: application.notes || '',
+    documents: (application.documents || []).map(({ key, name, required, status, note, updatedAt }) => ({
+      key, name, required, status, note, updatedAt
+    })),
+    pendingDocuments: pendingRequiredDocuments(application).length,
+    deadline: application.deadline || null,
+    submittedAt: application.submittedAt || null,
+    sanctionedAmount: application.sanctionedAmount ?? null,
+    disbursedAmount: application.disbursedAmount ?? null,
+    history: (application.history || []).map(({ from, to, at, note }) => ({ from, to, at, note })),
+    createdAt: application.createdAt,
+    updatedAt: application.updatedAt
+  };
+}
+
+function applicationFilter(userId, applicationId) {
+  if (!ObjectId.isValid(applicationId)) {
+    return null;
+  }
+  return { _id: new ObjectId(applicationId), userId };
+}
+
+/**
+ * Start an application for a scheme
+ * @returns {Promise<{application: Object}|{existing: Object}>} `existing` when one is already open
+ */
+async function createSchemeApplication(userId, scheme, { notes } = {}) {
+  const collection = getCollection();
+  const existing = await collection.findOne({ userId, schemeId: scheme._id, open: true });
+  if (existing) {
+    return { existing };
+  }
+
+  const now = new Date();
+  const application = {
+    userId,
+    schemeId: scheme._id,
+    schemeTitle: scheme.title,
+    status: 'draft',
+    open: true,
+    referenceNumber: null,
+    notes: cleanText(notes),
+    documents: buildDocumentChecklist(scheme, now),
+    deadline: scheme.endDate || null,
+    remindersSent: [],
+    history: [{ from: null, to: 'draft', at: now, note: '' }],
+    createdAt: now,
+    updatedAt: now
+  };
+  try {
+    const result = await collection.insertOne(application);
+    application._id = result.insertedId;
+  } catch (error) {
+    // A concurrent request opened one first
+    if (error.code === 11000) {
+      const raced = await collection.findOne({ userId, schemeId: scheme._id, open: true });
+      if (raced) {
+        return { existing: raced };
+      }
+    }
+    throw error;
+  }
+  return { application };
+}
+
+async function listSchemeApplications(userId, { status } = {}) {
+  const query = { userId };
+  if (status) {
+    query.status = status;
+  }
+  return getCollection().find(query).sort({ updatedAt: -1 }).limit(100).toArray();
+}
+
+async function getSchemeApplication(userId, applicationId) {
+  const filter = applicationFilter(userId, applicationId);
+  return filter ? getCollection().findOne(filter) : null;
+}
+
+const APPLICATION_CLOSED = {
+  code: 'APPLICATION_CLOSED',
+  error: 'Disbursed, rejected and withdrawn applications can no longer be changed'
+};
+
+/**
+ * Update notes, reference number or the document checklist of an open application
+ * @param {Object} changes - { notes, referenceNumber, documents: validated updates }
+ * @returns {Promise<{application: Object}|{error: string, code: string}|null>} null when not found
+ */
+async function updateSchemeApplication(userId, applicationId, changes) {
+  const application = await getSchemeApplication(userId, applicationId);
+  if (!application) {
+    return null;
+  }
+  if (!OPEN_STATUSES.includes(application.status)) {
+    return APPLICATION_CLOSED;
+  }
+  const now = new Date();
+  const update = { updatedAt: now };
+  if (changes.notes !== undefined) {
+    update.notes = cleanText(changes.notes);
+  }
+  if (changes.referenceNumber !== undefined) {
+    update.referenceNumber = cleanText(changes.referenceNumber) || null;
+  }
+  if (changes.documents) {
+    update.documents = applyDocumentUpdates(application.documents || [], changes.documents, now);
+  }
+  const updated = await getCollection().findOneAndUpdate(
+    { _id: application._id, status: { $in: OPEN_STATUSES } },
+    { $set: update },
+    { returnDocument: 'after' }
+  );
+  if (!updated) {
+    // Closed by a status change in the meantime
+    return APPLICATION_CLOSED;
+  }
+  return { application: updated };
+}
+
+/**
+ * Move an application to its next status
+ * @param {Object} change - { status, note, referenceNumber, amount }
+ * @returns {Promise<{application: Object}|{error: string, code: string}|null>} null when not found
+ */
+async function changeSchemeApplicationStatus(userId, applicationId, { status, note, referenceNumber, amount }) {
+  const application = await getSchemeApplication(userId, applicationId);
+  if (!application) {
+    return null;
+  }
+  if (!STATUS_TRANSITIONS[application.status]?.includes(status)) {
+    return { code: 'INVALID_TRANSITION', error: `Cannot move an application from ${application.status} to ${status}` };
+  }
+  if (status === 'submitted') {
+    const pending = pendingRequiredDocuments(application);
+    if (pending.length > 0) {
+      return {
+        code: 'DOCUMENTS_INCOMPLETE',
+        error: `Required documents still pending: ${pending.map((document) => document.name).join(', ')}`
+      };
+    }
+  }
+
+  const now = new Date();
+  const update = { status, updatedAt: now };
+  const reference = cleanText(referenceNumber);
+  if (reference) {
+    update.referenceNumber = reference;
+  }
+  if (status === 'submitted') {
+    update.submittedAt = now;
+  }
+  if (typeof amount === 'number' && (status === 'sanctioned' || status === 'disbursed')) {
+    update[status === 'sanctioned' ? 'sanctionedAmount' : 'disbursedAmount'] = amount;
+  }
+
+  // Matching on the current status keeps two concurrent changes from both applying
+  const updated = await getCollection().findOneAndUpdate(
+    { _id: application._id, status: application.status },
+    {
+      $set: update,
+      $push: { history: { from: application.status, to: status, at: now, note: cleanText(note) } },
+      ...(OPEN_STATUSES.includes(status) ? {} : { $unset: { open: '' } })
+    },
+    { returnDocument: 'after' }
+  );
+  if (!updated) {
+    return { code: 'INVALID_TRANSITION', error: 'The application changed in the meantime; reload and try again' };
+  }
+  return { application: updated };
+}
+
+/**
+ * Hand a merged-away user's applications to the account they were merged into. Where both
+ * accounts have an open application for the same scheme, the moved one is withdrawn so the
+ * target keeps a single open application.
+ * @returns {Promise<number>} Number of applications moved
+ */
+async function moveSchemeApplications(fromUserId, toUserId) {
+  const collection = getCollection();
+  const targetOpenSchemeIds = await collection.distinct('schemeId', { userId: toUserId, open: true });
+  if (targetOpenSchemeIds.length > 0) {
+    const duplicates = await collection
+      .find({ userId: fromUserId, schemeId: { $in: targetOpenSchemeIds }, open: true })
+      .toArray();
+    const now = new Date();
+    for (const duplicate of duplicates) {
+      await collection.updateOne(
+        { _id: duplicate._id },
+        {
+          $set: { status: 'withdrawn', updatedAt: now },
+          $unset: { open: '' },
+          $push: { history: { from: duplicate.status, to: 'withdrawn', at: now, note: 'Duplicate of an application in the merged account' } }
+        }
+      );
+    }
+  }
+
+  const result = await collection.updateMany(
+    { userId: fromUserId },
+    { $set: { userId: toUserId, updatedAt: new Date() } }
+  );
+  return result.modifiedCount;
+}
+
+module.exports = {
+  COLLECTION_NAME,
+  APPLICATION_STATUSES,
+  STATUS_TRANSITIONS,
+  OPEN_STATUSES,
+  DOCUMENT_STATUSES,
+  initSchemeApplicationsCollection,
+  buildDocumentChecklist,
+  validateDocumentUpdates,
+  applyDocumentUpdates,
+  pendingRequiredDocuments,
+  formatApplicationResponse,
+  createSchemeApplication,
+  listSchemeApplications,
+  getSchemeApplication,
+  updateSchemeApplication,
+  changeSchemeApplicationStatus,
+  moveSchemeApplications
+};
@@ -0,0 +1,337 @@
+const { normalizeName } = require('./jobs/mandi-price-sources');
+const { getFarmerDistrict } = require('./roles');
+const { extractCrops } = require('./farmer-profile');
+
+/**
+ * Machine-readable scheme eligibility.
+ *
+ * A scheme's `eligibilityRules` lists the conditions a farmer must meet; every field is
+ * optional and an empty rule set matches everyone:
+ *   {
+ *     landSizeHectares: { min, max },   // inclusive bounds
+ *     crops: ['Cotton', ...],           // grows at least one of them
+ *     states: ['Maharashtra', ...],
+ *     districts: ['Pune', ...],
+ *     farmerCategories: ['marginal', 'small', ...],
+ *     landTenure: ['owner', 'tenant', 'sharecropper']
+ *   }
+ * The free-text `eligibility` sentence stays for display. Older schemes without rules
+ * fall back to their `location` ("all" or a place name).
+ *
+ * Each check passes, fails, or is unknown when the farmer's profile lacks the fact it
+ * needs, and every outcome carries a reason that can be shown to the farmer.
+ */
+
+// Agriculture Census land holding classes, in hectares (upper bound exclusive)
+const FARMER_CATEGORIES = [
+  { name: 'marginal', maxHectares: 1 },
+  { name: 'small', maxHectares: 2 },
+  { name: 'semi_medium', maxHectares: 4 },
+  { name: 'medium', maxHectares: 10 },
+  { name: 'large', maxHectares: Infinity }
+];
+const LAND_TENURES = ['owner', 'tenant', 'sharecropper'];
+const HECTARES_PER_ACRE = 0.404686;
+const MAX_RULE_VALUES = 100;
+
+// Farmer fields getFarmerFacts reads, for projecting profiles down to what evaluation needs
+const FARMER_FACT_FIELDS = ['landSize', 'crops', 'state', 'district', 'location', 'farmerCategory', 'landTenure'];
+
+const ELIGIBILITY_STATUS = {
+  ELIGIBLE: 'eligible',
+  INELIGIBLE: 'ineligible',
+  // No rule failed, but the profile is missing facts some rules need
+  INCOMPLETE: 'incomplete'
+};
+
+function normalizePlace(value) {
+  return typeof value === 'string' ? value.replace(/\s+/g, ' ').trim().toLowerCase() : '';
+}
+
+/**
+ * Land size in hectares. Profiles store a number or text such as "5 acres" or "2 ha";
+ * bare numbers are acres, the unit farmers give in the app.
+ * @param {number|string} landSize
+ * @returns {number|null}
+ */
+function parseLandSizeHectares(landSize) {
+  if (typeof landSize === 'number') {
+    return Number.isFinite(landSize) && landSize >= 0 ? landSize * HECTARES_PER_ACRE : null;
+  }
+  if (typeof landSize !== 'string') {
+    return null;
+  }
+  const match = landSize.trim().toLowerCase().match(/^(\d+(?:\.\d+)?)\s*([a-z]*)/);
+  if (!match) {
+    return null;
+  }
+  const amount = Number(match[1]);
+  const unit = match[2];
+  if (['ha', 'hectare', 'hectares'].includes(unit)) {
+    return amount;
+  }
+  if (['', 'ac', 'acre', 'acres'].includes(unit)) {
+    return amount * HECTARES_PER_ACRE;
+  }
+  return null;
+}
+
+function categoryForHectares(hectares) {
+  return FARMER_CATEGORIES.find((category) => hectares < category.maxHectares).name;
+}
+
+/**
+ * The facts about a farmer profile that eligibility rules look at
+ * @param {Object} farmer - farmers document
+ * @returns {{landHectares: number|null, crops: Array<string>, state: string, district: string,
+ *   category: string|null, landTenure: string|null, location: string}}
+ */
+function getFarmerFacts(farmer = {}) {
+  const landHectares = parseLandSizeHectares(farmer.landSize);
+  const location = typeof farmer.location === 'string' ? farmer.location : '';
+  const locationParts = location.split(',').map(normalizePlace).filter(Boolean);
+  const explicitCategory = normalizePlace(farmer.farmerCategory);
+  const tenure = normalizePlace(farmer.landTenure);
+
+  return {
+    landHectares,
+    crops: extractCrops(farmer.crops),
+    // "City, State" locations carry the state last
+    state: normalizePlace(farmer.state) || (locationParts.length > 1 ? locationParts[locationParts.length - 1] : ''),
+    district: getFarmerDistrict(farmer),
+    category: FARMER_CATEGORIES.some((category) => category.name === explicitCategory)
+      ? explicitCategory
+      : landHectares === null ? null : categoryForHectares(landHectares),
+    landTenure: LAND_TENURES.includes(tenure) ? tenure : null,
+    location: normalizePlace(location)
+  };
+}
+
+function validateList(input, field, { allowed, normalize } = {}) {
+  if (!Array.isArray(input) || input.length === 0 || input.length > MAX_RULE_VALUES) {
+    return { error: `eligibilityRules.${field} must be a list of 1 to ${MAX_RULE_VALUES} values` };
+  }
+  const values = input.map((value) => (typeof value === 'string' ? normalize(value) : null));
+  if (values.some((value) => !value || (allowed && !allowed.includes(value)))) {
+    return {
+      error: allowed
+        ? `eligibilityRules.${field} must only contain ${allowed.join(', ')}`
+        : `eligibilityRules.${field} must only contain names`
+    };
+  }
+  return { value: [...new Set(values)] };
+}
+
+/**
+ * Validate and normalize a scheme's eligibility rules
+ * @param {Object} input - Rules from the request body
+ * @returns {{value: Object}|{error: string}}
+ */
+function validateEligibilityRules(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { error: 'eligibilityRules must be an object' };
+  }
+  const value = {};
+
+  if (input.landSizeHectares !== undefined) {
+    const { min, max } = input.landSizeHectares || {};
+    const isBound = (bound) => bound === undefined || (typeof bound === 'number' && Number.isFinite(bound) && bound >= 0);
+    if (!isBound(min) || !isBound(max) || (min === undefined && max === undefined) || (min !== undefined && max !== undefined && min > max)) {
+      return { error: 'eligibilityRules.landSizeHectares needs a non-negative min and/or max, with min <= max' };
+    }
+    value.landSizeHectares = { ...(min !== undefined ? { min } : {}), ...(max !== undefined ? { max } : {}) };
+  }
+
+  const lists = [
+    ['crops', { normalize: normalizeName }],
+    ['states', { normalize: normalizePlace }],
+    ['districts', { normalize: normalizePlace }],
+    ['farmerCategories', { normalize: normalizePlace, allowed: FARMER_CATEGORIES.map((category) => category.name) }],
+    ['landTenure', { normalize: normalizePlace, allowed: LAND_TENURES }]
+  ];
+  for (const [field, options] of lists) {
+    if (input[field] !== undefined) {
+      const list = validateList(input[field], field, options);
+      if (list.error) return list;
+      value[field] = list.value;
+    }
+  }
+
+  return { value };
+}
+
+/**
+ * Rules to evaluate for a scheme; schemes published before rules existed only have `location`
+ */
+function getSchemeRules(scheme = {}) {
+  if (scheme.eligibilityRules) {
+    return scheme.eligibilityRules;
+  }
+  const location = normalizePlace(scheme.location);
+  return location && location !== 'all' ? { location } : {};
+}
+
+function listText(values) {
+  return values.join(', ');
+}
+
+const checks = {
+  location: (location, facts) => {
+    if (!facts.location && !facts.state && !facts.district) {
+      return { passed: null, reason: 'Add your location to the profile' };
+    }
+    const passed = [facts.location, facts.state, facts.district].some((place) => place && place.includes(location));
+    return { passed, reason: passed ? `Located in ${location}` : `Only for farmers in ${location}` };
+  },
+  landSizeHectares: ({ min, max }, facts) => {
+    if (facts.landHectares === null) {
+      return { passed: null, reason: 'Add your land size to the profile' };
+    }
+    const size = Math.round(facts.landHectares * 100) / 100;
+    if (min !== undefined && facts.landHectares < min) {
+      return { passed: false, reason: `Needs at least ${min} ha of land; you have ${size} ha` };
+    }
+    if (max !== undefined && facts.landHectares > max) {
+      return { passed: false, reason: `Only for up to ${max} ha of land; you have ${size} ha` };
+    }
+    return { passed: true, reason: `Your ${size} ha of land is within the limit` };
+  },
+  crops: (crops, facts) => {
+    if (facts.crops.length === 0) {
+      return { passed: null, reason: 'Add your crops to the profile' };
+    }
+    const grown = facts.crops.filter((crop) => crops.includes(crop));
+    return grown.length > 0
+      ? { passed: true, reason: `You grow ${listText(grown)}` }
+      : { passed: false, reason: `Only for farmers growing ${listText(crops)}` };
+  },
+  states: (states, facts) => {
+    if (!facts.state) {
+      return { passed: null, reason: 'Add your state to the profile' };
+    }
+    return states.includes(facts.state)
+      ? { passed: true, reason: `Available in ${facts.state}` }
+      : { passed: false, reason: `Only for farmers in ${listText(states)}` };
+  },
+  districts: (districts, facts) => {
+    if (!facts.district) {
+      return { passed: null, reason: 'Add your district to the profile' };
+    }
+    return districts.includes(facts.district)
+      ? { passed: true, reason: `Available in ${facts.district} district` }
+      : { passed: false, reason: `Only for farmers in ${listText(districts)} district` };
+  },
+  farmerCategories: (categories, facts) => {
+    if (!facts.category) {
+      return { passed: null, reason: 'Add your land size or farmer category to the profile' };
+    }
+    return categories.includes(facts.category)
+      ? { passed: true, reason: `Open to ${facts.category} farmers` }
+      : { passed: false, reason: `Only for ${listText(categories)} farmers` };
+  },
+  landTenure: (tenures, facts) => {
+    if (!facts.landTenure) {
+      return { passed: null, reason: 'Add whether you own or rent your land to the profile' };
+    }
+    return tenures.includes(facts.landTenure)
+      ? { passed: true, reason: `Open to land ${facts.landTenure}s` }
+      : { passed: false, reason: `Only for land ${listText(tenures.map((tenure) => `${tenure}s`))}` };
+  }
+};
+
+function escapeRegex(value) {
+  return String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// A normalized rule value, matched case-insensitively with any run of whitespace between words
+function namePattern(value) {
+  return value.trim().split(/\s+/).map(escapeRegex).join('\\s+');
+}
+
+// No usable text in the field, so the check would come out unknown rather than failed
+const BLANK = { $not: /\S/ };
+
+/**
+ * Mongo filter narrowing farmers to those a scheme's state, district and crop rules could
+ * match. It errs towards including: a farmer missing the fact a rule needs is kept (they
+ * come out incomplete), and evaluateEligibility still decides for every farmer returned.
+ * @param {Object} scheme - schemes document
+ * @returns {Object} MongoDB filter for the farmers collection
+ */
+function buildEligibleFarmersQuery(scheme) {
+  const rules = getSchemeRules(scheme);
+  const clauses = [];
+
+  if (rules.states) {
+    const patterns = rules.states.map((state) => new RegExp(`^\\s*${namePattern(state)}\\s*$`, 'i'));
+    // Without a state field, the state comes from the end of `location`
+    clauses.push({ $or: [{ state: { $in: patterns } }, { state: BLANK }] });
+  }
+
+  if (rules.districts) {
+    const patterns = rules.districts.map((district) => new RegExp(`^\\s*${namePattern(district)}\\s*$`, 'i'));
+    // Without a district field, the district is the first part of `location`
+    const locationPatterns = rules.districts.map((district) => new RegExp(`^\\s*${namePattern(district)}\\s*(,|$)`, 'i'));
+    clauses.push({
+      $or: [
+        { district: { $in: patterns } },
+        { district: BLANK, $or: [{ location: { $in: [...locationPatterns, /^\s*(,|$)/] } }, { location: BLANK }] }
+      ]
+    });
+  }
+
+  if (rules.crops) {
+    // Crops are a comma-separated string or a list of names or { name } / { crop } entries
+    const patterns = rules.crops.map((crop) => new RegExp(`(^|,)\\s*${namePattern(crop)}\\s*(,|$)`, 'i'));
+    clauses.push({
+      $or: [
+        { crops: { $in: patterns } },
+        { 'crops.name': { $in: patterns } },
+        { 'crops.crop': { $in: patterns } },
+        { crops: null },
+        { crops: /^[\s,]*$/ },
+        { crops: { $not: { $type: ['string', 'array'] } } },
+        { crops: { $type: 'array' }, $nor: [{ crops: /\S/ }, { 'crops.name': /\S/ }, { 'crops.crop': /\S/ }] }
+      ]
+    });
+  }
+
+  if (clauses.length === 0) return {};
+  return clauses.length === 1 ? clauses[0] : { $and: clauses };
+}
+
+/**
+ * Evaluate a scheme's eligibility rules against a farmer profile
+ * @param {Object} scheme - schemes document
+ * @param {Object} farmer - farmers document
+ * @returns {{status: string, eligible: boolean, checks: Array<{rule: string, passed: boolean|null, reason: string}>}}
+ */
+function evaluateEligibility(scheme, farmer) {
+  const rules = getSchemeRules(scheme);
+  const facts = getFarmerFacts(farmer);
+  const results = Object.keys(checks)
+    .filter((rule) => rules[rule] !== undefined)
+    .map((rule) => ({ rule, ...checks[rule](rules[rule], facts) }));
+
+  let status = ELIGIBILITY_STATUS.ELIGIBLE;
+  if (results.some((result) => result.passed === false)) {
+    status = ELIGIBILITY_STATUS.INELIGIBLE;
+  } else if (results.some((result) => result.passed === null)) {
+    status = ELIGIBILITY_STATUS.INCOMPLETE;
+  }
+
+  return { status, eligible: status === ELIGIBILITY_STATUS.ELIGIBLE, checks: results };
+}
+
+module.exports = {
+  FARMER_CATEGORIES,
+  LAND_TENURES,
+  ELIGIBILITY_STATUS,
+  FARMER_FACT_FIELDS,
+  parseLandSizeHectares,
+  getFarmerFacts,
+  validateEligibilityRules,
+  getSchemeRules,
+  buildEligibleFarmersQuery,
+  evaluateEligibility
+};
@@ -0,0 +1,267 @@
+const { ObjectId } = require('mongodb');
+const { normalizeName } = require('./jobs/mandi-price-sources');
+const { ELIGIBILITY_STATUS, evaluateEligibility } = require('./scheme-eligibility');
+
+/**
+ * The `schemes` catalogue: government schemes published by admins (POST /schemes) or
+ * found by the Scheme Watcher job, searchable through /schemes.
+ *
+ * A scheme is active from `startDate` (none: already open) until `endDate` (none:
+ * open-ended). Feed-ingested schemes keep their earlier content in `scheme_versions`.
+ * Ranking by benefit uses `benefitAmount` (rupees per year) when set, otherwise the
+ * amount named in the `benefits` text.
+ */
+
+const COLLECTION_NAME = 'schemes';
+const SCHEME_VERSIONS_COLLECTION = 'scheme_versions';
+let schemesCollection;
+let schemeVersionsCollection;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Deadlines this close are highlighted to farmers
+const CLOSING_SOON_DAYS = 30;
+// Active schemes a single eligibility check looks at
+const MAX_SCHEMES_EVALUATED = 500;
+
+async function safelyCreateIndex(collection, keys, options) {
+  try {
+    await collection.createIndex(keys, options);
+  } catch (error) {
+    const label = JSON.stringify({ keys, options });
+    console.warn(`Schemes index creation skipped: ${label}`, error.message);
+  }
+}
+
+function getCollection() {
+  if (!schemesCollection) {
+    throw new Error('Schemes collection not initialized');
+  }
+  return schemesCollection;
+}
+
+async function initSchemesCollection(db) {
+  const collection = db.collection(COLLECTION_NAME);
+  schemesCollection = collection;
+
+  await safelyCreateIndex(
+    collection,
+    { title: 'text', description: 'text', eligibility: 'text', benefits: 'text' },
+    { name: 'schemes_text', weights: { title: 10, benefits: 3, eligibility: 2, description: 1 }, background: true }
+  );
+  await safelyCreateIndex(collection, { startDate: 1, endDate: 1 }, { background: true });
+  await safelyCreateIndex(collection, { 'eligibilityRules.states': 1 }, { background: true });
+  await safelyCreateIndex(collection, { 'eligibilityRules.crops': 1 }, { background: true });
+  // "<source>|<upstream id>" of feed-ingested schemes
+  await safelyCreateIndex(collection, { externalKey: 1 }, { unique: true, sparse: true, background: true });
+
+  schemeVersionsCollection = db.collection(SCHEME_VERSIONS_COLLECTION);
+  await safelyCreateIndex(schemeVersionsCollection, { schemeId: 1, version: -1 }, { background: true });
+
+  return collection;
+}
+
+function escapeRegex(value) {
+  return String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function activeOnFilter(date) {
+  return {
+    $and: [
+      { $or: [{ startDate: null }, { startDate: { $lte: date } }] },
+      { $or: [{ endDate: null }, { endDate: { $gte: date } }] }
+    ]
+  };
+}
+
+/**
+ * Mongo query for the scheme list filters
+ * @param {Object} filters - { search, state, crop, activeOn: Date }
+ * @returns {Object}
+ */
+function buildSchemeQuery({ search, state, crop, activeOn } = {}) {
+  const clauses = [];
+
+  if (search) {
+    clauses.push({ $text: { $search: search } });
+  }
+  if (state) {
+    const normalizedState = state.trim().toLowerCase();
+    // Schemes without a state rule are national, or limited by their free-text location
+    clauses.push({
+      $or: [
+        { 'eligibilityRules.states': normalizedState },
+        {
+          'eligibilityRules.states': { $exists: false },
+          location: { $in: ['all', new RegExp(escapeRegex(state.trim()), 'i')] }
+        }
+      ]
+    });
+  }
+  if (crop) {
+    clauses.push({
+      $or: [{ 'eligibilityRules.crops': normalizeName(crop) }, { 'eligibilityRules.crops': { $exists: false } }]
+    });
+  }
+  if (activeOn) {
+    clauses.push(activeOnFilter(activeOn));
+  }
+
+  if (clauses.length === 0) return {};
+  return clauses.length === 1 ? clauses[0] : { $and: clauses };
+}
+
+/**
+ * Yearly benefit in rupees, for ranking. Reads "₹6000 per year", "Rs. 2,000 per month", ...
+ * @param {Object} scheme
+ * @returns {number|null}
+ */
+function getBenefitAmount(scheme = {}) {
+  if (typeof scheme.benefitAmount === 'number' && Number.isFinite(scheme.benefitAmount)) {
+    return scheme.benefitAmount;
+  }
+  if (typeof scheme.benefits !== 'string') {
+    return null;
+  }
+  const match = scheme.benefits.match(/(?:₹|rs\.?|inr)\s*([\d,]+(?:\.\d+)?)(\s*lakh)?/i);
+  if (!match) {
+    return null;
+  }
+  let amount = Number(match[1].replace(/,/g, '')) * (match[2] ? 100000 : 1);
+  if (/per\s+month|monthly/i.test(scheme.benefits)) {
+    amount *= 12;
+  }
+  return Number.isFinite(amount) ? amount : null;
+}
+
+/**
+ * Days left to apply; null for open-ended schemes
+ */
+function describeDeadline(scheme, now = new Date()) {
+  if (!scheme.endDate) {
+    return null;
+  }
+  const endDate = new Date(scheme.endDate);
+  const daysLeft = Math.ceil((endDate.getTime() - now.getTime()) / DAY_MS);
+  return {
+    endDate,
+    daysLeft,
+    closingSoon: daysLeft >= 0 && daysLeft <= CLOSING_SOON_DAYS,
+    closed: daysLeft < 0
+  };
+}
+
+function formatSchemeResponse(scheme, now = new Date()) {
+  return {
+    id: scheme._id.toString(),
+    title: scheme.title,
+    description: scheme.description,
+    eligibility: scheme.eligibility || '',
+    eligibilityRules: scheme.eligibilityRules || null,
+    location: scheme.location || 'all',
+    benefits: scheme.benefits || '',
+    benefitAmount: getBenefitAmount(scheme),
+    applicationProcess: scheme.applicationProcess || '',
+    startDate: scheme.startDate || null,
+    endDate: scheme.endDate || null,
+    deadline: describeDeadline(scheme, now),
+    requiredDocuments: scheme.requiredDocuments || [],
+    url: scheme.url || null,
+    source: scheme.source || null,
+    version: scheme.version || 1,
+    createdAt: scheme.createdAt || null,
+    updatedAt: scheme.updatedAt || scheme.createdAt || null
+  };
+}
+
+/**
+ * @param {Object} filters - See buildSchemeQuery
+ * @param {Object} page - { limit, offset }
+ * @returns {Promise<{schemes: Array, total: number}>}
+ */
+async function listSchemes(filters, { limit = 20, offset = 0 } = {}) {
+  const collection = getCollection();
+  const query = buildSchemeQuery(filters);
+  const sort = filters.search ? { score: { $meta: 'textScore' }, createdAt: -1 } : { createdAt: -1 };
+
+  const [schemes, total] = await Promise.all([
+    collection.find(query).sort(sort).skip(offset).limit(limit).toArray(),
+    collection.countDocuments(query)
+  ]);
+  return { schemes: schemes.map((scheme) => formatSchemeResponse(scheme)), total };
+}
+
+async function getScheme(schemeId) {
+  if (!ObjectId.isValid(schemeId)) {
+    return null;
+  }
+  return getCollection().findOne({ _id: new ObjectId(schemeId) });
+}
+
+/**
+ * Earlier versions of a scheme, newest first, with the fields that changed after each
+ * @param {ObjectId} schemeId
+ * @returns {Promise<Array<Object>>}
+ */
+async function listSchemeVersions(schemeId) {
+  if (!schemeVersionsCollection) {
+    throw new Error('Scheme versions collection not initialized');
+  }
+  const versions = await schemeVersionsCollection.find({ schemeId }).sort({ version: -1 }).toArray();
+  return versions.map((entry) => ({
+    version: entry.version,
+    content: entry.content,
+    changedFields: entry.changedFields || [],
+    supersededAt: entry.supersededAt
+  }));
+}
+
+function compareRanked(a, b) {
+  // Eligible before schemes that need a more complete profile
+  const aIncomplete = a.eligibility.status === ELIGIBILITY_STATUS.INCOMPLETE;
+  const bIncomplete = b.eligibility.status === ELIGIBILITY_STATUS.INCOMPLETE;
+  if (aIncomplete !== bIncomplete) return aIncomplete ? 1 : -1;
+  // Higher benefit first; unknown amounts last
+  const benefitDiff = (b.benefitAmount ?? -1) - (a.benefitAmount ?? -1);
+  if (benefitDiff !== 0) return benefitDiff;
+  // Sooner deadline first; open-ended last
+  return (a.deadline?.daysLeft ?? Infinity) - (b.deadline?.daysLeft ?? Infinity);
+}
+
+/**
+ * Schemes a farmer qualifies for, or could once their profile is complete, ranked by
+ * benefit, with each scheme's eligibility explanation and deadline
+ * @param {Array<Object>} schemes - schemes documents
+ * @param {Object} farmer - farmers document (or the user's profile)
+ * @param {Date} now
+ * @returns {Array<Object>}
+ */
+function rankEligibleSchemes(schemes, farmer, now = new Date()) {
+  return schemes
+    .map((scheme) => ({ ...formatSchemeResponse(scheme, now), eligibility: evaluateEligibility(scheme, farmer) }))
+    .filter((scheme) => scheme.eligibility.status !== ELIGIBILITY_STATUS.INELIGIBLE)
+    .sort(compareRanked);
+}
+
+async function listEligibleSchemes(farmer, now = new Date()) {
+  const schemes = await getCollection()
+    .find(activeOnFilter(now))
+    .sort({ endDate: 1 })
+    .limit(MAX_SCHEMES_EVALUATED)
+    .toArray();
+  return rankEligibleSchemes(schemes, farmer, now);
+}
+
+module.exports = {
+  CLOSING_SOON_DAYS,
+  SCHEME_VERSIONS_COLLECTION,
+  initSchemesCollection,
+  buildSchemeQuery,
+  getBenefitAmount,
+  describeDeadline,
+  formatSchemeResponse,
+  listSchemes,
+  getScheme,
+  listSchemeVersions,
+  rankEligibleSchemes,
+  listEligibleSchemes
+};
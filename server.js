@@ -14,15 +14,155 @@ const { logger, logDBOperation, logDBError } = require('./logger');
 const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
-const twilio = require('twilio'); // Twilio SDK
 const { generateSpeech } = require('./tts');
-const sgMail = require('@sendgrid/mail');
 const { ObjectId } = require('mongodb');
 const { OAuth2Client } = require('google-auth-library'); // Google OAuth verification
 const Groq = require('groq-sdk');
 const multer = require('multer');
 const { identifyPlant } = require('./plantnet_client');
+const { createSmsProvider, normalizePhoneNumber, phoneLookupVariants } = require('./sms-provider');
+const { createMailTransport } = require('./mail-transport');
+const { renderOtpEmail } = require('./otp-email-templates');
 const { spawn } = require('child_process');
+const archiver = require('archiver');
+const {
+  initAuthRateLimitCollection,
+  buildKey: buildRateLimitKey,
+  consumeRateLimit,
+  getResendCooldownMs,
+  getLockout,
+  recordFailure,
+  clearFailures
+} = require('./auth-rate-limit');
+const {
+  hashToken,
+  issueSessionTokens,
+  rotateRefreshToken,
+  revokeSessionByToken,
+  listActiveSessions,
+  revokeUserSession,
+  revokeAllUserSessions,
+  formatSessionResponse
+} = require('./sessions');
+const {
+  ROLES,
+  VALID_ROLES,
+  getUserRoles,
+  getAssignedDistricts,
+  canReadFarmerAsStaff,
+  requireRole
+} = require('./roles');
+const {
+  IDENTITY_PROVIDERS,
+  VALID_PROVIDERS,
+  buildIdentityKey,
+  createIdentity,
+  identityLookupQuery,
+  getUserIdentities,
+  getVerifiedPhones,
+  legacyFieldsUpdate,
+  formatIdentityResponse
+} = require('./identities');
+const { getFarmerProfileWriteError } = require('./farmer-profile');
+const {
+  ACCOUNT_DELETION_GRACE_DAYS,
+  buildUserDataFilters,
+  collectUserData,
+  getUserAlertsFilter
+} = require('./account-data');
+const { AUDIT_ACTIONS, initAuditLogCollection, recordAuditEvent, parseAuditFilters, queryAuditEvents } = require('./audit-log');
+const {
+  HISTORY_INTERVALS,
+  ensureMandiPriceIndexes,
+  upsertMandiPrices,
+  buildPriceHistoryPipeline,
+  buildDailyModalPipeline,
+  computePriceChanges
+} = require('./mandi-prices');
+const { normalizeName, normalizePriceRecord } = require('./jobs/mandi-price-sources');
+const {
+  DEFAULT_TRANSPORT_COST_PER_KM,
+  DEFAULT_RADIUS_KM,
+  MAX_RADIUS_KM,
+  MAX_NEARBY_MARKETS,
+  initMarketsCollection,
+  normalizeMarket,
+  upsertMarkets,
+  findNearbyMarkets
+} = require('./markets');
+const {
+  HISTORY_DAYS: FORECAST_HISTORY_DAYS,
+  initForecastBacktestsCollection,
+  forecastPrices,
+  saveBacktests
+} = require('./price-forecast');
+const {
+  MAX_RULES_PER_USER,
+  initPriceAlertCollections,
+  validatePriceAlertRule,
+  formatRuleResponse,
+  listPriceAlertRules,
+  createPriceAlertRule,
+  updatePriceAlertRule,
+  deletePriceAlertRule,
+  listPriceAlertTriggers
+} = require('./price-alert-rules');
+const {
+  initAlertsCollection,
+  listAlerts,
+  markAlertRead,
+  markAllAlertsRead,
+  dismissAlert,
+  formatAlertResponse
+} = require('./alerts');
+const {
+  initDeviceTokensCollection,
+  validateDeviceToken,
+  formatDeviceTokenResponse,
+  registerDeviceToken,
+  unregisterDeviceToken,
+  listDeviceTokens,
+  moveDeviceTokens
+} = require('./device-tokens');
+const {
+  MIN_MINUTES_BETWEEN_CALLS,
+  initVoiceCallsCollection,
+  getCallTokenSecret,
+  verifyCallToken,
+  gatherVoiceAlertContext,
+  createVoiceClient,
+  findRecentCall,
+  placeVoiceAlertCall,
+  findCallForToken,
+  buildVoiceTwiml,
+  recordCallStatus,
+  markScriptServed,
+  formatVoiceCallResponse
+} = require('./voice-alerts');
+const { buildVoiceScript } = require('./voice-alert-scripts');
+const { getWebhookBaseUrl, requireTwilioSignature } = require('./twilio-webhooks');
+const { FARMER_CATEGORIES, LAND_TENURES, validateEligibilityRules } = require('./scheme-eligibility');
+const {
+  CLOSING_SOON_DAYS,
+  initSchemesCollection,
+  formatSchemeResponse,
+  listSchemes,
+  getScheme,
+  listSchemeVersions,
+  listEligibleSchemes
+} = require('./schemes');
+const {
+  APPLICATION_STATUSES,
+  initSchemeApplicationsCollection,
+  validateDocumentUpdates,
+  formatApplicationResponse,
+  createSchemeApplication,
+  listSchemeApplications,
+  getSchemeApplication,
+  updateSchemeApplication,
+  changeSchemeApplicationStatus,
+  moveSchemeApplications
+} = require('./scheme-applications');
 
 
 
@@ -32,8 +172,11 @@ const {
   ensureUserContext,
   updateLocationAndWeather,
   appendChatMessage,
-  fetchUserContext
+  fetchUserContext,
+  mergeUserContext
 } = require('./user-context');
+const { buildFarmerSystemPrompt } = require('./farmer-llm-prompt');
+const { gatherChatContext } = require('./ai-chat-context');
 
 // Initialize Google OAuth client
 const googleClient = new OAuth2Client(
@@ -73,7 +216,7 @@ try {
 
 const app = express();
 const SESSION_COOKIE_NAME = 'session_token';
-const SESSION_DEFAULT_DAYS = Number(process.env.SESSION_TTL_DAYS || 30);
+const REFRESH_COOKIE_NAME = 'refresh_token';
 const SESSION_SECURE = process.env.NODE_ENV === 'production';
 
 // Global CORS (first middleware): either use cors package or manual implementation
@@ -83,7 +226,7 @@ if (cors) {
       origin: '*',
       methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
       allowedHeaders: ['Content-Type', 'Authorization', 'ngrok-skip-browser-warning'],
-      exposedHeaders: ['Content-Type'],
+      exposedHeaders: ['Content-Type', 'Retry-After'],
     })
   );
 } else {
@@ -108,6 +251,12 @@ app.options('*', (req, res) => {
 
 const PORT = process.env.PORT || 3001;
 
+// Behind Render/ngrok the client IP arrives in X-Forwarded-For; per-IP rate limits need it
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set('trust proxy', Number.isNaN(hops) ? process.env.TRUST_PROXY : hops);
+}
+
 app.use(express.json());
 app.use(cookieParser());
 
@@ -122,44 +271,65 @@ let sessionsCollection;
 let userMemoriesCollection;
 let otpCollection;
 let userContextCollection;
+let schemesCollection;
+let krushiMitraDb;
 
 const DEFAULT_MEMORY_SLICE = Number(process.env.AI_MEMORY_SLICE || 10);
 const MAX_MEMORY_ENTRIES = Number(process.env.AI_MEMORY_LIMIT || 200);
 const OTP_TTL_MINUTES = Number(process.env.OTP_TTL_MINUTES || 10);
 const OTP_MAX_ATTEMPTS = Number(process.env.OTP_MAX_ATTEMPTS || 3);
-
-async function persistOtpRecord(email, otp) {
+const OTP_RESEND_COOLDOWN_SECONDS = Number(process.env.OTP_RESEND_COOLDOWN_SECONDS || 60);
+const OTP_RATE_WINDOW_MS = Number(process.env.OTP_RATE_WINDOW_MINUTES || 60) * 60 * 1000;
+const OTP_SEND_LIMIT_PER_EMAIL = Number(process.env.OTP_SEND_LIMIT_PER_EMAIL || 5);
+const OTP_SEND_LIMIT_PER_PHONE = Number(process.env.OTP_SEND_LIMIT_PER_PHONE || 3);
+const OTP_SEND_LIMIT_PER_IP = Number(process.env.OTP_SEND_LIMIT_PER_IP || 20);
+const OTP_VERIFY_LIMIT_PER_IP = Number(process.env.OTP_VERIFY_LIMIT_PER_IP || 30);
+const OTP_LOCKOUT_THRESHOLD = Number(process.env.OTP_LOCKOUT_THRESHOLD || 5);
+const OTP_LOCKOUT_WINDOW_MS = Number(process.env.OTP_LOCKOUT_WINDOW_MINUTES || 30) * 60 * 1000;
+const OTP_LOCKOUT_MS = Number(process.env.OTP_LOCKOUT_MINUTES || 30) * 60 * 1000;
+
+// OTP records are keyed by the identifier they were sent to: an email address or an E.164 phone number
+async function persistOtpRecord(identifier, otp, channel = 'email') {
   if (!otpCollection) {
     throw new Error('OTP collection not initialized');
   }
   const now = new Date();
   const expiresAt = new Date(now.getTime() + OTP_TTL_MINUTES * 60 * 1000);
-  const otpHash = hashToken(`${email}:${otp}`);
+  const otpHash = hashToken(`${identifier}:${otp}`);
   await otpCollection.updateOne(
-    { email },
+    { identifier },
     {
       $set: {
+        channel,
         otpHash,
         expiresAt,
         attempts: 0,
         createdAt: now,
         lastAttemptAt: null
-      }
+      },
+      $unset: { sentAt: '' }
     },
     { upsert: true }
   );
 }
 
-async function fetchOtpRecord(email) {
+// The resend cooldown runs from sentAt, so it only starts once the provider accepted the message
+async function markOtpSent(identifier) {
+  if (otpCollection) {
+    await otpCollection.updateOne({ identifier }, { $set: { sentAt: new Date() } });
+  }
+}
+
+async function fetchOtpRecord(identifier) {
   if (!otpCollection) {
     return null;
   }
-  return otpCollection.findOne({ email });
+  return otpCollection.findOne({ identifier });
 }
 
-async function deleteOtpRecord(email) {
+async function deleteOtpRecord(identifier) {
   if (otpCollection) {
-    await otpCollection.deleteOne({ email });
+    await otpCollection.deleteOne({ identifier });
   }
 }
 
@@ -169,6 +339,7 @@ async function initializeCollections() {
   try {
     const client = await connectToDatabase('admin');
     const db = client.db("KrushiMitraDB");
+    krushiMitraDb = db;
 
     farmersCollection = db.collection('farmers');
     activitiesCollection = db.collection('activities');
@@ -179,18 +350,44 @@ async function initializeCollections() {
     weatherDataCollection = db.collection('weather_data');
     userMemoriesCollection = db.collection('user_memories');
     otpCollection = db.collection('otp_codes');
+    schemesCollection = await initSchemesCollection(db);
     userContextCollection = await initUserContextCollection(db);
+    await initAuthRateLimitCollection(db);
+    await initAuditLogCollection(db);
+    await initMarketsCollection(db);
+    await initForecastBacktestsCollection(db);
+    await initPriceAlertCollections(db);
+    await initAlertsCollection(db);
+    await initDeviceTokensCollection(db);
+    await initVoiceCallsCollection(db);
+    await initSchemeApplicationsCollection(db);
 
     await userMemoriesCollection.createIndex({ userKey: 1 }, { unique: true });
     await aiinteractionsCollection.createIndex({ userId: 1, timestamp: -1 });
-    await otpCollection.createIndex({ email: 1 }, { unique: true });
+    // Records used to be keyed by email only; OTPs live for minutes, so the old index and any
+    // leftover email-keyed codes can simply go (several of them would break the unique index)
+    await otpCollection.dropIndex('email_1').catch(() => { });
+    await otpCollection.deleteMany({ identifier: { $exists: false } });
+    await otpCollection.createIndex({ identifier: 1 }, { unique: true });
     await otpCollection.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+    await sessionsCollection.createIndex({ tokenHash: 1 }, { unique: true });
+    await sessionsCollection.createIndex({ refreshTokenHash: 1 }, { sparse: true });
+    await sessionsCollection.createIndex({ usedRefreshTokenHashes: 1 });
+    await sessionsCollection.createIndex({ userId: 1, revoked: 1, lastUsedAt: -1 });
+    await ensureMandiPriceIndexes(mandipricesCollection);
+    await usersCollection.createIndex({ roles: 1 });
+    await usersCollection.createIndex({ purgeAfter: 1 }, { sparse: true });
+    // Each login identity belongs to one user; users without identities yet are left out
+    await usersCollection.createIndex(
+      { 'identities.key': 1 },
+      { unique: true, partialFilterExpression: { 'identities.key': { $exists: true } } }
+    );
 
     const duration = Date.now() - startTime;
     logDBOperation('initializeCollections', {
       durationMs: duration,
       status: 'success',
-      collections: ['farmers', 'activities', 'mandiprices', 'aiinteractions', 'weather_data', 'sessions', 'user_memories', 'otp_codes', 'user_context']
+      collections: ['farmers', 'activities', 'mandiprices', 'aiinteractions', 'weather_data', 'sessions', 'user_memories', 'otp_codes', 'user_context', 'schemes', 'auth_rate_limits', 'audit_events', 'markets', 'forecast_backtests', 'price_alert_rules', 'price_alert_triggers', 'alerts', 'device_tokens', 'voice_calls', 'scheme_applications', 'scheme_versions']
     });
 
     logger.info('Database collections initialized', { durationMs: duration });
@@ -286,66 +483,205 @@ async function appendUserMemoryEntries(userKey, newEntries = []) {
   );
 }
 
-async function findUserDocument(identifier, farmerId) {
-  if (!usersCollection) {
+// Finds the (non-merged) user that owns a verified login identity
+async function findUserByIdentity(provider, value) {
+  const query = identityLookupQuery(provider, value);
+  if (!usersCollection || !query) {
     return null;
   }
+  return usersCollection.findOne(query);
+}
 
-  const tried = new Set();
-  const candidates = [];
-  const maybeId = toObjectId(identifier);
-  if (maybeId) {
-    candidates.push({ _id: maybeId });
+/**
+ * Links a verified login identity to the user, writing out legacy identities first for
+ * users created before the identities array existed.
+ * @returns {Promise<{status: 'linked'|'in_use'|'invalid', owner?: Object, identities?: Array}>}
+ */
+async function linkUserIdentity(user, provider, value) {
+  const identity = createIdentity(provider, value);
+  if (!identity) {
+    return { status: 'invalid' };
   }
 
-  const pushPhoneQueries = (value) => {
-    if (!value) {
-      return;
-    }
-    const trimmed = value.trim();
-    if (!trimmed) {
-      return;
-    }
-    const digits = trimmed.replace(/\D/g, '');
-    candidates.push({ phone: trimmed });
-    if (digits && digits !== trimmed) {
-      candidates.push({ phone: digits });
-    }
-  };
+  const owner = await findUserByIdentity(provider, value);
+  if (owner && !owner._id.equals(user._id)) {
+    return { status: 'in_use', owner };
+  }
 
-  if (typeof identifier === 'string') {
-    const trimmed = identifier.trim();
-    if (trimmed.includes('@')) {
-      candidates.push({ email: trimmed.toLowerCase() });
+  const current = getUserIdentities(user);
+  const previous = current.find((existing) => existing.key === identity.key);
+  const identities = [
+    ...current.filter((existing) => existing.key !== identity.key),
+    { ...identity, linkedAt: previous?.linkedAt || identity.linkedAt }
+  ];
+  // Only a provider's first identity is mirrored into the legacy fields
+  const isFirstForProvider = !current.some((existing) => existing.provider === provider);
+  const legacyUpdate = legacyFieldsUpdate(identities, isFirstForProvider ? [provider] : []);
+
+  try {
+    await usersCollection.updateOne(
+      { _id: user._id },
+      { $set: { identities, ...legacyUpdate.$set, updatedAt: new Date() } }
+    );
+  } catch (error) {
+    if (error.code === 11000) {
+      return { status: 'in_use' };
     }
-    pushPhoneQueries(trimmed);
+    throw error;
   }
+  return { status: 'linked', identities };
+}
 
-  if (typeof farmerId === 'string') {
-    pushPhoneQueries(farmerId);
+/**
+ * Removes a login identity, refusing to remove the user's last one.
+ * @returns {Promise<{status: 'unlinked'|'not_linked'|'last_identity', identities?: Array}>}
+ */
+async function unlinkUserIdentity(user, provider, value) {
+  const key = buildIdentityKey(provider, value);
+  const current = getUserIdentities(user);
+  const removed = current.find((identity) => identity.key === key);
+  if (!removed) {
+    return { status: 'not_linked' };
+  }
+  const identities = current.filter((identity) => identity.key !== key);
+  if (identities.length === 0) {
+    return { status: 'last_identity' };
   }
 
-  for (const query of candidates) {
-    const key = JSON.stringify(query);
-    if (tried.has(key)) {
-      continue;
+  const wasPrimary = current.find((identity) => identity.provider === provider) === removed;
+  const legacyUpdate = legacyFieldsUpdate(identities, wasPrimary ? [provider] : []);
+  await usersCollection.updateOne(
+    { _id: user._id },
+    {
+      $set: { identities, ...legacyUpdate.$set, updatedAt: new Date() },
+      ...(Object.keys(legacyUpdate.$unset).length ? { $unset: legacyUpdate.$unset } : {})
     }
-    tried.add(key);
-    try {
-      const user = await usersCollection.findOne(query);
-      if (user) {
-        return user;
-      }
-    } catch (error) {
-      logger.warn('User lookup failed', { query, error: error.message });
+  );
+  return { status: 'unlinked', identities };
+}
+
+// Login flows link the identity they just verified; a conflict is logged, never fatal
+async function recordLoginIdentity(user, provider, value) {
+  try {
+    const result = await linkUserIdentity(user, provider, value);
+    if (result.status !== 'linked') {
+      logger.warn('Login identity not linked', {
+        userId: user._id.toString(),
+        provider,
+        status: result.status,
+        ownerId: result.owner?._id?.toString()
+      });
     }
+  } catch (error) {
+    logger.warn('Login identity link failed', { userId: user._id.toString(), provider, error: error.message });
   }
+}
 
-  return null;
+// Canonical farmerId for activity records, matching the POST /activities default
+function getCanonicalFarmerId(user) {
+  return getUserPhone(user) || user._id.toString();
 }
 
-function hashToken(token) {
-  return crypto.createHash('sha256').update(token).digest('hex');
+/**
+ * Folds a duplicate account into `target`: identities, farmer profiles, activities,
+ * AI interactions, user_context and user_memories move over, the source's sessions are
+ * revoked and the source user is kept as a tombstone pointing at the target.
+ * @returns {Promise<Object>} Counts of what was moved
+ */
+async function mergeUserAccounts(target, source) {
+  const now = new Date();
+  const targetKey = target._id.toString();
+  const sourceKey = source._id.toString();
+  const sourceIdentifiers = getUserIdentifiers(source);
+
+  const targetIdentities = getUserIdentities(target);
+  const targetKeys = new Set(targetIdentities.map((identity) => identity.key));
+  const movedIdentities = getUserIdentities(source).filter((identity) => !targetKeys.has(identity.key));
+  const identities = [...targetIdentities, ...movedIdentities];
+  const legacyUpdate = legacyFieldsUpdate(identities, movedIdentities.map((identity) => identity.provider));
+
+  // Release the source's identities first so the unique identities.key index never sees them twice
+  await usersCollection.updateOne(
+    { _id: source._id },
+    {
+      $set: { identities: [], mergedInto: target._id, mergedAt: now, updatedAt: now },
+      $unset: { googleId: '', email: '', phone: '', 'profile.phone': '', phoneVerified: '', phoneVerifiedAt: '' }
+    }
+  );
+
+  const roles = [...new Set([...getUserRoles(target), ...getUserRoles(source)])];
+  const assignedDistricts = [...new Set([...getAssignedDistricts(target), ...getAssignedDistricts(source)])];
+  // Profile fields the target never filled in are taken from the source
+  const { 'profile.phone': mirroredPhone, ...legacyFields } = legacyUpdate.$set;
+  const profile = {
+    ...(source.profile || {}),
+    ...(target.profile || {}),
+    ...(mirroredPhone ? { phone: mirroredPhone } : {})
+  };
+  await usersCollection.updateOne(
+    { _id: target._id },
+    {
+      $set: {
+        ...legacyFields,
+        identities,
+        roles,
+        assignedDistricts,
+        profile,
+        ...(!target.farmerId && source.farmerId ? { farmerId: source.farmerId } : {}),
+        updatedAt: now
+      },
+      $push: { mergedFrom: { userId: source._id, mergedAt: now, identities: movedIdentities.map((identity) => identity.key) } }
+    }
+  );
+  const mergedTarget = await usersCollection.findOne({ _id: target._id });
+  const canonicalFarmerId = getCanonicalFarmerId(mergedTarget);
+
+  const farmers = await farmersCollection.updateMany(
+    { userId: source._id },
+    { $set: { userId: target._id, updatedAt: now } }
+  );
+  const activities = await activitiesCollection.updateMany(
+    { farmerId: { $in: sourceIdentifiers } },
+    { $set: { farmerId: canonicalFarmerId } }
+  );
+  const aiInteractions = await aiinteractionsCollection.updateMany(
+    { $or: [{ userId: sourceKey }, { farmerId: { $in: sourceIdentifiers } }] },
+    { $set: { userId: targetKey, farmerId: canonicalFarmerId } }
+  );
+
+  await mergeUserContext(source._id, target._id);
+
+  const sourceMemory = await userMemoriesCollection.findOne({ userKey: sourceKey });
+  if (sourceMemory) {
+    const targetMemory = await userMemoriesCollection.findOne({ userKey: targetKey });
+    const entries = [...(targetMemory?.entries || []), ...(sourceMemory.entries || [])]
+      .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))
+      .slice(-Math.abs(MAX_MEMORY_ENTRIES));
+    await userMemoriesCollection.updateOne(
+      { userKey: targetKey },
+      { $set: { entries, updatedAt: now }, $setOnInsert: { userKey: targetKey, createdAt: now } },
+      { upsert: true }
+    );
+    await userMemoriesCollection.deleteOne({ userKey: sourceKey });
+  }
+
+  const deviceTokens = await moveDeviceTokens(source._id, target._id);
+  const schemeApplications = await moveSchemeApplications(source._id, target._id);
+  const sessionsRevoked = await revokeAllUserSessions(sessionsCollection, sourceKey, 'account_merged');
+
+  return {
+    user: mergedTarget,
+    moved: {
+      identities: movedIdentities.length,
+      farmers: farmers.modifiedCount,
+      activities: activities.modifiedCount,
+      aiInteractions: aiInteractions.modifiedCount,
+      memoryEntries: sourceMemory?.entries?.length || 0,
+      deviceTokens,
+      schemeApplications
+    },
+    sessionsRevoked
+  };
 }
 
 function extractSessionToken(req) {
@@ -362,41 +698,87 @@ function extractSessionToken(req) {
   return null;
 }
 
-function setSessionCookie(res, token, expiresAt) {
-  res.cookie(SESSION_COOKIE_NAME, token, {
+function setSessionCookie(res, session) {
+  // The cookie outlives the access token so an expired one is answered with ACCESS_TOKEN_EXPIRED
+  res.cookie(SESSION_COOKIE_NAME, session.token, {
     httpOnly: true,
     secure: SESSION_SECURE,
     sameSite: 'lax',
-    expires: expiresAt,
+    expires: session.refreshExpiresAt || session.expiresAt,
     path: '/'
   });
+  if (session.refreshToken) {
+    // Only the auth routes ever need the refresh token
+    res.cookie(REFRESH_COOKIE_NAME, session.refreshToken, {
+      httpOnly: true,
+      secure: SESSION_SECURE,
+      sameSite: 'lax',
+      expires: session.refreshExpiresAt,
+      path: '/auth'
+    });
+  }
 }
 
 function clearSessionCookie(res) {
   res.clearCookie(SESSION_COOKIE_NAME, { path: '/' });
+  res.clearCookie(REFRESH_COOKIE_NAME, { path: '/auth' });
+}
+
+function extractRefreshToken(req) {
+  const bodyToken = req.body?.refreshToken;
+  if (typeof bodyToken === 'string' && bodyToken.trim()) {
+    return bodyToken.trim();
+  }
+  if (req.cookies && req.cookies[REFRESH_COOKIE_NAME]) {
+    return req.cookies[REFRESH_COOKIE_NAME];
+  }
+  return null;
+}
+
+// Session fields returned by every login route and /auth/refresh
+function formatIssuedSession(session) {
+  return {
+    token: session.token,
+    expiresAt: session.expiresAt,
+    refreshToken: session.refreshToken,
+    refreshExpiresAt: session.refreshExpiresAt
+  };
 }
 
-async function createSession(userId, req) {
+// A session is one token family: a short-lived access token plus a refresh token
+// that is replaced on every use. expiresAt is the refresh token's expiry.
+async function createSession(userId, req, { method } = {}) {
   if (!sessionsCollection) {
     throw new Error('Sessions collection not initialized');
   }
 
   const now = new Date();
-  const expiresAt = new Date(now.getTime() + SESSION_DEFAULT_DAYS * 24 * 60 * 60 * 1000);
-  const token = crypto.randomBytes(48).toString('hex');
-  const tokenHash = hashToken(token);
+  const issued = issueSessionTokens(now);
 
   await sessionsCollection.insertOne({
     userId: typeof userId === 'string' ? new ObjectId(userId) : userId,
-    tokenHash,
+    tokenHash: hashToken(issued.token),
+    accessExpiresAt: issued.expiresAt,
+    refreshTokenHash: hashToken(issued.refreshToken),
+    usedRefreshTokenHashes: [],
     userAgent: req.get('user-agent') || 'unknown',
+    ipAddress: req.ip || null,
+    loginMethod: method || null,
     createdAt: now,
     lastUsedAt: now,
-    expiresAt,
+    expiresAt: issued.refreshExpiresAt,
     revoked: false
   });
 
-  return { token, expiresAt };
+  const actorId = typeof userId === 'string' ? new ObjectId(userId) : userId;
+  await recordAuditEvent(req, {
+    action: AUDIT_ACTIONS.LOGIN,
+    actor: { type: 'user', userId: actorId },
+    target: { type: 'user', id: actorId },
+    metadata: { method: method || null }
+  });
+
+  return issued;
 }
 
 async function findActiveSession(token) {
@@ -410,33 +792,49 @@ async function findActiveSession(token) {
     return null;
   }
 
-  if (session.expiresAt && session.expiresAt < new Date()) {
+  const now = new Date();
+  if (session.expiresAt && session.expiresAt < now) {
     await sessionsCollection.updateOne(
       { _id: session._id },
-      { $set: { revoked: true, revokedAt: new Date() } }
+      { $set: { revoked: true, revokedAt: now } }
     );
     return null;
   }
 
+  // Sessions created before refresh tokens have no accessExpiresAt and stay valid until expiresAt
+  if (session.accessExpiresAt && session.accessExpiresAt < now) {
+    return null;
+  }
+
   await sessionsCollection.updateOne(
     { _id: session._id },
-    { $set: { lastUsedAt: new Date() } }
+    { $set: { lastUsedAt: now } }
   );
 
   return session;
 }
 
-async function revokeSessionByToken(token) {
+// Tells a client whose token was rejected whether calling /auth/refresh can help
+async function describeRejectedToken(token) {
   if (!token || !sessionsCollection) {
-    return false;
+    return 'SESSION_INVALID';
   }
-
-  const tokenHash = hashToken(token);
-  const result = await sessionsCollection.updateOne(
-    { tokenHash, revoked: { $ne: true } },
-    { $set: { revoked: true, revokedAt: new Date() } }
+  const session = await sessionsCollection.findOne(
+    { tokenHash: hashToken(token), revoked: { $ne: true } },
+    { projection: { accessExpiresAt: 1, expiresAt: 1 } }
   );
-  return result.modifiedCount > 0;
+  const now = new Date();
+  if (session?.accessExpiresAt && session.accessExpiresAt < now && session.expiresAt > now) {
+    return 'ACCESS_TOKEN_EXPIRED';
+  }
+  return 'SESSION_INVALID';
+}
+
+function sendSessionRejected(res, code) {
+  const message = code === 'ACCESS_TOKEN_EXPIRED'
+    ? 'Access token expired; call /auth/refresh'
+    : 'Session expired or invalid';
+  return res.status(401).json({ error: { code, message } });
 }
 
 async function resolveSessionUser(token) {
@@ -446,7 +844,8 @@ async function resolveSessionUser(token) {
   }
 
   const user = await usersCollection.findOne({ _id: new ObjectId(session.userId) });
-  if (!user) {
+  // Accounts merged into another user keep no sessions of their own
+  if (!user || user.mergedInto) {
     return null;
   }
 
@@ -466,6 +865,10 @@ function formatUserResponse(user) {
     photo: user.photo || null,
     profile: user.profile || {},
     preferredLanguage: user.preferredLanguage || user.profile?.language || null,
+    roles: getUserRoles(user),
+    assignedDistricts: user.assignedDistricts || [],
+    identities: getUserIdentities(user).map(formatIdentityResponse),
+    deletionScheduledFor: user.purgeAfter || null,
     createdAt: user.createdAt,
     lastLogin: user.lastLogin
   };
@@ -497,11 +900,86 @@ function setCorsHeaders(res) {
   res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
 }
 
-// Authentication disabled: middleware now permits all requests.
+// Identifiers a user may appear under in legacy farmerId/userId fields (user id or phone)
+function getUserIdentifiers(user) {
+  if (!user) {
+    return [];
+  }
+  const identifiers = new Set();
+  if (user._id) {
+    identifiers.add(user._id.toString());
+  }
+  // Only verified phones, in every format older records were stored under
+  getVerifiedPhones(user)
+    .forEach((phone) => phoneLookupVariants(phone).forEach((variant) => identifiers.add(variant)));
+  return [...identifiers];
+}
+
+function isOwnIdentifier(user, identifier) {
+  if (!identifier) {
+    return false;
+  }
+  return getUserIdentifiers(user).includes(String(identifier).trim());
+}
+
+// The user's verified phone, used as farmerId on phone-keyed records
+function getUserPhone(user) {
+  return user ? getVerifiedPhones(user)[0] || null : null;
+}
+
+function canAccessFarmer(user, farmerId, farmer) {
+  if (isOwnIdentifier(user, farmerId)) {
+    return true;
+  }
+  if (farmer?.userId && user?._id && farmer.userId.toString() === user._id.toString()) {
+    return true;
+  }
+  // Extension officers can read farmers in their districts; admins can read everyone
+  return canReadFarmerAsStaff(user, farmer);
+}
+
+// limit/offset query parameters, clamped so one request cannot page through a whole collection
+function parsePaging(query, defaultLimit = 20) {
+  return {
+    limit: Math.min(Math.max(parseInt(query.limit, 10) || defaultLimit, 1), 100),
+    offset: Math.max(parseInt(query.offset, 10) || 0, 0)
+  };
+}
+
+function escapeRegex(value) {
+  return String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Resolves the bearer token or session cookie into req.user / req.session; rejects anonymous callers.
 async function authenticate(req, res, next) {
   setCorsHeaders(res); // keep CORS headers consistent
-  req.userId = 'anonymous';
-  return next();
+  try {
+    const token = extractSessionToken(req);
+    if (!token) {
+      return res.status(401).json({
+        error: { code: 'SESSION_NOT_FOUND', message: 'Authentication required' }
+      });
+    }
+
+    const resolved = await resolveSessionUser(token);
+    if (!resolved) {
+      const code = await describeRejectedToken(token);
+      if (code === 'SESSION_INVALID') {
+        clearSessionCookie(res);
+      }
+      return sendSessionRejected(res, code);
+    }
+
+    req.user = resolved.user;
+    req.session = resolved.session;
+    req.userId = resolved.user._id.toString();
+    return next();
+  } catch (error) {
+    logger.error('Error authenticating request', { error: error.message, url: req.originalUrl });
+    return res.status(500).json({
+      error: { code: 'SERVER_ERROR', message: 'Unable to verify session' }
+    });
+  }
 }
 // TTS route - supports GET with query params
 app.get('/tts', async (req, res) => {
@@ -548,13 +1026,57 @@ app.get('/tts', async (req, res) => {
 app.post('/farmers', authenticate, async (req, res) => {
   const startTime = Date.now();
   try {
-    const { name, phone, language, location, crops, landSize, soilType } = req.body;
+    const { name, language, location, crops, landSize, soilType } = req.body;
+    // Optional eligibility facts; only overwritten when sent
+    const eligibilityFields = {};
+    for (const field of ['state', 'district', 'landTenure', 'farmerCategory']) {
+      if (typeof req.body[field] === 'string') {
+        eligibilityFields[field] = req.body[field].trim();
+      }
+    }
+    ['landTenure', 'farmerCategory'].forEach((field) => {
+      if (eligibilityFields[field]) {
+        eligibilityFields[field] = eligibilityFields[field].toLowerCase();
+      }
+    });
+    if (eligibilityFields.landTenure && !LAND_TENURES.includes(eligibilityFields.landTenure)) {
+      return res.status(400).json({
+        error: { code: 'VALIDATION_ERROR', message: `landTenure must be one of ${LAND_TENURES.join(', ')}` }
+      });
+    }
+    if (eligibilityFields.farmerCategory
+      && !FARMER_CATEGORIES.some((category) => category.name === eligibilityFields.farmerCategory)) {
+      return res.status(400).json({
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: `farmerCategory must be one of ${FARMER_CATEGORIES.map((category) => category.name).join(', ')}`
+        }
+      });
+    }
+    const requestedPhone = typeof req.body.phone === 'string' ? req.body.phone.trim() : '';
+    const userPhone = getUserPhone(req.user);
+
+    // A user with a phone on record can only manage the farmer profile for that phone
+    if (userPhone && requestedPhone && !isOwnIdentifier(req.user, requestedPhone)) {
+      logger.warn('Farmer profile update rejected - phone does not belong to user', {
+        userId: req.userId,
+        farmerId: requestedPhone
+      });
+      return res.status(403).json({
+        error: {
+          code: 'FORBIDDEN',
+          message: 'You can only update your own farmer profile'
+        }
+      });
+    }
+
+    const phone = userPhone || requestedPhone;
 
     // Validation
     if (!name || !phone) {
       const duration = Date.now() - startTime;
       logger.warn('Farmer profile validation failed - missing required fields', {
-        farmerId: req.body.phone,
+        farmerId: phone,
         missingFields: [!name ? 'name' : null, !phone ? 'phone' : null].filter(Boolean),
         durationMs: duration
       });
@@ -567,6 +1089,28 @@ app.post('/farmers', authenticate, async (req, res) => {
       });
     }
 
+    const existingFarmer = await farmersCollection.findOne({ phone: phone });
+    const writeError = getFarmerProfileWriteError({
+      ownsPhone: isOwnIdentifier(req.user, phone),
+      userId: req.userId,
+      existingFarmer
+    });
+    if (writeError) {
+      logger.warn('Farmer profile update rejected', {
+        userId: req.userId,
+        farmerId: phone,
+        reason: writeError
+      });
+      return res.status(403).json({
+        error: {
+          code: 'FORBIDDEN',
+          message: writeError === 'PHONE_NOT_VERIFIED'
+            ? 'Verify this phone number before creating a farmer profile for it'
+            : 'You can only update your own farmer profile'
+        }
+      });
+    }
+
     const now = new Date();
 
     // Use MongoDB to find or create farmer
@@ -574,12 +1118,14 @@ app.post('/farmers', authenticate, async (req, res) => {
       { phone: phone },
       {
         $set: {
+          userId: req.user._id,
           name,
           language,
           location,
           crops,
           landSize,
           soilType,
+          ...eligibilityFields,
           updatedAt: now
         },
         $setOnInsert: {
@@ -592,6 +1138,13 @@ app.post('/farmers', authenticate, async (req, res) => {
       }
     );
 
+    await recordAuditEvent(req, {
+      action: AUDIT_ACTIONS.FARMER_UPSERTED,
+      target: { type: 'farmer', id: phone },
+      before: existingFarmer || {},
+      after: farmer
+    });
+
     const duration = Date.now() - startTime;
     logDBOperation('upsertFarmer', {
       farmerId: phone,
@@ -638,6 +1191,21 @@ app.get('/farmers/:phone', authenticate, async (req, res) => {
     // Use MongoDB to find farmer
     const farmer = await farmersCollection.findOne({ phone: phone });
 
+    // Staff look farmers up by phone, so a missing profile is a 404 for them rather than a 403
+    const isStaff = getUserRoles(req.user).some((role) => role === ROLES.EXTENSION_OFFICER || role === ROLES.ADMIN);
+    if (!(farmer ? canAccessFarmer(req.user, phone, farmer) : isStaff || canAccessFarmer(req.user, phone, farmer))) {
+      logger.warn('Farmer profile access denied', {
+        userId: req.userId,
+        farmerId: phone
+      });
+      return res.status(403).json({
+        error: {
+          code: 'FORBIDDEN',
+          message: 'You do not have access to this farmer profile'
+        }
+      });
+    }
+
     const duration = Date.now() - startTime;
     if (farmer) {
       logDBOperation('findFarmer', {
@@ -697,71 +1265,150 @@ app.get('/farmers/:phone', authenticate, async (req, res) => {
   }
 });
 
-// 2. Authentication
-
-// Google OAuth Authentication Endpoints
-
-// POST /auth/google - Google OAuth login/signup
-app.post('/auth/google', async (req, res) => {
+// GET /farmers - List farmers visible to staff (officers: assigned districts, admins: all)
+app.get('/farmers', authenticate, requireRole(ROLES.EXTENSION_OFFICER, ROLES.ADMIN), async (req, res) => {
   const startTime = Date.now();
   try {
-    // Determine if we received a code (web flow) or idToken (mobile/other flow)
-    const { code, idToken, redirect_uri } = req.body;
+    const { district } = req.query;
+    const { limit, offset } = parsePaging(req.query);
+    const isAdmin = getUserRoles(req.user).includes(ROLES.ADMIN);
+
+    let districts = isAdmin ? [] : getAssignedDistricts(req.user);
+    if (district) {
+      const requested = String(district).trim().toLowerCase();
+      if (!isAdmin && !districts.includes(requested)) {
+        return res.status(403).json({
+          error: {
+            code: 'FORBIDDEN',
+            message: 'District is not assigned to you'
+          }
+        });
+      }
+      districts = [requested];
+    }
 
-    if (!code && !idToken) {
-      return res.status(400).json({
-        error: { code: 'VALIDATION_ERROR', message: 'Auth code or ID token is required' }
+    if (!isAdmin && districts.length === 0) {
+      return res.status(200).json({
+        status: 'success',
+        data: [],
+        pagination: { limit, offset, total: 0 }
       });
     }
 
-    let payload;
+    const query = {};
+    if (districts.length > 0) {
+      const patterns = districts.map((name) => new RegExp(`^${escapeRegex(name)}(\\s*,|$)`, 'i'));
+      query.$or = [{ district: { $in: patterns } }, { location: { $in: patterns } }];
+    }
 
-    // SCENARIO 1: We received an Authorization Code (Web Flow)
-    if (code) {
-      try {
-        // Exchange code for tokens (access_token, id_token, refresh_token)
-        // We MUST pass the same redirect_uri that was used on the frontend
-        // This is critical for security: backend must match frontend's redirect URI
-        const { tokens } = await googleClient.getToken({
-          code,
-          redirect_uri, // Use the redirect_uri passed from frontend
-          client_id: process.env.GOOGLE_CLIENT_ID,
-          client_secret: process.env.GOOGLE_CLIENT_SECRET
-        });
+    const total = await farmersCollection.countDocuments(query);
+    const farmers = await farmersCollection
+      .find(query)
+      .sort({ name: 1 })
+      .skip(offset)
+      .limit(limit)
+      .toArray();
 
-        // Determine the ID Token from the response
-        const idTokenFromCode = tokens.id_token;
-        if (!idTokenFromCode) {
-          throw new Error('No ID token returned from code exchange');
-        }
+    const duration = Date.now() - startTime;
+    logDBOperation('listFarmers', {
+      userId: req.userId,
+      districts,
+      total,
+      returned: farmers.length,
+      durationMs: duration,
+      status: 'success'
+    });
 
-        // Verify the ID token
-        const ticket = await googleClient.verifyIdToken({
-          idToken: idTokenFromCode,
-          audience: process.env.GOOGLE_CLIENT_ID,
-        });
-        payload = ticket.getPayload();
-      } catch (exchangeError) {
-        logger.error('Google code exchange failed', { error: exchangeError.message });
-        return res.status(401).json({
-          error: { code: 'INVALID_GRANT', message: 'Failed to exchange authorization code' }
-        });
+    res.status(200).json({
+      status: 'success',
+      data: farmers,
+      pagination: {
+        limit,
+        offset,
+        total
       }
-    }
-    // SCENARIO 2: We received an ID Token directly (Mobile/Implicit Flow)
-    else {
-      try {
-        const ticket = await googleClient.verifyIdToken({
-          idToken: idToken,
-          audience: process.env.GOOGLE_CLIENT_ID,
-        });
-        payload = ticket.getPayload();
-      } catch (verifyError) {
-        logger.error('Google token verification failed', { error: verifyError.message });
-        return res.status(401).json({
-          error: { code: 'INVALID_TOKEN', message: 'Invalid Google ID token' }
-        });
+    });
+  } catch (error) {
+    const duration = Date.now() - startTime;
+    logDBError('listFarmers', error, { userId: req.userId, durationMs: duration });
+    logger.error('Error listing farmers', {
+      error: error.message,
+      userId: req.userId,
+      durationMs: duration
+    });
+
+    res.status(500).json({
+      error: {
+        code: 'SERVER_ERROR',
+        message: 'Error listing farmers'
+      }
+    });
+  }
+});
+
+// 2. Authentication
+
+// Google OAuth Authentication Endpoints
+
+// Verifies a Google auth code (web flow) or ID token (mobile flow) and returns the token payload
+async function verifyGoogleCredential({ code, idToken, redirect_uri } = {}) {
+  if (!code && !idToken) {
+    return { error: { status: 400, code: 'VALIDATION_ERROR', message: 'Auth code or ID token is required' } };
+  }
+
+  // SCENARIO 1: We received an Authorization Code (Web Flow)
+  if (code) {
+    try {
+      // Exchange code for tokens (access_token, id_token, refresh_token)
+      // We MUST pass the same redirect_uri that was used on the frontend
+      // This is critical for security: backend must match frontend's redirect URI
+      const { tokens } = await googleClient.getToken({
+        code,
+        redirect_uri, // Use the redirect_uri passed from frontend
+        client_id: process.env.GOOGLE_CLIENT_ID,
+        client_secret: process.env.GOOGLE_CLIENT_SECRET
+      });
+
+      // Determine the ID Token from the response
+      const idTokenFromCode = tokens.id_token;
+      if (!idTokenFromCode) {
+        throw new Error('No ID token returned from code exchange');
       }
+
+      // Verify the ID token
+      const ticket = await googleClient.verifyIdToken({
+        idToken: idTokenFromCode,
+        audience: process.env.GOOGLE_CLIENT_ID,
+      });
+      return { payload: ticket.getPayload() };
+    } catch (exchangeError) {
+      logger.error('Google code exchange failed', { error: exchangeError.message });
+      return { error: { status: 401, code: 'INVALID_GRANT', message: 'Failed to exchange authorization code' } };
+    }
+  }
+
+  // SCENARIO 2: We received an ID Token directly (Mobile/Implicit Flow)
+  try {
+    const ticket = await googleClient.verifyIdToken({
+      idToken: idToken,
+      audience: process.env.GOOGLE_CLIENT_ID,
+    });
+    return { payload: ticket.getPayload() };
+  } catch (verifyError) {
+    logger.error('Google token verification failed', { error: verifyError.message });
+    return { error: { status: 401, code: 'INVALID_TOKEN', message: 'Invalid Google ID token' } };
+  }
+}
+
+// POST /auth/google - Google OAuth login/signup
+app.post('/auth/google', async (req, res) => {
+  const startTime = Date.now();
+  try {
+    const { payload, error: googleError } = await verifyGoogleCredential(req.body);
+    if (googleError) {
+      return res.status(googleError.status).json({
+        error: { code: googleError.code, message: googleError.message }
+      });
     }
 
     const { sub: googleId, email, name, picture: photo } = payload;
@@ -774,28 +1421,23 @@ app.post('/auth/google', async (req, res) => {
 
     const now = new Date();
 
-    // Check if user exists
-    let existingUser = await usersCollection.findOne({ email });
+    // Check if user exists: by linked Google account first, then by verified email
+    let existingUser = await findUserByIdentity(IDENTITY_PROVIDERS.GOOGLE, googleId)
+      || await findUserByIdentity(IDENTITY_PROVIDERS.EMAIL, email);
 
     if (existingUser) {
       await usersCollection.updateOne(
-        { email },
+        { _id: existingUser._id },
         {
           $set: {
             lastLogin: now,
             name,
-            photo,
-            googleId
+            photo
           }
         }
       );
-      existingUser = {
-        ...existingUser,
-        name,
-        photo,
-        googleId,
-        lastLogin: now
-      };
+      await recordLoginIdentity(existingUser, IDENTITY_PROVIDERS.GOOGLE, googleId);
+      existingUser = await usersCollection.findOne({ _id: existingUser._id });
 
       await ensureUserContext(existingUser._id, {
         name: existingUser.name,
@@ -804,8 +1446,8 @@ app.post('/auth/google', async (req, res) => {
         language: existingUser.preferredLanguage || existingUser.profile?.language || null
       });
 
-      const session = await createSession(existingUser._id, req);
-      setSessionCookie(res, session.token, session.expiresAt);
+      const session = await createSession(existingUser._id, req, { method: 'google' });
+      setSessionCookie(res, session);
 
       logger.info('User logged in via Google', { userId: existingUser._id.toString(), email });
 
@@ -814,10 +1456,7 @@ app.post('/auth/google', async (req, res) => {
         data: {
           user: formatUserResponse(existingUser),
           token: session.token,
-          session: {
-            token: session.token,
-            expiresAt: session.expiresAt
-          }
+          session: formatIssuedSession(session)
         }
       });
     }
@@ -828,6 +1467,11 @@ app.post('/auth/google', async (req, res) => {
       email,
       name,
       photo,
+      identities: [
+        createIdentity(IDENTITY_PROVIDERS.GOOGLE, googleId, now),
+        createIdentity(IDENTITY_PROVIDERS.EMAIL, email, now)
+      ],
+      roles: [ROLES.FARMER],
       createdAt: now,
       lastLogin: now,
       profile: {}
@@ -843,8 +1487,8 @@ app.post('/auth/google', async (req, res) => {
       language: newUser.profile?.language || newUser.preferredLanguage || null
     });
 
-    const session = await createSession(result.insertedId, req);
-    setSessionCookie(res, session.token, session.expiresAt);
+    const session = await createSession(result.insertedId, req, { method: 'google' });
+    setSessionCookie(res, session);
 
     const duration = Date.now() - startTime;
     logger.info('New user registered via Google', {
@@ -858,10 +1502,7 @@ app.post('/auth/google', async (req, res) => {
       data: {
         user: formatUserResponse(newUser),
         token: session.token,
-        session: {
-          token: session.token,
-          expiresAt: session.expiresAt
-        }
+        session: formatIssuedSession(session)
       }
     });
   } catch (error) {
@@ -876,10 +1517,15 @@ app.post('/auth/google', async (req, res) => {
 
 
 // GET /auth/user/:userId - Get user profile
-app.get('/auth/user/:userId', async (req, res) => {
+app.get('/auth/user/:userId', authenticate, async (req, res) => {
   try {
     const { userId } = req.params;
     const { ObjectId } = require('mongodb');
+    if (userId !== req.userId) {
+      return res.status(403).json({
+        error: { code: 'FORBIDDEN', message: 'You can only view your own profile' }
+      });
+    }
 
     const user = await usersCollection.findOne({ _id: new ObjectId(userId) });
 
@@ -913,17 +1559,30 @@ app.get('/auth/user/:userId', async (req, res) => {
 });
 
 // PUT /auth/user/:userId - Update user profile
-app.put('/auth/user/:userId', async (req, res) => {
+app.put('/auth/user/:userId', authenticate, async (req, res) => {
   try {
     const { userId } = req.params;
     const { profile } = req.body;
     const { ObjectId } = require('mongodb');
+    if (userId !== req.userId) {
+      return res.status(403).json({
+        error: { code: 'FORBIDDEN', message: 'You can only update your own profile' }
+      });
+    }
 
-    await usersCollection.updateOne(
+    const before = await usersCollection.findOneAndUpdate(
       { _id: new ObjectId(userId) },
-      { $set: { profile, updatedAt: new Date() } }
+      { $set: { profile, updatedAt: new Date() } },
+      { returnDocument: 'before', projection: { profile: 1 } }
     );
 
+    await recordAuditEvent(req, {
+      action: AUDIT_ACTIONS.PROFILE_UPDATED,
+      target: { type: 'user', id: userId },
+      before: { profile: before?.profile || {} },
+      after: { profile }
+    });
+
     res.json({ status: 'success', message: 'Profile updated' });
   } catch (error) {
     logger.error('Error updating user profile', { error: error.message });
@@ -937,6 +1596,11 @@ app.put('/auth/user/:userId', async (req, res) => {
 app.get('/user-context/:userId', authenticate, async (req, res) => {
   try {
     const { userId } = req.params;
+    if (userId !== req.userId) {
+      return res.status(403).json({
+        error: { code: 'FORBIDDEN', message: 'You can only view your own context' }
+      });
+    }
     const contextDoc = await fetchUserContext(userId);
     if (!contextDoc) {
       return res.status(404).json({
@@ -958,12 +1622,8 @@ app.get('/user-context/:userId', authenticate, async (req, res) => {
 // PUT /user-context/home - Update userData.location and userData.weather
 app.put('/user-context/home', authenticate, async (req, res) => {
   try {
-    const { userId, location, weather, profile } = req.body || {};
-    if (!userId) {
-      return res.status(400).json({
-        error: { code: 'VALIDATION_ERROR', message: 'userId is required' }
-      });
-    }
+    const { location, weather, profile } = req.body || {};
+    const userId = req.userId;
 
     // Updates only userData.location and userData.weather, preserves query
     const updatedDoc = await updateLocationAndWeather(userId, { profile, location, weather });
@@ -984,92 +1644,193 @@ app.put('/user-context/home', authenticate, async (req, res) => {
   }
 });
 
-// Email/OTP System (SendGrid)
+// Email/OTP System (pluggable mail transport: SendGrid, Resend, SMTP or file outbox)
+
+const mailTransport = createMailTransport();
+if (mailTransport.configured) {
+  logger.info('Mail transport configured for OTP emails', { provider: mailTransport.name });
+} else {
+  logger.warn('Mail transport not configured - OTP email sending disabled', { provider: mailTransport.name });
+}
 
-// In-memory OTP storage (in production, use Redis or database)
+async function sendOtpEmail(to, otp, language) {
+  const message = renderOtpEmail(otp, { language, ttlMinutes: OTP_TTL_MINUTES });
+  const result = await mailTransport.send({
+    to,
+    subject: message.subject,
+    text: message.text,
+    html: message.html
+  });
+  logger.info('OTP email accepted by mail transport', {
+    to,
+    provider: mailTransport.name,
+    language: message.language,
+    messageId: result?.id || null
+  });
+  return true;
+}
 
-// Configure SendGrid if API key is available
-const SENDGRID_API_KEY = process.env.SENDGRID_API_KEY;
-const SENDGRID_FROM = process.env.SENDGRID_FROM;
+function sendRateLimited(res, retryAfterMs, code, message) {
+  const retryAfterSeconds = Math.max(Math.ceil(retryAfterMs / 1000), 1);
+  res.setHeader('Retry-After', String(retryAfterSeconds));
+  return res.status(429).json({
+    error: { code, message, retryAfterSeconds }
+  });
+}
 
-if (SENDGRID_API_KEY) {
-  try {
-    sgMail.setApiKey(SENDGRID_API_KEY);
-    logger.info('SendGrid configured for OTP emails', {
-      fromConfigured: Boolean(SENDGRID_FROM)
-    });
-  } catch (e) {
-    logger.error('Failed to configure SendGrid', { error: e?.message || String(e) });
+// Shared lockout check for OTP endpoints; returns true when a 429 has been sent
+async function rejectIfOtpLocked(res, identifier, type) {
+  const lockout = await getLockout(buildRateLimitKey('otp-auth', type, identifier));
+  if (!lockout) {
+    return false;
   }
-} else {
-  logger.warn('SENDGRID_API_KEY not configured - OTP email sending disabled');
+  logger.warn('OTP request rejected - identity locked', { identifier, type, lockedUntil: lockout.lockedUntil });
+  sendRateLimited(res, lockout.retryAfterMs, 'ACCOUNT_LOCKED', 'Too many failed attempts. Please try again later.');
+  return true;
 }
 
-async function sendOtpEmail(to, otp) {
-  if (!SENDGRID_API_KEY || !SENDGRID_FROM) {
-    const reason = !SENDGRID_API_KEY ? 'SENDGRID_API_KEY missing' : 'SENDGRID_FROM missing';
-    throw new Error(`Email not configured: ${reason}`);
-  }
-
-  const subject = 'KrushiMitra - Your OTP Code';
-  const text = `Your KrushiMitra OTP is ${otp}. It is valid for 10 minutes.`;
-  const html = `
-    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; background-color: #f5f5f5;">
-      <div style="background-color: #4CAF50; padding: 20px; text-align: center; border-radius: 10px 10px 0 0;">
-        <h1 style="color: white; margin: 0;">KrushiMitra</h1>
-        <p style="color: #E8F5E9; margin: 5px 0;">AI-Powered Farming Assistant</p>
-      </div>
-      <div style="background-color: white; padding: 30px; border-radius: 0 0 10px 10px;">
-        <h2 style="color: #2E7D32; margin-top: 0;">Your OTP Code</h2>
-        <p style="color: #666; font-size: 16px;">Your One-Time Password (OTP) for KrushiMitra login/signup is:</p>
-        <div style="background-color: #F1F8E9; padding: 20px; margin: 20px 0; text-align: center; border-radius: 8px; border-left: 4px solid #4CAF50;">
-          <h1 style="color: #2E7D32; margin: 0; font-size: 36px; letter-spacing: 8px;">${otp}</h1>
-        </div>
-        <p style="color: #666; font-size: 14px;">This OTP is valid for 10 minutes.</p>
-        <p style="color: #666; font-size: 14px;">If you didn't request this OTP, please ignore this email.</p>
-        <hr style="border: none; border-top: 1px solid #E0E0E0; margin: 20px 0;">
-        <p style="color: #999; font-size: 12px; text-align: center;">© 2025 KrushiMitra. All rights reserved.</p>
-      </div>
-    </div>
-  `;
-
-  const msg = {
-    to,
-    from: SENDGRID_FROM,
-    subject,
-    text,
-    html
-  };
+// Lockout, resend cooldown and per-IP/per-identifier limits for sending an OTP.
+// Returns true when sending may proceed; otherwise a 429 has already been sent.
+async function enforceOtpSendLimits(req, res, identifier, type) {
+  if (await rejectIfOtpLocked(res, identifier, type)) {
+    return false;
+  }
 
-  try {
-    console.log('📨 Sending email to:', to);
-    console.log('SG API Key exists:', Boolean(SENDGRID_API_KEY));
-    console.log('From:', SENDGRID_FROM);
-    await sgMail.send(msg);
-    console.log('✅ SendGrid accepted request for:', to);
-    return true;
-  } catch (err) {
-    const sgError = {
-      message: err?.message || String(err),
-      code: err?.code,
-      responseStatus: err?.response?.statusCode,
-      responseBody: err?.response?.body
-    };
-    console.error('❌ SENDGRID EMAIL ERROR:', err?.response?.body || err);
-    logger.error('SendGrid send failed', sgError);
-    throw new Error(sgError.message || 'Failed to send OTP email');
+  const existingOtp = await fetchOtpRecord(identifier);
+  const cooldownMs = getResendCooldownMs(existingOtp?.sentAt, OTP_RESEND_COOLDOWN_SECONDS * 1000);
+  if (cooldownMs > 0) {
+    sendRateLimited(res, cooldownMs, 'OTP_COOLDOWN', 'Please wait before requesting another OTP.');
+    return false;
+  }
+
+  const ipLimit = await consumeRateLimit(buildRateLimitKey('otp-send', 'ip', req.ip), {
+    limit: OTP_SEND_LIMIT_PER_IP,
+    windowMs: OTP_RATE_WINDOW_MS
+  });
+  if (!ipLimit.allowed) {
+    logger.warn('OTP send rate limited by IP', { ip: req.ip });
+    sendRateLimited(res, ipLimit.retryAfterMs, 'RATE_LIMITED', 'Too many OTP requests. Please try again later.');
+    return false;
+  }
+
+  const identifierLimit = await consumeRateLimit(buildRateLimitKey('otp-send', type, identifier), {
+    limit: type === 'phone' ? OTP_SEND_LIMIT_PER_PHONE : OTP_SEND_LIMIT_PER_EMAIL,
+    windowMs: OTP_RATE_WINDOW_MS
+  });
+  if (!identifierLimit.allowed) {
+    logger.warn('OTP send rate limited by identifier', { identifier, type });
+    sendRateLimited(res, identifierLimit.retryAfterMs, 'RATE_LIMITED', `Too many OTP requests for this ${type}. Please try again later.`);
+    return false;
+  }
+
+  return true;
+}
+
+function generateOtp() {
+  return crypto.randomInt(100000, 1000000).toString();
+}
+
+// Records a failed OTP verification for the audit log
+async function auditOtpFailure(req, identifier, type, reason, metadata = {}) {
+  await recordAuditEvent(req, {
+    action: AUDIT_ACTIONS.LOGIN_FAILED,
+    outcome: 'failure',
+    target: { type, id: identifier },
+    metadata: { reason, ...metadata }
+  });
+}
+
+// Verifies an OTP against its stored record, enforcing expiry, attempt limits and lockouts.
+// Returns true when the OTP matched; otherwise the error response has already been sent.
+async function checkOtpAttempt(req, res, identifier, otp, type) {
+  const verifyLimit = await consumeRateLimit(buildRateLimitKey('otp-verify', 'ip', req.ip), {
+    limit: OTP_VERIFY_LIMIT_PER_IP,
+    windowMs: OTP_RATE_WINDOW_MS
+  });
+  if (!verifyLimit.allowed) {
+    logger.warn('OTP verify rate limited by IP', { ip: req.ip });
+    sendRateLimited(res, verifyLimit.retryAfterMs, 'RATE_LIMITED', 'Too many verification attempts. Please try again later.');
+    return false;
+  }
+
+  if (await rejectIfOtpLocked(res, identifier, type)) {
+    return false;
+  }
+
+  const otpRecord = await fetchOtpRecord(identifier);
+
+  if (!otpRecord) {
+    res.status(400).json({
+      error: { code: 'OTP_NOT_FOUND', message: 'OTP not found. Please request a new one.' }
+    });
+    return false;
+  }
+
+  const nowTs = new Date();
+  if (otpRecord.expiresAt && nowTs > otpRecord.expiresAt) {
+    await deleteOtpRecord(identifier);
+    await auditOtpFailure(req, identifier, type, 'expired');
+    res.status(400).json({
+      error: { code: 'OTP_EXPIRED', message: 'OTP has expired. Please request a new one.' }
+    });
+    return false;
+  }
+
+  const attempts = otpRecord.attempts || 0;
+  if (attempts >= OTP_MAX_ATTEMPTS) {
+    await deleteOtpRecord(identifier);
+    await auditOtpFailure(req, identifier, type, 'too_many_attempts');
+    res.status(400).json({
+      error: { code: 'TOO_MANY_ATTEMPTS', message: 'Too many failed attempts. Please request a new OTP.' }
+    });
+    return false;
+  }
+
+  const providedHash = hashToken(`${identifier}:${otp}`);
+  if (otpRecord.otpHash !== providedHash) {
+    // Failures are tracked outside the OTP record so re-requesting an OTP does not reset them
+    const failure = await recordFailure(buildRateLimitKey('otp-auth', type, identifier), {
+      threshold: OTP_LOCKOUT_THRESHOLD,
+      windowMs: OTP_LOCKOUT_WINDOW_MS,
+      lockoutMs: OTP_LOCKOUT_MS
+    });
+    await auditOtpFailure(req, identifier, type, failure.locked ? 'locked' : 'invalid_otp', { failures: failure.failures });
+    if (failure.locked) {
+      await deleteOtpRecord(identifier);
+      sendRateLimited(res, failure.retryAfterMs, 'ACCOUNT_LOCKED', 'Too many failed attempts. Please try again later.');
+      return false;
+    }
+
+    const nextAttempts = attempts + 1;
+    if (nextAttempts >= OTP_MAX_ATTEMPTS) {
+      await deleteOtpRecord(identifier);
+      res.status(400).json({
+        error: { code: 'TOO_MANY_ATTEMPTS', message: 'Too many failed attempts. Please request a new OTP.' }
+      });
+      return false;
+    }
+    await otpCollection.updateOne(
+      { identifier },
+      { $set: { attempts: nextAttempts, lastAttemptAt: nowTs } }
+    );
+    res.status(400).json({
+      error: { code: 'INVALID_OTP', message: `Invalid OTP. ${Math.max(OTP_MAX_ATTEMPTS - nextAttempts, 0)} attempts remaining.` }
+    });
+    return false;
   }
+
+  await clearFailures(buildRateLimitKey('otp-auth', type, identifier));
+  return true;
 }
 
-// GET /auth/email-status - SendGrid diagnostics
+// GET /auth/email-status - Mail transport diagnostics
 app.get('/auth/email-status', (req, res) => {
   res.json({
     status: 'success',
     data: {
-      provider: 'SendGrid',
-      hasApiKey: Boolean(SENDGRID_API_KEY),
-      hasFrom: Boolean(SENDGRID_FROM),
-      configured: Boolean(SENDGRID_API_KEY && SENDGRID_FROM)
+      provider: mailTransport.name,
+      hasFrom: Boolean(mailTransport.from),
+      configured: mailTransport.configured
     }
   });
 });
@@ -1077,11 +1838,7 @@ app.get('/auth/email-status', (req, res) => {
 // POST /auth/send-otp - Send OTP to email
 app.post('/auth/send-otp', async (req, res) => {
   try {
-    console.log('🔍 /auth/send-otp hit');
-    console.log('Body:', req.body);
-    console.log('SENDGRID_API_KEY:', process.env.SENDGRID_API_KEY ? 'OK' : 'MISSING');
-    console.log('SENDGRID_FROM:', process.env.SENDGRID_FROM);
-    const { email } = req.body;
+    const { email, language } = req.body;
 
     if (!email || !email.includes('@')) {
       return res.status(400).json({
@@ -1089,11 +1846,10 @@ app.post('/auth/send-otp', async (req, res) => {
       });
     }
 
-    // Check SendGrid configuration
-    if (!SENDGRID_API_KEY || !SENDGRID_FROM) {
+    // Check mail transport configuration
+    if (!mailTransport.configured) {
       logger.error('Email service not configured', {
-        hasApiKey: Boolean(SENDGRID_API_KEY),
-        hasFrom: Boolean(SENDGRID_FROM)
+        provider: mailTransport.name
       });
       return res.status(503).json({
         error: {
@@ -1103,14 +1859,24 @@ app.post('/auth/send-otp', async (req, res) => {
       });
     }
 
+    if (!(await enforceOtpSendLimits(req, res, email, 'email'))) {
+      return;
+    }
+
     // Generate 6-digit OTP
-    const otp = Math.floor(100000 + Math.random() * 900000).toString();
+    const otp = generateOtp();
 
     // Persist OTP with expiration
-    await persistOtpRecord(email, otp);
+    await persistOtpRecord(email, otp, 'email');
 
-    // Send OTP email via SendGrid
-    await sendOtpEmail(email, otp);
+    // Send OTP email in the user's language (request > stored preference > English)
+    const existingUser = await usersCollection.findOne(
+      { email },
+      { projection: { preferredLanguage: 1, 'profile.language': 1 } }
+    );
+    const emailLanguage = language || existingUser?.preferredLanguage || existingUser?.profile?.language;
+    await sendOtpEmail(email, otp, emailLanguage);
+    await markOtpSent(email);
 
     logger.info('OTP sent successfully', { email });
 
@@ -1150,55 +1916,16 @@ app.post('/auth/verify-otp', async (req, res) => {
       });
     }
 
-    // Check if OTP exists
-    const otpRecord = await fetchOtpRecord(email);
-
-    if (!otpRecord) {
-      return res.status(400).json({
-        error: { code: 'OTP_NOT_FOUND', message: 'OTP not found. Please request a new one.' }
-      });
-    }
-
-    const nowTs = new Date();
-    if (otpRecord.expiresAt && nowTs > otpRecord.expiresAt) {
-      await deleteOtpRecord(email);
-      return res.status(400).json({
-        error: { code: 'OTP_EXPIRED', message: 'OTP has expired. Please request a new one.' }
-      });
-    }
-
-    const attempts = otpRecord.attempts || 0;
-    if (attempts >= OTP_MAX_ATTEMPTS) {
-      await deleteOtpRecord(email);
-      return res.status(400).json({
-        error: { code: 'TOO_MANY_ATTEMPTS', message: 'Too many failed attempts. Please request a new OTP.' }
-      });
-    }
-
-    const providedHash = hashToken(`${email}:${otp}`);
-    if (otpRecord.otpHash !== providedHash) {
-      const nextAttempts = attempts + 1;
-      if (nextAttempts >= OTP_MAX_ATTEMPTS) {
-        await deleteOtpRecord(email);
-        return res.status(400).json({
-          error: { code: 'TOO_MANY_ATTEMPTS', message: 'Too many failed attempts. Please request a new OTP.' }
-        });
-      }
-      await otpCollection.updateOne(
-        { email },
-        { $set: { attempts: nextAttempts, lastAttemptAt: nowTs } }
-      );
-      return res.status(400).json({
-        error: { code: 'INVALID_OTP', message: `Invalid OTP. ${Math.max(OTP_MAX_ATTEMPTS - nextAttempts, 0)} attempts remaining.` }
-      });
+    if (!(await checkOtpAttempt(req, res, email, otp, 'email'))) {
+      return;
     }
 
-    let existingUser = await usersCollection.findOne({ email });
+    let existingUser = await findUserByIdentity(IDENTITY_PROVIDERS.EMAIL, email);
 
     if (validateOnly) {
       await otpCollection.updateOne(
-        { email },
-        { $set: { lastAttemptAt: nowTs } }
+        { identifier: email },
+        { $set: { lastAttemptAt: new Date() } }
       );
       return res.json({
         status: 'success',
@@ -1217,9 +1944,11 @@ app.post('/auth/verify-otp', async (req, res) => {
     if (existingUser) {
       const now = new Date();
       const updateFields = { lastLogin: now };
-      if (sanitizedPhone) {
+      // A typed phone is contact info only; it never replaces a verified one
+      if (sanitizedPhone && getVerifiedPhones(existingUser).length === 0) {
         updateFields.phone = sanitizedPhone;
         updateFields['profile.phone'] = sanitizedPhone;
+        updateFields.phoneVerified = false;
       }
       if (preferredLanguage) {
         updateFields.preferredLanguage = preferredLanguage;
@@ -1236,17 +1965,29 @@ app.post('/auth/verify-otp', async (req, res) => {
         updateFields['profile.soilType'] = soilType;
       }
       await usersCollection.updateOne(
-        { email },
+        { _id: existingUser._id },
         { $set: updateFields }
       );
+      await recordLoginIdentity(existingUser, IDENTITY_PROVIDERS.EMAIL, email);
+      const phoneSaved = 'phone' in updateFields;
+      if (phoneSaved && sanitizedPhone !== existingUser.phone) {
+        await recordAuditEvent(req, {
+          action: AUDIT_ACTIONS.PROFILE_UPDATED,
+          actor: { type: 'user', userId: existingUser._id },
+          target: { type: 'user', id: existingUser._id },
+          before: { phone: existingUser.phone || null },
+          after: { phone: sanitizedPhone },
+          metadata: { via: 'verify-otp' }
+        });
+      }
       existingUser = {
         ...existingUser,
-        ...('phone' in updateFields ? { phone: sanitizedPhone } : {}),
+        ...(phoneSaved ? { phone: sanitizedPhone, phoneVerified: false } : {}),
         ...(sanitizedName ? { name: sanitizedName } : {}),
         lastLogin: now,
         profile: {
           ...(existingUser.profile || {}),
-          ...(sanitizedPhone ? { phone: sanitizedPhone } : {}),
+          ...(phoneSaved ? { phone: sanitizedPhone } : {}),
           ...(sanitizedName ? { name: sanitizedName } : {}),
           ...(preferredLanguage ? { language: preferredLanguage } : {}),
           ...(landSize ? { landSize: landSize?.toString() || '' } : {}),
@@ -1259,7 +2000,7 @@ app.post('/auth/verify-otp', async (req, res) => {
         await ensureUserContext(existingUser._id, {
           name: existingUser.name || sanitizedName || email.split('@')[0],
           email,
-          phone: sanitizedPhone || existingUser.phone || null,
+          phone: existingUser.phone || null,
           language: existingUser.preferredLanguage || preferredLanguage || existingUser.profile?.language || null
         });
 
@@ -1271,8 +2012,8 @@ app.post('/auth/verify-otp', async (req, res) => {
         });
       }
 
-      const session = await createSession(existingUser._id, req);
-      setSessionCookie(res, session.token, session.expiresAt);
+      const session = await createSession(existingUser._id, req, { method: 'email_otp' });
+      setSessionCookie(res, session);
 
       logger.info('User logged in via email OTP', { userId: existingUser._id.toString(), email });
 
@@ -1281,10 +2022,7 @@ app.post('/auth/verify-otp', async (req, res) => {
         message: 'Login successful',
         user: formatUserResponse(existingUser),
         token: session.token,
-        session: {
-          token: session.token,
-          expiresAt: session.expiresAt
-        }
+        session: formatIssuedSession(session)
       });
     } else {
       // New user - signup (fallback values for optional fields)
@@ -1309,6 +2047,9 @@ app.post('/auth/verify-otp', async (req, res) => {
           language: userLanguage
         },
         preferredLanguage: userLanguage,
+        // The phone typed at signup is not verified, so only the email is a login identity
+        identities: [createIdentity(IDENTITY_PROVIDERS.EMAIL, email, now)],
+        roles: [ROLES.FARMER],
         createdAt: now,
         lastLogin: now
       };
@@ -1332,8 +2073,8 @@ app.post('/auth/verify-otp', async (req, res) => {
         });
       }
 
-      const session = await createSession(result.insertedId, req);
-      setSessionCookie(res, session.token, session.expiresAt);
+      const session = await createSession(result.insertedId, req, { method: 'email_otp' });
+      setSessionCookie(res, session);
 
       logger.info('New user registered via email OTP', { userId: result.insertedId.toString(), email });
 
@@ -1342,10 +2083,7 @@ app.post('/auth/verify-otp', async (req, res) => {
         message: 'Registration successful',
         user: formatUserResponse(newUser),
         token: session.token,
-        session: {
-          token: session.token,
-          expiresAt: session.expiresAt
-        }
+        session: formatIssuedSession(session)
       });
     }
 
@@ -1357,686 +2095,2520 @@ app.post('/auth/verify-otp', async (req, res) => {
   }
 });
 
-// GET /auth/session - Validate existing session token (cookie or header)
-app.get('/auth/session', async (req, res) => {
-  try {
-    const token = extractSessionToken(req);
-    if (!token) {
-      return res.status(401).json({
-        error: { code: 'SESSION_NOT_FOUND', message: 'No session token found' }
-      });
-    }
-
-    const resolved = await resolveSessionUser(token);
-    if (!resolved) {
-      clearSessionCookie(res);
-      return res.status(401).json({
-        error: { code: 'SESSION_INVALID', message: 'Session expired or invalid' }
-      });
-    }
+// Phone/SMS OTP System
 
-    return res.json({
-      status: 'success',
-      data: {
-        user: formatUserResponse(resolved.user),
-        session: {
-          token,
-          expiresAt: resolved.session.expiresAt
-        }
-      }
-    });
-  } catch (error) {
-    logger.error('Error checking session', { error: error.message });
-    res.status(500).json({
-      error: { code: 'SERVER_ERROR', message: 'Unable to verify session' }
-    });
-  }
+const smsProvider = createSmsProvider();
+logger.info('SMS provider selected for OTP messages', {
+  provider: smsProvider.name,
+  configured: smsProvider.configured
 });
 
-// POST /auth/logout - Clear session cookie and revoke token
-app.post('/auth/logout', async (req, res) => {
-  try {
-    const token = extractSessionToken(req);
-    if (token) {
-      await revokeSessionByToken(token);
+// GET /auth/sms-status - SMS provider diagnostics
+app.get('/auth/sms-status', (req, res) => {
+  res.json({
+    status: 'success',
+    data: {
+      provider: smsProvider.name,
+      configured: smsProvider.configured
     }
-    clearSessionCookie(res);
-
-    res.json({
-      status: 'success',
-      message: 'Logged out successfully'
-    });
-  } catch (error) {
-    logger.error('Error logging out', { error: error.message });
-    res.status(500).json({
-      error: { code: 'SERVER_ERROR', message: 'Unable to logout' }
-    });
-  }
+  });
 });
 
-// POST /auth/verify - Accept Firebase idToken, verify, return farmer record or create
-app.post('/auth/verify', async (req, res) => {
+// POST /auth/send-phone-otp - Send OTP to a phone number by SMS
+app.post('/auth/send-phone-otp', async (req, res) => {
   try {
-    const { idToken } = req.body;
-
-    if (!idToken) {
-      logger.warn('Authentication failed - missing ID token');
+    const phone = normalizePhoneNumber(req.body?.phone);
 
+    if (!phone) {
       return res.status(400).json({
-        error: {
-          code: 'VALIDATION_ERROR',
-          message: 'ID token is required'
-        }
+        error: { code: 'VALIDATION_ERROR', message: 'Valid phone number is required' }
       });
     }
 
-    const isValid = await verifyFirebaseToken(idToken);
-    if (!isValid) {
-      logger.warn('Authentication failed - invalid Firebase ID token');
-
-      return res.status(401).json({
+    if (!smsProvider.configured) {
+      logger.error('SMS service not configured', { provider: smsProvider.name });
+      return res.status(503).json({
         error: {
-          code: 'INVALID_TOKEN',
-          message: 'Invalid Firebase ID token'
+          code: 'SERVICE_UNAVAILABLE',
+          message: 'SMS service is not configured. Please contact administrator.'
         }
       });
     }
 
-    // For demo purposes, we'll create a mock farmer
-    // In a real implementation, you'd extract user info from the token
-    const mockFarmer = {
-      name: 'Test Farmer',
-      phone: '+919876543210',
-      language: 'English',
-      location: 'Pune, Maharashtra',
-      crops: ['Wheat'],
-      landSize: 5.0,
-      soilType: 'Black soil',
-      joinedAt: new Date(),
-      updatedAt: new Date()
-    };
+    if (!(await enforceOtpSendLimits(req, res, phone, 'phone'))) {
+      return;
+    }
 
-    logger.info('User authenticated successfully', { farmerId: mockFarmer.phone });
+    const otp = generateOtp();
+    await persistOtpRecord(phone, otp, 'sms');
+    await smsProvider.sendSms(
+      phone,
+      `Your KrushiMitra OTP is ${otp}. It is valid for ${OTP_TTL_MINUTES} minutes. Do not share it with anyone.`
+    );
+    await markOtpSent(phone);
 
-    res.status(200).json({
+    logger.info('Phone OTP sent successfully', { phone, provider: smsProvider.name });
+
+    res.json({
       status: 'success',
-      data: {
-        farmer: mockFarmer,
-        isNewUser: true
-      }
+      message: 'OTP sent to your phone'
     });
   } catch (error) {
-    logger.error('Error verifying token', { error: error.message });
-
+    logger.error('Error sending phone OTP', {
+      error: error.message,
+      code: error.code
+    });
     res.status(500).json({
       error: {
         code: 'SERVER_ERROR',
-        message: 'Error verifying token'
+        message: 'Error sending OTP. Please try again.',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
       }
     });
   }
 });
 
-/* ==========================================================================
-   CROP DISEASE PREDICTION FLOW
-   ========================================================================== */
-
-// Configure Multer for temporary file uploads
-const upload = multer({ dest: 'uploads/' });
-
-// POST /predict - Analyze plant image (Phase 1: Plant Check, Phase 2: ID, Phase 3: Disease)
-app.post('/predict', upload.single('file'), async (req, res) => {
-  const file = req.file;
-  if (!file) {
-    return res.status(400).json({ success: false, message: 'No file uploaded' });
+// Links a phone-verified user to the farmers document for the same phone, unless another user owns it
+async function linkFarmerToUser(user, phoneVariants) {
+  const farmer = await farmersCollection.findOne({ phone: { $in: phoneVariants } });
+  if (!farmer) {
+    return null;
   }
+  if (farmer.userId && farmer.userId.toString() !== user._id.toString()) {
+    logger.warn('Farmer profile already linked to another user', {
+      userId: user._id.toString(),
+      farmerId: farmer.phone
+    });
+    return null;
+  }
+  const now = new Date();
+  if (!farmer.userId) {
+    await farmersCollection.updateOne({ _id: farmer._id }, { $set: { userId: user._id, updatedAt: now } });
+  }
+  await usersCollection.updateOne({ _id: user._id }, { $set: { farmerId: farmer._id } });
+  return farmer;
+}
 
-  const filePath = file.path;
-
+// POST /auth/verify-phone-otp - Verify SMS OTP and login/signup by phone
+app.post('/auth/verify-phone-otp', async (req, res) => {
   try {
-    console.log(`📸 File uploaded: ${filePath} (${file.size} bytes)`);
+    const { otp, name, language, validateOnly } = req.body;
+    const phone = normalizePhoneNumber(req.body?.phone);
+    const sanitizedName = typeof name === 'string' ? name.trim() : '';
+    const preferredLanguage = typeof language === 'string' && language.trim().length > 0 ? language.trim() : null;
 
-    // ---------- PHASE 1: Plant check (Mock) ----------
-    // TODO: Implement actual plant classification model
-    const plantCheck = { is_plant: true, confidence: 0.99 };
+    if (!phone || !otp) {
+      return res.status(400).json({
+        error: { code: 'VALIDATION_ERROR', message: 'Phone and OTP are required' }
+      });
+    }
 
-    if (!plantCheck.is_plant) {
-      // Cleanup file
-      fs.unlinkSync(filePath);
-      return res.json({
-        success: false,
+    if (!(await checkOtpAttempt(req, res, phone, otp, 'phone'))) {
+      return;
+    }
+
+    const phoneVariants = phoneLookupVariants(phone);
+    // Only an account that already verified this number is signed in; an unverified phone
+    // typed into another account could be anyone's, so that case gets a new account
+    let user = await findUserByIdentity(IDENTITY_PROVIDERS.PHONE, phone)
+      || await usersCollection.findOne({
+        mergedInto: { $exists: false },
+        'identities.provider': { $ne: IDENTITY_PROVIDERS.PHONE },
+        phone: { $in: phoneVariants },
+        phoneVerified: true
+      });
+
+    if (validateOnly) {
+      await otpCollection.updateOne(
+        { identifier: phone },
+        { $set: { lastAttemptAt: new Date() } }
+      );
+      return res.json({
+        status: 'success',
+        data: {
+          valid: true,
+          existingUser: Boolean(user)
+        }
+      });
+    }
+
+    await deleteOtpRecord(phone);
+
+    const now = new Date();
+    const isNewUser = !user;
+    if (user) {
+      const updateFields = { lastLogin: now, phoneVerified: true, phoneVerifiedAt: now };
+      if (preferredLanguage) {
+        updateFields.preferredLanguage = preferredLanguage;
+        updateFields['profile.language'] = preferredLanguage;
+      }
+      if (sanitizedName) {
+        updateFields.name = sanitizedName;
+        updateFields['profile.name'] = sanitizedName;
+      }
+      await usersCollection.updateOne({ _id: user._id }, { $set: updateFields });
+      await recordLoginIdentity(user, IDENTITY_PROVIDERS.PHONE, phone);
+    } else {
+      const existingFarmer = await farmersCollection.findOne({ phone: { $in: phoneVariants } });
+      const derivedName = sanitizedName || existingFarmer?.name || 'KrushiMitra Farmer';
+      const userLanguage = preferredLanguage || 'hi';
+      const newUser = {
+        name: derivedName,
+        phone,
+        phoneVerified: true,
+        phoneVerifiedAt: now,
+        photo: null,
+        profile: {
+          name: derivedName,
+          phone,
+          landSize: existingFarmer?.landSize?.toString() || '',
+          soilType: existingFarmer?.soilType || '',
+          language: userLanguage
+        },
+        preferredLanguage: userLanguage,
+        identities: [createIdentity(IDENTITY_PROVIDERS.PHONE, phone, now)],
+        roles: [ROLES.FARMER],
+        createdAt: now,
+        lastLogin: now
+      };
+      const result = await usersCollection.insertOne(newUser);
+      newUser._id = result.insertedId;
+      user = newUser;
+    }
+
+    const linkedFarmer = await linkFarmerToUser(user, phoneVariants);
+    user = await usersCollection.findOne({ _id: user._id });
+
+    try {
+      await ensureUserContext(user._id, {
+        name: user.name,
+        email: user.email || null,
+        phone: user.phone || phone,
+        language: user.preferredLanguage || user.profile?.language || null,
+        ...(linkedFarmer?.crops ? { crops: linkedFarmer.crops } : {})
+      });
+      await ensureUserMemoryDocument(user._id.toString());
+    } catch (contextError) {
+      logger.warn('User context init skipped for phone user', {
+        userId: user._id.toString(),
+        error: contextError.message
+      });
+    }
+
+    const session = await createSession(user._id, req, { method: 'phone_otp' });
+    setSessionCookie(res, session);
+
+    logger.info(isNewUser ? 'New user registered via phone OTP' : 'User logged in via phone OTP', {
+      userId: user._id.toString(),
+      phone,
+      farmerLinked: Boolean(linkedFarmer)
+    });
+
+    return res.json({
+      status: 'success',
+      message: isNewUser ? 'Registration successful' : 'Login successful',
+      user: formatUserResponse(user),
+      farmerLinked: Boolean(linkedFarmer),
+      token: session.token,
+      session: formatIssuedSession(session)
+    });
+  } catch (error) {
+    logger.error('Error verifying phone OTP', { error: error.message });
+    res.status(500).json({
+      error: { code: 'SERVER_ERROR', message: 'Error verifying OTP' }
+    });
+  }
+});
+
+// GET /auth/session - Validate existing session token (cookie or header)
+app.get('/auth/session', async (req, res) => {
+  try {
+    const token = extractSessionToken(req);
+    if (!token) {
+      return res.status(401).json({
+        error: { code: 'SESSION_NOT_FOUND', message: 'No session token found' }
+      });
+    }
+
+    const resolved = await resolveSessionUser(token);
+    if (!resolved) {
+      const code = await describeRejectedToken(token);
+      if (code === 'SESSION_INVALID') {
+        clearSessionCookie(res);
+      }
+      return sendSessionRejected(res, code);
+    }
+
+    return res.json({
+      status: 'success',
+      data: {
+        user: formatUserResponse(resolved.user),
+        session: {
+          token,
+          expiresAt: resolved.session.accessExpiresAt || resolved.session.expiresAt,
+          refreshExpiresAt: resolved.session.expiresAt
+        }
+      }
+    });
+  } catch (error) {
+    logger.error('Error checking session', { error: error.message });
+    res.status(500).json({
+      error: { code: 'SERVER_ERROR', message: 'Unable to verify session' }
+    });
+  }
+});
+
+// POST /auth/refresh - Rotate the refresh token and issue a new access token
+app.post('/auth/refresh', async (req, res) => {
+  try {
+    const refreshToken = extractRefreshToken(req);
+    if (!refreshToken) {
+      return res.status(400).json({
+        error: { code: 'VALIDATION_ERROR', message: 'refreshToken is required' }
+      });
+    }
+
+    const { session, issued, error } = await rotateRefreshToken(sessionsCollection, refreshToken, req);
+    if (error) {
+      clearSessionCookie(res);
+      return res.status(401).json({
+        error: {
+          code: error,
+          message: error === 'REFRESH_TOKEN_REUSED'
+            ? 'Refresh token was already used; the session has been revoked. Please log in again.'
+            : 'Refresh token expired or invalid'
+        }
+      });
+    }
+
+    const user = await usersCollection.findOne({ _id: new ObjectId(session.userId) });
+    if (!user || user.mergedInto) {
+      await revokeSessionByToken(sessionsCollection, issued.refreshToken, 'account_unavailable');
+      clearSessionCookie(res);
+      return res.status(401).json({
+        error: { code: 'SESSION_INVALID', message: 'Session expired or invalid' }
+      });
+    }
+
+    setSessionCookie(res, issued);
+
+    res.json({
+      status: 'success',
+      data: {
+        user: formatUserResponse(user),
+        token: issued.token,
+        session: formatIssuedSession(issued)
+      }
+    });
+  } catch (error) {
+    logger.error('Error refreshing session', { error: error.message });
+    res.status(500).json({
+      error: { code: 'SERVER_ERROR', message: 'Unable to refresh session' }
+    });
+  }
+});
+
+// POST /auth/logout - Clear session cookies and revoke the session
+app.post('/auth/logout', async (req, res) => {
+  try {
+    const token = extractSessionToken(req) || extractRefreshToken(req);
+    const session = token ? await revokeSessionByToken(sessionsCollection, token) : null;
+    if (session) {
+      await recordAuditEvent(req, {
+        action: AUDIT_ACTIONS.LOGOUT,
+        actor: { type: 'user', userId: session.userId },
+        target: { type: 'session', id: session._id }
+      });
+    }
+    clearSessionCookie(res);
+
+    res.json({
+      status: 'success',
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    logger.error('Error logging out', { error: error.message });
+    res.status(500).json({
+      error: { code: 'SERVER_ERROR', message: 'Unable to logout' }
+    });
+  }
+});
+
+// GET /auth/sessions - List the current user's active sessions (devices)
+app.get('/auth/sessions', authenticate, async (req, res) => {
+  try {
+    const sessions = await listActiveSessions(sessionsCollection, req.userId);
+    res.json({
+      status: 'success',
+      data: sessions.map((session) => formatSessionResponse(session, req.session._id))
+    });
+  } catch (error) {
+    logger.error('Error listing sessions', { error: error.message, userId: req.userId });
+    res.status(500).json({
+      error: { code: 'SERVER_ERROR', message: 'Unable to list sessions' }
+    });
+  }
+});
+
+// DELETE /auth/sessions/:id - Revoke a single session belonging to the current user
+app.delete('/auth/sessions/:id', authenticate, async (req, res) => {
+  try {
+    const sessionId = toObjectId(req.params.id);
+    if (!sessionId) {
+      return res.status(400).json({
+        error: { code: 'VALIDATION_ERROR', message: 'Invalid session id' }
+      });
+    }
+
+    const revoked = await revokeUserSession(sessionsCollection, req.userId, sessionId);
+    if (!revoked) {
+      return res.status(404).json({
+        error: { code: 'SESSION_NOT_FOUND', message: 'Session not found' }
+      });
+    }
+
+    const isCurrent = sessionId.equals(req.session._id);
+    if (isCurrent) {
+      clearSessionCookie(res);
+    }
+
+    await recordAuditEvent(req, {
+      action: AUDIT_ACTIONS.SESSION_REVOKED,
+      target: { type: 'session', id: sessionId },
+      metadata: { current: isCurrent }
+    });
+
+    logger.info('Session revoked', {
+      userId: req.userId,
+      sessionId: sessionId.toString(),
+      current: isCurrent
+    });
+
+    res.json({
+      status: 'success',
+      message: 'Session revoked',
+      data: { id: sessionId.toString(), current: isCurrent }
+    });
+  } catch (error) {
+    logger.error('Error revoking session', { error: error.message, userId: req.userId });
+    res.status(500).json({
+      error: { code: 'SERVER_ERROR', message: 'Unable to revoke session' }
+    });
+  }
+});
+
+// POST /auth/logout-all - Revoke every session of the current user, including this one
+app.post('/auth/logout-all', authenticate, async (req, res) => {
+  try {
+    const revokedCount = await revokeAllUserSessions(sessionsCollection, req.userId);
+    clearSessionCookie(res);
+
+    await recordAuditEvent(req, {
+      action: AUDIT_ACTIONS.SESSIONS_REVOKED_ALL,
+      target: { type: 'user', id: req.userId },
+      metadata: { revoked: revokedCount }
+    });
+
+    logger.info('All sessions revoked', { userId: req.userId, revokedCount });
+
+    res.json({
+      status: 'success',
+      message: 'Logged out from all devices',
+      data: { revoked: revokedCount }
+    });
+  } catch (error) {
+    logger.error('Error logging out all sessions', { error: error.message, userId: req.userId });
+    res.status(500).json({
+      error: { code: 'SERVER_ERROR', message: 'Unable to logout from all devices' }
+    });
+  }
+});
+
+/* ==========================================================================
+   LINKED LOGIN IDENTITIES
+   ========================================================================== */
+
+// GET /auth/identities - List the login methods linked to the current user
+app.get('/auth/identities', authenticate, async (req, res) => {
+  res.json({
+    status: 'success',
+    data: { identities: getUserIdentities(req.user).map(formatIdentityResponse) }
+  });
+});
+
+// POST /auth/identities/link - Link a Google account, email or phone after proving ownership
+app.post('/auth/identities/link', authenticate, async (req, res) => {
+  try {
+    const { provider, email, phone, otp } = req.body || {};
+    if (!VALID_PROVIDERS.includes(provider)) {
+      return res.status(400).json({
+        error: { code: 'VALIDATION_ERROR', message: `provider must be one of: ${VALID_PROVIDERS.join(', ')}` }
+      });
+    }
+
+    // Proof of ownership: a Google credential, or the OTP sent by /auth/send-otp or /auth/send-phone-otp
+    let value;
+    if (provider === IDENTITY_PROVIDERS.GOOGLE) {
+      const { payload, error: googleError } = await verifyGoogleCredential(req.body);
+      if (googleError) {
+        return res.status(googleError.status).json({
+          error: { code: googleError.code, message: googleError.message }
+        });
+      }
+      value = payload.sub;
+    } else {
+      const identifier = provider === IDENTITY_PROVIDERS.EMAIL
+        ? (typeof email === 'string' && email.includes('@') ? email : null)
+        : normalizePhoneNumber(phone);
+      if (!identifier || !otp) {
+        return res.status(400).json({
+          error: { code: 'VALIDATION_ERROR', message: `A valid ${provider} and OTP are required` }
+        });
+      }
+      if (!(await checkOtpAttempt(req, res, identifier, otp, provider))) {
+        return;
+      }
+      await deleteOtpRecord(identifier);
+      value = identifier;
+    }
+
+    const result = await linkUserIdentity(req.user, provider, value);
+    if (result.status === 'in_use') {
+      return res.status(409).json({
+        error: {
+          code: 'IDENTITY_IN_USE',
+          message: 'This login is already linked to another account. Sign in to that account and merge it via POST /auth/merge.'
+        }
+      });
+    }
+    if (result.status !== 'linked') {
+      return res.status(400).json({
+        error: { code: 'VALIDATION_ERROR', message: `Invalid ${provider} identity` }
+      });
+    }
+
+    if (provider === IDENTITY_PROVIDERS.PHONE) {
+      await linkFarmerToUser(req.user, phoneLookupVariants(normalizePhoneNumber(value)));
+    }
+
+    logger.info('Login identity linked', { userId: req.userId, provider });
+    await recordAuditEvent(req, {
+      action: AUDIT_ACTIONS.IDENTITY_LINKED,
+      target: { type: 'user', id: req.userId },
+      metadata: { provider, identity: buildIdentityKey(provider, value) }
+    });
+
+    res.json({
+      status: 'success',
+      data: { identities: result.identities.map(formatIdentityResponse) }
+    });
+  } catch (error) {
+    logger.error('Error linking login identity', { error: error.message, userId: req.userId });
+    res.status(500).json({
+      error: { code: 'SERVER_ERROR', message: 'Error linking login identity' }
+    });
+  }
+});
+
+// DELETE /auth/identities/:provider/:value - Unlink a login method (the last one cannot be removed)
+app.delete('/auth/identities/:provider/:value', authenticate, async (req, res) => {
+  try {
+    const { provider, value } = req.params;
+    if (!VALID_PROVIDERS.includes(provider)) {
+      return res.status(400).json({
+        error: { code: 'VALIDATION_ERROR', message: `provider must be one of: ${VALID_PROVIDERS.join(', ')}` }
+      });
+    }
+
+    const result = await unlinkUserIdentity(req.user, provider, value);
+    if (result.status === 'not_linked') {
+      return res.status(404).json({
+        error: { code: 'NOT_FOUND', message: 'Login identity not linked to this account' }
+      });
+    }
+    if (result.status === 'last_identity') {
+      return res.status(400).json({
+        error: { code: 'LAST_IDENTITY', message: 'Link another login method before removing this one' }
+      });
+    }
+
+    logger.info('Login identity unlinked', { userId: req.userId, provider });
+    await recordAuditEvent(req, {
+      action: AUDIT_ACTIONS.IDENTITY_UNLINKED,
+      target: { type: 'user', id: req.userId },
+      metadata: { provider, identity: buildIdentityKey(provider, value) }
+    });
+
+    res.json({
+      status: 'success',
+      data: { identities: result.identities.map(formatIdentityResponse) }
+    });
+  } catch (error) {
+    logger.error('Error unlinking login identity', { error: error.message, userId: req.userId });
+    res.status(500).json({
+      error: { code: 'SERVER_ERROR', message: 'Error unlinking login identity' }
+    });
+  }
+});
+
+// POST /auth/merge - Merge a duplicate account into the current one.
+// The caller proves ownership of the duplicate by passing a session token issued to it.
+app.post('/auth/merge', authenticate, async (req, res) => {
+  const startTime = Date.now();
+  try {
+    const { sourceToken } = req.body || {};
+    if (!sourceToken || typeof sourceToken !== 'string') {
+      return res.status(400).json({
+        error: { code: 'VALIDATION_ERROR', message: 'sourceToken (a session token of the account to merge) is required' }
+      });
+    }
+
+    const source = await resolveSessionUser(sourceToken);
+    if (!source) {
+      return res.status(401).json({
+        error: { code: 'SESSION_INVALID', message: 'Source session expired or invalid' }
+      });
+    }
+    if (source.user._id.equals(req.user._id)) {
+      return res.status(400).json({
+        error: { code: 'VALIDATION_ERROR', message: 'Cannot merge an account into itself' }
+      });
+    }
+
+    const result = await mergeUserAccounts(req.user, source.user);
+
+    const duration = Date.now() - startTime;
+    logDBOperation('mergeUserAccounts', {
+      durationMs: duration,
+      status: 'success',
+      targetUserId: req.userId,
+      sourceUserId: source.user._id.toString(),
+      ...result.moved
+    });
+    logger.info('User accounts merged', {
+      targetUserId: req.userId,
+      sourceUserId: source.user._id.toString(),
+      durationMs: duration
+    });
+    await recordAuditEvent(req, {
+      action: AUDIT_ACTIONS.ACCOUNTS_MERGED,
+      target: { type: 'user', id: req.userId },
+      metadata: { sourceUserId: source.user._id.toString(), moved: result.moved }
+    });
+
+    res.json({
+      status: 'success',
+      data: {
+        user: formatUserResponse(result.user),
+        mergedUserId: source.user._id.toString(),
+        moved: result.moved,
+        sessionsRevoked: result.sessionsRevoked
+      }
+    });
+  } catch (error) {
+    const duration = Date.now() - startTime;
+    logDBError('mergeUserAccounts', error, { durationMs: duration, targetUserId: req.userId });
+    logger.error('Error merging user accounts', { error: error.message, userId: req.userId });
+    res.status(500).json({
+      error: { code: 'SERVER_ERROR', message: 'Error merging accounts' }
+    });
+  }
+});
+
+// POST /auth/verify - Accept Firebase idToken, verify, return farmer record or create
+app.post('/auth/verify', async (req, res) => {
+  try {
+    const { idToken } = req.body;
+
+    if (!idToken) {
+      logger.warn('Authentication failed - missing ID token');
+
+      return res.status(400).json({
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'ID token is required'
+        }
+      });
+    }
+
+    const isValid = await verifyFirebaseToken(idToken);
+    if (!isValid) {
+      logger.warn('Authentication failed - invalid Firebase ID token');
+
+      return res.status(401).json({
+        error: {
+          code: 'INVALID_TOKEN',
+          message: 'Invalid Firebase ID token'
+        }
+      });
+    }
+
+    // For demo purposes, we'll create a mock farmer
+    // In a real implementation, you'd extract user info from the token
+    const mockFarmer = {
+      name: 'Test Farmer',
+      phone: '+919876543210',
+      language: 'English',
+      location: 'Pune, Maharashtra',
+      crops: ['Wheat'],
+      landSize: 5.0,
+      soilType: 'Black soil',
+      joinedAt: new Date(),
+      updatedAt: new Date()
+    };
+
+    logger.info('User authenticated successfully', { farmerId: mockFarmer.phone });
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        farmer: mockFarmer,
+        isNewUser: true
+      }
+    });
+  } catch (error) {
+    logger.error('Error verifying token', { error: error.message });
+
+    res.status(500).json({
+      error: {
+        code: 'SERVER_ERROR',
+        message: 'Error verifying token'
+      }
+    });
+  }
+});
+
+/* ==========================================================================
+   MY DATA: EXPORT AND ACCOUNT DELETION
+   ========================================================================== */
+
+// GET /me/export - Download everything stored about the current user (?format=json|zip)
+app.get('/me/export', authenticate, async (req, res) => {
+  const startTime = Date.now();
+  try {
+    const format = (req.query.format || 'json').toLowerCase();
+    if (!['json', 'zip'].includes(format)) {
+      return res.status(400).json({
+        error: { code: 'VALIDATION_ERROR', message: 'format must be json or zip' }
+      });
+    }
+
+    const exported = await collectUserData(krushiMitraDb, req.user);
+    const filename = `krushimitra-export-${req.userId}-${exported.exportedAt.toISOString().slice(0, 10)}`;
+
+    logDBOperation('exportUserData', {
+      durationMs: Date.now() - startTime,
+      status: 'success',
+      userId: req.userId,
+      format,
+      counts: Object.fromEntries(Object.entries(exported.collections).map(([name, docs]) => [name, docs.length]))
+    });
+
+    await recordAuditEvent(req, {
+      action: AUDIT_ACTIONS.DATA_EXPORTED,
+      target: { type: 'user', id: req.userId },
+      metadata: { format }
+    });
+
+    if (format === 'json') {
+      res.attachment(`${filename}.json`);
+      return res.send(JSON.stringify(exported, null, 2));
+    }
+
+    // One JSON file per collection plus a manifest
+    res.attachment(`${filename}.zip`);
+    const zip = archiver('zip', { zlib: { level: 9 } });
+    zip.on('error', (zipError) => {
+      logger.error('Error building data export archive', { error: zipError.message, userId: req.userId });
+      res.destroy(zipError);
+    });
+    zip.pipe(res);
+    zip.append(JSON.stringify({
+      exportedAt: exported.exportedAt,
+      userId: exported.userId,
+      files: Object.keys(exported.collections).map((name) => `${name}.json`)
+    }, null, 2), { name: 'manifest.json' });
+    Object.entries(exported.collections).forEach(([name, docs]) => {
+      zip.append(JSON.stringify(docs, null, 2), { name: `${name}.json` });
+    });
+    await zip.finalize();
+  } catch (error) {
+    logDBError('exportUserData', error, { durationMs: Date.now() - startTime, userId: req.userId });
+    logger.error('Error exporting user data', { error: error.message, userId: req.userId });
+    if (!res.headersSent) {
+      res.status(500).json({
+        error: { code: 'SERVER_ERROR', message: 'Error exporting user data' }
+      });
+    }
+  }
+});
+
+// DELETE /me - Schedule the current account for deletion; data is purged after the grace period
+app.delete('/me', authenticate, async (req, res) => {
+  try {
+    if (req.body?.confirm !== true) {
+      return res.status(400).json({
+        error: { code: 'CONFIRMATION_REQUIRED', message: 'Send { "confirm": true } to delete your account' }
+      });
+    }
+
+    const now = new Date();
+    const purgeAfter = req.user.purgeAfter
+      || new Date(now.getTime() + ACCOUNT_DELETION_GRACE_DAYS * 24 * 60 * 60 * 1000);
+    await usersCollection.updateOne(
+      { _id: req.user._id },
+      { $set: { deletionRequestedAt: req.user.deletionRequestedAt || now, purgeAfter, updatedAt: now } }
+    );
+    const sessionsRevoked = await revokeAllUserSessions(sessionsCollection, req.userId, 'account_deleted');
+    clearSessionCookie(res);
+
+    logger.info('Account deletion requested', { userId: req.userId, purgeAfter, sessionsRevoked });
+    await recordAuditEvent(req, {
+      action: AUDIT_ACTIONS.ACCOUNT_DELETION_REQUESTED,
+      target: { type: 'user', id: req.userId },
+      metadata: { purgeAfter, sessionsRevoked }
+    });
+
+    res.status(202).json({
+      status: 'success',
+      message: `Account scheduled for deletion. Log in and call POST /me/restore before ${purgeAfter.toISOString()} to keep it.`,
+      data: { purgeAfter, sessionsRevoked }
+    });
+  } catch (error) {
+    logger.error('Error scheduling account deletion', { error: error.message, userId: req.userId });
+    res.status(500).json({
+      error: { code: 'SERVER_ERROR', message: 'Error deleting account' }
+    });
+  }
+});
+
+// POST /me/restore - Cancel a pending account deletion during the grace period
+app.post('/me/restore', authenticate, async (req, res) => {
+  try {
+    if (!req.user.deletionRequestedAt) {
+      return res.status(409).json({
+        error: { code: 'NOT_PENDING_DELETION', message: 'Account is not scheduled for deletion' }
+      });
+    }
+
+    await usersCollection.updateOne(
+      { _id: req.user._id },
+      { $unset: { deletionRequestedAt: '', purgeAfter: '' }, $set: { updatedAt: new Date() } }
+    );
+
+    logger.info('Account deletion cancelled', { userId: req.userId });
+    await recordAuditEvent(req, {
+      action: AUDIT_ACTIONS.ACCOUNT_RESTORED,
+      target: { type: 'user', id: req.userId }
+    });
+
+    res.json({ status: 'success', message: 'Account deletion cancelled' });
+  } catch (error) {
+    logger.error('Error restoring account', { error: error.message, userId: req.userId });
+    res.status(500).json({
+      error: { code: 'SERVER_ERROR', message: 'Error restoring account' }
+    });
+  }
+});
+
+/* ==========================================================================
+   ADMIN: USER ROLES
+   ========================================================================== */
+
+// GET /admin/users - List users, optionally filtered by role (admin only)
+app.get('/admin/users', authenticate, requireRole(ROLES.ADMIN), async (req, res) => {
+  try {
+    const { role } = req.query;
+    const { limit, offset } = parsePaging(req.query, 50);
+    const query = {};
+    if (role) {
+      if (!VALID_ROLES.includes(role)) {
+        return res.status(400).json({
+          error: { code: 'VALIDATION_ERROR', message: `role must be one of: ${VALID_ROLES.join(', ')}` }
+        });
+      }
+      // Users without a roles field are implicitly farmers
+      query.$or = role === ROLES.FARMER
+        ? [{ roles: role }, { roles: { $exists: false } }, { roles: { $size: 0 } }]
+        : [{ roles: role }];
+    }
+
+    const total = await usersCollection.countDocuments(query);
+    const users = await usersCollection
+      .find(query)
+      .sort({ createdAt: -1 })
+      .skip(offset)
+      .limit(limit)
+      .toArray();
+
+    res.json({
+      status: 'success',
+      data: users.map(formatUserResponse),
+      pagination: {
+        limit,
+        offset,
+        total
+      }
+    });
+  } catch (error) {
+    logger.error('Error listing users', { error: error.message, userId: req.userId });
+    res.status(500).json({
+      error: { code: 'SERVER_ERROR', message: 'Error listing users' }
+    });
+  }
+});
+
+// PUT /admin/users/:userId/roles - Assign roles and officer districts (admin only)
+app.put('/admin/users/:userId/roles', authenticate, requireRole(ROLES.ADMIN), async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { roles, assignedDistricts } = req.body || {};
+    const targetId = toObjectId(userId);
+
+    if (!targetId) {
+      return res.status(400).json({
+        error: { code: 'VALIDATION_ERROR', message: 'Invalid user id' }
+      });
+    }
+    if (!Array.isArray(roles) || roles.length === 0 || roles.some((role) => !VALID_ROLES.includes(role))) {
+      return res.status(400).json({
+        error: { code: 'VALIDATION_ERROR', message: `roles must be a non-empty array of: ${VALID_ROLES.join(', ')}` }
+      });
+    }
+    if (assignedDistricts !== undefined && !Array.isArray(assignedDistricts)) {
+      return res.status(400).json({
+        error: { code: 'VALIDATION_ERROR', message: 'assignedDistricts must be an array' }
+      });
+    }
+
+    const update = { roles: [...new Set(roles)], updatedAt: new Date() };
+    if (assignedDistricts !== undefined) {
+      update.assignedDistricts = assignedDistricts
+        .filter((district) => typeof district === 'string' && district.trim())
+        .map((district) => district.trim());
+    }
+
+    const previous = await usersCollection.findOneAndUpdate(
+      { _id: targetId },
+      { $set: update },
+      { returnDocument: 'before' }
+    );
+
+    if (!previous) {
+      return res.status(404).json({
+        error: { code: 'NOT_FOUND', message: 'User not found' }
+      });
+    }
+    const user = { ...previous, ...update };
+
+    await recordAuditEvent(req, {
+      action: AUDIT_ACTIONS.ROLES_UPDATED,
+      target: { type: 'user', id: targetId },
+      before: { roles: getUserRoles(previous), assignedDistricts: previous.assignedDistricts || [] },
+      after: { roles: update.roles, assignedDistricts: user.assignedDistricts || [] }
+    });
+
+    logger.info('User roles updated', {
+      userId: targetId.toString(),
+      roles: update.roles,
+      updatedBy: req.userId
+    });
+
+    res.json({
+      status: 'success',
+      data: { user: formatUserResponse(user) }
+    });
+  } catch (error) {
+    logger.error('Error updating user roles', { error: error.message, userId: req.params?.userId });
+    res.status(500).json({
+      error: { code: 'SERVER_ERROR', message: 'Error updating user roles' }
+    });
+  }
+});
+
+/* ==========================================================================
+   ADMIN: AUDIT LOG
+   ========================================================================== */
+
+// GET /admin/audit-events - Query the audit log (admin only), newest first
+app.get('/admin/audit-events', authenticate, requireRole(ROLES.ADMIN), async (req, res) => {
+  try {
+    const filters = parseAuditFilters(req.query);
+    if (filters.error) {
+      return res.status(400).json({
+        error: { code: 'VALIDATION_ERROR', message: filters.error }
+      });
+    }
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+    const { events, total } = await queryAuditEvents(filters.value, { limit, offset });
+
+    res.json({
+      status: 'success',
+      data: {
+        events: events.map(({ _id, ...event }) => ({ id: _id.toString(), ...event })),
+        total,
+        limit,
+        offset
+      }
+    });
+  } catch (error) {
+    logger.error('Error querying audit events', { error: error.message });
+    res.status(500).json({
+      error: { code: 'SERVER_ERROR', message: 'Error querying audit events' }
+    });
+  }
+});
+
+/* ==========================================================================
+   CROP DISEASE PREDICTION FLOW
+   ========================================================================== */
+
+// Configure Multer for temporary file uploads
+const upload = multer({ dest: 'uploads/' });
+
+// POST /predict - Analyze plant image (Phase 1: Plant Check, Phase 2: ID, Phase 3: Disease)
+app.post('/predict', upload.single('file'), async (req, res) => {
+  const file = req.file;
+  if (!file) {
+    return res.status(400).json({ success: false, message: 'No file uploaded' });
+  }
+
+  const filePath = file.path;
+
+  try {
+    console.log(`📸 File uploaded: ${filePath} (${file.size} bytes)`);
+
+    // ---------- PHASE 1: Plant check (Mock) ----------
+    // TODO: Implement actual plant classification model
+    const plantCheck = { is_plant: true, confidence: 0.99 };
+
+    if (!plantCheck.is_plant) {
+      // Cleanup file
+      fs.unlinkSync(filePath);
+      return res.json({
+        success: false,
         message: "Uploaded image is not a plant",
         details: plantCheck
       });
     }
 
-    // ---------- PHASE 2: REAL Plant Identification (PlantNet) ----------
-    // Detect organ from request body or default to 'leaf'
-    const organ = req.body.organ || 'leaf';
-    const plantIdentity = await identifyPlant(filePath, organ);
+    // ---------- PHASE 2: REAL Plant Identification (PlantNet) ----------
+    // Detect organ from request body or default to 'leaf'
+    const organ = req.body.organ || 'leaf';
+    const plantIdentity = await identifyPlant(filePath, organ);
+
+    // ---------- PHASE 4 & 5: AI Disease Analysis (YOLOv8 + MobileNet via Python) ----------
+    console.log('🔬 Starting AI Disease Analysis...');
+
+    // Spawn Python process
+    const pythonProcess = spawn('python', ['scripts/crop_inference.py', filePath]);
+
+    let pythonData = '';
+    let pythonError = '';
+
+    const diseaseResult = await new Promise((resolve, reject) => {
+      pythonProcess.stdout.on('data', (data) => {
+        pythonData += data.toString();
+      });
+
+      pythonProcess.stderr.on('data', (data) => {
+        pythonError += data.toString();
+      });
+
+      pythonProcess.on('close', (code) => {
+        if (code !== 0) {
+          console.error(`Python script exited with code ${code}`);
+          console.error(`Python Error: ${pythonError}`);
+          // Fallback to Healthy if script fails
+          resolve({
+            success: false,
+            disease: "Unknown (Analysis Failed)",
+            confidence: 0,
+            details: "AI Model could not process image."
+          });
+        } else {
+          try {
+            const result = JSON.parse(pythonData);
+            const analysis = result.disease_analysis;
+            resolve({
+              success: true,
+              disease: analysis.disease,
+              confidence: analysis.confidence,
+              details: `Detected via ${analysis.model}. Leaf detected: ${result.leaf_detection.detected}`
+            });
+          } catch (e) {
+            console.error('Failed to parse Python output:', pythonData);
+            resolve({
+              success: false,
+              disease: "Parse Error",
+              confidence: 0
+            });
+          }
+        }
+      });
+    });
+
+    // ---------- PHASE 6: INTELLECTUAL AI SOLUTION (Groq / Llama 3) ----------
+    let aiSolution = {
+      treatment: "No treatment required for healthy plants.",
+      prevention: ["Maintain good soil health", "Water regularly"],
+      tips: ["Monitor for pests"]
+    };
+
+    if (diseaseResult.disease && diseaseResult.disease !== 'Healthy') {
+      if (!groq) {
+        console.log('⚠️ Skipping AI Solution: GROQ_API_KEY not configured.');
+        aiSolution.treatment = "AI Recommendations unavailable (Server Config Error).";
+      } else {
+        try {
+          console.log('🧠 Generating AI Solution for:', diseaseResult.disease);
+          const prompt = `
+                Act as an agricultural expert. A farmer has detected "${diseaseResult.disease}" on their "${plantIdentity.plant_common || 'crop'}".
+                
+                Provide a strict JSON response with no markdown formatted as:
+                {
+                    "treatment": "Brief step-by-step treatment plan (max 2 sentences)",
+                    "prevention": ["List of 3 short prevention tips"],
+                    "tips": ["List of 2 general maintainance tips"]
+                }
+                `;
+
+          const completion = await groq.chat.completions.create({
+            messages: [{ role: "user", content: prompt }],
+            model: "llama-3.1-8b-instant",
+            temperature: 0.3,
+            response_format: { type: "json_object" }
+          });
+
+          const content = completion.choices[0]?.message?.content;
+          if (content) {
+            aiSolution = JSON.parse(content);
+          }
+        } catch (groqError) {
+          console.error('Groq AI Error:', groqError);
+          // Non-blocking error, stick to defaults
+        }
+      }
+    }
+
+    // Cleanup file
+    if (fs.existsSync(filePath)) fs.unlinkSync(filePath);
+
+    res.json({
+      success: true,
+      plant_identification: plantIdentity,
+      disease_detection: diseaseResult,
+      ai_solution: aiSolution
+    });
+
+  } catch (error) {
+    console.error('Error in /predict:', error);
+    // Attempt cleanup
+    if (fs.existsSync(filePath)) fs.unlinkSync(filePath);
+
+    res.status(500).json({
+      success: false,
+      message: 'Analysis failed',
+      error: error.message
+    });
+  }
+});
+
+// 3. Activity Tracking
+
+// ... (existing activity routes) ...
+
+/* ==========================================================================
+   VOICE ALERTS
+   ========================================================================== */
+
+// Loads the call named by the ?token= Twilio sends back; null for a bad or expired token
+async function findCallForWebhook(req) {
+  const payload = verifyCallToken(req.query.token, getCallTokenSecret());
+  return payload ? findCallForToken(payload) : null;
+}
+
+// GET /voice/alerts/preview - What a voice alert call would say to the current user
+app.get('/voice/alerts/preview', authenticate, async (req, res) => {
+  try {
+    const context = await gatherVoiceAlertContext(krushiMitraDb, req.user);
+    const script = buildVoiceScript(context);
+    res.json({ status: 'success', data: { language: script.language, script: script.lines, context } });
+  } catch (error) {
+    logger.error('Error building voice alert preview', { error: error.message, userId: req.userId });
+    res.status(500).json({
+      error: { code: 'SERVER_ERROR', message: 'Error building voice alert' }
+    });
+  }
+});
+
+// POST /voice/alerts/call - Call the current user's verified phone with their voice alert
+app.post('/voice/alerts/call', authenticate, async (req, res) => {
+  try {
+    if (!req.user.phoneVerified || !req.user.phone) {
+      return res.status(400).json({
+        error: { code: 'PHONE_NOT_VERIFIED', message: 'Verify a phone number before requesting a call' }
+      });
+    }
+
+    const voiceClient = createVoiceClient();
+    if (!voiceClient) {
+      return res.status(503).json({
+        error: { code: 'VOICE_NOT_CONFIGURED', message: 'Voice calls are not configured' }
+      });
+    }
+
+    const recent = await findRecentCall(req.user._id);
+    if (recent) {
+      return res.status(429).json({
+        error: {
+          code: 'TOO_MANY_CALLS',
+          message: `Only one call every ${MIN_MINUTES_BETWEEN_CALLS} minutes`,
+          details: { lastCallId: recent._id.toString() }
+        }
+      });
+    }
+
+    const call = await placeVoiceAlertCall(krushiMitraDb, req.user, {
+      baseUrl: getWebhookBaseUrl(req),
+      voiceClient
+    });
+    if (call.status === 'failed') {
+      logger.error('Voice alert call could not be placed', { userId: req.userId, callId: call._id.toString(), error: call.lastError });
+      return res.status(502).json({
+        error: { code: 'CALL_FAILED', message: 'The call could not be placed', details: { callId: call._id.toString() } }
+      });
+    }
+
+    logger.info('Voice alert call placed', { userId: req.userId, callId: call._id.toString(), callSid: call.twilioCallSid });
+    res.status(201).json({ status: 'success', data: formatVoiceCallResponse(call) });
+  } catch (error) {
+    logger.error('Error placing voice alert call', { error: error.message, userId: req.userId });
+    res.status(500).json({
+      error: { code: 'SERVER_ERROR', message: 'Error placing voice alert call' }
+    });
+  }
+});
+
+// POST /voice/alerts/twiml?token= - Twilio webhook: TwiML reading the call's script
+app.post('/voice/alerts/twiml', requireTwilioSignature(), async (req, res) => {
+  try {
+    const call = await findCallForWebhook(req);
+    if (!call) {
+      logger.warn('Voice alert TwiML requested with an invalid call token', { ip: req.ip });
+      return res.status(403).type('text/xml').send('<?xml version="1.0" encoding="UTF-8"?><Response><Reject/></Response>');
+    }
+
+    await markScriptServed(call._id);
+    res.type('text/xml');
+    res.send(buildVoiceTwiml(call.script));
+  } catch (error) {
+    logger.error('Error serving voice alert TwiML', { error: error.message });
+    res.status(500).type('text/xml').send('<?xml version="1.0" encoding="UTF-8"?><Response><Hangup/></Response>');
+  }
+});
+
+// POST /voice/status - Twilio status callback for every outbound call
+app.post('/voice/status', requireTwilioSignature(), async (req, res) => {
+  try {
+    if (!req.body.CallSid || !req.body.CallStatus) {
+      return res.status(400).json({
+        error: { code: 'VALIDATION_ERROR', message: 'CallSid and CallStatus are required' }
+      });
+    }
+
+    const callId = toObjectId(req.query.cid);
+    const call = await recordCallStatus(req.body, { callId });
+    if (!call) {
+      return res.status(404).json({
+        error: { code: 'NOT_FOUND', message: 'Call not found' }
+      });
+    }
+
+    logger.info('Voice call status', {
+      callId: call._id.toString(),
+      callSid: req.body.CallSid,
+      status: req.body.CallStatus,
+      retryAt: call.retry?.status === 'scheduled' ? call.retry.at : undefined
+    });
+    res.status(204).end();
+  } catch (error) {
+    logger.error('Error recording voice call status', { error: error.message });
+    res.status(500).end();
+  }
+});
+
+// 3. Activity Tracking
+
+// POST /activities - Log activity for a farmer
+app.post('/activities', authenticate, async (req, res) => {
+  const startTime = Date.now();
+  try {
+    const { description, type, details } = req.body;
+
+    if (req.body.farmerId && !isOwnIdentifier(req.user, req.body.farmerId)) {
+      logger.warn('Activity logging rejected - farmerId does not belong to user', {
+        userId: req.userId,
+        farmerId: req.body.farmerId
+      });
+      return res.status(403).json({
+        error: {
+          code: 'FORBIDDEN',
+          message: 'You can only log activities for yourself'
+        }
+      });
+    }
+
+    const farmerId = req.body.farmerId || getUserPhone(req.user) || req.userId;
+
+    // Validation
+    if (!farmerId || !description) {
+      const duration = Date.now() - startTime;
+      logger.warn('Activity logging failed - missing required fields', {
+        farmerId,
+        missingFields: [!farmerId ? 'farmerId' : null, !description ? 'description' : null].filter(Boolean),
+        durationMs: duration
+      });
+
+      return res.status(400).json({
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Farmer ID and description are required'
+        }
+      });
+    }
+
+    const activity = {
+      farmerId,
+      description,
+      type: type || 'general',
+      details: details || {},
+      date: new Date()
+    };
+
+    // Insert activity into MongoDB
+    const result = await activitiesCollection.insertOne(activity);
+    activity._id = result.insertedId;
+
+    const duration = Date.now() - startTime;
+    logDBOperation('insertActivity', {
+      farmerId,
+      activityType: type,
+      activityId: result.insertedId.toString(),
+      durationMs: duration,
+      status: 'success'
+    });
+
+    logger.info('Activity logged successfully', {
+      farmerId,
+      activityId: result.insertedId.toString(),
+      durationMs: duration
+    });
+
+    res.status(201).json({
+      status: 'success',
+      data: activity
+    });
+  } catch (error) {
+    const duration = Date.now() - startTime;
+    logDBError('insertActivity', error, {
+      farmerId: req.body?.farmerId,
+      activityType: req.body?.type,
+      durationMs: duration
+    });
+    logger.error('Error logging activity', {
+      error: error.message,
+      farmerId: req.body?.farmerId,
+      durationMs: duration
+    });
+
+    res.status(500).json({
+      error: {
+        code: 'SERVER_ERROR',
+        message: 'Error logging activity'
+      }
+    });
+  }
+});
+
+// GET /activities/:farmerId - Fetch activity log
+app.get('/activities/:farmerId', authenticate, async (req, res) => {
+  const startTime = Date.now();
+  try {
+    const { farmerId } = req.params;
+    const { limit = 10, offset = 0, type } = req.query;
+
+    if (!isOwnIdentifier(req.user, farmerId)) {
+      logger.warn('Activity log access denied', {
+        userId: req.userId,
+        farmerId
+      });
+      return res.status(403).json({
+        error: {
+          code: 'FORBIDDEN',
+          message: 'You do not have access to this activity log'
+        }
+      });
+    }
+
+    // Build query
+    const query = { farmerId: farmerId };
+    if (type) {
+      query.type = type;
+    }
+
+    // Get total count
+    const total = await activitiesCollection.countDocuments(query);
+
+    // Get paginated activities
+    const activities = await activitiesCollection
+      .find(query)
+      .sort({ date: -1 })
+      .skip(parseInt(offset))
+      .limit(parseInt(limit))
+      .toArray();
+
+    const duration = Date.now() - startTime;
+    logDBOperation('findActivities', {
+      farmerId,
+      limit,
+      offset,
+      type,
+      total,
+      returned: activities.length,
+      durationMs: duration,
+      status: 'success'
+    });
+
+    logger.info('Activities retrieved successfully', {
+      farmerId,
+      count: activities.length,
+      durationMs: duration
+    });
+
+    res.status(200).json({
+      status: 'success',
+      data: activities,
+      pagination: {
+        limit: parseInt(limit),
+        offset: parseInt(offset),
+        total
+      }
+    });
+  } catch (error) {
+    const duration = Date.now() - startTime;
+    logDBError('findActivities', error, {
+      farmerId: req.params?.farmerId,
+      durationMs: duration
+    });
+    logger.error('Error fetching activities', {
+      error: error.message,
+      farmerId: req.params?.farmerId,
+      durationMs: duration
+    });
+
+    res.status(500).json({
+      error: {
+        code: 'SERVER_ERROR',
+        message: 'Error fetching activities'
+      }
+    });
+  }
+});
+
+// 4. Mandi Prices
+
+// POST /mandiprices/update - Ingest mandi price data (bulk, admin only)
+app.post('/mandiprices/update', authenticate, requireRole(ROLES.ADMIN), async (req, res) => {
+  const startTime = Date.now();
+  try {
+    const { prices } = req.body;
+
+    // Validation
+    if (!Array.isArray(prices)) {
+      const duration = Date.now() - startTime;
+      logger.warn('Mandi price update failed - prices must be an array', {
+        durationMs: duration
+      });
+
+      return res.status(400).json({
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Prices must be an array'
+        }
+      });
+    }
+
+    const records = prices.map((price) => normalizePriceRecord(price, 'manual'));
+    const invalidIndexes = records
+      .map((record, index) => (record ? null : index))
+      .filter((index) => index !== null);
+    if (invalidIndexes.length > 0) {
+      logger.warn('Mandi price update failed - invalid price records', {
+        invalidCount: invalidIndexes.length,
+        durationMs: Date.now() - startTime
+      });
+
+      return res.status(400).json({
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Each price needs a commodity, market, arrival date and modal price',
+          details: { invalidIndexes: invalidIndexes.slice(0, 50) }
+        }
+      });
+    }
+
+    // Upsert on market + commodity + variety + arrival date so re-sent prices do not duplicate
+    const now = new Date();
+    records.forEach((record) => {
+      record.fetchedAt = now;
+    });
+    const result = await upsertMandiPrices(mandipricesCollection, records);
+
+    await recordAuditEvent(req, {
+      action: AUDIT_ACTIONS.MANDI_PRICES_PUBLISHED,
+      target: { type: 'mandiprices', id: null },
+      metadata: {
+        inserted: result.inserted,
+        updated: result.updated,
+        unchanged: result.unchanged,
+        commodities: [...new Set(records.map((record) => record.commodity))].slice(0, 50)
+      }
+    });
 
-    // ---------- PHASE 4 & 5: AI Disease Analysis (YOLOv8 + MobileNet via Python) ----------
-    console.log('🔬 Starting AI Disease Analysis...');
+    const duration = Date.now() - startTime;
+    logDBOperation('upsertMandiPrices', {
+      priceCount: prices.length,
+      insertedCount: result.inserted,
+      updatedCount: result.updated,
+      unchangedCount: result.unchanged,
+      durationMs: duration,
+      status: 'success'
+    });
 
-    // Spawn Python process
-    const pythonProcess = spawn('python', ['scripts/crop_inference.py', filePath]);
+    logger.info('Mandi prices updated successfully', {
+      insertedCount: result.inserted,
+      updatedCount: result.updated,
+      durationMs: duration
+    });
 
-    let pythonData = '';
-    let pythonError = '';
+    res.status(200).json({
+      status: 'success',
+      data: {
+        inserted: result.inserted,
+        updated: result.updated,
+        unchanged: result.unchanged
+      }
+    });
+  } catch (error) {
+    const duration = Date.now() - startTime;
+    logDBError('upsertMandiPrices', error, {
+      durationMs: duration
+    });
+    logger.error('Error updating mandi prices', {
+      error: error.message,
+      durationMs: duration
+    });
 
-    const diseaseResult = await new Promise((resolve, reject) => {
-      pythonProcess.stdout.on('data', (data) => {
-        pythonData += data.toString();
+    res.status(500).json({
+      error: {
+        code: 'SERVER_ERROR',
+        message: 'Error updating mandi prices'
+      }
+    });
+  }
+});
+
+// GET /mandiprices/history - Price series and trend for a crop, optionally in one market
+app.get('/mandiprices/history', authenticate, async (req, res) => {
+  const startTime = Date.now();
+  const { crop, market } = req.query;
+  try {
+    const interval = req.query.interval || 'day';
+    const commodity = normalizeName(crop);
+    const marketName = normalizeName(market);
+
+    if (!commodity) {
+      return res.status(400).json({
+        error: { code: 'VALIDATION_ERROR', message: 'crop is required' }
+      });
+    }
+    if (!HISTORY_INTERVALS.includes(interval)) {
+      return res.status(400).json({
+        error: { code: 'VALIDATION_ERROR', message: `interval must be one of ${HISTORY_INTERVALS.join(', ')}` }
       });
+    }
+    if ((req.query.from && Number.isNaN(Date.parse(req.query.from))) || (req.query.to && Number.isNaN(Date.parse(req.query.to)))) {
+      return res.status(400).json({
+        error: { code: 'VALIDATION_ERROR', message: 'from and to must be ISO dates' }
+      });
+    }
 
-      pythonProcess.stderr.on('data', (data) => {
-        pythonError += data.toString();
+    // Defaults to the last 90 days
+    const to = req.query.to ? new Date(req.query.to) : new Date();
+    const from = req.query.from ? new Date(req.query.from) : new Date(to.getTime() - 90 * 24 * 60 * 60 * 1000);
+    if (from > to) {
+      return res.status(400).json({
+        error: { code: 'VALIDATION_ERROR', message: 'from must be before to' }
       });
+    }
 
-      pythonProcess.on('close', (code) => {
-        if (code !== 0) {
-          console.error(`Python script exited with code ${code}`);
-          console.error(`Python Error: ${pythonError}`);
-          // Fallback to Healthy if script fails
-          resolve({
-            success: false,
-            disease: "Unknown (Analysis Failed)",
-            confidence: 0,
-            details: "AI Model could not process image."
-          });
-        } else {
-          try {
-            const result = JSON.parse(pythonData);
-            const analysis = result.disease_analysis;
-            resolve({
-              success: true,
-              disease: analysis.disease,
-              confidence: analysis.confidence,
-              details: `Detected via ${analysis.model}. Leaf detected: ${result.leaf_detection.detected}`
-            });
-          } catch (e) {
-            console.error('Failed to parse Python output:', pythonData);
-            resolve({
-              success: false,
-              disease: "Parse Error",
-              confidence: 0
-            });
-          }
+    const [series, dailyPrices] = await Promise.all([
+      mandipricesCollection
+        .aggregate(buildPriceHistoryPipeline({ commodity, market: marketName, from, to, interval }))
+        .toArray(),
+      mandipricesCollection
+        .aggregate(buildDailyModalPipeline({ commodity, market: marketName, to }))
+        .toArray()
+    ]);
+
+    const duration = Date.now() - startTime;
+    logDBOperation('findMandiPriceHistory', {
+      crop: commodity,
+      market: marketName,
+      interval,
+      returned: series.length,
+      durationMs: duration,
+      status: 'success'
+    });
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        crop: commodity,
+        market: marketName,
+        interval,
+        from,
+        to,
+        unit: 'Rs/Quintal',
+        series,
+        change: computePriceChanges(dailyPrices)
+      }
+    });
+  } catch (error) {
+    const duration = Date.now() - startTime;
+    logDBError('findMandiPriceHistory', error, {
+      crop,
+      market,
+      durationMs: duration
+    });
+    logger.error('Error fetching mandi price history', {
+      error: error.message,
+      crop,
+      market,
+      durationMs: duration
+    });
+
+    res.status(500).json({
+      error: {
+        code: 'SERVER_ERROR',
+        message: 'Error fetching mandi price history'
+      }
+    });
+  }
+});
+
+// GET /mandiprices/forecast - 7- and 30-day price projections with confidence bands
+app.get('/mandiprices/forecast', authenticate, async (req, res) => {
+  const startTime = Date.now();
+  const { crop, market } = req.query;
+  try {
+    const commodity = normalizeName(crop);
+    const marketName = normalizeName(market);
+    if (!commodity) {
+      return res.status(400).json({
+        error: { code: 'VALIDATION_ERROR', message: 'crop is required' }
+      });
+    }
+
+    const to = new Date();
+    const from = new Date(to.getTime() - FORECAST_HISTORY_DAYS * 24 * 60 * 60 * 1000);
+    const dailyPrices = await mandipricesCollection
+      .aggregate(buildDailyModalPipeline({ commodity, market: marketName, from, to }))
+      .toArray();
+
+    const forecast = forecastPrices(dailyPrices);
+    if (!forecast) {
+      return res.status(404).json({
+        error: {
+          code: 'INSUFFICIENT_HISTORY',
+          message: 'Not enough price history to forecast this crop and market'
         }
       });
+    }
+
+    await saveBacktests({ commodity, market: marketName }, forecast.backtests);
+
+    const duration = Date.now() - startTime;
+    logDBOperation('forecastMandiPrices', {
+      crop: commodity,
+      market: marketName,
+      historyDays: forecast.historyDays,
+      durationMs: duration,
+      status: 'success'
     });
 
-    // ---------- PHASE 6: INTELLECTUAL AI SOLUTION (Groq / Llama 3) ----------
-    let aiSolution = {
-      treatment: "No treatment required for healthy plants.",
-      prevention: ["Maintain good soil health", "Water regularly"],
-      tips: ["Monitor for pests"]
-    };
+    res.status(200).json({
+      status: 'success',
+      data: {
+        crop: commodity,
+        market: marketName,
+        unit: 'Rs/Quintal',
+        ...forecast
+      }
+    });
+  } catch (error) {
+    const duration = Date.now() - startTime;
+    logDBError('forecastMandiPrices', error, { crop, market, durationMs: duration });
+    logger.error('Error forecasting mandi prices', {
+      error: error.message,
+      crop,
+      market,
+      durationMs: duration
+    });
 
-    if (diseaseResult.disease && diseaseResult.disease !== 'Healthy') {
-      if (!groq) {
-        console.log('⚠️ Skipping AI Solution: GROQ_API_KEY not configured.');
-        aiSolution.treatment = "AI Recommendations unavailable (Server Config Error).";
-      } else {
-        try {
-          console.log('🧠 Generating AI Solution for:', diseaseResult.disease);
-          const prompt = `
-                Act as an agricultural expert. A farmer has detected "${diseaseResult.disease}" on their "${plantIdentity.plant_common || 'crop'}".
-                
-                Provide a strict JSON response with no markdown formatted as:
-                {
-                    "treatment": "Brief step-by-step treatment plan (max 2 sentences)",
-                    "prevention": ["List of 3 short prevention tips"],
-                    "tips": ["List of 2 general maintainance tips"]
-                }
-                `;
+    res.status(500).json({
+      error: {
+        code: 'SERVER_ERROR',
+        message: 'Error forecasting mandi prices'
+      }
+    });
+  }
+});
+
+// POST /markets/update - Add or update market master records with coordinates (admin only)
+app.post('/markets/update', authenticate, requireRole(ROLES.ADMIN), async (req, res) => {
+  try {
+    const { markets } = req.body;
+    if (!Array.isArray(markets)) {
+      return res.status(400).json({
+        error: { code: 'VALIDATION_ERROR', message: 'Markets must be an array' }
+      });
+    }
+
+    const normalized = markets.map((market) => normalizeMarket(market));
+    const invalidIndexes = normalized
+      .map((market, index) => (market ? null : index))
+      .filter((index) => index !== null);
+    if (invalidIndexes.length > 0) {
+      return res.status(400).json({
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Each market needs a name and valid lat/lon',
+          details: { invalidIndexes: invalidIndexes.slice(0, 50) }
+        }
+      });
+    }
+
+    const result = await upsertMarkets(normalized);
+
+    await recordAuditEvent(req, {
+      action: AUDIT_ACTIONS.MARKETS_PUBLISHED,
+      target: { type: 'markets', id: null },
+      metadata: { inserted: result.inserted, updated: result.updated }
+    });
+
+    logDBOperation('upsertMarkets', {
+      marketCount: normalized.length,
+      insertedCount: result.inserted,
+      updatedCount: result.updated,
+      status: 'success'
+    });
+
+    res.status(200).json({ status: 'success', data: result });
+  } catch (error) {
+    logDBError('upsertMarkets', error);
+    logger.error('Error updating markets', { error: error.message });
+    res.status(500).json({
+      error: { code: 'SERVER_ERROR', message: 'Error updating markets' }
+    });
+  }
+});
+
+// GET /mandiprices/nearby - Nearest markets with today's prices and net price after transport
+app.get('/mandiprices/nearby', authenticate, async (req, res) => {
+  const startTime = Date.now();
+  try {
+    // Falls back to the location the farmer last shared
+    const savedLocation = req.user?.lastKnownLocation;
+    const lat = parseFloat(req.query.lat ?? savedLocation?.latitude);
+    const lon = parseFloat(req.query.lon ?? savedLocation?.longitude);
+    const radiusKm = req.query.radiusKm !== undefined ? parseFloat(req.query.radiusKm) : DEFAULT_RADIUS_KM;
+    const transportCostPerKm = req.query.transportCostPerKm !== undefined
+      ? parseFloat(req.query.transportCostPerKm)
+      : DEFAULT_TRANSPORT_COST_PER_KM;
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 10, 1), MAX_NEARBY_MARKETS);
+    const commodity = normalizeName(req.query.crop);
+
+    if (!Number.isFinite(lat) || !Number.isFinite(lon) || Math.abs(lat) > 90 || Math.abs(lon) > 180) {
+      return res.status(400).json({
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Valid lat and lon are required when no saved location exists'
+        }
+      });
+    }
+    if (!Number.isFinite(radiusKm) || radiusKm <= 0 || radiusKm > MAX_RADIUS_KM) {
+      return res.status(400).json({
+        error: { code: 'VALIDATION_ERROR', message: `radiusKm must be between 0 and ${MAX_RADIUS_KM}` }
+      });
+    }
+    if (!Number.isFinite(transportCostPerKm) || transportCostPerKm < 0) {
+      return res.status(400).json({
+        error: { code: 'VALIDATION_ERROR', message: 'transportCostPerKm must be a non-negative number' }
+      });
+    }
+
+    const markets = await findNearbyMarkets({ lat, lon, radiusKm, commodity, transportCostPerKm, limit });
+
+    const duration = Date.now() - startTime;
+    logDBOperation('findNearbyMarkets', {
+      crop: commodity,
+      radiusKm,
+      returned: markets.length,
+      durationMs: duration,
+      status: 'success'
+    });
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        origin: { latitude: lat, longitude: lon },
+        radiusKm,
+        crop: commodity,
+        transportCostPerKm,
+        markets
+      }
+    });
+  } catch (error) {
+    const duration = Date.now() - startTime;
+    logDBError('findNearbyMarkets', error, { durationMs: duration });
+    logger.error('Error finding nearby markets', {
+      error: error.message,
+      durationMs: duration
+    });
+
+    res.status(500).json({
+      error: {
+        code: 'SERVER_ERROR',
+        message: 'Error finding nearby markets'
+      }
+    });
+  }
+});
+
+// GET /mandiprices - Get latest prices
+app.get('/mandiprices', authenticate, async (req, res) => {
+  const startTime = Date.now();
+  try {
+    const { crop, location } = req.query;
+
+    // Build aggregation pipeline to get latest prices
+    const pipeline = [];
 
-          const completion = await groq.chat.completions.create({
-            messages: [{ role: "user", content: prompt }],
-            model: "llama-3.1-8b-instant",
-            temperature: 0.3,
-            response_format: { type: "json_object" }
-          });
+    // Match stage
+    const match = {};
+    if (crop) match.crop = crop;
+    if (location) match.location = location;
+    if (Object.keys(match).length > 0) {
+      pipeline.push({ $match: match });
+    }
 
-          const content = completion.choices[0]?.message?.content;
-          if (content) {
-            aiSolution = JSON.parse(content);
-          }
-        } catch (groqError) {
-          console.error('Groq AI Error:', groqError);
-          // Non-blocking error, stick to defaults
-        }
+    // Sort by date descending
+    pipeline.push({ $sort: { date: -1 } });
+
+    // Group by crop and location to get latest for each
+    pipeline.push({
+      $group: {
+        _id: { crop: "$crop", location: "$location" },
+        latestPrice: { $first: "$$ROOT" }
       }
-    }
+    });
 
-    // Cleanup file
-    if (fs.existsSync(filePath)) fs.unlinkSync(filePath);
+    // Project to get the original document structure
+    pipeline.push({
+      $replaceRoot: { newRoot: "$latestPrice" }
+    });
 
-    res.json({
-      success: true,
-      plant_identification: plantIdentity,
-      disease_detection: diseaseResult,
-      ai_solution: aiSolution
+    // Execute aggregation
+    const latestPrices = await mandipricesCollection.aggregate(pipeline).toArray();
+
+    const duration = Date.now() - startTime;
+    logDBOperation('findMandiPrices', {
+      crop,
+      location,
+      returned: latestPrices.length,
+      durationMs: duration,
+      status: 'success'
+    });
+
+    logger.info('Mandi prices retrieved successfully', {
+      count: latestPrices.length,
+      crop,
+      location,
+      durationMs: duration
     });
 
+    res.status(200).json({
+      status: 'success',
+      data: latestPrices
+    });
   } catch (error) {
-    console.error('Error in /predict:', error);
-    // Attempt cleanup
-    if (fs.existsSync(filePath)) fs.unlinkSync(filePath);
+    const duration = Date.now() - startTime;
+    logDBError('findMandiPrices', error, {
+      crop,
+      location,
+      durationMs: duration
+    });
+    logger.error('Error fetching mandi prices', {
+      error: error.message,
+      crop,
+      location,
+      durationMs: duration
+    });
 
     res.status(500).json({
-      success: false,
-      message: 'Analysis failed',
-      error: error.message
+      error: {
+        code: 'SERVER_ERROR',
+        message: 'Error fetching mandi prices'
+      }
     });
   }
 });
 
-// 3. Activity Tracking
-
-// ... (existing activity routes) ...
+// Price alert rules
 
-/* ==========================================================================
-   JUDGE DEMO: ORB VOICE TRIGGER
-   ========================================================================== */
+function sendPriceAlertRuleNotFound(res) {
+  return res.status(404).json({
+    error: { code: 'NOT_FOUND', message: 'Price alert rule not found' }
+  });
+}
 
-// POST /demo/orb-trigger
-// Triggered by Frontend Triple-Tap
-// Initiates an outgoing call to the user via Twilio
-app.post('/demo/orb-trigger', async (req, res) => {
+// GET /price-alerts - List the current user's price alert rules
+app.get('/price-alerts', authenticate, async (req, res) => {
   try {
-    const { farmerId, phoneNumber } = req.body;
+    const rules = await listPriceAlertRules(req.user._id);
+    res.json({ status: 'success', data: rules.map(formatRuleResponse) });
+  } catch (error) {
+    logger.error('Error listing price alert rules', { error: error.message, userId: req.userId });
+    res.status(500).json({
+      error: { code: 'SERVER_ERROR', message: 'Error listing price alert rules' }
+    });
+  }
+});
 
-    // Demo Constraints: Simple validation
-    if (!phoneNumber) {
-      return res.status(400).json({ error: 'Phone number is required' });
+// POST /price-alerts - Create a price alert rule
+app.post('/price-alerts', authenticate, async (req, res) => {
+  try {
+    const { value, error } = validatePriceAlertRule(req.body, {
+      fallbackLocation: req.user.lastKnownLocation
+    });
+    if (error) {
+      return res.status(400).json({
+        error: { code: 'VALIDATION_ERROR', message: error }
+      });
     }
 
-    console.log(`🔮 Demo Triggered! calling ${phoneNumber}...`);
-
-    // HARDCODED DEMO DATA
-    // In a real app, we would fetch location from farmerId, then find nearby Mandi, then get prices.
-    const demoData = {
-      location: "JSPM Tathawade College, Pune",
-      prices: [
-        { commodity: "Tomato", price: 18, unit: "kg" },
-        { commodity: "Onion", price: 22, unit: "kg" },
-        { commodity: "Potato", price: 16, unit: "kg" }
-      ]
-    };
+    const result = await createPriceAlertRule(req.user._id, value);
+    if (result.error) {
+      return res.status(409).json({
+        error: { code: 'LIMIT_REACHED', message: `At most ${MAX_RULES_PER_USER} price alerts per user` }
+      });
+    }
 
-    // TWILIO CALL LOGIC
-    const accountSid = process.env.TWILIO_ACCOUNT_SID;
-    const authToken = process.env.TWILIO_AUTH_TOKEN;
-    const fromNumber = process.env.TWILIO_PHONE_NUMBER; // Must be a purchased Twilio number
+    logger.info('Price alert rule created', { userId: req.userId, ruleId: result.rule._id.toString() });
+    res.status(201).json({ status: 'success', data: formatRuleResponse(result.rule) });
+  } catch (error) {
+    logger.error('Error creating price alert rule', { error: error.message, userId: req.userId });
+    res.status(500).json({
+      error: { code: 'SERVER_ERROR', message: 'Error creating price alert rule' }
+    });
+  }
+});
 
-    if (!accountSid || !authToken || !fromNumber) {
-      console.warn('⚠️ Twilio credentials missing in .env');
-      return res.status(503).json({
-        error: 'Twilio not configured',
-        demoData // Return data anyway so frontend can debug if needed
+// PATCH /price-alerts/:id - Update fields of a price alert rule
+app.patch('/price-alerts/:id', authenticate, async (req, res) => {
+  try {
+    const { value, error } = validatePriceAlertRule(req.body, {
+      partial: true,
+      fallbackLocation: req.user.lastKnownLocation
+    });
+    if (error) {
+      return res.status(400).json({
+        error: { code: 'VALIDATION_ERROR', message: error }
       });
     }
 
+    const rule = await updatePriceAlertRule(req.user._id, req.params.id, value);
+    if (!rule) {
+      return sendPriceAlertRuleNotFound(res);
+    }
+    res.json({ status: 'success', data: formatRuleResponse(rule) });
+  } catch (error) {
+    logger.error('Error updating price alert rule', { error: error.message, userId: req.userId });
+    res.status(500).json({
+      error: { code: 'SERVER_ERROR', message: 'Error updating price alert rule' }
+    });
+  }
+});
 
+// DELETE /price-alerts/:id - Delete a price alert rule
+app.delete('/price-alerts/:id', authenticate, async (req, res) => {
+  try {
+    const deleted = await deletePriceAlertRule(req.user._id, req.params.id);
+    if (!deleted) {
+      return sendPriceAlertRuleNotFound(res);
+    }
+    res.json({ status: 'success', data: { deleted: true } });
+  } catch (error) {
+    logger.error('Error deleting price alert rule', { error: error.message, userId: req.userId });
+    res.status(500).json({
+      error: { code: 'SERVER_ERROR', message: 'Error deleting price alert rule' }
+    });
+  }
+});
 
+// GET /price-alerts/:id/triggers - Recent triggers of a rule with their delivery state
+app.get('/price-alerts/:id/triggers', authenticate, async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+    const triggers = await listPriceAlertTriggers(req.user._id, req.params.id, { limit });
+    res.json({
+      status: 'success',
+      data: triggers.map(({ _id, ruleId, userId, dedupeKey, ...trigger }) => ({
+        id: _id.toString(),
+        ruleId: ruleId.toString(),
+        ...trigger
+      }))
+    });
+  } catch (error) {
+    logger.error('Error listing price alert triggers', { error: error.message, userId: req.userId });
+    res.status(500).json({
+      error: { code: 'SERVER_ERROR', message: 'Error listing price alert triggers' }
+    });
+  }
+});
 
+// Alerts inbox
 
-    const client = twilio(accountSid, authToken);
+function sendAlertNotFound(res) {
+  return res.status(404).json({
+    error: { code: 'NOT_FOUND', message: 'Alert not found' }
+  });
+}
 
-    // Make the call
-    // logic: "When they pick up, hit /demo/orb-voice to get TwiML"
-    // Use ngrok/public URL for 'url' parameter if running locally (Render/Heroku handles this automatically)
-    // For local dev without ngrok, this callback won't work unless exposed.
-    // Assuming backend is accessible via public URL or ngrok.
-    const protocol = req.secure ? 'https' : 'http';
-    const host = req.get('host');
-    const callbackUrl = `${protocol}://${host}/demo/orb-voice`;
+function parseAlertTypes(value) {
+  if (!value) {
+    return [];
+  }
+  return String(value).split(',').map((type) => type.trim()).filter(Boolean);
+}
 
-    const call = await client.calls.create({
-      url: callbackUrl,
-      to: phoneNumber,
-      from: fromNumber
+// GET /alerts - The current user's alerts, newest first, with unread counts
+app.get('/alerts', authenticate, async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+    const ownerFilter = await getUserAlertsFilter(krushiMitraDb, req.user);
+    const result = await listAlerts(ownerFilter, {
+      types: parseAlertTypes(req.query.type),
+      unreadOnly: req.query.unread === 'true',
+      limit,
+      offset
     });
 
-    console.log(`📞 Call initiated: ${call.sid}`);
-
     res.json({
       status: 'success',
-      message: 'Calling farmer...',
-      callSid: call.sid,
-      demoData
+      data: {
+        alerts: result.alerts,
+        unreadCount: result.unreadCount,
+        unreadByType: result.unreadByType,
+        pagination: { total: result.total, limit, offset, hasMore: offset + result.alerts.length < result.total }
+      }
     });
-
   } catch (error) {
-    console.error('🔥 Demo Trigger Error:', error);
-    res.status(500).json({ error: error.message });
+    logger.error('Error listing alerts', { error: error.message, userId: req.userId });
+    res.status(500).json({
+      error: { code: 'SERVER_ERROR', message: 'Error listing alerts' }
+    });
   }
 });
 
-// POST /demo/orb-voice
-// Twilio Webhook: Returns TwiML (Voice XML) to speak to the user
-app.post('/demo/orb-voice', (req, res) => {
-  const VoiceResponse = twilio.twiml.VoiceResponse;
-  const response = new VoiceResponse();
+// POST /alerts/read-all - Mark every unread alert (optionally of some types) as read
+app.post('/alerts/read-all', authenticate, async (req, res) => {
+  try {
+    const ownerFilter = await getUserAlertsFilter(krushiMitraDb, req.user);
+    const updated = await markAllAlertsRead(ownerFilter, {
+      types: parseAlertTypes(req.body?.type || req.query.type)
+    });
+    res.json({ status: 'success', data: { updated } });
+  } catch (error) {
+    logger.error('Error marking alerts read', { error: error.message, userId: req.userId });
+    res.status(500).json({
+      error: { code: 'SERVER_ERROR', message: 'Error marking alerts read' }
+    });
+  }
+});
 
-  // HARDCODED VOICE MESSAGE
-  // "Namaskar. This is KrushiMitra Orb..."
-  const message = `
-    Namaskar. 
-    This is Krushi Mitra Orb. 
-    Today’s mandi price update near Tathawade. 
-    Tomato is selling at 18 rupees per kilo. 
-    Onion is 22 rupees per kilo. 
-    Potato is 16 rupees per kilo. 
-    You may plan selling accordingly. 
-    Thank you.
-  `;
+// POST /alerts/:id/read - Mark one alert as read
+app.post('/alerts/:id/read', authenticate, async (req, res) => {
+  try {
+    const ownerFilter = await getUserAlertsFilter(krushiMitraDb, req.user);
+    const alert = await markAlertRead(ownerFilter, req.params.id);
+    if (!alert) {
+      return sendAlertNotFound(res);
+    }
+    res.json({ status: 'success', data: formatAlertResponse(alert) });
+  } catch (error) {
+    logger.error('Error marking alert read', { error: error.message, userId: req.userId });
+    res.status(500).json({
+      error: { code: 'SERVER_ERROR', message: 'Error marking alert read' }
+    });
+  }
+});
 
-  // <Say> verb with male voice for friendly, natural tone
-  response.say({
-    voice: 'man', // Male voice - sounds more like a friend
-    language: 'hi-IN' // Hindi for natural Indian accent
-  }, message);
+// POST /alerts/:id/dismiss - Hide an alert from the inbox
+app.post('/alerts/:id/dismiss', authenticate, async (req, res) => {
+  try {
+    const ownerFilter = await getUserAlertsFilter(krushiMitraDb, req.user);
+    const dismissed = await dismissAlert(ownerFilter, req.params.id);
+    if (!dismissed) {
+      return sendAlertNotFound(res);
+    }
+    res.json({ status: 'success', data: { dismissed: true } });
+  } catch (error) {
+    logger.error('Error dismissing alert', { error: error.message, userId: req.userId });
+    res.status(500).json({
+      error: { code: 'SERVER_ERROR', message: 'Error dismissing alert' }
+    });
+  }
+});
 
-  // End the call
-  response.hangup();
+// Push notification devices
 
-  // Return XML
-  res.type('text/xml');
-  res.send(response.toString());
+// GET /devices/push-tokens - Devices of the current user registered for push notifications
+app.get('/devices/push-tokens', authenticate, async (req, res) => {
+  try {
+    const tokens = await listDeviceTokens(req.user._id);
+    res.json({ status: 'success', data: tokens.map(formatDeviceTokenResponse) });
+  } catch (error) {
+    logger.error('Error listing push tokens', { error: error.message, userId: req.userId });
+    res.status(500).json({
+      error: { code: 'SERVER_ERROR', message: 'Error listing push tokens' }
+    });
+  }
 });
 
-// 3. Activity Tracking
+// POST /devices/push-token - Register this device's Expo push token
+app.post('/devices/push-token', authenticate, async (req, res) => {
+  try {
+    const { value, error } = validateDeviceToken(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: { code: 'VALIDATION_ERROR', message: error }
+      });
+    }
 
-// POST /activities - Log activity for a farmer
-app.post('/activities', authenticate, async (req, res) => {
-  const startTime = Date.now();
+    const doc = await registerDeviceToken(req.user._id, value);
+    logger.info('Push token registered', { userId: req.userId, platform: value.platform });
+    res.status(201).json({ status: 'success', data: formatDeviceTokenResponse(doc) });
+  } catch (error) {
+    logger.error('Error registering push token', { error: error.message, userId: req.userId });
+    res.status(500).json({
+      error: { code: 'SERVER_ERROR', message: 'Error registering push token' }
+    });
+  }
+});
+
+// DELETE /devices/push-token - Stop push notifications to a device (e.g. before logout)
+app.delete('/devices/push-token', authenticate, async (req, res) => {
   try {
-    const { farmerId, description, type, details } = req.body;
+    const token = typeof req.body?.token === 'string' ? req.body.token.trim() : '';
+    if (!token) {
+      return res.status(400).json({
+        error: { code: 'VALIDATION_ERROR', message: 'token is required' }
+      });
+    }
 
-    // Validation
-    if (!farmerId || !description) {
-      const duration = Date.now() - startTime;
-      logger.warn('Activity logging failed - missing required fields', {
-        farmerId,
-        missingFields: [!farmerId ? 'farmerId' : null, !description ? 'description' : null].filter(Boolean),
-        durationMs: duration
+    const removed = await unregisterDeviceToken(req.user._id, token);
+    if (!removed) {
+      return res.status(404).json({
+        error: { code: 'NOT_FOUND', message: 'Push token not found' }
       });
+    }
+    res.json({ status: 'success', data: { removed: true } });
+  } catch (error) {
+    logger.error('Error removing push token', { error: error.message, userId: req.userId });
+    res.status(500).json({
+      error: { code: 'SERVER_ERROR', message: 'Error removing push token' }
+    });
+  }
+});
 
+// 5. Schemes
+
+// POST /schemes - Publish a scheme (admin only)
+app.post('/schemes', authenticate, requireRole(ROLES.ADMIN), async (req, res) => {
+  const startTime = Date.now();
+  try {
+    const {
+      title,
+      description,
+      eligibility,
+      startDate,
+      endDate,
+      location,
+      benefits,
+      applicationProcess,
+      eligibilityRules,
+      benefitAmount,
+      requiredDocuments
+    } = req.body || {};
+
+    if (!title || !description) {
       return res.status(400).json({
         error: {
           code: 'VALIDATION_ERROR',
-          message: 'Farmer ID and description are required'
+          message: 'Title and description are required'
         }
       });
     }
 
-    const activity = {
-      farmerId,
+    let rules = null;
+    if (eligibilityRules !== undefined && eligibilityRules !== null) {
+      const { value, error } = validateEligibilityRules(eligibilityRules);
+      if (error) {
+        return res.status(400).json({
+          error: { code: 'VALIDATION_ERROR', message: error }
+        });
+      }
+      rules = value;
+    }
+
+    if (benefitAmount !== undefined && benefitAmount !== null
+      && (typeof benefitAmount !== 'number' || !Number.isFinite(benefitAmount) || benefitAmount < 0)) {
+      return res.status(400).json({
+        error: { code: 'VALIDATION_ERROR', message: 'benefitAmount must be a non-negative number of rupees per year' }
+      });
+    }
+
+    if (requiredDocuments !== undefined && (!Array.isArray(requiredDocuments)
+      || requiredDocuments.some((name) => typeof name !== 'string' || !name.trim()))) {
+      return res.status(400).json({
+        error: { code: 'VALIDATION_ERROR', message: 'requiredDocuments must be a list of document names' }
+      });
+    }
+
+    const scheme = {
+      title,
       description,
-      type: type || 'general',
-      details: details || {},
-      date: new Date()
+      eligibility: eligibility || '',
+      startDate: startDate ? new Date(startDate) : new Date(),
+      endDate: endDate ? new Date(endDate) : null,
+      location: location || 'all',
+      ...(rules ? { eligibilityRules: rules } : {}),
+      benefits: benefits || '',
+      ...(typeof benefitAmount === 'number' ? { benefitAmount } : {}),
+      ...(requiredDocuments ? { requiredDocuments: requiredDocuments.map((name) => name.trim()) } : {}),
+      applicationProcess: applicationProcess || '',
+      source: 'admin',
+      publishedBy: req.user._id,
+      createdAt: new Date()
     };
 
-    // Insert activity into MongoDB
-    const result = await activitiesCollection.insertOne(activity);
-    activity._id = result.insertedId;
+    const result = await schemesCollection.insertOne(scheme);
+    scheme._id = result.insertedId;
+
+    await recordAuditEvent(req, {
+      action: AUDIT_ACTIONS.SCHEME_CREATED,
+      target: { type: 'scheme', id: result.insertedId },
+      after: { title: scheme.title, location: scheme.location, eligibilityRules: scheme.eligibilityRules }
+    });
 
     const duration = Date.now() - startTime;
-    logDBOperation('insertActivity', {
-      farmerId,
-      activityType: type,
-      activityId: result.insertedId.toString(),
+    logDBOperation('insertScheme', {
+      schemeId: result.insertedId.toString(),
+      publishedBy: req.userId,
       durationMs: duration,
       status: 'success'
     });
 
-    logger.info('Activity logged successfully', {
-      farmerId,
-      activityId: result.insertedId.toString(),
-      durationMs: duration
-    });
-
     res.status(201).json({
       status: 'success',
-      data: activity
+      data: scheme
     });
-  } catch (error) {
-    const duration = Date.now() - startTime;
-    logDBError('insertActivity', error, {
-      farmerId: req.body?.farmerId,
-      activityType: req.body?.type,
-      durationMs: duration
-    });
-    logger.error('Error logging activity', {
+  } catch (error) {
+    const duration = Date.now() - startTime;
+    logDBError('insertScheme', error, { durationMs: duration });
+    logger.error('Error publishing scheme', {
       error: error.message,
-      farmerId: req.body?.farmerId,
       durationMs: duration
     });
 
     res.status(500).json({
       error: {
         code: 'SERVER_ERROR',
-        message: 'Error logging activity'
+        message: 'Error publishing scheme'
       }
     });
   }
 });
 
-// GET /activities/:farmerId - Fetch activity log
-app.get('/activities/:farmerId', authenticate, async (req, res) => {
-  const startTime = Date.now();
+// GET /schemes - Search the scheme catalogue
+app.get('/schemes', authenticate, async (req, res) => {
   try {
-    const { farmerId } = req.params;
-    const { limit = 10, offset = 0, type } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
 
-    // Build query
-    const query = { farmerId: farmerId };
-    if (type) {
-      query.type = type;
+    let activeOn = null;
+    if (req.query.activeOn) {
+      activeOn = new Date(req.query.activeOn);
+      if (Number.isNaN(activeOn.getTime())) {
+        return res.status(400).json({
+          error: { code: 'VALIDATION_ERROR', message: 'activeOn must be a date (YYYY-MM-DD)' }
+        });
+      }
+    } else if (req.query.active === 'true') {
+      activeOn = new Date();
     }
 
-    // Get total count
-    const total = await activitiesCollection.countDocuments(query);
-
-    // Get paginated activities
-    const activities = await activitiesCollection
-      .find(query)
-      .sort({ date: -1 })
-      .skip(parseInt(offset))
-      .limit(parseInt(limit))
-      .toArray();
+    const search = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+    const state = typeof req.query.state === 'string' ? req.query.state.trim() : '';
+    const crop = typeof req.query.crop === 'string' ? req.query.crop.trim() : '';
+    const result = await listSchemes({ search, state, crop, activeOn }, { limit, offset });
 
-    const duration = Date.now() - startTime;
-    logDBOperation('findActivities', {
-      farmerId,
-      limit,
-      offset,
-      type,
-      total,
-      returned: activities.length,
-      durationMs: duration,
-      status: 'success'
+    res.json({
+      status: 'success',
+      data: {
+        schemes: result.schemes,
+        pagination: { total: result.total, limit, offset, hasMore: offset + result.schemes.length < result.total }
+      }
     });
-
-    logger.info('Activities retrieved successfully', {
-      farmerId,
-      count: activities.length,
-      durationMs: duration
+  } catch (error) {
+    logger.error('Error listing schemes', { error: error.message, userId: req.userId });
+    res.status(500).json({
+      error: { code: 'SERVER_ERROR', message: 'Error listing schemes' }
     });
+  }
+});
 
-    res.status(200).json({
+// GET /schemes/eligible - Active schemes the current farmer qualifies for, best benefit first
+app.get('/schemes/eligible', authenticate, async (req, res) => {
+  try {
+    const farmer = await farmersCollection.findOne(
+      buildUserDataFilters(req.user).farmers,
+      { sort: { updatedAt: -1 } }
+    );
+    const schemes = await listEligibleSchemes(farmer || req.user.profile || {});
+
+    res.json({
       status: 'success',
-      data: activities,
-      pagination: {
-        limit: parseInt(limit),
-        offset: parseInt(offset),
-        total
+      data: {
+        schemes,
+        closingSoon: schemes.filter((scheme) => scheme.deadline?.closingSoon).map((scheme) => scheme.id),
+        closingSoonDays: CLOSING_SOON_DAYS
       }
     });
   } catch (error) {
-    const duration = Date.now() - startTime;
-    logDBError('findActivities', error, {
-      farmerId: req.params?.farmerId,
-      durationMs: duration
-    });
-    logger.error('Error fetching activities', {
-      error: error.message,
-      farmerId: req.params?.farmerId,
-      durationMs: duration
+    logger.error('Error listing eligible schemes', { error: error.message, userId: req.userId });
+    res.status(500).json({
+      error: { code: 'SERVER_ERROR', message: 'Error listing eligible schemes' }
     });
+  }
+});
 
+// GET /schemes/:id - One scheme
+app.get('/schemes/:id', authenticate, async (req, res) => {
+  try {
+    const scheme = await getScheme(req.params.id);
+    if (!scheme) {
+      return res.status(404).json({
+        error: { code: 'NOT_FOUND', message: 'Scheme not found' }
+      });
+    }
+    res.json({ status: 'success', data: formatSchemeResponse(scheme) });
+  } catch (error) {
+    logger.error('Error fetching scheme', { error: error.message, schemeId: req.params.id });
     res.status(500).json({
-      error: {
-        code: 'SERVER_ERROR',
-        message: 'Error fetching activities'
+      error: { code: 'SERVER_ERROR', message: 'Error fetching scheme' }
+    });
+  }
+});
+
+// GET /schemes/:id/versions - Earlier versions of a feed-ingested scheme
+app.get('/schemes/:id/versions', authenticate, async (req, res) => {
+  try {
+    const scheme = await getScheme(req.params.id);
+    if (!scheme) {
+      return res.status(404).json({
+        error: { code: 'NOT_FOUND', message: 'Scheme not found' }
+      });
+    }
+    const versions = await listSchemeVersions(scheme._id);
+    res.json({
+      status: 'success',
+      data: {
+        scheme: formatSchemeResponse(scheme),
+        versions
       }
     });
+  } catch (error) {
+    logger.error('Error listing scheme versions', { error: error.message, schemeId: req.params.id });
+    res.status(500).json({
+      error: { code: 'SERVER_ERROR', message: 'Error listing scheme versions' }
+    });
   }
 });
 
-// 4. Mandi Prices
+// Scheme applications
 
-// POST /mandiprices/update - Ingest mandi price data (bulk)
-app.post('/mandiprices/update', authenticate, async (req, res) => {
-  const startTime = Date.now();
+// POST /scheme-applications - Start tracking an application for a scheme
+app.post('/scheme-applications', authenticate, async (req, res) => {
   try {
-    const { prices } = req.body;
-
-    // Validation
-    if (!Array.isArray(prices)) {
-      const duration = Date.now() - startTime;
-      logger.warn('Mandi price update failed - prices must be an array', {
-        durationMs: duration
+    const scheme = await getScheme(req.body?.schemeId);
+    if (!scheme) {
+      return res.status(404).json({
+        error: { code: 'NOT_FOUND', message: 'Scheme not found' }
       });
+    }
 
-      return res.status(400).json({
+    const result = await createSchemeApplication(req.user._id, scheme, { notes: req.body.notes });
+    if (result.existing) {
+      return res.status(409).json({
         error: {
-          code: 'VALIDATION_ERROR',
-          message: 'Prices must be an array'
+          code: 'ALREADY_APPLYING',
+          message: 'An application for this scheme is already open',
+          details: { applicationId: result.existing._id.toString() }
         }
       });
     }
 
-    // Insert prices into MongoDB
-    const result = await mandipricesCollection.insertMany(prices);
-
-    const duration = Date.now() - startTime;
-    logDBOperation('insertMandiPrices', {
-      priceCount: prices.length,
-      insertedCount: result.insertedCount,
-      durationMs: duration,
+    logDBOperation('insertSchemeApplication', {
+      userId: req.userId,
+      schemeId: scheme._id.toString(),
       status: 'success'
     });
-
-    logger.info('Mandi prices updated successfully', {
-      insertedCount: result.insertedCount,
-      durationMs: duration
+    res.status(201).json({ status: 'success', data: formatApplicationResponse(result.application) });
+  } catch (error) {
+    logDBError('insertSchemeApplication', error, { userId: req.userId });
+    res.status(500).json({
+      error: { code: 'SERVER_ERROR', message: 'Error starting scheme application' }
     });
+  }
+});
 
-    res.status(200).json({
-      status: 'success',
-      data: {
-        inserted: result.insertedCount,
-        updated: 0
-      }
-    });
+// GET /scheme-applications - List the current user's applications
+app.get('/scheme-applications', authenticate, async (req, res) => {
+  try {
+    const { status } = req.query;
+    if (status && !APPLICATION_STATUSES.includes(status)) {
+      return res.status(400).json({
+        error: { code: 'VALIDATION_ERROR', message: `status must be one of ${APPLICATION_STATUSES.join(', ')}` }
+      });
+    }
+    const applications = await listSchemeApplications(req.user._id, { status });
+    res.json({ status: 'success', data: applications.map(formatApplicationResponse) });
   } catch (error) {
-    const duration = Date.now() - startTime;
-    logDBError('insertMandiPrices', error, {
-      durationMs: duration
-    });
-    logger.error('Error updating mandi prices', {
-      error: error.message,
-      durationMs: duration
+    logger.error('Error listing scheme applications', { error: error.message, userId: req.userId });
+    res.status(500).json({
+      error: { code: 'SERVER_ERROR', message: 'Error listing scheme applications' }
     });
+  }
+});
 
+// GET /scheme-applications/:id - One application with its checklist and history
+app.get('/scheme-applications/:id', authenticate, async (req, res) => {
+  try {
+    const application = await getSchemeApplication(req.user._id, req.params.id);
+    if (!application) {
+      return res.status(404).json({
+        error: { code: 'NOT_FOUND', message: 'Scheme application not found' }
+      });
+    }
+    res.json({ status: 'success', data: formatApplicationResponse(application) });
+  } catch (error) {
+    logger.error('Error fetching scheme application', { error: error.message, userId: req.userId });
     res.status(500).json({
-      error: {
-        code: 'SERVER_ERROR',
-        message: 'Error updating mandi prices'
-      }
+      error: { code: 'SERVER_ERROR', message: 'Error fetching scheme application' }
     });
   }
 });
 
-// GET /mandiprices - Get latest prices
-app.get('/mandiprices', authenticate, async (req, res) => {
-  const startTime = Date.now();
+// PATCH /scheme-applications/:id - Update notes, reference number or document checklist
+app.patch('/scheme-applications/:id', authenticate, async (req, res) => {
   try {
-    const { crop, location } = req.query;
-
-    // Build aggregation pipeline to get latest prices
-    const pipeline = [];
-
-    // Match stage
-    const match = {};
-    if (crop) match.crop = crop;
-    if (location) match.location = location;
-    if (Object.keys(match).length > 0) {
-      pipeline.push({ $match: match });
+    const { notes, referenceNumber, documents } = req.body || {};
+    const changes = { notes, referenceNumber };
+    if (documents !== undefined) {
+      const { value, error } = validateDocumentUpdates(documents);
+      if (error) {
+        return res.status(400).json({
+          error: { code: 'VALIDATION_ERROR', message: error }
+        });
+      }
+      changes.documents = value;
     }
 
-    // Sort by date descending
-    pipeline.push({ $sort: { date: -1 } });
-
-    // Group by crop and location to get latest for each
-    pipeline.push({
-      $group: {
-        _id: { crop: "$crop", location: "$location" },
-        latestPrice: { $first: "$$ROOT" }
-      }
+    const result = await updateSchemeApplication(req.user._id, req.params.id, changes);
+    if (!result) {
+      return res.status(404).json({
+        error: { code: 'NOT_FOUND', message: 'Scheme application not found' }
+      });
+    }
+    if (result.error) {
+      return res.status(409).json({
+        error: { code: result.code, message: result.error }
+      });
+    }
+    res.json({ status: 'success', data: formatApplicationResponse(result.application) });
+  } catch (error) {
+    logDBError('updateSchemeApplication', error, { userId: req.userId });
+    res.status(500).json({
+      error: { code: 'SERVER_ERROR', message: 'Error updating scheme application' }
     });
+  }
+});
 
-    // Project to get the original document structure
-    pipeline.push({
-      $replaceRoot: { newRoot: "$latestPrice" }
-    });
+// POST /scheme-applications/:id/status - Record submission, verification, sanction, disbursal, ...
+app.post('/scheme-applications/:id/status', authenticate, async (req, res) => {
+  try {
+    const { status, note, referenceNumber, amount } = req.body || {};
+    if (!APPLICATION_STATUSES.includes(status)) {
+      return res.status(400).json({
+        error: { code: 'VALIDATION_ERROR', message: `status must be one of ${APPLICATION_STATUSES.join(', ')}` }
+      });
+    }
+    if (amount !== undefined && (typeof amount !== 'number' || !Number.isFinite(amount) || amount < 0)) {
+      return res.status(400).json({
+        error: { code: 'VALIDATION_ERROR', message: 'amount must be a non-negative number of rupees' }
+      });
+    }
 
-    // Execute aggregation
-    const latestPrices = await mandipricesCollection.aggregate(pipeline).toArray();
+    const result = await changeSchemeApplicationStatus(req.user._id, req.params.id, { status, note, referenceNumber, amount });
+    if (!result) {
+      return res.status(404).json({
+        error: { code: 'NOT_FOUND', message: 'Scheme application not found' }
+      });
+    }
+    if (result.error) {
+      return res.status(409).json({
+        error: { code: result.code, message: result.error }
+      });
+    }
 
-    const duration = Date.now() - startTime;
-    logDBOperation('findMandiPrices', {
-      crop,
-      location,
-      returned: latestPrices.length,
-      durationMs: duration,
+    logDBOperation('changeSchemeApplicationStatus', {
+      userId: req.userId,
+      applicationId: req.params.id,
+      to: status,
       status: 'success'
     });
-
-    logger.info('Mandi prices retrieved successfully', {
-      count: latestPrices.length,
-      crop,
-      location,
-      durationMs: duration
-    });
-
-    res.status(200).json({
-      status: 'success',
-      data: latestPrices
-    });
+    res.json({ status: 'success', data: formatApplicationResponse(result.application) });
   } catch (error) {
-    const duration = Date.now() - startTime;
-    logDBError('findMandiPrices', error, {
-      crop,
-      location,
-      durationMs: duration
-    });
-    logger.error('Error fetching mandi prices', {
-      error: error.message,
-      crop,
-      location,
-      durationMs: duration
-    });
-
+    logDBError('changeSchemeApplicationStatus', error, { userId: req.userId });
     res.status(500).json({
-      error: {
-        code: 'SERVER_ERROR',
-        message: 'Error fetching mandi prices'
-      }
+      error: { code: 'SERVER_ERROR', message: 'Error updating scheme application status' }
     });
   }
 });
@@ -2045,38 +4617,31 @@ app.get('/mandiprices', authenticate, async (req, res) => {
 app.post('/ai/chat', authenticate, async (req, res) => {
   const startTime = Date.now();
   try {
-    const { farmerId, userId, query, context = {}, language: requestedLanguage } = req.body;
-    const userIdentifier = normalizeUserKey(userId || farmerId || req.userId, farmerId);
+    const { query, context = {}, language: requestedLanguage } = req.body;
+    // Identity comes from the session, never from the request body
+    const userDoc = req.user;
+    const farmerId = getUserPhone(userDoc);
+    const userIdentifier = req.userId;
 
     // Validation
-    if (!userIdentifier || !query) {
+    if (!query) {
       const duration = Date.now() - startTime;
       logger.warn('AI chat request failed - missing required fields', {
         userIdentifier,
-        missingFields: [!userIdentifier ? 'userId/farmerId' : null, !query ? 'query' : null].filter(Boolean),
+        missingFields: ['query'],
         durationMs: duration
       });
 
       return res.status(400).json({
         error: {
           code: 'VALIDATION_ERROR',
-          message: 'User identifier and query are required'
+          message: 'Query is required'
         }
       });
     }
 
-    let userDoc = null;
-    try {
-      userDoc = await findUserDocument(userIdentifier, farmerId);
-    } catch (lookupError) {
-      logger.warn('Could not fetch user document for AI context', {
-        userId: userIdentifier,
-        error: lookupError.message
-      });
-    }
-
-    const memoryKey = normalizeUserKey(userDoc?._id, userIdentifier);
-    const contextUserId = userDoc?._id || toObjectId(userIdentifier);
+    const memoryKey = normalizeUserKey(userDoc._id, userIdentifier);
+    const contextUserId = userDoc._id;
 
     // STEP 1: Fetch full UserContext (userData + last 5 query items)
     let userContextPayload = null;
@@ -2110,66 +4675,35 @@ app.post('/ai/chat', authenticate, async (req, res) => {
       userContext: userContextPayload  // Contains userData + last 5 query items
     };
 
-    // Get farmer profile for context
-    let farmerProfile = null;
+    const memoryEntries = await getUserMemoryEntries(memoryKey, DEFAULT_MEMORY_SLICE);
+    const userData = userContextPayload?.userData || null;
+
+    // STEP 3: Gather the farmer's real context (prices, weather, alerts, activities)
+    let chatContext = { memory: memoryEntries };
     try {
-      if (farmerId) {
-        farmerProfile = await farmersCollection.findOne({ phone: farmerId });
-      }
-      if (!farmerProfile && (userDoc?.phone || userDoc?.profile?.phone)) {
-        const fallbackPhone = userDoc?.phone || userDoc?.profile?.phone;
-        if (fallbackPhone) {
-          farmerProfile = await farmersCollection.findOne({ phone: fallbackPhone });
-        }
-      }
-    } catch (error) {
-      logger.warn('Could not fetch farmer profile for AI context', {
-        farmerId: farmerId || userIdentifier,
-        error: error.message
+      chatContext = await gatherChatContext(krushiMitraDb, userDoc, { userData, memory: memoryEntries });
+    } catch (contextError) {
+      logger.warn('Failed to gather AI chat context', {
+        error: contextError.message,
+        userId: req.userId
       });
     }
 
-    const memoryEntries = await getUserMemoryEntries(memoryKey, DEFAULT_MEMORY_SLICE);
+    // Earlier chats without user_memories fall back to the UserContext conversation
+    if (chatContext.memory.length === 0 && userContextPayload?.query?.length) {
+      chatContext.memory = userContextPayload.query.map((conv) => ({ role: conv.role, content: conv.message }));
+    }
 
-    // STEP 3: Generate AI response with full context
-    // Build structured prompt with user data + last 5 conversations + current query
-    const userData = userContextPayload?.userData || {};
-    const lastConversations = userContextPayload?.query || [];
-
-    // Format the LLM prompt with all user context
-    const llmPrompt = {
-      query: query,
-      user_data: {
-        user_name: userData.name || 'Unknown',
-        user_email: userData.email || 'Not provided',
-        user_phone: userData.phone || 'Not provided',
-        user_language: userData.language || resolvedLanguage,
-        user_location: userData.location ? {
-          address: userData.location.address,
-          latitude: userData.location.latitude,
-          longitude: userData.location.longitude
-        } : null,
-        user_weather: userData.weather ? {
-          temperature: userData.weather.temperature,
-          humidity: userData.weather.humidity,
-          condition: userData.weather.condition
-        } : null
-      },
-      last_5_conversations: lastConversations.map(conv => ({
-        role: conv.role,
-        message: conv.message
-      })),
-      farmer_profile: farmerProfile ? {
-        phone: farmerProfile.phone,
-        crops: farmerProfile.crops,
-        land_size: farmerProfile.landSize
-      } : null
-    };
+    // STEP 4: Render the persona prompt, trimmed to the token budget
+    const systemPrompt = buildFarmerSystemPrompt(resolvedLanguage, { ...(context || {}), ...chatContext }, { query });
 
-    // Log the exact prompt that LLM will receive
     logger.info('LLM Prompt Generated', {
       userId: contextUserId?.toString(),
-      prompt: JSON.stringify(llmPrompt, null, 2)
+      promptLength: systemPrompt.length,
+      mandiPrices: chatContext.mandi?.length || 0,
+      unreadAlerts: chatContext.alerts?.length || 0,
+      activities: chatContext.activities?.length || 0,
+      memoryEntries: chatContext.memory.length
     });
 
     // Call Groq API for Llama 3.1 response
@@ -2177,19 +4711,8 @@ app.post('/ai/chat', authenticate, async (req, res) => {
     try {
       const chatCompletion = await groq.chat.completions.create({
         messages: [
-          {
-            role: "system",
-            content: `You are KrushiMitra Orb, a helpful agricultural AI assistant for Indian farmers.
-                              User Context: ${JSON.stringify(llmPrompt.user_data)}
-                              User Profile: ${JSON.stringify(llmPrompt.farmer_profile)}
-                              Provide helpful, practical agricultural advice. Keep responses concise and friendly.
-                              If language is not English, respond in the requested language (${resolvedLanguage}).`
-          },
-          ...llmPrompt.last_5_conversations,
-          {
-            role: "user",
-            content: llmPrompt.query
-          }
+          { role: "system", content: systemPrompt },
+          { role: "user", content: query }
         ],
         model: "llama-3.1-8b-instant",
         temperature: 0.7,
@@ -2230,10 +4753,19 @@ app.post('/ai/chat', authenticate, async (req, res) => {
       { role: 'assistant', content: aiResponse }
     ];
 
+    try {
+      await appendUserMemoryEntries(memoryKey, memoryToAppend);
+    } catch (memoryError) {
+      logger.warn('Failed to persist AI chat memory', {
+        error: memoryError.message,
+        userIdentifier
+      });
+    }
+
     // Save AI interaction to database
     try {
       const aiInteraction = {
-        farmerId: farmerId || userDoc?.phone || memoryKey,
+        farmerId: farmerId || memoryKey,
         userId: memoryKey,
         query,
         response: aiResponse,
@@ -2252,7 +4784,7 @@ app.post('/ai/chat', authenticate, async (req, res) => {
       // Don't fail the whole request if we can't save to DB, just log the error
     }
 
-    // STEP 4: Save user question and AI response to UserContext.query
+    // STEP 5: Save user question and AI response to UserContext.query
     if (contextUserId) {
       try {
         logger.info('Attempting to save conversation to UserContext', {
@@ -2312,12 +4844,12 @@ app.post('/ai/chat', authenticate, async (req, res) => {
   } catch (error) {
     const duration = Date.now() - startTime;
     logDBError('aiChat', error, {
-      userId: req.body?.userId || req.body?.farmerId,
+      userId: req.userId,
       durationMs: duration
     });
     logger.error('Error processing AI chat request', {
       error: error.message,
-      userId: req.body?.userId || req.body?.farmerId,
+      userId: req.userId,
       durationMs: duration
     });
 
@@ -2334,18 +4866,18 @@ app.post('/ai/chat', authenticate, async (req, res) => {
 app.post('/ai/interactions', authenticate, async (req, res) => {
   const startTime = Date.now();
   try {
-    const { farmerId, userId, query, response, context, language } = req.body;
+    const { query, response, context, language } = req.body;
 
-    // Accept either farmerId (legacy) or userId (new)
-    const userIdentifier = normalizeUserKey(userId || farmerId || req.userId, farmerId);
+    // Interactions are always stored against the session user
+    const userIdentifier = req.userId;
+    const farmerId = getUserPhone(req.user);
 
     // Validation
-    if (!userIdentifier || !query || !response) {
+    if (!query || !response) {
       const duration = Date.now() - startTime;
       logger.warn('AI interaction save failed - missing required fields', {
         userIdentifier,
         missingFields: [
-          !userIdentifier ? 'userId/farmerId' : null,
           !query ? 'query' : null,
           !response ? 'response' : null
         ].filter(Boolean),
@@ -2355,7 +4887,7 @@ app.post('/ai/interactions', authenticate, async (req, res) => {
       return res.status(400).json({
         error: {
           code: 'VALIDATION_ERROR',
-          message: 'User ID, query, and response are required'
+          message: 'Query and response are required'
         }
       });
     }
@@ -2408,12 +4940,12 @@ app.post('/ai/interactions', authenticate, async (req, res) => {
   } catch (error) {
     const duration = Date.now() - startTime;
     logDBError('saveAIInteraction', error, {
-      userId: req.body?.userId || req.body?.farmerId,
+      userId: req.userId,
       durationMs: duration
     });
     logger.error('Error saving AI interaction', {
       error: error.message,
-      userId: req.body?.userId || req.body?.farmerId,
+      userId: req.userId,
       durationMs: duration
     });
 
@@ -2706,7 +5238,8 @@ app.get('/weather', async (req, res) => {
 app.post('/weather/location', authenticate, async (req, res) => {
   const startTime = Date.now();
   try {
-    const { lat, lon, address, userId } = req.body;
+    const { lat, lon, address } = req.body;
+    const userId = req.userId;
 
     // Validation
     if (!lat || !lon) {
@@ -2729,7 +5262,7 @@ app.post('/weather/location', authenticate, async (req, res) => {
 
     // Prepare location document
     const locationDoc = {
-      userId: userId || 'anonymous',
+      userId,
       location: {
         type: 'Point',
         coordinates: [parsedLon, parsedLat]
@@ -2753,9 +5286,9 @@ app.post('/weather/location', authenticate, async (req, res) => {
       );
 
       let userProfileUpdated = false;
-      if (userId && userId !== 'anonymous' && usersCollection) {
+      if (usersCollection) {
         try {
-          const resolvedUser = await findUserDocument(userId, null);
+          const resolvedUser = req.user;
           if (resolvedUser) {
             await usersCollection.updateOne(
               { _id: resolvedUser._id },
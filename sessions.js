@@ -0,0 +1,200 @@
+const crypto = require('crypto');
+const { ObjectId } = require('mongodb');
+const { logger } = require('./logger');
+const { AUDIT_ACTIONS, recordAuditEvent } = require('./audit-log');
+
+/**
+ * Session tokens and the sessions collection: issuing and rotating token pairs,
+ * listing and revoking a user's sessions (one per signed-in device), and the device
+ * summary GET /auth/sessions returns. Login routes in server.js create the sessions;
+ * these helpers take the sessions collection so they can run against any handle.
+ */
+
+// SESSION_TTL_DAYS bounds how long a session survives without a refresh
+const SESSION_DEFAULT_DAYS = Number(process.env.SESSION_TTL_DAYS || 30);
+const ACCESS_TOKEN_TTL_MINUTES = Number(process.env.ACCESS_TOKEN_TTL_MINUTES || 15);
+const REFRESH_TOKEN_HISTORY_LIMIT = 50;
+
+// Tokens are only stored hashed
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function issueSessionTokens(now = new Date()) {
+  return {
+    token: crypto.randomBytes(48).toString('hex'),
+    expiresAt: new Date(now.getTime() + ACCESS_TOKEN_TTL_MINUTES * 60 * 1000),
+    refreshToken: crypto.randomBytes(48).toString('hex'),
+    refreshExpiresAt: new Date(now.getTime() + SESSION_DEFAULT_DAYS * 24 * 60 * 60 * 1000)
+  };
+}
+
+async function revokeTokenFamily(collection, session, reason, req) {
+  await collection.updateOne(
+    { _id: session._id },
+    { $set: { revoked: true, revokedAt: new Date(), revokedReason: reason } }
+  );
+  logger.warn('Session token family revoked', {
+    sessionId: session._id.toString(),
+    userId: session.userId?.toString(),
+    reason
+  });
+  await recordAuditEvent(req, {
+    action: AUDIT_ACTIONS.REFRESH_TOKEN_REUSED,
+    outcome: 'failure',
+    target: { type: 'user', id: session.userId },
+    metadata: { sessionId: session._id.toString(), reason }
+  });
+}
+
+/**
+ * Exchanges a refresh token for a new access/refresh pair. A refresh token that was
+ * already rotated out means it leaked (or was replayed), so the whole family is revoked.
+ * @returns {Promise<{session?: Object, issued?: Object, error?: string}>}
+ */
+async function rotateRefreshToken(collection, refreshToken, req) {
+  if (!refreshToken || !collection) {
+    return { error: 'REFRESH_TOKEN_INVALID' };
+  }
+
+  const now = new Date();
+  const refreshTokenHash = hashToken(refreshToken);
+  const session = await collection.findOne({ refreshTokenHash });
+
+  if (!session) {
+    const family = await collection.findOne({ usedRefreshTokenHashes: refreshTokenHash });
+    if (family) {
+      await revokeTokenFamily(collection, family, 'refresh_token_reuse', req);
+      return { error: 'REFRESH_TOKEN_REUSED' };
+    }
+    return { error: 'REFRESH_TOKEN_INVALID' };
+  }
+
+  if (session.revoked || (session.expiresAt && session.expiresAt < now)) {
+    return { error: 'REFRESH_TOKEN_INVALID' };
+  }
+
+  const issued = issueSessionTokens(now);
+  // Matching on the old hash makes rotation single-use even under concurrent requests
+  const result = await collection.updateOne(
+    { _id: session._id, refreshTokenHash, revoked: { $ne: true } },
+    {
+      $set: {
+        tokenHash: hashToken(issued.token),
+        accessExpiresAt: issued.expiresAt,
+        refreshTokenHash: hashToken(issued.refreshToken),
+        expiresAt: issued.refreshExpiresAt,
+        lastUsedAt: now,
+        rotatedAt: now,
+        userAgent: req.get('user-agent') || session.userAgent,
+        ipAddress: req.ip || session.ipAddress || null
+      },
+      $push: {
+        usedRefreshTokenHashes: { $each: [refreshTokenHash], $slice: -REFRESH_TOKEN_HISTORY_LIMIT }
+      }
+    }
+  );
+
+  if (result.modifiedCount === 0) {
+    await revokeTokenFamily(collection, session, 'refresh_token_reuse', req);
+    return { error: 'REFRESH_TOKEN_REUSED' };
+  }
+
+  return { session, issued };
+}
+
+// Accepts either the access token or the refresh token; returns the revoked session, if any
+async function revokeSessionByToken(collection, token, reason = 'logout') {
+  if (!token || !collection) {
+    return null;
+  }
+  const tokenHash = hashToken(token);
+  return collection.findOneAndUpdate(
+    { $or: [{ tokenHash }, { refreshTokenHash: tokenHash }], revoked: { $ne: true } },
+    { $set: { revoked: true, revokedAt: new Date(), revokedReason: reason } },
+    { projection: { userId: 1 } }
+  );
+}
+
+async function listActiveSessions(collection, userId) {
+  if (!collection) {
+    return [];
+  }
+  return collection
+    .find({
+      userId: new ObjectId(userId),
+      revoked: { $ne: true },
+      expiresAt: { $gt: new Date() }
+    })
+    .sort({ lastUsedAt: -1 })
+    .toArray();
+}
+
+// Only matches sessions owned by `userId`, so another user's session id reads as not found
+async function revokeUserSession(collection, userId, sessionId, reason = 'user_revoked') {
+  if (!collection) {
+    return false;
+  }
+  const result = await collection.updateOne(
+    { _id: sessionId, userId: new ObjectId(userId), revoked: { $ne: true } },
+    { $set: { revoked: true, revokedAt: new Date(), revokedReason: reason } }
+  );
+  return result.modifiedCount > 0;
+}
+
+async function revokeAllUserSessions(collection, userId, reason = 'logout_all') {
+  if (!collection) {
+    return 0;
+  }
+  const result = await collection.updateMany(
+    { userId: new ObjectId(userId), revoked: { $ne: true } },
+    { $set: { revoked: true, revokedAt: new Date(), revokedReason: reason } }
+  );
+  return result.modifiedCount;
+}
+
+// Coarse device summary from the stored user agent (Expo/okhttp on Android, browsers on web)
+function describeUserAgent(userAgent = '') {
+  const ua = String(userAgent);
+  let platform = 'Unknown';
+  if (/android/i.test(ua) || /okhttp/i.test(ua)) platform = 'Android';
+  else if (/iphone|ipad|ios|darwin/i.test(ua) && !/macintosh/i.test(ua)) platform = 'iOS';
+  else if (/windows/i.test(ua)) platform = 'Windows';
+  else if (/macintosh|mac os/i.test(ua)) platform = 'macOS';
+  else if (/linux/i.test(ua)) platform = 'Linux';
+
+  let client = 'Unknown';
+  if (/expo/i.test(ua)) client = 'KrushiMitra App (Expo)';
+  else if (/okhttp|cfnetwork/i.test(ua)) client = 'KrushiMitra App';
+  else if (/edg\//i.test(ua)) client = 'Edge';
+  else if (/chrome\//i.test(ua)) client = 'Chrome';
+  else if (/firefox\//i.test(ua)) client = 'Firefox';
+  else if (/safari\//i.test(ua)) client = 'Safari';
+
+  return { platform, client };
+}
+
+function formatSessionResponse(session, currentSessionId) {
+  return {
+    id: session._id.toString(),
+    device: describeUserAgent(session.userAgent),
+    userAgent: session.userAgent || 'unknown',
+    ipAddress: session.ipAddress || null,
+    createdAt: session.createdAt,
+    lastUsedAt: session.lastUsedAt,
+    expiresAt: session.expiresAt,
+    current: Boolean(currentSessionId && session._id.equals(currentSessionId))
+  };
+}
+
+module.exports = {
+  hashToken,
+  issueSessionTokens,
+  rotateRefreshToken,
+  revokeSessionByToken,
+  listActiveSessions,
+  revokeUserSession,
+  revokeAllUserSessions,
+  describeUserAgent,
+  formatSessionResponse
+};
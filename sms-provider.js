@@ -0,0 +1,141 @@
+const twilio = require('twilio');
+const { logger } = require('./logger');
+
+const DEFAULT_COUNTRY_CODE = (process.env.DEFAULT_COUNTRY_CODE || '91').replace(/\D/g, '');
+
+/**
+ * Normalize a phone number to E.164. Bare 10-digit numbers are treated as local
+ * numbers in DEFAULT_COUNTRY_CODE (India by default).
+ * @param {string} value - Raw phone input
+ * @returns {string|null} E.164 phone number, or null if it cannot be parsed
+ */
+function normalizePhoneNumber(value) {
+  if (typeof value !== 'string') {
+    return null;
+  }
+  const trimmed = value.trim();
+  const digits = trimmed.replace(/\D/g, '');
+  if (!digits) {
+    return null;
+  }
+  if (trimmed.startsWith('+')) {
+    return digits.length >= 10 && digits.length <= 15 ? `+${digits}` : null;
+  }
+  if (digits.length === 10) {
+    return `+${DEFAULT_COUNTRY_CODE}${digits}`;
+  }
+  if (digits.length === 11 && digits.startsWith('0')) {
+    return `+${DEFAULT_COUNTRY_CODE}${digits.slice(1)}`;
+  }
+  if (digits.length === 10 + DEFAULT_COUNTRY_CODE.length && digits.startsWith(DEFAULT_COUNTRY_CODE)) {
+    return `+${digits}`;
+  }
+  return null;
+}
+
+/**
+ * Stored phone numbers are not consistently formatted (some with +91, some bare),
+ * so lookups try every common variant.
+ * @param {string} e164 - Normalized phone number
+ * @returns {Array<string>} Candidate stored representations
+ */
+function phoneLookupVariants(e164) {
+  if (!e164) {
+    return [];
+  }
+  const digits = e164.replace(/\D/g, '');
+  const local = digits.slice(-10);
+  return [...new Set([e164, digits, local, `0${local}`])];
+}
+
+// Development provider: prints the message instead of sending it
+function createConsoleProvider() {
+  return {
+    name: 'console',
+    configured: true,
+    async sendSms(to, body) {
+      logger.info('SMS written to console (console provider)', { to });
+      console.log(`📱 SMS to ${to}: ${body}`);
+      return { id: `console-${Date.now()}` };
+    }
+  };
+}
+
+function createTwilioProvider(env) {
+  const accountSid = env.TWILIO_ACCOUNT_SID;
+  const authToken = env.TWILIO_AUTH_TOKEN;
+  const from = env.TWILIO_SMS_FROM || env.TWILIO_PHONE_NUMBER;
+  const messagingServiceSid = env.TWILIO_MESSAGING_SERVICE_SID;
+  const configured = Boolean(accountSid && authToken && (from || messagingServiceSid));
+  const client = configured ? twilio(accountSid, authToken) : null;
+
+  return {
+    name: 'twilio',
+    configured,
+    async sendSms(to, body) {
+      if (!client) {
+        throw new Error('Twilio SMS not configured: TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN and a sender are required');
+      }
+      const message = await client.messages.create({
+        to,
+        body,
+        ...(messagingServiceSid ? { messagingServiceSid } : { from })
+      });
+      return { id: message.sid };
+    }
+  };
+}
+
+const providerFactories = {
+  console: createConsoleProvider,
+  twilio: createTwilioProvider
+};
+
+/**
+ * Register an additional SMS provider (e.g. an Indian DLT gateway)
+ * @param {string} name - Value of SMS_PROVIDER that selects it
+ * @param {Function} factory - (env) => ({ name, configured, sendSms(to, body) })
+ */
+function registerSmsProvider(name, factory) {
+  providerFactories[name.toLowerCase()] = factory;
+}
+
+// Stands in for a misconfigured provider so callers answer 503 instead of sending nowhere
+function createUnconfiguredProvider(name) {
+  return {
+    name,
+    configured: false,
+    async sendSms() {
+      throw new Error(`SMS not configured: unknown SMS_PROVIDER "${name}"`);
+    }
+  };
+}
+
+/**
+ * Build the SMS provider selected by SMS_PROVIDER. Defaults to Twilio in
+ * production and the console provider everywhere else. An unknown name falls back
+ * to the console provider in development; in production, where that would print
+ * live OTPs to the logs, it yields an unconfigured provider.
+ * @param {Object} env - Environment variables
+ * @returns {{name: string, configured: boolean, sendSms: Function}}
+ */
+function createSmsProvider(env = process.env) {
+  const requested = (env.SMS_PROVIDER || (env.NODE_ENV === 'production' ? 'twilio' : 'console')).toLowerCase();
+  const factory = providerFactories[requested];
+  if (!factory) {
+    if (env.NODE_ENV === 'production') {
+      logger.error('Unknown SMS_PROVIDER, SMS is disabled', { requested });
+      return createUnconfiguredProvider(requested);
+    }
+    logger.error('Unknown SMS_PROVIDER, falling back to console provider', { requested });
+    return createConsoleProvider(env);
+  }
+  return factory(env);
+}
+
+module.exports = {
+  normalizePhoneNumber,
+  phoneLookupVariants,
+  registerSmsProvider,
+  createSmsProvider
+};
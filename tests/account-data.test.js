@@ -0,0 +1,39 @@
+const { ObjectId } = require('mongodb');
+const { buildUserDataFilters, getUserDataKeys } = require('../account-data');
+
+describe('getUserDataKeys', () => {
+  it('covers the user id and every stored phone format', () => {
+    const user = { _id: new ObjectId(), phone: '9876543210', phoneVerified: true, email: 'farmer@example.com' };
+    const keys = getUserDataKeys(user);
+    expect(keys.identifiers).toEqual(expect.arrayContaining([
+      user._id.toString(),
+      '9876543210',
+      '+919876543210'
+    ]));
+    expect(keys.emails).toEqual(['farmer@example.com']);
+  });
+
+  it('leaves out phones the user never verified', () => {
+    const user = { _id: new ObjectId(), phone: '9876543210', profile: { phone: '9123456780' } };
+    const keys = getUserDataKeys(user);
+    expect(keys.phones).toEqual([]);
+    expect(keys.identifiers).toEqual([user._id.toString()]);
+    expect(buildUserDataFilters(user).farmers.$or[1].phone.$in).toEqual([]);
+  });
+});
+
+describe('buildUserDataFilters', () => {
+  it('includes every collection holding farmer data', () => {
+    const user = { _id: new ObjectId(), email: 'farmer@example.com' };
+    const farmerId = new ObjectId();
+    const filters = buildUserDataFilters(user, [farmerId]);
+
+    expect(Object.keys(filters).sort()).toEqual([
+      'activities', 'aiinteractions', 'alerts', 'device_tokens', 'farmers', 'otp_codes', 'price_alert_rules',
+      'price_alert_triggers', 'scheme_applications', 'sessions', 'user_context', 'user_memories', 'users', 'voice_calls',
+      'weather_data'
+    ]);
+    expect(filters.alerts.farmerId.$in).toContain(farmerId);
+    expect(filters.sessions).toEqual({ userId: user._id });
+  });
+});
@@ -0,0 +1,59 @@
+const {
+  ALERT_RETENTION_DAYS,
+  alertExpiry,
+  buildInboxQuery,
+  formatAlertResponse
+} = require('../alerts');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const ownerFilter = { farmerId: { $in: ['64b7f0c2a1b2c3d4e5f60718', '+919876543210'] } };
+
+describe('alertExpiry', () => {
+  it('keeps each type for its retention period', () => {
+    const createdAt = new Date('2026-01-01T00:00:00Z');
+    expect(alertExpiry('price', createdAt).getTime() - createdAt.getTime()).toBe(ALERT_RETENTION_DAYS.price * DAY_MS);
+    expect(alertExpiry('scheme', createdAt).getTime() - createdAt.getTime()).toBe(ALERT_RETENTION_DAYS.scheme * DAY_MS);
+    expect(alertExpiry('weather', createdAt).getTime() - createdAt.getTime()).toBe(ALERT_RETENTION_DAYS.default * DAY_MS);
+  });
+});
+
+describe('buildInboxQuery', () => {
+  it('scopes to the owner and hides dismissed alerts', () => {
+    expect(buildInboxQuery(ownerFilter)).toEqual({
+      farmerId: ownerFilter.farmerId,
+      status: { $ne: 'dismissed' }
+    });
+  });
+
+  it('filters by type and unread state', () => {
+    expect(buildInboxQuery(ownerFilter, { types: ['price', 'scheme'], unreadOnly: true })).toEqual({
+      farmerId: ownerFilter.farmerId,
+      status: { $ne: 'dismissed' },
+      type: { $in: ['price', 'scheme'] },
+      readAt: null
+    });
+  });
+});
+
+describe('formatAlertResponse', () => {
+  it('reports read state from readAt', () => {
+    const alert = {
+      _id: { toString: () => 'a1' },
+      farmerId: 'f1',
+      type: 'price',
+      message: 'Onion above 2500',
+      createdAt: new Date('2026-01-01T00:00:00Z'),
+      readAt: null
+    };
+    expect(formatAlertResponse(alert)).toEqual({
+      id: 'a1',
+      type: 'price',
+      message: 'Onion above 2500',
+      read: false,
+      readAt: null,
+      createdAt: alert.createdAt,
+      expiresAt: null,
+      metadata: {}
+    });
+  });
+});
@@ -0,0 +1,34 @@
+const { ObjectId } = require('mongodb');
+const { diffChanges, parseAuditFilters } = require('../audit-log');
+
+describe('diffChanges', () => {
+  it('reports changed nested fields in dot notation', () => {
+    const changes = diffChanges(
+      { name: 'Ramesh', profile: { phone: '9876543210', language: 'hi' } },
+      { name: 'Ramesh', profile: { phone: '9123456780', language: 'hi' } }
+    );
+    expect(changes).toEqual([{ field: 'profile.phone', from: '9876543210', to: '9123456780' }]);
+  });
+
+  it('treats added and removed fields as changes and ignores updatedAt and token hashes', () => {
+    const id = new ObjectId();
+    const changes = diffChanges(
+      { userId: id, updatedAt: new Date(0), tokenHash: 'a' },
+      { userId: id, updatedAt: new Date(), tokenHash: 'b', crops: ['Wheat'] }
+    );
+    expect(changes).toEqual([{ field: 'crops', from: null, to: ['Wheat'] }]);
+  });
+});
+
+describe('parseAuditFilters', () => {
+  it('keeps single string filters and drops empty ones', () => {
+    expect(parseAuditFilters({ action: ' auth.* ', outcome: '', limit: '10' }))
+      .toEqual({ value: { action: 'auth.*' } });
+  });
+
+  it('rejects repeated or nested parameters and bad dates', () => {
+    expect(parseAuditFilters({ action: ['auth.login', 'auth.logout'] }).error).toBe('action must be a single value');
+    expect(parseAuditFilters({ actorId: { $ne: null } }).error).toBe('actorId must be a single value');
+    expect(parseAuditFilters({ from: 'yesterday' }).error).toBe('from and to must be ISO dates');
+  });
+});
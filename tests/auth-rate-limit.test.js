@@ -0,0 +1,173 @@
+const {
+  initAuthRateLimitCollection,
+  buildKey,
+  consumeRateLimit,
+  getResendCooldownMs,
+  getLockout,
+  recordFailure,
+  clearFailures
+} = require('../auth-rate-limit');
+
+// Enough of a Mongo collection for the rate limiter: equality, $lt/$gt and the unique bucket index
+function matches(doc, filter) {
+  return Object.entries(filter).every(([field, condition]) => {
+    const value = doc[field];
+    if (condition && typeof condition === 'object' && !(condition instanceof Date)) {
+      if ('$lt' in condition && !(value < condition.$lt)) return false;
+      if ('$gt' in condition && !(value > condition.$gt)) return false;
+      return true;
+    }
+    return condition instanceof Date ? value?.getTime() === condition.getTime() : value === condition;
+  });
+}
+
+function createMemoryCollection() {
+  const docs = [];
+  return {
+    docs,
+    async createIndex() {},
+    async insertOne(doc) {
+      docs.push({ ...doc });
+    },
+    async findOne(filter, { sort } = {}) {
+      const found = docs.filter((doc) => matches(doc, filter));
+      if (sort) {
+        const [[field, direction]] = Object.entries(sort);
+        found.sort((a, b) => (a[field] - b[field]) * direction);
+      }
+      return found[0] || null;
+    },
+    async countDocuments(filter) {
+      return docs.filter((doc) => matches(doc, filter)).length;
+    },
+    async deleteMany(filter) {
+      for (let i = docs.length - 1; i >= 0; i -= 1) {
+        if (matches(docs[i], filter)) docs.splice(i, 1);
+      }
+    },
+    async findOneAndUpdate(filter, update) {
+      const doc = docs.find((candidate) => matches(candidate, filter));
+      if (doc) {
+        doc.count += update.$inc.count;
+        return { ...doc };
+      }
+      const duplicate = docs.find((candidate) => candidate.kind === filter.kind
+        && candidate.key === filter.key
+        && candidate.windowStart.getTime() === filter.windowStart.getTime());
+      if (duplicate) {
+        throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+      }
+      const inserted = { key: filter.key, kind: filter.kind, windowStart: filter.windowStart, count: update.$inc.count, ...update.$setOnInsert };
+      docs.push(inserted);
+      return { ...inserted };
+    }
+  };
+}
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const start = new Date('2026-10-19T06:00:00Z');
+
+let collection;
+
+beforeEach(async () => {
+  jest.useFakeTimers();
+  jest.setSystemTime(start);
+  collection = createMemoryCollection();
+  await initAuthRateLimitCollection({ collection: () => collection });
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+async function consumeTimes(times, key, options) {
+  const results = [];
+  for (let i = 0; i < times; i += 1) {
+    results.push(await consumeRateLimit(key, options));
+  }
+  return results;
+}
+
+describe('buildKey', () => {
+  it('normalizes the identifier', () => {
+    expect(buildKey('otp-send', 'email', ' Farmer@Example.com ')).toBe('otp-send:email:farmer@example.com');
+  });
+});
+
+describe('consumeRateLimit', () => {
+  const options = { limit: 3, windowMs: HOUR };
+
+  it('allows requests up to the limit, then rejects with Retry-After at the window end', async () => {
+    jest.setSystemTime(new Date(start.getTime() + 15 * MINUTE));
+    const results = await consumeTimes(4, 'k', options);
+
+    expect(results.map((result) => result.allowed)).toEqual([true, true, true, false]);
+    expect(results.map((result) => result.remaining)).toEqual([2, 1, 0, 0]);
+    expect(results[3].retryAfterMs).toBe(45 * MINUTE);
+    // Rejected requests do not inflate the counter
+    expect(collection.docs).toEqual([expect.objectContaining({ key: 'k', count: 3 })]);
+  });
+
+  it('carries the previous window by its remaining overlap', async () => {
+    await consumeTimes(3, 'k', options);
+
+    // A quarter into the next window, three-quarters of the old hits still count
+    jest.setSystemTime(new Date(start.getTime() + HOUR + 15 * MINUTE));
+    const [result] = await consumeTimes(1, 'k', options);
+    expect(result.allowed).toBe(false);
+    // The carried 3 * (60 - t) / 60 hits leave a slot free once t reaches 20 minutes
+    expect(result.retryAfterMs).toBe(5 * MINUTE);
+
+    jest.setSystemTime(new Date(start.getTime() + HOUR + 20 * MINUTE));
+    expect((await consumeTimes(1, 'k', options))[0]).toMatchObject({ allowed: true, remaining: 0 });
+  });
+
+  it('keeps separate counters per key', async () => {
+    await consumeTimes(3, 'a', options);
+    expect((await consumeRateLimit('b', options)).allowed).toBe(true);
+  });
+
+  it('retries once when another request created the bucket first', async () => {
+    const findOneAndUpdate = collection.findOneAndUpdate;
+    collection.findOneAndUpdate = jest.fn()
+      .mockRejectedValueOnce(Object.assign(new Error('E11000'), { code: 11000 }))
+      .mockImplementation(findOneAndUpdate);
+
+    expect((await consumeRateLimit('k', options)).allowed).toBe(true);
+    expect(collection.findOneAndUpdate).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe('lockout', () => {
+  const options = { threshold: 3, windowMs: 30 * MINUTE, lockoutMs: 30 * MINUTE };
+
+  it('locks after repeated failures and reports the remaining lock time', async () => {
+    expect((await recordFailure('k', options)).locked).toBe(false);
+    expect((await recordFailure('k', options)).failures).toBe(2);
+    expect(await recordFailure('k', options)).toEqual({ locked: true, failures: 3, retryAfterMs: 30 * MINUTE });
+
+    jest.setSystemTime(new Date(start.getTime() + 10 * MINUTE));
+    expect((await getLockout('k')).retryAfterMs).toBe(20 * MINUTE);
+
+    jest.setSystemTime(new Date(start.getTime() + 31 * MINUTE));
+    expect(await getLockout('k')).toBeNull();
+  });
+
+  it('forgets failures outside the window or after a success', async () => {
+    await recordFailure('k', options);
+    jest.setSystemTime(new Date(start.getTime() + 31 * MINUTE));
+    expect((await recordFailure('k', options)).failures).toBe(1);
+
+    await clearFailures('k');
+    expect((await recordFailure('k', options)).failures).toBe(1);
+  });
+});
+
+describe('getResendCooldownMs', () => {
+  it('counts down from the last successful send', () => {
+    expect(getResendCooldownMs(null, MINUTE, start)).toBe(0);
+    expect(getResendCooldownMs(new Date(start.getTime() - 20 * 1000), MINUTE, start)).toBe(40 * 1000);
+    expect(getResendCooldownMs(new Date(start.getTime() - 2 * MINUTE), MINUTE, start)).toBe(0);
+  });
+});
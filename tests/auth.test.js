@@ -0,0 +1,171 @@
+const request = require('supertest');
+let app;
+
+beforeAll(() => {
+  app = require('../server').app || require('../server');
+});
+
+describe('authenticate middleware', () => {
+  it('rejects requests without a session token', async () => {
+    const res = await request(app).get('/farmers/+919876543210');
+    expect(res.status).toBe(401);
+    expect(res.body.error.code).toBe('SESSION_NOT_FOUND');
+  });
+
+  it('rejects requests with an unknown session token', async () => {
+    const res = await request(app)
+      .post('/ai/chat')
+      .set('Authorization', 'Bearer not-a-real-token')
+      .send({ query: 'hello', farmerId: '+919876543210' });
+    expect(res.status).toBe(401);
+    expect(res.body.error.code).toBe('SESSION_INVALID');
+  });
+});
+
+describe('POST /auth/refresh', () => {
+  it('requires a refresh token', async () => {
+    const res = await request(app).post('/auth/refresh').send({});
+    expect(res.status).toBe(400);
+    expect(res.body.error.code).toBe('VALIDATION_ERROR');
+  });
+
+  it('rejects unknown refresh tokens', async () => {
+    const res = await request(app).post('/auth/refresh').send({ refreshToken: 'not-a-real-token' });
+    expect(res.status).toBe(401);
+    expect(res.body.error.code).toBe('REFRESH_TOKEN_INVALID');
+  });
+});
+
+describe('session routes', () => {
+  it('require a session', async () => {
+    const listRes = await request(app).get('/auth/sessions');
+    expect(listRes.status).toBe(401);
+
+    const revokeRes = await request(app).delete('/auth/sessions/64b7f0c2a1b2c3d4e5f60718');
+    expect(revokeRes.status).toBe(401);
+  });
+});
+
+describe('POST /farmers', () => {
+  it('requires a session before a phone can be claimed', async () => {
+    const res = await request(app)
+      .post('/farmers')
+      .send({ name: 'Ramesh', phone: '+919876543210' });
+    expect(res.status).toBe(401);
+  });
+});
+
+describe('account data routes', () => {
+  it('require a session', async () => {
+    const exportRes = await request(app).get('/me/export');
+    expect(exportRes.status).toBe(401);
+
+    const deleteRes = await request(app).delete('/me').send({ confirm: true });
+    expect(deleteRes.status).toBe(401);
+  });
+});
+
+describe('GET /mandiprices/history', () => {
+  it('requires a session', async () => {
+    const res = await request(app).get('/mandiprices/history?crop=Onion');
+    expect(res.status).toBe(401);
+  });
+});
+
+describe('GET /mandiprices/nearby', () => {
+  it('requires a session', async () => {
+    const res = await request(app).get('/mandiprices/nearby?lat=18.5&lon=73.8');
+    expect(res.status).toBe(401);
+  });
+});
+
+describe('GET /mandiprices/forecast', () => {
+  it('requires a session', async () => {
+    const res = await request(app).get('/mandiprices/forecast?crop=Onion');
+    expect(res.status).toBe(401);
+  });
+});
+
+describe('price alert routes', () => {
+  it('require a session', async () => {
+    const listRes = await request(app).get('/price-alerts');
+    expect(listRes.status).toBe(401);
+
+    const createRes = await request(app)
+      .post('/price-alerts')
+      .send({ commodity: 'Onion', market: 'Pune', condition: { type: 'above', price: 2000 } });
+    expect(createRes.status).toBe(401);
+  });
+});
+
+describe('alerts inbox routes', () => {
+  it('require a session', async () => {
+    const listRes = await request(app).get('/alerts?unread=true');
+    expect(listRes.status).toBe(401);
+
+    const readRes = await request(app).post('/alerts/read-all');
+    expect(readRes.status).toBe(401);
+
+    const dismissRes = await request(app).post('/alerts/64b7f0c2a1b2c3d4e5f60718/dismiss');
+    expect(dismissRes.status).toBe(401);
+  });
+});
+
+describe('push token routes', () => {
+  it('require a session', async () => {
+    const registerRes = await request(app)
+      .post('/devices/push-token')
+      .send({ token: 'ExponentPushToken[abc123]', platform: 'android' });
+    expect(registerRes.status).toBe(401);
+
+    const removeRes = await request(app)
+      .delete('/devices/push-token')
+      .send({ token: 'ExponentPushToken[abc123]' });
+    expect(removeRes.status).toBe(401);
+  });
+});
+
+describe('scheme routes', () => {
+  it('require a session', async () => {
+    const listRes = await request(app).get('/schemes?q=insurance');
+    expect(listRes.status).toBe(401);
+
+    const eligibleRes = await request(app).get('/schemes/eligible');
+    expect(eligibleRes.status).toBe(401);
+
+    const versionsRes = await request(app).get('/schemes/64b7f0c2a1b2c3d4e5f60718/versions');
+    expect(versionsRes.status).toBe(401);
+  });
+
+  it('require a session to track applications', async () => {
+    const createRes = await request(app)
+      .post('/scheme-applications')
+      .send({ schemeId: '64b7f0c2a1b2c3d4e5f60718' });
+    expect(createRes.status).toBe(401);
+
+    const statusRes = await request(app)
+      .post('/scheme-applications/64b7f0c2a1b2c3d4e5f60718/status')
+      .send({ status: 'submitted' });
+    expect(statusRes.status).toBe(401);
+  });
+});
+
+describe('voice alert routes', () => {
+  it('require a session to place a call', async () => {
+    const res = await request(app).post('/voice/alerts/call');
+    expect(res.status).toBe(401);
+  });
+
+  it('reject Twilio callbacks without a valid signature', async () => {
+    const res = await request(app)
+      .post('/voice/status')
+      .type('form')
+      .send({ CallSid: 'CA123', CallStatus: 'completed' });
+    expect(res.status).toBe(403);
+    expect(res.body.error.code).toBe('INVALID_SIGNATURE');
+  });
+  it('no longer expose the unauthenticated demo call', async () => {
+    const res = await request(app).post('/demo/orb-trigger').send({ phoneNumber: '+919876543210' });
+    expect(res.status).toBe(404);
+  });
+});
@@ -0,0 +1,16 @@
+const { validateDeviceToken } = require('../device-tokens');
+
+describe('validateDeviceToken', () => {
+  it('accepts an Expo token with an optional platform', () => {
+    expect(validateDeviceToken({ token: ' ExponentPushToken[abc123] ', platform: 'Android' })).toEqual({
+      value: { token: 'ExponentPushToken[abc123]', platform: 'android' }
+    });
+    expect(validateDeviceToken({ token: 'ExponentPushToken[abc123]' }).value.platform).toBeNull();
+  });
+
+  it('rejects other tokens and unknown platforms', () => {
+    expect(validateDeviceToken({ token: 'not-a-token' }).error).toMatch(/Expo push token/);
+    expect(validateDeviceToken({}).error).toMatch(/Expo push token/);
+    expect(validateDeviceToken({ token: 'ExponentPushToken[abc123]', platform: 'symbian' }).error).toMatch(/platform/);
+  });
+});
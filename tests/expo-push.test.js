@@ -0,0 +1,130 @@
+const http = require('http');
+const {
+  MESSAGES_PER_REQUEST,
+  REQUEST_FAILED,
+  isExpoPushToken,
+  isInvalidTokenResult,
+  createExpoPushClient
+} = require('../expo-push');
+
+// Mock Expo push server: records requests and answers with the queued responses
+function startMockExpoServer() {
+  const mock = { requests: [], responses: [] };
+  mock.server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (data) => { body += data; });
+    req.on('end', () => {
+      const parsed = JSON.parse(body);
+      mock.requests.push({ path: req.url, headers: req.headers, body: parsed });
+      const next = mock.responses.shift() || ((request) => {
+        if (request.path.endsWith('/send')) {
+          return { status: 200, body: { data: request.body.map((_, index) => ({ status: 'ok', id: `ticket-${mock.requests.length}-${index}` })) } };
+        }
+        return { status: 200, body: { data: {} } };
+      });
+      const { status, body: responseBody, headers = {} } = next(mock.requests[mock.requests.length - 1]);
+      res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+      res.end(JSON.stringify(responseBody));
+    });
+  });
+  return new Promise((resolve) => {
+    mock.server.listen(0, '127.0.0.1', () => {
+      mock.url = `http://127.0.0.1:${mock.server.address().port}/--/api/v2/push`;
+      resolve(mock);
+    });
+  });
+}
+
+const message = (index) => ({ to: `ExponentPushToken[device-${index}]`, title: 'Mandi price alert', body: `Alert ${index}` });
+
+describe('isExpoPushToken', () => {
+  it('accepts Expo tokens only', () => {
+    expect(isExpoPushToken('ExponentPushToken[xxxxxxxxxxxxxxxxxxxxxx]')).toBe(true);
+    expect(isExpoPushToken('ExpoPushToken[abc]')).toBe(true);
+    expect(isExpoPushToken('fcm-raw-device-token')).toBe(false);
+    expect(isExpoPushToken(undefined)).toBe(false);
+  });
+});
+
+describe('createExpoPushClient', () => {
+  let mock;
+  const delays = [];
+  const createClient = () => createExpoPushClient(
+    { EXPO_PUSH_API_URL: mock.url, EXPO_ACCESS_TOKEN: 'secret', EXPO_PUSH_MAX_RETRIES: '2' },
+    { sleepImpl: async (ms) => { delays.push(ms); } }
+  );
+
+  beforeEach(async () => {
+    delays.length = 0;
+    mock = await startMockExpoServer();
+  });
+
+  afterEach((done) => {
+    mock.server.close(done);
+  });
+
+  it('sends messages in batches of 100 and returns tickets in order', async () => {
+    const messages = Array.from({ length: MESSAGES_PER_REQUEST + 20 }, (_, index) => message(index));
+    const tickets = await createClient().sendPushMessages(messages);
+
+    expect(mock.requests.map((request) => request.body.length)).toEqual([MESSAGES_PER_REQUEST, 20]);
+    expect(mock.requests[0].path).toBe('/--/api/v2/push/send');
+    expect(mock.requests[0].headers.authorization).toBe('Bearer secret');
+    expect(tickets).toHaveLength(messages.length);
+    expect(tickets[MESSAGES_PER_REQUEST]).toEqual({ status: 'ok', id: 'ticket-2-0' });
+  });
+
+  it('retries rate limiting and server errors with exponential backoff', async () => {
+    mock.responses.push(
+      () => ({ status: 429, body: {} }),
+      () => ({ status: 503, body: {} })
+    );
+    const tickets = await createClient().sendPushMessages([message(1)]);
+
+    expect(mock.requests).toHaveLength(3);
+    expect(delays).toEqual([1000, 2000]);
+    expect(tickets).toEqual([{ status: 'ok', id: 'ticket-3-0' }]);
+  });
+
+  it('honours Retry-After', async () => {
+    mock.responses.push(() => ({ status: 429, body: {}, headers: { 'Retry-After': '7' } }));
+    await createClient().sendPushMessages([message(1)]);
+    expect(delays).toEqual([7000]);
+  });
+
+  it('turns a chunk that keeps failing into RequestFailed tickets', async () => {
+    mock.responses.push(...Array.from({ length: 3 }, () => () => ({ status: 500, body: {} })));
+    const tickets = await createClient().sendPushMessages([message(1), message(2)]);
+
+    expect(mock.requests).toHaveLength(3);
+    expect(tickets).toHaveLength(2);
+    expect(tickets[0].details.error).toBe(REQUEST_FAILED);
+  });
+
+  it('does not retry client errors', async () => {
+    mock.responses.push(() => ({ status: 400, body: { errors: [{ code: 'VALIDATION_ERROR', message: 'bad' }] } }));
+    const tickets = await createClient().sendPushMessages([message(1)]);
+
+    expect(mock.requests).toHaveLength(1);
+    expect(tickets[0].status).toBe('error');
+  });
+
+  it('fetches receipts and flags unregistered devices', async () => {
+    mock.responses.push(() => ({
+      status: 200,
+      body: {
+        data: {
+          'ticket-a': { status: 'ok' },
+          'ticket-b': { status: 'error', message: 'not registered', details: { error: 'DeviceNotRegistered' } }
+        }
+      }
+    }));
+    const receipts = await createClient().getPushReceipts(['ticket-a', 'ticket-b', 'ticket-c']);
+
+    expect(mock.requests[0].path).toBe('/--/api/v2/push/getReceipts');
+    expect(mock.requests[0].body).toEqual({ ids: ['ticket-a', 'ticket-b', 'ticket-c'] });
+    expect(isInvalidTokenResult(receipts['ticket-a'])).toBe(false);
+    expect(isInvalidTokenResult(receipts['ticket-b'])).toBe(true);
+    expect(receipts['ticket-c']).toBeUndefined();
+  });
+});
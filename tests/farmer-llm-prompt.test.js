@@ -0,0 +1,97 @@
+const {
+  estimateTokens,
+  collectContextSections,
+  fitSectionsToBudget,
+  buildFarmerSystemPrompt,
+  generateFarmerPrompt
+} = require('../farmer-llm-prompt');
+
+const context = {
+  farmerProfile: { name: 'Ramesh', crops: ['Onion', 'Wheat'], landSize: '2 acres' },
+  weather: { condition: 'Cloudy', temperature: '31 C', rainfall: '60% chance of rain' },
+  mandi: [
+    { commodity: 'Onion', variety: 'Red', market: 'Lasalgaon', modalPrice: 1900, distanceKm: 12.4, arrivalDate: new Date('2026-10-18T00:00:00Z') },
+    { commodity: 'Wheat', variety: 'Other', market: 'Pune', modalPrice: 2450 }
+  ],
+  alerts: [{ type: 'scheme', message: 'New scheme available: PM Kisan' }],
+  activities: [
+    { description: 'Sprayed neem oil on onion', type: 'spray', date: new Date('2026-10-17T00:00:00Z') },
+    { description: 'Irrigated wheat', type: 'general', date: new Date('2026-10-15T00:00:00Z') }
+  ],
+  memory: [
+    { role: 'user', content: 'When should I sell onion?' },
+    { role: 'assistant', content: 'Prices are rising, wait a week.' }
+  ]
+};
+
+function sectionKeys(sections) {
+  return sections.map((section) => section.key);
+}
+
+describe('collectContextSections', () => {
+  it('renders nearest mandi prices, activities and conversation', () => {
+    const sections = collectContextSections(context);
+    expect(sectionKeys(sections)).toEqual(['profile', 'weather', 'mandi', 'alerts', 'activities', 'memory']);
+
+    const mandi = sections.find((section) => section.key === 'mandi');
+    expect(mandi.title).toBe('Nearest Mandi Prices');
+    expect(mandi.items).toEqual([
+      'Onion (Red): Rs 1900/quintal at Lasalgaon, 12 km away on 2026-10-18',
+      'Wheat: Rs 2450/quintal at Pune'
+    ]);
+    expect(sections.find((section) => section.key === 'activities').items[0]).toBe('- 2026-10-17: Sprayed neem oil on onion (spray)');
+  });
+
+  it('keeps the single mandi insight shape and skips empty sections', () => {
+    const sections = collectContextSections({ mandi: { crop: 'Cotton', price: '7000' }, alerts: [], farmerProfile: { crops: [] } });
+    expect(sections).toEqual([{ key: 'mandi', title: 'Mandi Insight', items: ['Crop: Cotton', 'Price: 7000'] }]);
+  });
+});
+
+describe('fitSectionsToBudget', () => {
+  const sections = collectContextSections(context);
+  const fullCost = sections.reduce((total, section) => total + estimateTokens(`${section.title}:\n${section.items.join('\n')}`) + 1, 0);
+
+  it('keeps everything that fits', () => {
+    expect(fitSectionsToBudget(sections, fullCost, '')).toEqual(sections);
+  });
+
+  it('trims the least relevant sections first, oldest conversation first', () => {
+    const fitted = fitSectionsToBudget(sections, fullCost - 32, '');
+    expect(sectionKeys(fitted)).toEqual(['profile', 'weather', 'mandi', 'alerts', 'memory']);
+    expect(fitted.find((section) => section.key === 'memory').items).toEqual(['- KrushiAI: Prices are rising, wait a week.']);
+  });
+
+  it('keeps the sections the query asks about', () => {
+    const fitted = fitSectionsToBudget(sections, 60, 'Will it rain tomorrow?');
+    expect(sectionKeys(fitted)).toContain('weather');
+    expect(sectionKeys(fitted)).not.toContain('mandi');
+  });
+
+  it('drops all context when nothing fits', () => {
+    expect(fitSectionsToBudget(sections, 0, '')).toEqual([]);
+  });
+});
+
+describe('buildFarmerSystemPrompt', () => {
+  it('stays within the token budget', () => {
+    const prompt = buildFarmerSystemPrompt('en', context, { query: 'Onion price today?', maxTokens: 600 });
+    expect(estimateTokens(prompt) + estimateTokens('Onion price today?')).toBeLessThanOrEqual(600);
+    expect(prompt).toContain('Nearest Mandi Prices:');
+    expect(prompt).not.toContain('Farmer Query');
+  });
+
+  it('answers in the requested language when the persona falls back to English', () => {
+    expect(buildFarmerSystemPrompt('hi', {})).toContain('Respond in Hindi');
+    expect(buildFarmerSystemPrompt('xx', {})).toContain('Respond in English');
+  });
+});
+
+describe('generateFarmerPrompt', () => {
+  it('places the query between the context and the closing instruction', () => {
+    const prompt = generateFarmerPrompt('mr', 'Should I spray today?', context);
+    expect(prompt).toContain('Context Data:\nFarmer Profile:\nName: Ramesh');
+    expect(prompt.indexOf('Recent Conversation:')).toBeLessThan(prompt.indexOf('Farmer Query: Should I spray today?'));
+    expect(prompt.endsWith('end with actionable next steps.')).toBe(true);
+  });
+});
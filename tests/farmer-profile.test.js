@@ -0,0 +1,31 @@
+const { ObjectId } = require('mongodb');
+const { extractCrops, getFarmerProfileWriteError } = require('../farmer-profile');
+
+describe('extractCrops', () => {
+  it('accepts the crop formats farmer profiles use', () => {
+    expect(extractCrops(['onion', { name: 'TOMATO' }, 'Onion'])).toEqual(['Onion', 'Tomato']);
+    expect(extractCrops('wheat, soybean')).toEqual(['Wheat', 'Soybean']);
+    expect(extractCrops(undefined)).toEqual([]);
+  });
+});
+
+describe('getFarmerProfileWriteError', () => {
+  const userId = new ObjectId();
+
+  it('refuses to create or adopt a profile for a phone the user has not verified', () => {
+    expect(getFarmerProfileWriteError({ ownsPhone: false, userId: userId.toString(), existingFarmer: null }))
+      .toBe('PHONE_NOT_VERIFIED');
+    expect(getFarmerProfileWriteError({ ownsPhone: false, userId: userId.toString(), existingFarmer: { phone: '+919876543210' } }))
+      .toBe('PHONE_NOT_VERIFIED');
+  });
+
+  it('lets the phone owner create, adopt or update their profile', () => {
+    expect(getFarmerProfileWriteError({ ownsPhone: true, userId: userId.toString(), existingFarmer: null })).toBeNull();
+    expect(getFarmerProfileWriteError({ ownsPhone: true, userId: userId.toString(), existingFarmer: { userId } })).toBeNull();
+  });
+
+  it('keeps a profile linked to another account with that account', () => {
+    expect(getFarmerProfileWriteError({ ownsPhone: true, userId: userId.toString(), existingFarmer: { userId: new ObjectId() } }))
+      .toBe('OWNED_BY_OTHER');
+  });
+});
@@ -0,0 +1,75 @@
+const {
+  IDENTITY_PROVIDERS,
+  buildIdentityKey,
+  identityLookupQuery,
+  getUserIdentities,
+  getVerifiedPhones,
+  legacyFieldsUpdate,
+  createIdentity
+} = require('../identities');
+
+describe('buildIdentityKey', () => {
+  it('normalizes emails and phone numbers', () => {
+    expect(buildIdentityKey(IDENTITY_PROVIDERS.EMAIL, ' Farmer@Example.com ')).toBe('email:farmer@example.com');
+    expect(buildIdentityKey(IDENTITY_PROVIDERS.PHONE, '98765 43210')).toBe('phone:+919876543210');
+    expect(buildIdentityKey(IDENTITY_PROVIDERS.EMAIL, 'not-an-email')).toBeNull();
+  });
+});
+
+describe('identityLookupQuery', () => {
+  it('matches the identity key and legacy fields of users without identities', () => {
+    const query = identityLookupQuery(IDENTITY_PROVIDERS.GOOGLE, 'google-sub-1');
+    expect(query.mergedInto).toEqual({ $exists: false });
+    expect(query.$or).toEqual([
+      { 'identities.key': 'google:google-sub-1' },
+      { identities: { $exists: false }, googleId: 'google-sub-1' }
+    ]);
+  });
+
+  it('only matches legacy phones that were verified, never profile.phone', () => {
+    const query = identityLookupQuery(IDENTITY_PROVIDERS.PHONE, '9876543210');
+    expect(query.$or[1]).toEqual({
+      identities: { $exists: false },
+      phone: { $in: expect.arrayContaining(['+919876543210', '9876543210']) },
+      phoneVerified: true
+    });
+    expect(JSON.stringify(query)).not.toContain('profile.phone');
+  });
+});
+
+describe('getUserIdentities', () => {
+  it('derives identities from legacy fields, skipping unverified phones', () => {
+    const identities = getUserIdentities({ email: 'a@b.com', phone: '9876543210', googleId: 'g1' });
+    expect(identities.map((identity) => identity.key)).toEqual(['google:g1', 'email:a@b.com']);
+  });
+
+  it('prefers the stored identities array', () => {
+    const identities = [createIdentity(IDENTITY_PROVIDERS.PHONE, '+919876543210')];
+    expect(getUserIdentities({ email: 'a@b.com', identities })).toBe(identities);
+  });
+});
+
+describe('getVerifiedPhones', () => {
+  it('ignores phones the user typed but never verified', () => {
+    expect(getVerifiedPhones({ phone: '9876543210', profile: { phone: '9123456780' } })).toEqual([]);
+    expect(getVerifiedPhones({ phone: '9876543210', phoneVerified: true, profile: { phone: '9123456780' } }))
+      .toEqual(['+919876543210']);
+    expect(getVerifiedPhones({
+      phone: '9123456780',
+      phoneVerified: true,
+      identities: [createIdentity(IDENTITY_PROVIDERS.EMAIL, 'a@b.com')]
+    })).toEqual([]);
+  });
+});
+
+describe('legacyFieldsUpdate', () => {
+  it('mirrors the first identity per provider and unsets providers with none left', () => {
+    const identities = [
+      createIdentity(IDENTITY_PROVIDERS.EMAIL, 'first@example.com'),
+      createIdentity(IDENTITY_PROVIDERS.EMAIL, 'second@example.com')
+    ];
+    const update = legacyFieldsUpdate(identities, [IDENTITY_PROVIDERS.EMAIL, IDENTITY_PROVIDERS.PHONE]);
+    expect(update.$set).toEqual({ email: 'first@example.com' });
+    expect(update.$unset).toEqual({ phone: '', 'profile.phone': '', phoneVerified: '', phoneVerifiedAt: '' });
+  });
+});
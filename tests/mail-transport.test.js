@@ -0,0 +1,50 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createMailTransport } = require('../mail-transport');
+const { renderOtpEmail } = require('../otp-email-templates');
+
+describe('renderOtpEmail', () => {
+  it('renders the OTP in the requested language', () => {
+    const message = renderOtpEmail('123456', { language: 'mr', ttlMinutes: 10 });
+    expect(message.language).toBe('mr');
+    expect(message.subject).toContain('OTP');
+    expect(message.text).toContain('123456');
+    expect(message.html).toContain('123456');
+  });
+
+  it('falls back to English for unknown languages', () => {
+    expect(renderOtpEmail('123456', { language: 'xx' }).language).toBe('en');
+    expect(renderOtpEmail('123456', { language: 'Hindi' }).language).toBe('hi');
+  });
+});
+
+describe('createMailTransport', () => {
+  it('selects a vendor from available credentials', () => {
+    const transport = createMailTransport({ RESEND_API_KEY: 're_test', MAIL_FROM: 'a@b.c' });
+    expect(transport.name).toBe('resend');
+    expect(transport.configured).toBe(true);
+  });
+
+  it('writes messages to the outbox with the file transport', async () => {
+    const outboxDir = fs.mkdtempSync(path.join(os.tmpdir(), 'outbox-'));
+    const transport = createMailTransport({ MAIL_PROVIDER: 'file', MAIL_OUTBOX_DIR: outboxDir });
+    await transport.send({ to: 'farmer@example.com', subject: 'Hi', text: 'OTP 123456', html: '<b>123456</b>' });
+
+    const files = fs.readdirSync(outboxDir);
+    expect(files).toHaveLength(1);
+    const saved = JSON.parse(fs.readFileSync(path.join(outboxDir, files[0]), 'utf-8'));
+    expect(saved.to).toBe('farmer@example.com');
+    fs.rmSync(outboxDir, { recursive: true, force: true });
+  });
+  it('disables email for an unknown provider in production instead of using the outbox', async () => {
+    const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+    const transport = createMailTransport({ NODE_ENV: 'production', MAIL_PROVIDER: 'sendgird' });
+    expect(transport.configured).toBe(false);
+    await expect(transport.send({ to: 'farmer@example.com', subject: 'Hi', text: 'OTP 123456' }))
+      .rejects.toThrow('Email not configured');
+
+    expect(createMailTransport({ NODE_ENV: 'development', MAIL_PROVIDER: 'sendgird' }).name).toBe('file');
+    error.mockRestore();
+  });
+});
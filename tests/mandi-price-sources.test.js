@@ -0,0 +1,108 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  createMandiPriceSources,
+  normalizePriceRecord,
+  parseArrivalDate,
+  parseCsv
+} = require('../jobs/mandi-price-sources');
+
+describe('parseArrivalDate', () => {
+  it('parses the Agmarknet date formats to UTC midnight', () => {
+    const expected = new Date(Date.UTC(2026, 9, 19)).getTime();
+    expect(parseArrivalDate('19/10/2026').getTime()).toBe(expected);
+    expect(parseArrivalDate('19-10-2026').getTime()).toBe(expected);
+    expect(parseArrivalDate('2026-10-19').getTime()).toBe(expected);
+    expect(parseArrivalDate('19-Oct-2026').getTime()).toBe(expected);
+  });
+
+  it('rejects impossible dates', () => {
+    expect(parseArrivalDate('31/02/2026')).toBeNull();
+    expect(parseArrivalDate('yesterday')).toBeNull();
+  });
+});
+
+describe('normalizePriceRecord', () => {
+  it('normalizes an Agmarknet API record', () => {
+    const record = normalizePriceRecord({
+      state: 'Maharashtra',
+      district: 'PUNE',
+      market: 'Pune(Pimpri)',
+      commodity: 'Onion',
+      variety: 'Red',
+      grade: 'FAQ',
+      arrival_date: '19/10/2026',
+      min_price: '1500',
+      max_price: '2,200',
+      modal_price: '1900'
+    }, 'agmarknet');
+
+    expect(record).toMatchObject({
+      state: 'Maharashtra',
+      district: 'Pune',
+      market: 'Pune(Pimpri)',
+      commodity: 'Onion',
+      variety: 'Red',
+      minPrice: 1500,
+      maxPrice: 2200,
+      modalPrice: 1900,
+      unit: 'Rs/Quintal',
+      crop: 'Onion',
+      location: 'Pune',
+      price: 1900
+    });
+    expect(record.arrivalDate.toISOString()).toBe('2026-10-19T00:00:00.000Z');
+  });
+
+  it('accepts Agmarknet report headers and skips rows without a modal price', () => {
+    const record = normalizePriceRecord({
+      'District Name': 'Nashik',
+      'Market Name': 'Lasalgaon',
+      Commodity: 'Onion',
+      'Min Price (Rs./Quintal)': '1800',
+      'Max Price (Rs./Quintal)': '1600',
+      'Modal Price (Rs./Quintal)': '1700',
+      'Price Date': '18 Oct 2026'
+    }, 'csv');
+    expect(record).toMatchObject({ market: 'Lasalgaon', minPrice: 1600, maxPrice: 1800, variety: 'Other' });
+
+    expect(normalizePriceRecord({ market: 'Pune', commodity: 'Onion', arrival_date: '19/10/2026' }, 'csv')).toBeNull();
+  });
+});
+
+describe('parseCsv', () => {
+  it('handles quoted fields, escaped quotes and CRLF line endings', () => {
+    const rows = parseCsv('market,commodity,note\r\n"Pune, Gultekdi",Onion,"said ""fresh"""\r\n\r\n');
+    expect(rows).toEqual([{ market: 'Pune, Gultekdi', commodity: 'Onion', note: 'said "fresh"' }]);
+  });
+});
+
+describe('CSV folder source', () => {
+  it('reads dumps and moves them to processed/', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mandi-csv-'));
+    fs.writeFileSync(
+      path.join(dir, 'prices.csv'),
+      'State,District,Market,Commodity,Variety,Arrival_Date,Min_x0020_Price,Max_x0020_Price,Modal_x0020_Price\n'
+      + 'Maharashtra,Pune,Pune,Wheat,Lokwan,19/10/2026,2300,2600,2450\n'
+      + 'Maharashtra,Pune,Pune,Wheat,Lokwan,not-a-date,2300,2600,2450\n'
+    );
+
+    const [source] = createMandiPriceSources({ MANDI_SOURCES: 'csv', MANDI_CSV_DIR: dir });
+    expect(source.enabled).toBe(true);
+
+    const { records, skipped } = await source.fetchPrices();
+    expect(records).toHaveLength(1);
+    expect(records[0]).toMatchObject({ commodity: 'Wheat', variety: 'Lokwan', modalPrice: 2450 });
+    expect(skipped).toBe(1);
+
+    await source.markProcessed();
+    expect(fs.existsSync(path.join(dir, 'processed', 'prices.csv'))).toBe(true);
+    expect(fs.existsSync(path.join(dir, 'prices.csv'))).toBe(false);
+  });
+
+  it('leaves the Agmarknet source disabled without an API key', () => {
+    const [source] = createMandiPriceSources({ MANDI_SOURCES: 'agmarknet' });
+    expect(source.enabled).toBe(false);
+  });
+});
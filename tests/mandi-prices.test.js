@@ -0,0 +1,120 @@
+const { upsertMandiPrices, buildPriceHistoryPipeline, computePriceChanges } = require('../mandi-prices');
+const { normalizePriceRecord } = require('../jobs/mandi-price-sources');
+
+// Just enough of a collection for upsertMandiPrices: $or-of-equality finds and upserting bulkWrite
+function createFakeCollection() {
+  const docs = [];
+  const matches = (doc, filter) => Object.entries(filter).every(([field, value]) => (
+    value instanceof Date ? doc[field]?.getTime() === value.getTime() : doc[field] === value
+  ));
+  return {
+    docs,
+    find(query) {
+      const found = docs.filter((doc) => query.$or.some((filter) => matches(doc, filter)));
+      return { project: () => ({ toArray: async () => found.map((doc) => ({ ...doc })) }) };
+    },
+    async bulkWrite(operations) {
+      operations.forEach(({ updateOne: { filter, update } }) => {
+        const existing = docs.find((doc) => matches(doc, filter));
+        if (existing) {
+          Object.assign(existing, update.$set);
+        } else {
+          docs.push({ ...filter, ...update.$setOnInsert, ...update.$set });
+        }
+      });
+    }
+  };
+}
+
+function price(overrides = {}) {
+  return normalizePriceRecord({
+    market: 'Pune', commodity: 'Onion', variety: 'Red', arrival_date: '19/10/2026', modal_price: '1900',
+    ...overrides
+  }, 'test');
+}
+
+describe('upsertMandiPrices', () => {
+  it('does not duplicate prices when the same day is ingested again', async () => {
+    const collection = createFakeCollection();
+
+    const first = await upsertMandiPrices(collection, [price(), price({ commodity: 'Wheat' })]);
+    expect(first).toMatchObject({ inserted: 2, updated: 0, unchanged: 0 });
+
+    const second = await upsertMandiPrices(collection, [price(), price({ commodity: 'Wheat', modal_price: '2500' })]);
+    expect(second).toMatchObject({ inserted: 0, updated: 1, unchanged: 1 });
+    expect(second.changedRecords.map((record) => record.commodity)).toEqual(['Wheat']);
+
+    expect(collection.docs).toHaveLength(2);
+    expect(collection.docs.find((doc) => doc.commodity === 'Wheat').modalPrice).toBe(2500);
+  });
+
+  it('collapses duplicates within one batch and keys on variety and arrival date', async () => {
+    const collection = createFakeCollection();
+    const result = await upsertMandiPrices(collection, [
+      price(),
+      price({ modal_price: '2000' }),
+      price({ variety: 'White' }),
+      price({ arrival_date: '20/10/2026' })
+    ]);
+
+    expect(result).toMatchObject({ inserted: 3, updated: 0, unchanged: 0 });
+    expect(collection.docs.find((doc) => doc.variety === 'Red' && doc.arrivalDate.getUTCDate() === 19).modalPrice).toBe(2000);
+  });
+});
+
+describe('buildPriceHistoryPipeline', () => {
+  it('matches the crop, optional market and date range, and buckets by interval', () => {
+    const from = new Date('2026-07-01');
+    const to = new Date('2026-10-19');
+    const [match, group] = buildPriceHistoryPipeline({ commodity: 'Onion', market: 'Pune', from, to, interval: 'week' });
+
+    expect(match.$match).toEqual({ commodity: 'Onion', market: 'Pune', arrivalDate: { $gte: from, $lte: to } });
+    expect(group.$group._id.$dateTrunc).toEqual({ date: '$arrivalDate', unit: 'week', startOfWeek: 'monday' });
+
+    const [cropOnly] = buildPriceHistoryPipeline({ commodity: 'Onion', from, to, interval: 'month' });
+    expect(cropOnly.$match).not.toHaveProperty('market');
+  });
+
+  it('warms daily moving averages up on the 29 days before from and trims them off', () => {
+    const from = new Date('2026-07-01T10:00:00Z');
+    const to = new Date('2026-10-19');
+    const pipeline = buildPriceHistoryPipeline({ commodity: 'Onion', from, to, interval: 'day' });
+
+    expect(pipeline[0].$match.arrivalDate).toEqual({ $gte: new Date('2026-06-02T00:00:00Z'), $lte: to });
+    expect(pipeline[2].$setWindowFields.output.movingAverage30d.window).toEqual({ range: [-29, 0], unit: 'day' });
+    expect(pipeline[3]).toEqual({ $match: { _id: { $gte: new Date('2026-07-01T00:00:00Z') } } });
+  });
+
+  it('leaves moving averages out of week and month buckets', () => {
+    const from = new Date('2026-07-01');
+    const pipeline = buildPriceHistoryPipeline({ commodity: 'Onion', from, to: new Date('2026-10-19'), interval: 'week' });
+
+    expect(pipeline[0].$match.arrivalDate.$gte).toBe(from);
+    expect(pipeline.some((stage) => stage.$setWindowFields)).toBe(false);
+    expect(pipeline[pipeline.length - 1].$project).toMatchObject({
+      movingAverage7d: { $literal: null },
+      movingAverage30d: { $literal: null }
+    });
+  });
+});
+
+describe('computePriceChanges', () => {
+  const day = (date) => new Date(`${date}T00:00:00Z`);
+
+  it('compares the latest price with the last one on or before each window', () => {
+    const changes = computePriceChanges([
+      { date: day('2026-10-19'), modalPrice: 2200 },
+      { date: day('2026-10-13'), modalPrice: 2100 },
+      { date: day('2026-10-11'), modalPrice: 2000 },
+      { date: day('2026-09-15'), modalPrice: 2750 }
+    ]);
+
+    expect(changes['7d']).toMatchObject({ fromDate: day('2026-10-11'), fromPrice: 2000, toPrice: 2200, percent: 10 });
+    expect(changes['30d']).toMatchObject({ fromPrice: 2750, percent: -20 });
+    expect(changes['90d']).toBeNull();
+  });
+
+  it('returns nulls without prices', () => {
+    expect(computePriceChanges([])).toEqual({ '7d': null, '30d': null, '90d': null });
+  });
+});
@@ -0,0 +1,50 @@
+const { ObjectId } = require('mongodb');
+const { normalizeMarket, buildNearbyMarketsPipeline, withNetPrices } = require('../markets');
+
+describe('normalizeMarket', () => {
+  it('normalizes names like mandi prices and stores a GeoJSON point', () => {
+    expect(normalizeMarket({ name: 'PUNE', state: 'maharashtra', lat: '18.5', lon: 73.87 })).toEqual({
+      name: 'Pune',
+      state: 'Maharashtra',
+      district: null,
+      location: { type: 'Point', coordinates: [73.87, 18.5] }
+    });
+  });
+
+  it('rejects missing names and out-of-range coordinates', () => {
+    expect(normalizeMarket({ lat: 18.5, lon: 73.87 })).toBeNull();
+    expect(normalizeMarket({ name: 'Pune', lat: 95, lon: 73.87 })).toBeNull();
+  });
+});
+
+describe('buildNearbyMarketsPipeline', () => {
+  it('searches within the radius and only keeps markets pricing the crop', () => {
+    const pipeline = buildNearbyMarketsPipeline({ lat: 18.5, lon: 73.8, radiusKm: 25, commodity: 'Onion', limit: 5 });
+    expect(pipeline[0].$geoNear).toMatchObject({
+      near: { type: 'Point', coordinates: [73.8, 18.5] },
+      maxDistance: 25000
+    });
+    expect(pipeline[1].$lookup.pipeline[0].$match.commodity).toBe('Onion');
+    expect(pipeline).toContainEqual({ $match: { 'prices.0': { $exists: true } } });
+    expect(pipeline[pipeline.length - 1]).toEqual({ $limit: 5 });
+  });
+});
+
+describe('withNetPrices', () => {
+  it('subtracts transport cost and ranks prices by net price', () => {
+    const [market] = withNetPrices([{
+      _id: new ObjectId(),
+      name: 'Pune',
+      location: { type: 'Point', coordinates: [73.87, 18.5] },
+      distanceMeters: 12345,
+      prices: [
+        { commodity: 'Onion', variety: 'Red', modalPrice: 1900 },
+        { commodity: 'Onion', variety: 'White', modalPrice: 2100 }
+      ]
+    }], 2);
+
+    expect(market.distanceKm).toBe(12.3);
+    expect(market.transportCost).toBe(24.6);
+    expect(market.prices.map((price) => price.netPrice)).toEqual([2075.4, 1875.4]);
+  });
+});
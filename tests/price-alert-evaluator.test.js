@@ -0,0 +1,168 @@
+const { ObjectId } = require('mongodb');
+const {
+  deliveryChannels,
+  evaluateRule,
+  deliverPendingTriggers,
+  MAX_DELIVERY_ATTEMPTS
+} = require('../jobs/price-alert-evaluator');
+
+// 23:30 in Kolkata, inside 22:00-06:00 quiet hours; they end at 00:30 UTC
+const now = new Date('2026-10-19T18:00:00Z');
+const quietEnd = new Date('2026-10-20T00:30:00Z');
+
+// Enough of KrushiMitraDB for the evaluator: prices, the unique dedupeKey index and
+// positional delivery updates through arrayFilters
+function createMemoryDb({ prices = [], users = [] } = {}) {
+  const triggers = [];
+  const rules = { updateOne: jest.fn(async () => ({ modifiedCount: 1 })) };
+
+  const collections = {
+    mandiprices: {
+      find: () => ({ sort: () => ({ toArray: async () => prices }) })
+    },
+    price_alert_triggers: {
+      async insertOne(doc) {
+        if (triggers.some((trigger) => trigger.dedupeKey === doc.dedupeKey)) {
+          throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+        }
+        triggers.push({ _id: new ObjectId(), ...doc });
+      },
+      find: (filter) => ({
+        limit: () => ({
+          toArray: async () => triggers.filter((trigger) => trigger.deliveries.some((delivery) => (
+            delivery.status === filter.deliveries.$elemMatch.status
+            && delivery.deliverAfter <= filter.deliveries.$elemMatch.deliverAfter.$lte
+          )))
+        })
+      }),
+      async updateOne(filter, update, { arrayFilters }) {
+        const trigger = triggers.find((candidate) => candidate._id.equals(filter._id));
+        const delivery = trigger.deliveries.find((candidate) => candidate.channel === arrayFilters[0]['delivery.channel']);
+        Object.entries(update.$set).forEach(([path, value]) => {
+          delivery[path.replace('deliveries.$[delivery].', '')] = value;
+        });
+      }
+    },
+    price_alert_rules: rules,
+    users: {
+      findOne: async (filter) => users.find((user) => user._id.equals(filter._id)) || null
+    }
+  };
+
+  return {
+    triggers,
+    rules,
+    collection: (name) => collections[name]
+  };
+}
+
+function createRule(fields = {}) {
+  return {
+    _id: new ObjectId(),
+    userId: new ObjectId(),
+    commodity: 'Onion',
+    market: 'Lasalgaon',
+    condition: { type: 'above', price: 2500 },
+    quietHours: null,
+    channels: ['in_app'],
+    active: true,
+    ...fields
+  };
+}
+
+const price = {
+  commodity: 'Onion',
+  market: 'Lasalgaon',
+  variety: 'Red',
+  arrivalDate: new Date('2026-10-19T00:00:00Z'),
+  modalPrice: 2800
+};
+
+let sendInApp;
+
+beforeEach(() => {
+  sendInApp = jest.spyOn(deliveryChannels, 'in_app').mockResolvedValue({ id: 'alert-1' });
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('evaluateRule', () => {
+  it('fires once per price, deduplicated on dedupeKey across runs', async () => {
+    const rule = createRule();
+    const db = createMemoryDb({ prices: [price] });
+
+    await evaluateRule(db, rule, now);
+    await evaluateRule(db, rule, new Date(now.getTime() + 15 * 60 * 1000));
+
+    expect(db.triggers).toHaveLength(1);
+    expect(db.triggers[0]).toMatchObject({ ruleId: rule._id, modalPrice: 2800 });
+    // Only the run that fired moves lastTriggeredAt
+    expect(db.rules.updateOne).toHaveBeenCalledTimes(1);
+  });
+
+  it('does not fire when the condition does not hold', async () => {
+    const db = createMemoryDb({ prices: [{ ...price, modalPrice: 2000 }] });
+    await evaluateRule(db, createRule(), now);
+    expect(db.triggers).toHaveLength(0);
+    expect(db.rules.updateOne).not.toHaveBeenCalled();
+  });
+
+  it('defers deliveries to the end of the rule\'s quiet hours', async () => {
+    const rule = createRule({ quietHours: { start: '22:00', end: '06:00', timezone: 'Asia/Kolkata' } });
+    const user = { _id: rule.userId };
+    const db = createMemoryDb({ prices: [price], users: [user] });
+
+    await evaluateRule(db, rule, now);
+    expect(db.triggers[0].deliveries[0]).toMatchObject({ status: 'pending', deliverAfter: quietEnd });
+
+    await deliverPendingTriggers(db, now);
+    expect(sendInApp).not.toHaveBeenCalled();
+
+    await deliverPendingTriggers(db, quietEnd);
+    expect(sendInApp).toHaveBeenCalledTimes(1);
+    expect(db.triggers[0].deliveries[0]).toMatchObject({ status: 'sent', providerId: 'alert-1' });
+  });
+});
+
+describe('deliverPendingTriggers', () => {
+  it('retries a failing channel with growing delays, then marks it failed', async () => {
+    const rule = createRule();
+    const db = createMemoryDb({ prices: [price], users: [{ _id: rule.userId }] });
+    sendInApp.mockRejectedValue(new Error('insert failed'));
+    await evaluateRule(db, rule, now);
+
+    let at = now;
+    for (let attempt = 1; attempt < MAX_DELIVERY_ATTEMPTS; attempt += 1) {
+      await deliverPendingTriggers(db, at);
+      const delivery = db.triggers[0].deliveries[0];
+      expect(delivery).toMatchObject({ status: 'pending', attempts: attempt, lastError: 'insert failed' });
+      expect(delivery.deliverAfter).toEqual(new Date(at.getTime() + attempt * 15 * 60 * 1000));
+      at = delivery.deliverAfter;
+    }
+
+    await deliverPendingTriggers(db, at);
+    expect(db.triggers[0].deliveries[0]).toMatchObject({ status: 'failed', attempts: MAX_DELIVERY_ATTEMPTS });
+    expect(sendInApp).toHaveBeenCalledTimes(MAX_DELIVERY_ATTEMPTS);
+
+    // A failed delivery is never picked up again
+    await deliverPendingTriggers(db, new Date(at.getTime() + 24 * 60 * 60 * 1000));
+    expect(sendInApp).toHaveBeenCalledTimes(MAX_DELIVERY_ATTEMPTS);
+  });
+
+  it('cancels deliveries for an account pending deletion without sending', async () => {
+    const rule = createRule({ channels: ['in_app', 'sms'] });
+    const db = createMemoryDb({
+      prices: [price],
+      users: [{ _id: rule.userId, deletionRequestedAt: now }]
+    });
+    await evaluateRule(db, rule, now);
+    await deliverPendingTriggers(db, now);
+
+    expect(sendInApp).not.toHaveBeenCalled();
+    expect(db.triggers[0].deliveries.map((delivery) => delivery.status)).toEqual(['cancelled', 'cancelled']);
+    expect(db.triggers[0].deliveries[0].lastError).toBe('Account deletion requested');
+  });
+});
@@ -0,0 +1,88 @@
+const { ObjectId } = require('mongodb');
+const {
+  validatePriceAlertRule,
+  nextDeliveryTime,
+  evaluateCondition,
+  buildDedupeKey,
+  describeTrigger
+} = require('../price-alert-rules');
+
+describe('validatePriceAlertRule', () => {
+  it('normalizes a market threshold rule and applies defaults', () => {
+    const { value } = validatePriceAlertRule({
+      commodity: 'onion',
+      market: 'LASALGAON',
+      condition: { type: 'above', price: '2500' }
+    });
+    expect(value).toEqual({
+      commodity: 'Onion',
+      market: 'Lasalgaon',
+      near: null,
+      condition: { type: 'above', price: 2500 },
+      quietHours: null,
+      channels: ['in_app'],
+      active: true
+    });
+  });
+
+  it('builds a radius rule from the saved location', () => {
+    const { value } = validatePriceAlertRule(
+      { commodity: 'Wheat', radiusKm: 40, condition: { type: 'percent_change', percent: 10 } },
+      { fallbackLocation: { latitude: 18.5, longitude: 73.8 } }
+    );
+    expect(value.near).toEqual({ location: { type: 'Point', coordinates: [73.8, 18.5] }, radiusKm: 40 });
+    expect(value.condition).toEqual({ type: 'percent_change', percent: 10, windowDays: 7, direction: 'any' });
+  });
+
+  it('rejects rules without an area, bad quiet hours or unknown channels', () => {
+    const base = { commodity: 'Onion', condition: { type: 'below', price: 1000 } };
+    expect(validatePriceAlertRule(base).error).toMatch(/market or radiusKm/);
+    expect(validatePriceAlertRule({ ...base, market: 'Pune', quietHours: { start: '25:00', end: '06:00' } }).error)
+      .toMatch(/quietHours/);
+    expect(validatePriceAlertRule({ ...base, market: 'Pune', channels: ['fax'] }).error).toMatch(/channels/);
+  });
+
+  it('only checks the fields sent in a partial update', () => {
+    expect(validatePriceAlertRule({ active: false }, { partial: true })).toEqual({ value: { active: false } });
+  });
+});
+
+describe('nextDeliveryTime', () => {
+  const quietHours = { start: '22:00', end: '06:00', timezone: 'Asia/Kolkata' };
+
+  it('holds deliveries until quiet hours end, across midnight', () => {
+    // 23:30 IST
+    const now = new Date('2026-10-19T18:00:00Z');
+    expect(nextDeliveryTime(quietHours, now).toISOString()).toBe('2026-10-20T00:30:00.000Z');
+  });
+
+  it('delivers immediately outside quiet hours', () => {
+    // 12:30 IST
+    const now = new Date('2026-10-19T07:00:00Z');
+    expect(nextDeliveryTime(quietHours, now)).toBe(now);
+    expect(nextDeliveryTime(null, now)).toBe(now);
+  });
+});
+
+describe('evaluateCondition', () => {
+  const price = { commodity: 'Onion', market: 'Pune', variety: 'Red', modalPrice: 2200, arrivalDate: new Date('2026-10-19') };
+
+  it('checks thresholds', () => {
+    expect(evaluateCondition({ type: 'above', price: 2000 }, price)).toEqual({ changePercent: null });
+    expect(evaluateCondition({ type: 'below', price: 2000 }, price)).toBeNull();
+  });
+
+  it('checks percent change in the requested direction', () => {
+    const rise = { type: 'percent_change', percent: 10, windowDays: 7, direction: 'any' };
+    expect(evaluateCondition(rise, price, 2000)).toEqual({ changePercent: 10 });
+    expect(evaluateCondition({ ...rise, direction: 'down' }, price, 2000)).toBeNull();
+    expect(evaluateCondition(rise, price, null)).toBeNull();
+  });
+
+  it('keys triggers on rule, market, variety and arrival day', () => {
+    const ruleId = new ObjectId();
+    expect(buildDedupeKey(ruleId, price)).toBe(`${ruleId}|Pune|Red|2026-10-19`);
+    expect(describeTrigger({ condition: { type: 'above', price: 2000 } }, price, { changePercent: null }))
+      .toBe('Onion (Red) in Pune is at ₹2200 per quintal, above your ₹2000 alert');
+  });
+});
@@ -0,0 +1,65 @@
+const { buildDailySeries, backtestModel, describeReliability, forecastPrices } = require('../price-forecast');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const start = Date.UTC(2026, 0, 1);
+
+function dailyRows(days, priceForDay) {
+  return Array.from({ length: days }, (_, day) => ({ date: new Date(start + day * DAY_MS), modalPrice: priceForDay(day) }));
+}
+
+describe('buildDailySeries', () => {
+  it('sorts rows and carries prices over days without arrivals', () => {
+    const { dates, values } = buildDailySeries([
+      { date: new Date(start + 3 * DAY_MS), modalPrice: 130 },
+      { date: new Date(start), modalPrice: 100 }
+    ]);
+    expect(dates).toHaveLength(4);
+    expect(values).toEqual([100, 100, 100, 130]);
+  });
+});
+
+describe('backtestModel', () => {
+  it('scores a perfect model on a flat series with zero error', () => {
+    const values = Array.from({ length: 60 }, () => 2000);
+    expect(backtestModel(values, 'naive', 7)).toMatchObject({ mape: 0, mae: 0, samples: 20 });
+  });
+
+  it('needs enough history for the horizon', () => {
+    expect(backtestModel(Array.from({ length: 25 }, () => 2000), 'naive', 30)).toBeNull();
+  });
+});
+
+describe('forecastPrices', () => {
+  it('prefers the seasonal model for a weekly pattern and returns banded projections', () => {
+    const forecast = forecastPrices(dailyRows(120, (day) => 2000 + (day % 7) * 100));
+    const weekAhead = forecast.horizons['7d'];
+
+    expect(weekAhead.model).toBe('seasonal_naive');
+    expect(weekAhead.backtestMape).toBe(0);
+    expect(weekAhead.reliability).toBe('high');
+    expect(weekAhead.points).toHaveLength(7);
+    expect(weekAhead.points[0]).toMatchObject({ price: 2100, lower95: 2100, upper95: 2100 });
+    expect(forecast.horizons['30d'].points).toHaveLength(30);
+    expect(forecast.backtests.map((result) => result.horizonDays)).toEqual(expect.arrayContaining([7, 30]));
+  });
+
+  it('widens the bands for noisy prices', () => {
+    const forecast = forecastPrices(dailyRows(90, (day) => 2000 + ((day * 37) % 11) * 40));
+    const [first] = forecast.horizons['7d'].points;
+    expect(first.lower80).toBeLessThan(first.price);
+    expect(first.upper95).toBeGreaterThan(first.upper80);
+  });
+
+  it('returns null with too little history', () => {
+    expect(forecastPrices(dailyRows(10, () => 2000))).toBeNull();
+  });
+});
+
+describe('describeReliability', () => {
+  it('maps backtest error to a rating', () => {
+    expect(describeReliability(3)).toBe('high');
+    expect(describeReliability(10)).toBe('medium');
+    expect(describeReliability(20)).toBe('low');
+    expect(describeReliability(null)).toBe('unknown');
+  });
+});
@@ -0,0 +1,77 @@
+const { ObjectId } = require('mongodb');
+const { buildPushMessage, nextPushState, resolveAlertUserIds } = require('../jobs/push-dispatcher');
+
+const now = new Date('2026-10-19T06:00:00Z');
+
+describe('buildPushMessage', () => {
+  it('titles the message by alert type and links back to the alert', () => {
+    const alert = { _id: new ObjectId(), type: 'scheme', message: 'New scheme available: PM-KISAN' };
+    expect(buildPushMessage(alert, 'ExponentPushToken[abc]')).toMatchObject({
+      to: 'ExponentPushToken[abc]',
+      title: 'New government scheme',
+      body: 'New scheme available: PM-KISAN',
+      data: { alertId: alert._id.toString(), type: 'scheme' }
+    });
+  });
+});
+
+describe('nextPushState', () => {
+  it('counts the alert as sent when any device got it', () => {
+    const state = nextPushState([
+      { status: 'error', details: { error: 'RequestFailed' } },
+      { status: 'ok', id: 't1' }
+    ], 1, now);
+    expect(state).toMatchObject({ status: 'sent', attempts: 1, sentAt: now });
+  });
+
+  it('retries request failures with growing delays, then gives up', () => {
+    const tickets = [{ status: 'error', message: 'HTTP 503', details: { error: 'RequestFailed' } }];
+    expect(nextPushState(tickets, 1, now).nextAttemptAt).toEqual(new Date('2026-10-19T06:05:00Z'));
+    expect(nextPushState(tickets, 2, now).nextAttemptAt).toEqual(new Date('2026-10-19T06:10:00Z'));
+    expect(nextPushState(tickets, 4, now)).toMatchObject({ status: 'failed', lastError: 'HTTP 503' });
+  });
+
+  it('does not retry invalid tokens or alerts without devices', () => {
+    expect(nextPushState([{ status: 'error', details: { error: 'DeviceNotRegistered' } }], 1, now).status).toBe('failed');
+    expect(nextPushState([], 1, now).status).toBe('no_devices');
+  });
+});
+
+describe('resolveAlertUserIds', () => {
+  // Records the users query and returns the given users
+  function fakeDb({ farmer = null, users = [] } = {}) {
+    const calls = { users: [] };
+    return {
+      calls,
+      collection(name) {
+        if (name === 'farmers') {
+          return { findOne: async () => farmer };
+        }
+        return {
+          find(query) {
+            calls.users.push(query);
+            return { toArray: async () => users };
+          }
+        };
+      }
+    };
+  }
+
+  it('resolves phone-keyed alerts through verified phones only and skips accounts pending deletion', async () => {
+    const userId = new ObjectId();
+    const db = fakeDb({ users: [{ _id: userId }] });
+    expect(await resolveAlertUserIds(db, { farmerId: '9876543210' })).toEqual([userId]);
+
+    const [query] = db.calls.users;
+    expect(query.$and[1]).toEqual({ mergedInto: { $exists: false }, deletionRequestedAt: { $exists: false } });
+    expect(JSON.stringify(query)).not.toContain('profile.phone');
+    expect(query.$and[0].$or[1]).toMatchObject({ phoneVerified: true });
+  });
+
+  it('prefers the farmer profile owner over its phone', async () => {
+    const ownerId = new ObjectId();
+    const db = fakeDb({ farmer: { userId: ownerId, phone: '9876543210' }, users: [{ _id: ownerId }] });
+    await resolveAlertUserIds(db, { farmerId: new ObjectId() });
+    expect(db.calls.users[0].$and[0]).toEqual({ _id: ownerId });
+  });
+});
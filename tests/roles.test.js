@@ -0,0 +1,31 @@
+const { ROLES, getUserRoles, canReadFarmerAsStaff } = require('../roles');
+
+describe('getUserRoles', () => {
+  it('defaults users without roles to farmer', () => {
+    expect(getUserRoles({ email: 'farmer@example.com' })).toEqual([ROLES.FARMER]);
+  });
+
+  it('grants admin to bootstrap emails', () => {
+    process.env.ADMIN_EMAILS = 'root@example.com';
+    expect(getUserRoles({ email: 'Root@example.com' })).toContain(ROLES.ADMIN);
+    delete process.env.ADMIN_EMAILS;
+  });
+});
+
+describe('canReadFarmerAsStaff', () => {
+  const officer = { roles: [ROLES.EXTENSION_OFFICER], assignedDistricts: ['Pune'] };
+
+  it('allows officers to read farmers in assigned districts', () => {
+    expect(canReadFarmerAsStaff(officer, { location: 'Pune, Maharashtra' })).toBe(true);
+    expect(canReadFarmerAsStaff(officer, { district: 'pune' })).toBe(true);
+  });
+
+  it('denies officers outside their districts and plain farmers', () => {
+    expect(canReadFarmerAsStaff(officer, { location: 'Nagpur, Maharashtra' })).toBe(false);
+    expect(canReadFarmerAsStaff({ roles: [ROLES.FARMER] }, { location: 'Pune' })).toBe(false);
+  });
+
+  it('allows admins to read any farmer', () => {
+    expect(canReadFarmerAsStaff({ roles: [ROLES.ADMIN] }, { location: 'Nagpur' })).toBe(true);
+  });
+});
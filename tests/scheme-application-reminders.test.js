@@ -0,0 +1,35 @@
+const { dueReminder, buildReminderMessage } = require('../jobs/scheme-application-reminders');
+
+const now = new Date('2026-10-19T06:00:00Z');
+const inDays = (days) => new Date(now.getTime() + days * 24 * 60 * 60 * 1000);
+
+describe('dueReminder', () => {
+  const draft = (fields) => ({ status: 'draft', remindersSent: [], ...fields });
+
+  it('reminds once per threshold as the deadline approaches', () => {
+    expect(dueReminder(draft({ deadline: inDays(10) }), now, [1, 3, 7])).toBeNull();
+    expect(dueReminder(draft({ deadline: inDays(6) }), now, [1, 3, 7])).toEqual({ days: 7, daysLeft: 6 });
+    expect(dueReminder(draft({ deadline: inDays(6), remindersSent: [7] }), now, [1, 3, 7])).toBeNull();
+    expect(dueReminder(draft({ deadline: inDays(2), remindersSent: [7] }), now, [1, 3, 7])).toEqual({ days: 3, daysLeft: 2 });
+  });
+
+  it('skips submitted, past-deadline and open-ended applications', () => {
+    expect(dueReminder({ status: 'submitted', deadline: inDays(2) }, now, [1, 3, 7])).toBeNull();
+    expect(dueReminder(draft({ deadline: inDays(-1) }), now, [1, 3, 7])).toBeNull();
+    expect(dueReminder(draft({ deadline: null }), now, [1, 3, 7])).toBeNull();
+  });
+});
+
+describe('buildReminderMessage', () => {
+  it('mentions pending required documents', () => {
+    const application = {
+      schemeTitle: 'PM Kisan',
+      documents: [
+        { name: 'Aadhaar card', required: true, status: 'ready' },
+        { name: 'Land records', required: true, status: 'pending' }
+      ]
+    };
+    expect(buildReminderMessage(application, 1))
+      .toBe('Only 1 day left to apply for PM Kisan. 1 required document is still pending.');
+  });
+});
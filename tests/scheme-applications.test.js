@@ -0,0 +1,124 @@
+const { ObjectId } = require('mongodb');
+const {
+  STATUS_TRANSITIONS,
+  initSchemeApplicationsCollection,
+  createSchemeApplication,
+  updateSchemeApplication,
+  changeSchemeApplicationStatus,
+  buildDocumentChecklist,
+  validateDocumentUpdates,
+  applyDocumentUpdates,
+  pendingRequiredDocuments
+} = require('../scheme-applications');
+
+const now = new Date('2026-10-19T06:00:00Z');
+
+describe('buildDocumentChecklist', () => {
+  it("uses the scheme's required documents, or the usual KYC set", () => {
+    const checklist = buildDocumentChecklist({ requiredDocuments: ['Aadhaar card', 'Sowing certificate'] }, now);
+    expect(checklist.map((document) => document.key)).toEqual(['aadhaar_card', 'sowing_certificate']);
+    expect(checklist[0]).toMatchObject({ required: true, status: 'pending', note: '' });
+
+    expect(buildDocumentChecklist({}, now).map((document) => document.key))
+      .toEqual(['aadhaar', 'bank_passbook', 'land_records', 'photo']);
+  });
+});
+
+describe('document updates', () => {
+  it('validates statuses and needs a key or name', () => {
+    expect(validateDocumentUpdates([{ key: 'aadhaar', status: 'lost' }]).error).toMatch(/pending, ready, submitted/);
+    expect(validateDocumentUpdates([{ status: 'ready' }]).error).toMatch(/key or a name/);
+    expect(validateDocumentUpdates([]).error).toMatch(/list/);
+  });
+
+  it('updates known items and adds optional ones', () => {
+    const checklist = buildDocumentChecklist({}, now);
+    const { value } = validateDocumentUpdates([
+      { key: 'aadhaar', status: 'ready' },
+      { name: 'Caste certificate', note: 'Applied at tehsil' }
+    ]);
+    const documents = applyDocumentUpdates(checklist, value, now);
+
+    expect(documents.find((document) => document.key === 'aadhaar').status).toBe('ready');
+    expect(documents[documents.length - 1]).toMatchObject({
+      key: 'caste_certificate',
+      name: 'Caste certificate',
+      required: false,
+      status: 'pending',
+      note: 'Applied at tehsil'
+    });
+    expect(pendingRequiredDocuments({ documents }).map((document) => document.key))
+      .toEqual(['bank_passbook', 'land_records', 'photo']);
+  });
+});
+
+describe('STATUS_TRANSITIONS', () => {
+  it('moves forward through the application lifecycle only', () => {
+    expect(STATUS_TRANSITIONS.draft).toEqual(['submitted', 'withdrawn']);
+    expect(STATUS_TRANSITIONS.sanctioned).toContain('disbursed');
+    expect(STATUS_TRANSITIONS.disbursed).toEqual([]);
+    expect(STATUS_TRANSITIONS.verified).not.toContain('draft');
+  });
+});
+
+describe('open applications', () => {
+  const userId = new ObjectId();
+  const scheme = { _id: new ObjectId(), title: 'PM Kisan' };
+
+  async function useCollection(collection) {
+    await initSchemeApplicationsCollection({
+      collection: () => ({ createIndex: async () => {}, dropIndex: async () => {}, updateMany: async () => ({}), ...collection })
+    });
+  }
+
+  it('returns the open application a concurrent request created', async () => {
+    const raced = { _id: new ObjectId(), userId, schemeId: scheme._id, status: 'draft' };
+    const findOne = jest.fn().mockResolvedValueOnce(null).mockResolvedValueOnce(raced);
+    await useCollection({
+      findOne,
+      insertOne: async () => { throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 }); }
+    });
+
+    expect(await createSchemeApplication(userId, scheme)).toEqual({ existing: raced });
+  });
+
+  it('marks new applications open for the unique index', async () => {
+    const insertOne = jest.fn().mockResolvedValue({ insertedId: new ObjectId() });
+    await useCollection({ findOne: async () => null, insertOne });
+
+    const { application } = await createSchemeApplication(userId, scheme);
+    expect(application).toMatchObject({ status: 'draft', open: true });
+  });
+
+  it('clears the open flag when an application closes', async () => {
+    const findOneAndUpdate = jest.fn(async () => ({ _id: new ObjectId(), status: 'withdrawn' }));
+    await useCollection({
+      findOne: async () => ({ _id: new ObjectId(), userId, status: 'draft', open: true, documents: [] }),
+      findOneAndUpdate
+    });
+
+    await changeSchemeApplicationStatus(userId, new ObjectId().toString(), { status: 'withdrawn' });
+    expect(findOneAndUpdate.mock.calls[0][1].$unset).toEqual({ open: '' });
+  });
+
+  it('rejects changes to closed applications', async () => {
+    const findOneAndUpdate = jest.fn();
+    await useCollection({
+      findOne: async () => ({ _id: new ObjectId(), userId, status: 'disbursed', documents: [] }),
+      findOneAndUpdate
+    });
+
+    const result = await updateSchemeApplication(userId, new ObjectId().toString(), { notes: 'Received' });
+    expect(result.code).toBe('APPLICATION_CLOSED');
+    expect(findOneAndUpdate).not.toHaveBeenCalled();
+  });
+
+  it('rejects changes when the application closed in the meantime', async () => {
+    await useCollection({
+      findOne: async () => ({ _id: new ObjectId(), userId, status: 'sanctioned', documents: [] }),
+      findOneAndUpdate: async () => null
+    });
+
+    expect((await updateSchemeApplication(userId, new ObjectId().toString(), { notes: 'x' })).code).toBe('APPLICATION_CLOSED');
+  });
+});
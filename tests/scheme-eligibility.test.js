@@ -0,0 +1,127 @@
+const {
+  ELIGIBILITY_STATUS,
+  parseLandSizeHectares,
+  getFarmerFacts,
+  validateEligibilityRules,
+  buildEligibleFarmersQuery,
+  evaluateEligibility
+} = require('../scheme-eligibility');
+
+const farmer = {
+  name: 'Ramesh',
+  location: 'Pune, Maharashtra',
+  crops: ['wheat', { name: 'cotton' }],
+  landSize: '3 acres',
+  landTenure: 'tenant'
+};
+
+describe('parseLandSizeHectares', () => {
+  it('reads acres, hectares and bare numbers as acres', () => {
+    expect(parseLandSizeHectares('2 ha')).toBe(2);
+    expect(parseLandSizeHectares('5 acres')).toBeCloseTo(2.023, 3);
+    expect(parseLandSizeHectares(5)).toBeCloseTo(2.023, 3);
+    expect(parseLandSizeHectares('2 bigha')).toBeNull();
+    expect(parseLandSizeHectares('')).toBeNull();
+  });
+});
+
+describe('getFarmerFacts', () => {
+  it('derives state, district and land holding category from the profile', () => {
+    const facts = getFarmerFacts(farmer);
+    expect(facts.state).toBe('maharashtra');
+    expect(facts.district).toBe('pune');
+    expect(facts.crops).toEqual(['Wheat', 'Cotton']);
+    expect(facts.category).toBe('small');
+    expect(facts.landTenure).toBe('tenant');
+  });
+});
+
+describe('validateEligibilityRules', () => {
+  it('normalizes names', () => {
+    const { value } = validateEligibilityRules({
+      landSizeHectares: { max: 2 },
+      crops: ['cotton', 'Cotton'],
+      states: [' Maharashtra '],
+      farmerCategories: ['Small']
+    });
+    expect(value).toEqual({
+      landSizeHectares: { max: 2 },
+      crops: ['Cotton'],
+      states: ['maharashtra'],
+      farmerCategories: ['small']
+    });
+  });
+
+  it('rejects bad bounds and unknown values', () => {
+    expect(validateEligibilityRules({ landSizeHectares: { min: 5, max: 2 } }).error).toMatch(/landSizeHectares/);
+    expect(validateEligibilityRules({ landTenure: ['landlord'] }).error).toMatch(/owner, tenant, sharecropper/);
+    expect(validateEligibilityRules({ states: [] }).error).toMatch(/states/);
+    expect(validateEligibilityRules('small farmers').error).toMatch(/object/);
+  });
+});
+
+describe('evaluateEligibility', () => {
+  it('explains why a farmer qualifies', () => {
+    const result = evaluateEligibility({
+      eligibilityRules: { states: ['maharashtra'], crops: ['Cotton'], landSizeHectares: { max: 2 } }
+    }, farmer);
+    expect(result.status).toBe(ELIGIBILITY_STATUS.ELIGIBLE);
+    expect(result.eligible).toBe(true);
+    expect(result.checks.map((check) => check.rule)).toEqual(['landSizeHectares', 'crops', 'states']);
+    expect(result.checks[1].reason).toBe('You grow Cotton');
+  });
+
+  it('explains why a farmer does not qualify', () => {
+    const result = evaluateEligibility({
+      eligibilityRules: { landTenure: ['owner'], districts: ['nashik'] }
+    }, farmer);
+    expect(result.status).toBe(ELIGIBILITY_STATUS.INELIGIBLE);
+    expect(result.checks.filter((check) => check.passed === false).map((check) => check.reason)).toEqual([
+      'Only for farmers in nashik district',
+      'Only for land owners'
+    ]);
+  });
+
+  it('reports missing profile facts as incomplete', () => {
+    const result = evaluateEligibility({ eligibilityRules: { landSizeHectares: { max: 2 } } }, { location: 'Pune, Maharashtra' });
+    expect(result.status).toBe(ELIGIBILITY_STATUS.INCOMPLETE);
+    expect(result.checks[0]).toEqual({ rule: 'landSizeHectares', passed: null, reason: 'Add your land size to the profile' });
+  });
+
+  it('falls back to the location of schemes without rules', () => {
+    expect(evaluateEligibility({ location: 'all' }, farmer).status).toBe(ELIGIBILITY_STATUS.ELIGIBLE);
+    expect(evaluateEligibility({ location: 'Maharashtra' }, farmer).status).toBe(ELIGIBILITY_STATUS.ELIGIBLE);
+    expect(evaluateEligibility({ location: 'Kerala' }, farmer).status).toBe(ELIGIBILITY_STATUS.INELIGIBLE);
+  });
+});
+
+describe('buildEligibleFarmersQuery', () => {
+  const scheme = { eligibilityRules: { states: ['madhya pradesh'], districts: ['indore'], crops: ['Soybean'] } };
+  const [states, districts, crops] = buildEligibleFarmersQuery(scheme).$and.map((clause) => clause.$or);
+  const matchesAny = (patterns, value) => patterns.some((pattern) => pattern.test(value));
+
+  it('leaves schemes without state, district or crop rules unfiltered', () => {
+    expect(buildEligibleFarmersQuery({ eligibilityRules: { landSizeHectares: { max: 2 } } })).toEqual({});
+    expect(buildEligibleFarmersQuery({ location: 'All' })).toEqual({});
+  });
+
+  it('matches rule values the way getFarmerFacts normalizes them', () => {
+    expect(matchesAny(states[0].state.$in, '  Madhya   Pradesh ')).toBe(true);
+    expect(matchesAny(states[0].state.$in, 'Maharashtra')).toBe(false);
+
+    expect(matchesAny(districts[0].district.$in, 'INDORE')).toBe(true);
+    expect(matchesAny(districts[1].$or[0].location.$in, 'Indore, Madhya Pradesh')).toBe(true);
+    expect(matchesAny(districts[1].$or[0].location.$in, 'Bhopal, Madhya Pradesh')).toBe(false);
+
+    expect(matchesAny(crops[0].crops.$in, 'wheat, soybean')).toBe(true);
+    expect(matchesAny(crops[0].crops.$in, 'Soybean Oil')).toBe(false);
+  });
+
+  it('keeps farmers who lack the fact a rule needs', () => {
+    expect(states[1]).toEqual({ state: { $not: /\S/ } });
+    expect(districts[1].district).toEqual({ $not: /\S/ });
+    // ", Madhya Pradesh" has no district part, so the district check is unknown
+    expect(matchesAny(districts[1].$or[0].location.$in, ', Madhya Pradesh')).toBe(true);
+    expect(crops).toEqual(expect.arrayContaining([{ crops: null }, { crops: /^[\s,]*$/ }]));
+  });
+});
@@ -0,0 +1,126 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  createSchemeSources,
+  normalizeSchemeRecord,
+  hashSchemeContent,
+  diffSchemeContent,
+  parseRss,
+  parseHtmlTable
+} = require('../jobs/scheme-sources');
+
+const FEED_DIR = path.join(__dirname, '..', 'data', 'scheme-feeds');
+
+async function fetchFeed(file) {
+  const [source] = createSchemeSources({ SCHEME_SOURCES: path.join(FEED_DIR, file) });
+  return source.fetchSchemes();
+}
+
+describe('normalizeSchemeRecord', () => {
+  it('maps portal headers onto the scheme shape', () => {
+    const record = normalizeSchemeRecord({
+      'Scheme Code': 'MH-01',
+      'Scheme Name': 'Farm Pond',
+      Benefits: 'Up to ₹75,000 subsidy',
+      'Last Date': '30/11/2026',
+      State: 'All India',
+      'Required Documents': 'Aadhaar card; 7/12 extract|Bank passbook'
+    }, 'CSV schemes.csv');
+
+    expect(record).toMatchObject({
+      externalId: 'MH-01',
+      title: 'Farm Pond',
+      benefits: 'Up to ₹75,000 subsidy',
+      startDate: null,
+      location: 'all',
+      requiredDocuments: ['Aadhaar card', '7/12 extract', 'Bank passbook'],
+      source: 'CSV schemes.csv'
+    });
+    expect(record.endDate.toISOString()).toBe('2026-11-30T00:00:00.000Z');
+  });
+
+  it('skips records without a title and drops invalid eligibility rules', () => {
+    expect(normalizeSchemeRecord({ benefits: '₹6000' }, 'json')).toBeNull();
+
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const record = normalizeSchemeRecord({ title: 'Scheme', eligibility_rules: { landTenure: ['landlord'] } }, 'json');
+    expect(record.eligibilityRules).toBeNull();
+    expect(record.externalId).toBe('scheme');
+    warn.mockRestore();
+  });
+});
+
+describe('feed adapters', () => {
+  it('reads the saved JSON feed with eligibility rules', async () => {
+    const { records, skipped } = await fetchFeed('central-schemes.json');
+    expect(skipped).toBe(0);
+    expect(records.map((record) => record.externalId)).toEqual(['pm-kisan', 'pmfby-kharif']);
+    expect(records[0]).toMatchObject({ benefitAmount: 6000, location: 'all', eligibilityRules: { landSizeHectares: { max: 2 } } });
+  });
+
+  it('reads RSS items, unwrapping CDATA and entities', () => {
+    const [item] = parseRss('<rss><channel><item><title>A &amp; B</title>'
+      + '<description><![CDATA[<p>Loans up to ₹3 lakh</p>]]></description></item></channel></rss>');
+    expect(item).toMatchObject({ title: 'A & B', description: 'Loans up to ₹3 lakh' });
+  });
+
+  it('reads the first HTML table and keeps row links', async () => {
+    expect(parseHtmlTable('<table><tr><td>no header</td></tr></table>')).toEqual([]);
+
+    const { records } = await fetchFeed('mahadbt-schemes.html');
+    expect(records).toHaveLength(2);
+    expect(records[0]).toMatchObject({
+      title: 'Dr. Babasaheb Ambedkar Krishi Swavalamban Yojana',
+      location: 'Maharashtra',
+      url: 'https://mahadbt.maharashtra.gov.in/Farmer/SchemeDetails/1',
+      externalId: 'https://mahadbt.maharashtra.gov.in/Farmer/SchemeDetails/1'
+    });
+    expect(records[0].endDate.toISOString()).toBe('2026-12-15T00:00:00.000Z');
+  });
+
+  it('expands a directory to one source per feed file and warns about unknown types', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'scheme-feeds-'));
+    fs.writeFileSync(path.join(dir, 'b.csv'), 'Scheme Name\nA\n');
+    fs.writeFileSync(path.join(dir, 'a.xml'), '<rss></rss>');
+    fs.writeFileSync(path.join(dir, 'notes.txt'), '');
+
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const sources = createSchemeSources({ SCHEME_SOURCES: `${dir}, https://example.gov.in/schemes, html:https://example.gov.in/list` });
+    expect(sources.map((source) => source.name)).toEqual(['RSS a.xml', 'CSV b.csv', 'HTML https://example.gov.in/list']);
+    expect(warn).toHaveBeenCalledTimes(1);
+    warn.mockRestore();
+
+    expect(createSchemeSources({ SCHEME_SOURCES: path.join(dir, 'missing.csv') })[0].enabled).toBe(false);
+  });
+
+  it('skips a malformed URL instead of failing the whole list', () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const sources = createSchemeSources({ SCHEME_SOURCES: 'http://, rss:https://example.gov.in/feed' });
+    expect(sources.map((source) => source.name)).toEqual(['RSS https://example.gov.in/feed']);
+    expect(warn).toHaveBeenCalledWith(expect.stringContaining('Scheme source "http://" ignored'));
+    warn.mockRestore();
+  });
+});
+
+describe('change detection', () => {
+  const base = normalizeSchemeRecord({
+    id: 'pm-kisan',
+    title: 'PM Kisan',
+    benefits: '₹6000 per year',
+    end_date: '2027-03-31',
+    eligibility_rules: { states: ['Maharashtra'], crops: ['Cotton'] }
+  }, 'json');
+
+  it('hashes content independently of key order and source bookkeeping', () => {
+    const stored = { _id: 'x', contentHash: 'old', version: 3, ...base, eligibilityRules: { crops: base.eligibilityRules.crops, states: base.eligibilityRules.states } };
+    expect(hashSchemeContent(stored)).toBe(hashSchemeContent(base));
+  });
+
+  it('lists the fields that changed', () => {
+    const extended = { ...base, endDate: new Date('2027-04-30'), benefits: '₹8000 per year' };
+    expect(hashSchemeContent(extended)).not.toBe(hashSchemeContent(base));
+    expect(diffSchemeContent(base, extended)).toEqual(['benefits', 'endDate']);
+    expect(diffSchemeContent(base, { ...base })).toEqual([]);
+  });
+});
@@ -0,0 +1,117 @@
+const { ObjectId } = require('mongodb');
+const { syncScheme, schemeAlertChanges } = require('../jobs/scheme-watcher');
+const { normalizeSchemeRecord, hashSchemeContent } = require('../jobs/scheme-sources');
+
+// The schemes and scheme_versions collections, matched the way syncScheme queries them
+function createMemoryDb(stored = []) {
+  const schemes = stored.map((scheme) => ({ ...scheme }));
+  const versions = [];
+  const matches = (doc, filter) => Object.entries(filter).every(([field, condition]) => {
+    if (condition && condition.$exists === false) return doc[field] === undefined;
+    if (condition && condition.$ne !== undefined) return doc[field] !== condition.$ne;
+    return doc[field] === condition;
+  });
+
+  const collections = {
+    schemes: {
+      findOne: async (filter) => {
+        const doc = schemes.find((candidate) => matches(candidate, filter));
+        return doc ? { ...doc } : null;
+      },
+      async insertOne(doc) {
+        const insertedId = new ObjectId();
+        schemes.push({ _id: insertedId, ...doc });
+        return { insertedId };
+      },
+      async updateOne(filter, update) {
+        Object.assign(schemes.find((doc) => doc._id.equals(filter._id)), update.$set);
+      },
+      async findOneAndUpdate(filter, update) {
+        const doc = schemes.find((candidate) => candidate._id.equals(filter._id));
+        Object.assign(doc, update.$set);
+        return { ...doc };
+      }
+    },
+    scheme_versions: {
+      async insertOne(doc) {
+        versions.push(doc);
+      }
+    }
+  };
+
+  return { schemes, versions, collection: (name) => collections[name] };
+}
+
+const record = normalizeSchemeRecord({
+  id: 'pm-kisan',
+  title: 'PM Kisan',
+  benefits: '₹6000 per year',
+  end_date: '2027-03-31'
+}, 'json');
+
+describe('syncScheme', () => {
+  it('inserts an unseen scheme as version 1', async () => {
+    const db = createMemoryDb();
+    const { action, scheme } = await syncScheme(db, record);
+
+    expect(action).toBe('inserted');
+    expect(db.schemes).toEqual([expect.objectContaining({
+      _id: scheme._id,
+      externalKey: 'json|pm-kisan',
+      contentHash: hashSchemeContent(record),
+      version: 1
+    })]);
+  });
+
+  it('only marks an unchanged scheme as seen', async () => {
+    const db = createMemoryDb();
+    await syncScheme(db, record);
+    const { action } = await syncScheme(db, { ...record });
+
+    expect(action).toBe('unchanged');
+    expect(db.schemes[0].version).toBe(1);
+    expect(db.versions).toHaveLength(0);
+  });
+
+  it('snapshots the previous content and bumps the version when the content changed', async () => {
+    const db = createMemoryDb();
+    const { scheme: inserted } = await syncScheme(db, record);
+    const extended = { ...record, endDate: new Date('2027-04-30T00:00:00Z') };
+    const { action, scheme, changes, previous } = await syncScheme(db, extended);
+
+    expect(action).toBe('updated');
+    expect(changes).toEqual(['endDate']);
+    expect(previous.endDate).toEqual(record.endDate);
+    expect(scheme).toMatchObject({ version: 2, contentHash: hashSchemeContent(extended), changedFields: ['endDate'] });
+    expect(db.versions).toEqual([expect.objectContaining({
+      schemeId: inserted._id,
+      version: 1,
+      contentHash: hashSchemeContent(record),
+      changedFields: ['endDate']
+    })]);
+    expect(db.versions[0].content).toMatchObject({ title: 'PM Kisan', endDate: record.endDate });
+  });
+
+  it('adopts a scheme stored before content hashing without reporting changes', async () => {
+    const legacyId = new ObjectId();
+    const db = createMemoryDb([{ _id: legacyId, title: 'PM Kisan', benefits: '₹6000', source: 'Government Portal' }]);
+    const { action, scheme, changes } = await syncScheme(db, record);
+
+    expect(action).toBe('updated');
+    expect(scheme._id).toEqual(legacyId);
+    expect(scheme.externalKey).toBe('json|pm-kisan');
+    expect(changes).toEqual([]);
+  });
+});
+
+describe('schemeAlertChanges', () => {
+  it('alerts about every new scheme', () => {
+    expect(schemeAlertChanges('inserted')).toEqual([]);
+  });
+
+  it('re-alerts an update only for the fields farmers act on', () => {
+    expect(schemeAlertChanges('updated', ['description', 'endDate', 'benefits'])).toEqual(['endDate', 'benefits']);
+    expect(schemeAlertChanges('updated', ['description', 'url'])).toBeNull();
+    expect(schemeAlertChanges('unchanged')).toBeNull();
+  });
+});
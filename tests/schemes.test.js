@@ -0,0 +1,68 @@
+const { ObjectId } = require('mongodb');
+const {
+  buildSchemeQuery,
+  getBenefitAmount,
+  describeDeadline,
+  rankEligibleSchemes
+} = require('../schemes');
+
+const now = new Date('2026-10-19T06:00:00Z');
+
+describe('buildSchemeQuery', () => {
+  it('returns an empty query without filters', () => {
+    expect(buildSchemeQuery()).toEqual({});
+  });
+
+  it('combines search, state, crop and active date', () => {
+    const query = buildSchemeQuery({ search: 'insurance', state: 'Maharashtra', crop: 'cotton', activeOn: now });
+    expect(query.$and).toHaveLength(4);
+    expect(query.$and[0]).toEqual({ $text: { $search: 'insurance' } });
+    expect(query.$and[1].$or[0]).toEqual({ 'eligibilityRules.states': 'maharashtra' });
+    expect(query.$and[1].$or[1].location.$in[1].test('Maharashtra')).toBe(true);
+    expect(query.$and[2].$or[0]).toEqual({ 'eligibilityRules.crops': 'Cotton' });
+    expect(query.$and[3]).toEqual({
+      $and: [
+        { $or: [{ startDate: null }, { startDate: { $lte: now } }] },
+        { $or: [{ endDate: null }, { endDate: { $gte: now } }] }
+      ]
+    });
+  });
+});
+
+describe('getBenefitAmount', () => {
+  it('prefers benefitAmount and otherwise reads the yearly amount from the text', () => {
+    expect(getBenefitAmount({ benefitAmount: 12000, benefits: '₹6000 per year' })).toBe(12000);
+    expect(getBenefitAmount({ benefits: "₹6000 per year transferred directly to farmer's bank account" })).toBe(6000);
+    expect(getBenefitAmount({ benefits: 'Rs. 3,000 per month pension' })).toBe(36000);
+    expect(getBenefitAmount({ benefits: 'Loans up to ₹3 lakh' })).toBe(300000);
+    expect(getBenefitAmount({ benefits: 'Low premium rates' })).toBeNull();
+  });
+});
+
+describe('describeDeadline', () => {
+  it('highlights deadlines within 30 days', () => {
+    expect(describeDeadline({ endDate: new Date('2026-10-29T06:00:00Z') }, now)).toMatchObject({ daysLeft: 10, closingSoon: true, closed: false });
+    expect(describeDeadline({ endDate: new Date('2027-03-31T00:00:00Z') }, now).closingSoon).toBe(false);
+    expect(describeDeadline({ endDate: null }, now)).toBeNull();
+  });
+});
+
+describe('rankEligibleSchemes', () => {
+  const farmer = { location: 'Pune, Maharashtra', crops: ['cotton'], landSize: '3 acres' };
+  const scheme = (fields) => ({ _id: new ObjectId(), title: 'Scheme', description: '', startDate: new Date('2026-01-01'), ...fields });
+
+  it('drops ineligible schemes and ranks the rest by benefit, then deadline', () => {
+    const ranked = rankEligibleSchemes([
+      scheme({ title: 'Kerala only', benefitAmount: 50000, eligibilityRules: { states: ['kerala'] } }),
+      scheme({ title: 'Open-ended', benefitAmount: 6000 }),
+      scheme({ title: 'Closing soon', benefitAmount: 6000, endDate: new Date('2026-11-01') }),
+      scheme({ title: 'Needs tenure', benefitAmount: 100000, eligibilityRules: { landTenure: ['owner'] } }),
+      scheme({ title: 'Big', benefits: 'Rs 20,000 per year', eligibilityRules: { crops: ['Cotton'] } })
+    ], farmer, now);
+
+    expect(ranked.map((item) => item.title)).toEqual(['Big', 'Closing soon', 'Open-ended', 'Needs tenure']);
+    expect(ranked[0].eligibility.status).toBe('eligible');
+    expect(ranked[1].deadline.closingSoon).toBe(true);
+    expect(ranked[3].eligibility.status).toBe('incomplete');
+  });
+});
@@ -0,0 +1,198 @@
+const { ObjectId } = require('mongodb');
+const {
+  hashToken,
+  rotateRefreshToken,
+  revokeSessionByToken,
+  revokeUserSession,
+  describeUserAgent,
+  formatSessionResponse
+} = require('../sessions');
+
+describe('describeUserAgent', () => {
+  it('recognizes the app on Android and iOS', () => {
+    expect(describeUserAgent('okhttp/4.9.2')).toEqual({ platform: 'Android', client: 'KrushiMitra App' });
+    expect(describeUserAgent('Expo/2.29.4 CFNetwork/1410.0.3 Darwin/22.6.0'))
+      .toEqual({ platform: 'iOS', client: 'KrushiMitra App (Expo)' });
+  });
+
+  it('recognizes desktop browsers', () => {
+    expect(describeUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0 Safari/537.36 Edg/120.0'))
+      .toEqual({ platform: 'Windows', client: 'Edge' });
+    expect(describeUserAgent('Mozilla/5.0 (Macintosh; Intel Mac OS X 14_1) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.1 Safari/605.1.15'))
+      .toEqual({ platform: 'macOS', client: 'Safari' });
+    expect(describeUserAgent('Mozilla/5.0 (X11; Linux x86_64; rv:121.0) Gecko/20100101 Firefox/121.0'))
+      .toEqual({ platform: 'Linux', client: 'Firefox' });
+  });
+
+  it('falls back to unknown', () => {
+    expect(describeUserAgent(undefined)).toEqual({ platform: 'Unknown', client: 'Unknown' });
+  });
+});
+
+describe('formatSessionResponse', () => {
+  const session = {
+    _id: new ObjectId(),
+    userAgent: 'okhttp/4.9.2',
+    ipAddress: '10.0.0.5',
+    lastUsedAt: new Date('2026-10-19T06:00:00Z'),
+    tokenHash: 'secret'
+  };
+
+  it('marks the session making the request as current', () => {
+    expect(formatSessionResponse(session, new ObjectId(session._id.toString()))).toMatchObject({
+      id: session._id.toString(),
+      device: { platform: 'Android', client: 'KrushiMitra App' },
+      current: true
+    });
+    expect(formatSessionResponse(session, new ObjectId()).current).toBe(false);
+  });
+
+  it('never exposes token hashes', () => {
+    expect(formatSessionResponse(session, null)).not.toHaveProperty('tokenHash');
+  });
+});
+
+describe('revokeUserSession', () => {
+  const ownerId = new ObjectId();
+  const sessionId = new ObjectId();
+
+  function createCollection() {
+    const session = { _id: sessionId, userId: ownerId, revoked: false };
+    return {
+      session,
+      updateOne: jest.fn(async (filter, update) => {
+        const matched = filter._id.equals(session._id) && filter.userId.equals(session.userId) && !session.revoked;
+        if (matched) {
+          Object.assign(session, update.$set);
+        }
+        return { modifiedCount: matched ? 1 : 0 };
+      })
+    };
+  }
+
+  it('revokes the owner\'s session', async () => {
+    const collection = createCollection();
+    expect(await revokeUserSession(collection, ownerId.toString(), sessionId)).toBe(true);
+    expect(collection.session).toMatchObject({ revoked: true, revokedReason: 'user_revoked' });
+  });
+
+  it('does not find another user\'s session, so the route answers 404', async () => {
+    const collection = createCollection();
+    expect(await revokeUserSession(collection, new ObjectId().toString(), sessionId)).toBe(false);
+    expect(collection.session.revoked).toBe(false);
+  });
+});
+
+describe('revokeSessionByToken', () => {
+  function createCollection() {
+    const session = { _id: new ObjectId(), userId: new ObjectId(), tokenHash: hashToken('access-1'), refreshTokenHash: hashToken('refresh-1'), revoked: false };
+    return {
+      session,
+      findOneAndUpdate: async (filter, update) => {
+        const matched = filter.$or.some((branch) => Object.entries(branch).every(([field, hash]) => session[field] === hash))
+          && !session.revoked;
+        if (!matched) {
+          return null;
+        }
+        Object.assign(session, update.$set);
+        return { _id: session._id, userId: session.userId };
+      }
+    };
+  }
+
+  it('revokes by access or refresh token and returns the session for the audit log', async () => {
+    const collection = createCollection();
+    expect(await revokeSessionByToken(collection, 'refresh-1')).toEqual({ _id: collection.session._id, userId: collection.session.userId });
+    expect(collection.session).toMatchObject({ revoked: true, revokedReason: 'logout' });
+
+    // Nothing left to revoke, so nothing is logged out a second time
+    expect(await revokeSessionByToken(collection, 'access-1')).toBeNull();
+  });
+});
+
+describe('rotateRefreshToken', () => {
+  const req = { ip: '10.0.0.5', get: () => 'okhttp/4.9.2' };
+
+  // One session document, matched the way the sessions collection is queried
+  function createCollection(session) {
+    const matches = (filter) => Object.entries(filter).every(([field, condition]) => {
+      if (field === '_id') return condition.equals(session._id);
+      if (field === 'usedRefreshTokenHashes') return session.usedRefreshTokenHashes.includes(condition);
+      if (condition && condition.$ne !== undefined) return session[field] !== condition.$ne;
+      return session[field] === condition;
+    });
+    return {
+      session,
+      findOne: async (filter) => (matches(filter) ? { ...session } : null),
+      updateOne: async (filter, update) => {
+        if (!matches(filter)) {
+          return { modifiedCount: 0 };
+        }
+        Object.assign(session, update.$set);
+        if (update.$push) {
+          session.usedRefreshTokenHashes = [
+            ...session.usedRefreshTokenHashes,
+            ...update.$push.usedRefreshTokenHashes.$each
+          ].slice(update.$push.usedRefreshTokenHashes.$slice);
+        }
+        return { modifiedCount: 1 };
+      }
+    };
+  }
+
+  function createSession() {
+    return createCollection({
+      _id: new ObjectId(),
+      userId: new ObjectId(),
+      tokenHash: hashToken('access-1'),
+      refreshTokenHash: hashToken('refresh-1'),
+      usedRefreshTokenHashes: [],
+      expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+      revoked: false
+    });
+  }
+
+  it('issues a new token pair and retires the used refresh token', async () => {
+    const collection = createSession();
+    const { issued, error } = await rotateRefreshToken(collection, 'refresh-1', req);
+
+    expect(error).toBeUndefined();
+    expect(collection.session.refreshTokenHash).toBe(hashToken(issued.refreshToken));
+    expect(collection.session.tokenHash).toBe(hashToken(issued.token));
+    expect(collection.session.usedRefreshTokenHashes).toEqual([hashToken('refresh-1')]);
+    expect(collection.session.revoked).toBe(false);
+  });
+
+  it('revokes the whole token family when a rotated-out refresh token is reused', async () => {
+    const collection = createSession();
+    const { issued } = await rotateRefreshToken(collection, 'refresh-1', req);
+
+    expect(await rotateRefreshToken(collection, 'refresh-1', req)).toEqual({ error: 'REFRESH_TOKEN_REUSED' });
+    expect(collection.session).toMatchObject({ revoked: true, revokedReason: 'refresh_token_reuse' });
+
+    // The legitimate holder's newer refresh token dies with the family
+    expect(await rotateRefreshToken(collection, issued.refreshToken, req)).toEqual({ error: 'REFRESH_TOKEN_INVALID' });
+  });
+
+  it('revokes the family when a concurrent request already rotated the token', async () => {
+    const collection = createSession();
+    collection.updateOne = jest.fn()
+      .mockResolvedValueOnce({ modifiedCount: 0 })
+      .mockImplementation(async (filter, update) => {
+        Object.assign(collection.session, update.$set);
+        return { modifiedCount: 1 };
+      });
+
+    expect(await rotateRefreshToken(collection, 'refresh-1', req)).toEqual({ error: 'REFRESH_TOKEN_REUSED' });
+    expect(collection.session.revoked).toBe(true);
+  });
+
+  it('rejects unknown and expired refresh tokens without revoking anything', async () => {
+    const collection = createSession();
+    expect(await rotateRefreshToken(collection, 'never-issued', req)).toEqual({ error: 'REFRESH_TOKEN_INVALID' });
+
+    collection.session.expiresAt = new Date(Date.now() - 1000);
+    expect(await rotateRefreshToken(collection, 'refresh-1', req)).toEqual({ error: 'REFRESH_TOKEN_INVALID' });
+    expect(collection.session.revoked).toBe(false);
+  });
+});
@@ -0,0 +1,50 @@
+const { normalizePhoneNumber, phoneLookupVariants, createSmsProvider } = require('../sms-provider');
+
+describe('normalizePhoneNumber', () => {
+  it('normalizes Indian numbers to E.164', () => {
+    expect(normalizePhoneNumber('98765 43210')).toBe('+919876543210');
+    expect(normalizePhoneNumber('09876543210')).toBe('+919876543210');
+    expect(normalizePhoneNumber('919876543210')).toBe('+919876543210');
+    expect(normalizePhoneNumber('+91 98765-43210')).toBe('+919876543210');
+  });
+
+  it('rejects values that are not phone numbers', () => {
+    expect(normalizePhoneNumber('farmer@example.com')).toBeNull();
+    expect(normalizePhoneNumber('12345')).toBeNull();
+    expect(normalizePhoneNumber(undefined)).toBeNull();
+  });
+});
+
+describe('phoneLookupVariants', () => {
+  it('includes the bare local number used by older farmer records', () => {
+    expect(phoneLookupVariants('+919876543210')).toEqual(
+      expect.arrayContaining(['+919876543210', '919876543210', '9876543210'])
+    );
+  });
+});
+
+describe('createSmsProvider', () => {
+  it('uses the console provider outside production by default', () => {
+    const provider = createSmsProvider({ NODE_ENV: 'development' });
+    expect(provider.name).toBe('console');
+    expect(provider.configured).toBe(true);
+  });
+
+  it('reports twilio as unconfigured without credentials', () => {
+    const provider = createSmsProvider({ SMS_PROVIDER: 'twilio' });
+    expect(provider.name).toBe('twilio');
+    expect(provider.configured).toBe(false);
+  });
+  it('disables SMS for an unknown provider in production instead of printing OTPs', async () => {
+    const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+    const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+    const provider = createSmsProvider({ NODE_ENV: 'production', SMS_PROVIDER: 'twillio' });
+    expect(provider.configured).toBe(false);
+    await expect(provider.sendSms('+919876543210', 'OTP 123456')).rejects.toThrow('SMS not configured');
+    expect(log).not.toHaveBeenCalledWith(expect.stringContaining('123456'));
+
+    expect(createSmsProvider({ NODE_ENV: 'development', SMS_PROVIDER: 'twillio' }).name).toBe('console');
+    error.mockRestore();
+    log.mockRestore();
+  });
+});
@@ -0,0 +1,56 @@
+const express = require('express');
+const request = require('supertest');
+const twilio = require('twilio');
+const { getWebhookBaseUrl, requireTwilioSignature } = require('../twilio-webhooks');
+
+const env = { TWILIO_AUTH_TOKEN: 'test-auth-token', VOICE_WEBHOOK_BASE_URL: 'https://api.example.com/' };
+const params = { CallSid: 'CA123', CallStatus: 'completed' };
+
+function buildApp(appEnv = env) {
+  const app = express();
+  app.post('/voice/status', requireTwilioSignature(appEnv), (req, res) => res.json({ received: req.body }));
+  return app;
+}
+
+function sign(url, body = params) {
+  return twilio.getExpectedTwilioSignature(env.TWILIO_AUTH_TOKEN, url, body);
+}
+
+describe('getWebhookBaseUrl', () => {
+  it('prefers the configured public URL without a trailing slash', () => {
+    expect(getWebhookBaseUrl({}, env)).toBe('https://api.example.com');
+  });
+});
+
+describe('requireTwilioSignature', () => {
+  it('accepts requests signed for the public URL', async () => {
+    const res = await request(buildApp())
+      .post('/voice/status?cid=abc')
+      .set('X-Twilio-Signature', sign('https://api.example.com/voice/status?cid=abc'))
+      .type('form')
+      .send(params);
+    expect(res.status).toBe(200);
+    expect(res.body.received).toEqual(params);
+  });
+
+  it('rejects missing and mismatched signatures', async () => {
+    const missing = await request(buildApp()).post('/voice/status').type('form').send(params);
+    expect(missing.status).toBe(403);
+    expect(missing.body.error.code).toBe('INVALID_SIGNATURE');
+
+    const tampered = await request(buildApp())
+      .post('/voice/status')
+      .set('X-Twilio-Signature', sign('https://api.example.com/voice/status'))
+      .type('form')
+      .send({ ...params, CallStatus: 'no-answer' });
+    expect(tampered.status).toBe(403);
+  });
+
+  it('can be switched off outside production only', async () => {
+    const devApp = buildApp({ ...env, TWILIO_VALIDATE_WEBHOOKS: 'false' });
+    expect((await request(devApp).post('/voice/status').type('form').send(params)).status).toBe(200);
+
+    const prodApp = buildApp({ ...env, TWILIO_VALIDATE_WEBHOOKS: 'false', NODE_ENV: 'production' });
+    expect((await request(prodApp).post('/voice/status').type('form').send(params)).status).toBe(403);
+  });
+});
@@ -0,0 +1,50 @@
+const { resolveVoiceLanguage, weatherAdvisoryKey, buildVoiceScript } = require('../voice-alert-scripts');
+
+describe('resolveVoiceLanguage', () => {
+  it('maps app languages and falls back to Hindi', () => {
+    expect(resolveVoiceLanguage('Marathi')).toBe('mr');
+    expect(resolveVoiceLanguage('ml-IN')).toBe('ml');
+    expect(resolveVoiceLanguage('ta')).toBe('hi');
+    expect(resolveVoiceLanguage(null)).toBe('hi');
+  });
+});
+
+describe('weatherAdvisoryKey', () => {
+  it('uses the weather route thresholds in order', () => {
+    expect(weatherAdvisoryKey({ precipitationProbability: 80, temperature: 40 })).toBe('heavyRain');
+    expect(weatherAdvisoryKey({ precipitationProbability: 10, temperature: 38 })).toBe('heat');
+    expect(weatherAdvisoryKey({ precipitationProbability: 10, temperature: 25, windSpeed: 25 })).toBe('wind');
+    expect(weatherAdvisoryKey({ precipitationProbability: 10, temperature: 25, windSpeed: 5 })).toBe('favorable');
+    expect(weatherAdvisoryKey(null)).toBeNull();
+  });
+});
+
+describe('buildVoiceScript', () => {
+  it('speaks prices, weather and unread alerts in the farmer language', () => {
+    const script = buildVoiceScript({
+      language: 'en',
+      name: 'Ramesh',
+      crops: ['Onion', 'Tomato'],
+      prices: [{ commodity: 'Onion', market: 'Lasalgaon', modalPrice: 2450.4, distanceKm: 12.5 }],
+      weather: { precipitationProbability: 75, temperature: 28, windSpeed: 5 },
+      unreadAlerts: 1
+    });
+
+    expect(script.say).toEqual({ voice: 'Google.en-IN-Standard-B', language: 'en-IN' });
+    expect(script.lines).toEqual([
+      'Namaskar Ramesh. This is KrushiMitra with your farm update.',
+      'Onion is selling at 2450 rupees per quintal in Lasalgaon mandi, 12.5 kilometres away.',
+      'High chance of rain. Postpone spraying.',
+      'You have 1 unread alert in the KrushiMitra app.',
+      'Thank you. Happy farming.'
+    ]);
+  });
+
+  it('asks for crops when the profile has none', () => {
+    const script = buildVoiceScript({ language: 'mr', crops: [] });
+    expect(script.language).toBe('mr');
+    expect(script.say.language).toBe('mr-IN');
+    expect(script.lines).toHaveLength(3);
+    expect(script.lines[1]).toMatch(/पिके जोडा/);
+  });
+});
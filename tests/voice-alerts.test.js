@@ -0,0 +1,56 @@
+const {
+  createCallToken,
+  verifyCallToken,
+  buildVoiceTwiml,
+  nextRetryAt
+} = require('../voice-alerts');
+const { buildVoiceScript } = require('../voice-alert-scripts');
+
+const secret = 'test-secret';
+const now = new Date('2026-10-19T06:00:00Z');
+
+describe('call tokens', () => {
+  it('round-trips the call context', () => {
+    const token = createCallToken({ cid: 'c1', uid: 'u1', lang: 'hi' }, secret, { now });
+    expect(verifyCallToken(token, secret, now)).toMatchObject({ cid: 'c1', uid: 'u1', lang: 'hi' });
+  });
+
+  it('rejects tampered, foreign and expired tokens', () => {
+    const token = createCallToken({ cid: 'c1', uid: 'u1' }, secret, { now, ttlMinutes: 60 });
+    const [body, signature] = token.split('.');
+    const forgedBody = Buffer.from(JSON.stringify({ cid: 'c2', uid: 'u1', exp: 9999999999 })).toString('base64url');
+
+    expect(verifyCallToken(`${forgedBody}.${signature}`, secret, now)).toBeNull();
+    expect(verifyCallToken(token, 'other-secret', now)).toBeNull();
+    expect(verifyCallToken(`${body}.${signature}.x`, secret, now)).toBeNull();
+    expect(verifyCallToken(token, secret, new Date(now.getTime() + 61 * 60 * 1000))).toBeNull();
+    expect(verifyCallToken(undefined, secret, now)).toBeNull();
+  });
+});
+
+describe('buildVoiceTwiml', () => {
+  it('says each line with the language voice and hangs up', () => {
+    const twiml = buildVoiceTwiml(buildVoiceScript({ language: 'hi', crops: [] }));
+    expect(twiml).toContain('<Say voice="Google.hi-IN-Standard-B" language="hi-IN">');
+    expect(twiml).toContain('<Pause length="1"/>');
+    expect(twiml).toMatch(/<Hangup\/><\/Response>$/);
+  });
+});
+
+describe('nextRetryAt', () => {
+  const now = new Date('2026-03-01T08:00:00Z');
+
+  it('retries unanswered alert calls after the configured delays', () => {
+    const first = nextRetryAt({ purpose: 'voice_alert', attempt: 1 }, 'no-answer', now);
+    expect(first.toISOString()).toBe('2026-03-01T08:10:00.000Z');
+    const second = nextRetryAt({ purpose: 'voice_alert', attempt: 2 }, 'busy', now);
+    expect(second.toISOString()).toBe('2026-03-01T08:30:00.000Z');
+  });
+
+  it('stops after the last attempt and for other outcomes', () => {
+    expect(nextRetryAt({ purpose: 'voice_alert', attempt: 3 }, 'no-answer', now)).toBeNull();
+    expect(nextRetryAt({ purpose: 'voice_alert', attempt: 1 }, 'completed', now)).toBeNull();
+    expect(nextRetryAt({ purpose: 'voice_alert', attempt: 1 }, 'failed', now)).toBeNull();
+    expect(nextRetryAt({ purpose: 'untracked' }, 'no-answer', now)).toBeNull();
+  });
+});
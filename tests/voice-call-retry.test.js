@@ -0,0 +1,164 @@
+const { ObjectId } = require('mongodb');
+const { initVoiceCallsCollection, recordCallStatus, MAX_CALL_ATTEMPTS } = require('../voice-alerts');
+const { placeDueRetries } = require('../jobs/voice-call-retry');
+
+const MINUTE = 60 * 1000;
+const start = new Date('2026-10-19T06:00:00Z');
+
+function getPath(doc, path) {
+  return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), doc);
+}
+
+// Enough of Mongo for voice_calls: dotted paths, $exists/$lt/$lte, $or and upserts
+function matches(doc, filter) {
+  return Object.entries(filter).every(([field, condition]) => {
+    if (field === '$or') return condition.some((branch) => matches(doc, branch));
+    const value = getPath(doc, field);
+    if (condition instanceof ObjectId) return Boolean(value?.equals?.(condition));
+    if (condition && typeof condition === 'object' && !(condition instanceof Date)) {
+      if ('$exists' in condition && (value !== undefined) !== condition.$exists) return false;
+      if ('$lt' in condition && !(value < condition.$lt)) return false;
+      if ('$lte' in condition && !(value <= condition.$lte)) return false;
+      return true;
+    }
+    return value === condition;
+  });
+}
+
+function applySet(doc, set = {}) {
+  Object.entries(set).forEach(([path, value]) => {
+    const keys = path.split('.');
+    const parent = keys.slice(0, -1).reduce((target, key) => (target[key] = target[key] || {}), doc);
+    parent[keys[keys.length - 1]] = value;
+  });
+}
+
+function createCallsCollection() {
+  const docs = [];
+  return {
+    docs,
+    async createIndex() {},
+    async insertOne(doc) {
+      docs.push(doc);
+    },
+    findOne: async (filter) => docs.find((doc) => matches(doc, filter)) || null,
+    find: (filter) => ({
+      sort: () => ({
+        limit: () => ({ toArray: async () => docs.filter((doc) => matches(doc, filter)) })
+      })
+    }),
+    async findOneAndUpdate(filter, update) {
+      const doc = docs.find((candidate) => matches(candidate, filter));
+      if (doc) applySet(doc, update.$set);
+      return doc || null;
+    },
+    async updateOne(filter, update) {
+      const doc = docs.find((candidate) => matches(candidate, filter));
+      if (!doc) return { modifiedCount: 0 };
+      applySet(doc, update.$set);
+      if (update.$push) doc.events.push(update.$push.events);
+      return { modifiedCount: 1 };
+    }
+  };
+}
+
+const user = { _id: new ObjectId(), phone: '9876543210', phoneVerified: true, preferredLanguage: 'hi' };
+const voiceClient = {
+  from: '+15550001111',
+  client: { calls: { create: async () => ({ sid: `CA${new ObjectId()}`, status: 'queued' }) } }
+};
+
+function createDb(calls, users = [user]) {
+  const collections = {
+    voice_calls: calls,
+    users: { findOne: async (filter) => users.find((candidate) => matches(candidate, filter)) || null },
+    farmers: { findOne: async () => null, find: () => ({ toArray: async () => [] }) },
+    alerts: { countDocuments: async () => 0 }
+  };
+  return { collection: (name) => collections[name] };
+}
+
+function firstCall() {
+  return { _id: new ObjectId(), userId: user._id, purpose: 'voice_alert', attempt: 1, status: 'queued', events: [] };
+}
+
+let calls;
+let db;
+
+beforeEach(async () => {
+  jest.useFakeTimers();
+  jest.setSystemTime(start);
+  process.env.VOICE_CALL_TOKEN_SECRET = 'test-secret';
+  calls = createCallsCollection();
+  db = createDb(calls);
+  await initVoiceCallsCollection(db);
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+  delete process.env.VOICE_CALL_TOKEN_SECRET;
+});
+
+describe('voice call retries', () => {
+  it('calls back unanswered and busy calls with growing spacing until the attempt cap', async () => {
+    const first = firstCall();
+    calls.docs.push(first);
+
+    await recordCallStatus({ CallStatus: 'no-answer', SequenceNumber: '3' }, { callId: first._id });
+    expect(first.retry).toEqual({ status: 'scheduled', at: new Date(start.getTime() + 10 * MINUTE) });
+
+    // Not due yet
+    await placeDueRetries(db, { baseUrl: 'https://api.example.in', voiceClient }, new Date(start.getTime() + 5 * MINUTE));
+    expect(calls.docs).toHaveLength(1);
+
+    jest.setSystemTime(first.retry.at);
+    await placeDueRetries(db, { baseUrl: 'https://api.example.in', voiceClient }, first.retry.at);
+    const second = calls.docs[1];
+    expect(first.retry).toMatchObject({ status: 'placed', callId: second._id });
+    expect(second).toMatchObject({ attempt: 2, retryOf: first._id, status: 'queued' });
+
+    const secondEnded = new Date(first.retry.at.getTime() + 2 * MINUTE);
+    jest.setSystemTime(secondEnded);
+    await recordCallStatus({ CallStatus: 'busy', SequenceNumber: '2' }, { callId: second._id });
+    expect(second.retry.at).toEqual(new Date(secondEnded.getTime() + 30 * MINUTE));
+
+    jest.setSystemTime(second.retry.at);
+    await placeDueRetries(db, { baseUrl: 'https://api.example.in', voiceClient }, second.retry.at);
+    const third = calls.docs[2];
+    expect(third.attempt).toBe(MAX_CALL_ATTEMPTS);
+
+    // The last attempt is not retried
+    await recordCallStatus({ CallStatus: 'no-answer', SequenceNumber: '2' }, { callId: third._id });
+    expect(third.retry).toBeUndefined();
+  });
+
+  it('does not retry answered, failed or cancelled calls', async () => {
+    for (const status of ['completed', 'failed', 'canceled']) {
+      const call = firstCall();
+      calls.docs.push(call);
+      await recordCallStatus({ CallStatus: status, SequenceNumber: '3' }, { callId: call._id });
+      expect(call.retry).toBeUndefined();
+    }
+  });
+
+  it('schedules one retry even when Twilio repeats the final callback', async () => {
+    const call = firstCall();
+    calls.docs.push(call);
+    await recordCallStatus({ CallStatus: 'no-answer', SequenceNumber: '3' }, { callId: call._id });
+    const { at } = call.retry;
+
+    jest.setSystemTime(new Date(start.getTime() + MINUTE));
+    await recordCallStatus({ CallStatus: 'no-answer', SequenceNumber: '3' }, { callId: call._id });
+    expect(call.retry).toEqual({ status: 'scheduled', at });
+  });
+
+  it('cancels the retry when the phone is no longer verified', async () => {
+    db = createDb(calls, [{ ...user, phoneVerified: false }]);
+    const call = { ...firstCall(), retry: { status: 'scheduled', at: start } };
+    calls.docs.push(call);
+
+    await placeDueRetries(db, { baseUrl: 'https://api.example.in', voiceClient }, start);
+    expect(call.retry).toMatchObject({ status: 'cancelled', reason: 'Phone no longer verified' });
+    expect(calls.docs).toHaveLength(1);
+  });
+});
@@ -0,0 +1,65 @@
+const express = require('express');
+const twilio = require('twilio');
+const { logger } = require('./logger');
+
+/**
+ * Protection for routes Twilio calls. Twilio signs every webhook request with the
+ * account's auth token (X-Twilio-Signature over the full URL and the POST parameters),
+ * so requests that do not carry a valid signature are rejected.
+ *
+ * The signature covers the URL Twilio requested; behind a proxy or tunnel set
+ * VOICE_WEBHOOK_BASE_URL to the public URL so the same URL is rebuilt here.
+ */
+
+/**
+ * Public base URL of this server as Twilio sees it
+ * @param {Request} req - Express request
+ * @param {Object} env - Environment variables
+ * @returns {string} URL without a trailing slash
+ */
+function getWebhookBaseUrl(req, env = process.env) {
+  return (env.VOICE_WEBHOOK_BASE_URL || `${req.protocol}://${req.get('host')}`).replace(/\/$/, '');
+}
+
+/**
+ * Signature validation can be switched off for local testing with
+ * TWILIO_VALIDATE_WEBHOOKS=false, but never in production
+ */
+function isValidationEnabled(env) {
+  return env.NODE_ENV === 'production' || String(env.TWILIO_VALIDATE_WEBHOOKS).toLowerCase() !== 'false';
+}
+
+/**
+ * Middleware: parse Twilio's form-encoded body and reject requests without a valid signature
+ * @param {Object} env - Environment variables
+ * @returns {Array<Function>} Express middleware
+ */
+function requireTwilioSignature(env = process.env) {
+  const verify = (req, res, next) => {
+    if (!isValidationEnabled(env)) {
+      return next();
+    }
+
+    const authToken = env.TWILIO_AUTH_TOKEN;
+    const signature = req.get('X-Twilio-Signature');
+    const url = `${getWebhookBaseUrl(req, env)}${req.originalUrl}`;
+    if (!authToken || !signature || !twilio.validateRequest(authToken, signature, url, req.body || {})) {
+      logger.warn('Twilio webhook rejected - invalid signature', {
+        path: req.path,
+        ip: req.ip,
+        hasSignature: Boolean(signature)
+      });
+      return res.status(403).json({
+        error: { code: 'INVALID_SIGNATURE', message: 'Invalid Twilio signature' }
+      });
+    }
+    next();
+  };
+
+  return [express.urlencoded({ extended: false }), verify];
+}
+
+module.exports = {
+  getWebhookBaseUrl,
+  requireTwilioSignature
+};
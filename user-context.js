@@ -258,12 +258,55 @@ async function fetchUserContext(userId) {
   return collection.findOne({ userId: normalizedId });
 }
 
+// Folds one user's context into another's when duplicate accounts are merged: the target's
+// userData wins field by field, and the target's queries follow the source's within the last 5
+async function mergeUserContext(sourceUserId, targetUserId) {
+  const collection = getCollection();
+  const sourceId = normalizeObjectId(sourceUserId);
+  const targetId = normalizeObjectId(targetUserId);
+  if (!sourceId || !targetId) {
+    return null;
+  }
+
+  const [source, target] = await Promise.all([
+    collection.findOne({ userId: sourceId }),
+    collection.findOne({ userId: targetId })
+  ]);
+  if (!source) {
+    return target;
+  }
+
+  if (!target) {
+    await collection.updateOne(
+      { userId: sourceId },
+      { $set: { userId: targetId, updatedAt: new Date() } }
+    );
+    return collection.findOne({ userId: targetId });
+  }
+
+  const mergedUserData = { ...(source.userData || {}) };
+  Object.entries(target.userData || {}).forEach(([field, value]) => {
+    if (value !== null && value !== undefined) {
+      mergedUserData[field] = value;
+    }
+  });
+  const mergedQuery = [...(source.query || []), ...(target.query || [])].slice(-5);
+
+  await collection.updateOne(
+    { userId: targetId },
+    { $set: { userData: mergedUserData, query: mergedQuery, updatedAt: new Date() } }
+  );
+  await collection.deleteOne({ userId: sourceId });
+  return collection.findOne({ userId: targetId });
+}
+
 module.exports = {
   initUserContextCollection,
   ensureUserContext,
   updateLocationAndWeather,
   appendChatMessage,
   fetchUserContext,
+  mergeUserContext,
   sanitizeProfile,
   sanitizeUserData
 };
@@ -0,0 +1,163 @@
+/**
+ * Localized scripts for voice alert calls.
+ *
+ * Copy is keyed by the app's language codes (en, hi, mr, ml); anything else falls
+ * back to Hindi, the default language new accounts get. Each language has a Twilio
+ * <Say> voice that can read it.
+ */
+
+const DEFAULT_LANGUAGE = 'hi';
+const MAX_SPOKEN_CROPS = 3;
+
+const LANGUAGE_ALIASES = {
+  english: 'en',
+  hindi: 'hi',
+  marathi: 'mr',
+  malayalam: 'ml'
+};
+
+const VOICES = {
+  en: { voice: 'Google.en-IN-Standard-B', language: 'en-IN' },
+  hi: { voice: 'Google.hi-IN-Standard-B', language: 'hi-IN' },
+  mr: { voice: 'Google.mr-IN-Standard-B', language: 'mr-IN' },
+  ml: { voice: 'Google.ml-IN-Standard-B', language: 'ml-IN' }
+};
+
+const voiceCopy = {
+  en: {
+    greeting: (name) => `Namaskar${name ? ` ${name}` : ''}. This is KrushiMitra with your farm update.`,
+    price: ({ commodity, market, modalPrice, distanceKm }) =>
+      `${commodity} is selling at ${modalPrice} rupees per quintal in ${market} mandi, ${distanceKm} kilometres away.`,
+    noPrices: 'No recent mandi prices were found near you for your crops.',
+    noCrops: 'Add your crops in the KrushiMitra app to hear their mandi prices.',
+    weather: {
+      heavyRain: 'High chance of rain. Postpone spraying.',
+      rain: 'Some rain is expected. Plan irrigation and soil preparation accordingly.',
+      heat: 'It is very hot. Irrigate well and avoid fieldwork at midday.',
+      cold: 'It is cool. Protect frost-sensitive crops.',
+      wind: 'It is windy. Avoid pesticide spraying.',
+      favorable: 'The weather is good for fieldwork.'
+    },
+    alerts: (count) => `You have ${count} unread ${count === 1 ? 'alert' : 'alerts'} in the KrushiMitra app.`,
+    closing: 'Thank you. Happy farming.'
+  },
+  hi: {
+    greeting: (name) => `नमस्कार${name ? ` ${name}` : ''}। कृषि मित्र से आपकी खेती की जानकारी।`,
+    price: ({ commodity, market, modalPrice, distanceKm }) =>
+      `${commodity} का भाव ${market} मंडी में ${modalPrice} रुपये प्रति क्विंटल है, जो ${distanceKm} किलोमीटर दूर है।`,
+    noPrices: 'आपकी फसलों के लिए आपके पास की मंडियों में हाल के भाव नहीं मिले।',
+    noCrops: 'मंडी भाव सुनने के लिए कृषि मित्र ऐप में अपनी फसलें जोड़ें।',
+    weather: {
+      heavyRain: 'बारिश की अधिक संभावना है। छिड़काव टाल दें।',
+      rain: 'कुछ बारिश की संभावना है। सिंचाई और मिट्टी की तैयारी उसी हिसाब से करें।',
+      heat: 'बहुत गर्मी है। अच्छी सिंचाई करें और दोपहर में खेत का काम न करें।',
+      cold: 'ठंड है। पाले से संवेदनशील फसलों को बचाएं।',
+      wind: 'तेज़ हवा है। कीटनाशक का छिड़काव न करें।',
+      favorable: 'मौसम खेत के काम के लिए अच्छा है।'
+    },
+    alerts: (count) => `कृषि मित्र ऐप में आपके ${count} अपठित अलर्ट हैं।`,
+    closing: 'धन्यवाद। खेती शुभ हो।'
+  },
+  mr: {
+    greeting: (name) => `नमस्कार${name ? ` ${name}` : ''}. कृषी मित्र कडून तुमच्या शेतीची माहिती.`,
+    price: ({ commodity, market, modalPrice, distanceKm }) =>
+      `${commodity} चा भाव ${market} मंडईत ${modalPrice} रुपये प्रति क्विंटल आहे, जी ${distanceKm} किलोमीटर दूर आहे.`,
+    noPrices: 'तुमच्या पिकांसाठी जवळच्या मंडईत अलीकडचे भाव मिळाले नाहीत.',
+    noCrops: 'मंडई भाव ऐकण्यासाठी कृषी मित्र ॲपमध्ये तुमची पिके जोडा.',
+    weather: {
+      heavyRain: 'पावसाची जास्त शक्यता आहे. फवारणी पुढे ढकला.',
+      rain: 'थोड्या पावसाची शक्यता आहे. सिंचन आणि मशागतीचे नियोजन त्यानुसार करा.',
+      heat: 'खूप उष्णता आहे. पुरेसे पाणी द्या आणि दुपारी शेतात काम टाळा.',
+      cold: 'थंडी आहे. दवाला संवेदनशील पिकांचे संरक्षण करा.',
+      wind: 'जोराचा वारा आहे. कीटकनाशक फवारणी टाळा.',
+      favorable: 'हवामान शेतीच्या कामासाठी चांगले आहे.'
+    },
+    alerts: (count) => `कृषी मित्र ॲपमध्ये तुमचे ${count} न वाचलेले अलर्ट आहेत.`,
+    closing: 'धन्यवाद. शेतीसाठी शुभेच्छा.'
+  },
+  ml: {
+    greeting: (name) => `നമസ്കാരം${name ? ` ${name}` : ''}. കൃഷി മിത്രയിൽ നിന്നുള്ള നിങ്ങളുടെ കൃഷി വിവരങ്ങൾ.`,
+    price: ({ commodity, market, modalPrice, distanceKm }) =>
+      `${distanceKm} കിലോമീറ്റർ അകലെയുള്ള ${market} ചന്തയിൽ ${commodity} വില ക്വിന്റലിന് ${modalPrice} രൂപയാണ്.`,
+    noPrices: 'നിങ്ങളുടെ വിളകൾക്ക് അടുത്തുള്ള ചന്തകളിൽ പുതിയ വിലകൾ ലഭ്യമല്ല.',
+    noCrops: 'ചന്ത വിലകൾ കേൾക്കാൻ കൃഷി മിത്ര ആപ്പിൽ നിങ്ങളുടെ വിളകൾ ചേർക്കുക.',
+    weather: {
+      heavyRain: 'മഴയ്ക്ക് ഉയർന്ന സാധ്യതയുണ്ട്. തളിക്കൽ മാറ്റിവെക്കുക.',
+      rain: 'കുറച്ച് മഴ പ്രതീക്ഷിക്കുന്നു. ജലസേചനവും മണ്ണൊരുക്കലും അതനുസരിച്ച് ആസൂത്രണം ചെയ്യുക.',
+      heat: 'കനത്ത ചൂടാണ്. നന്നായി നനയ്ക്കുക, ഉച്ചയ്ക്ക് പാടത്തെ ജോലി ഒഴിവാക്കുക.',
+      cold: 'തണുപ്പാണ്. മഞ്ഞിനോട് സംവേദനക്ഷമതയുള്ള വിളകളെ സംരക്ഷിക്കുക.',
+      wind: 'ശക്തമായ കാറ്റുണ്ട്. കീടനാശിനി തളിക്കരുത്.',
+      favorable: 'കൃഷിപ്പണിക്ക് അനുയോജ്യമായ കാലാവസ്ഥയാണ്.'
+    },
+    alerts: (count) => `കൃഷി മിത്ര ആപ്പിൽ നിങ്ങൾക്ക് വായിക്കാത്ത ${count} അലേർട്ടുകളുണ്ട്.`,
+    closing: 'നന്ദി. നല്ലൊരു കൃഷിക്കാലം ആശംസിക്കുന്നു.'
+  }
+};
+
+function resolveVoiceLanguage(language) {
+  if (typeof language !== 'string' || !language.trim()) {
+    return DEFAULT_LANGUAGE;
+  }
+  const normalized = language.trim().toLowerCase();
+  const code = LANGUAGE_ALIASES[normalized] || normalized.split(/[-_]/)[0];
+  return voiceCopy[code] ? code : DEFAULT_LANGUAGE;
+}
+
+/**
+ * Advisory for a weather reading, using the same thresholds as GET /weather
+ * @param {Object} weather - { precipitationProbability, temperature, windSpeed }
+ * @returns {string|null} Key of the `weather` copy
+ */
+function weatherAdvisoryKey(weather) {
+  if (!weather) {
+    return null;
+  }
+  const { precipitationProbability, temperature, windSpeed } = weather;
+  if (precipitationProbability > 70) return 'heavyRain';
+  if (precipitationProbability > 40) return 'rain';
+  if (temperature > 35) return 'heat';
+  if (temperature < 15) return 'cold';
+  if (windSpeed > 20) return 'wind';
+  return 'favorable';
+}
+
+/**
+ * Build the spoken message for a voice alert call
+ * @param {Object} context - { language, name, crops, prices, weather, unreadAlerts }
+ *   prices: [{ commodity, market, modalPrice, distanceKm }], weather: GET /weather fields
+ * @returns {{language: string, say: {voice: string, language: string}, lines: Array<string>}}
+ */
+function buildVoiceScript({ language, name, crops = [], prices = [], weather = null, unreadAlerts = 0 } = {}) {
+  const resolvedLanguage = resolveVoiceLanguage(language);
+  const copy = voiceCopy[resolvedLanguage];
+  const lines = [copy.greeting(name)];
+
+  if (crops.length === 0) {
+    lines.push(copy.noCrops);
+  } else if (prices.length === 0) {
+    lines.push(copy.noPrices);
+  } else {
+    prices.slice(0, MAX_SPOKEN_CROPS).forEach((price) => {
+      lines.push(copy.price({ ...price, modalPrice: Math.round(price.modalPrice) }));
+    });
+  }
+
+  const advisory = weatherAdvisoryKey(weather);
+  if (advisory) {
+    lines.push(copy.weather[advisory]);
+  }
+  if (unreadAlerts > 0) {
+    lines.push(copy.alerts(unreadAlerts));
+  }
+  lines.push(copy.closing);
+
+  return { language: resolvedLanguage, say: VOICES[resolvedLanguage], lines };
+}
+
+module.exports = {
+  DEFAULT_LANGUAGE,
+  MAX_SPOKEN_CROPS,
+  resolveVoiceLanguage,
+  weatherAdvisoryKey,
+  buildVoiceScript
+};
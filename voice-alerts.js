@@ -0,0 +1,453 @@
+const crypto = require('crypto');
+const twilio = require('twilio');
+const { ObjectId } = require('mongodb');
+const { buildUserDataFilters, getUserAlertsFilter } = require('./account-data');
+const { buildInboxQuery } = require('./alerts');
+const { extractCrops } = require('./farmer-profile');
+const { DEFAULT_RADIUS_KM, findNearbyMarkets } = require('./markets');
+const { normalizePhoneNumber } = require('./sms-provider');
+const { MAX_SPOKEN_CROPS, buildVoiceScript } = require('./voice-alert-scripts');
+
+/**
+ * Outbound voice alert calls. The message is built from the farmer's own data: their
+ * crops' prices at the nearest mandi, the latest weather advisory around them and how
+ * many alerts they have not read, spoken in their language (voice-alert-scripts.js).
+ *
+ * Each call is a `voice_calls` document. The TwiML webhook URL carries a signed call
+ * token naming the call, so it only ever reads out the script it was created for.
+ * Status callbacks (POST /voice/status) record the call's lifecycle; an alert call
+ * that is not answered is retried by the Voice Call Retry job (jobs/voice-call-retry.js).
+ */
+
+const COLLECTION_NAME = 'voice_calls';
+let voiceCallsCollection;
+
+const CALL_TOKEN_TTL_MINUTES = 60;
+const MIN_MINUTES_BETWEEN_CALLS = 10;
+const WEATHER_MAX_AGE_HOURS = 24;
+const WEATHER_RADIUS_KM = 25;
+const EARTH_RADIUS_KM = 6378.1;
+const STATUS_CALLBACK_EVENTS = ['initiated', 'ringing', 'answered', 'completed'];
+const FINAL_CALL_STATUSES = ['completed', 'busy', 'no-answer', 'canceled', 'failed'];
+// Twilio reports an answered call as in-progress
+const CALL_EVENT_NAMES = { 'in-progress': 'answered' };
+// Outcomes worth calling again; `failed` usually means the number cannot be called
+const RETRY_CALL_STATUSES = ['no-answer', 'busy'];
+const MAX_CALL_ATTEMPTS = Number(process.env.VOICE_CALL_MAX_ATTEMPTS || 3);
+const RETRY_DELAYS_MINUTES = (process.env.VOICE_CALL_RETRY_DELAYS_MINUTES || '10,30')
+  .split(',')
+  .map(Number)
+  .filter((minutes) => Number.isFinite(minutes) && minutes > 0);
+
+async function safelyCreateIndex(collection, keys, options) {
+  try {
+    await collection.createIndex(keys, options);
+  } catch (error) {
+    const label = JSON.stringify({ keys, options });
+    console.warn(`Voice calls index creation skipped: ${label}`, error.message);
+  }
+}
+
+function getCollection() {
+  if (!voiceCallsCollection) {
+    throw new Error('Voice calls collection not initialized');
+  }
+  return voiceCallsCollection;
+}
+
+async function initVoiceCallsCollection(db) {
+  const collection = db.collection(COLLECTION_NAME);
+  voiceCallsCollection = collection;
+
+  await safelyCreateIndex(collection, { userId: 1, createdAt: -1 }, { background: true });
+  await safelyCreateIndex(collection, { twilioCallSid: 1 }, { sparse: true, background: true });
+  await safelyCreateIndex(collection, { 'retry.status': 1, 'retry.at': 1 }, { sparse: true, background: true });
+
+  return collection;
+}
+
+function getCallTokenSecret(env = process.env) {
+  const secret = env.VOICE_CALL_TOKEN_SECRET || env.TWILIO_AUTH_TOKEN;
+  if (!secret) {
+    throw new Error('VOICE_CALL_TOKEN_SECRET (or TWILIO_AUTH_TOKEN) is required to sign call tokens');
+  }
+  return secret;
+}
+
+function signTokenBody(body, secret) {
+  return crypto.createHmac('sha256', secret).update(body).digest('base64url');
+}
+
+/**
+ * Sign call context for Twilio webhook URLs
+ * @param {Object} payload - { cid, uid, lang }
+ * @param {string} secret
+ * @param {Object} options - { ttlMinutes, now }
+ * @returns {string} `<base64url payload>.<base64url HMAC-SHA256>`
+ */
+function createCallToken(payload, secret, { ttlMinutes = CALL_TOKEN_TTL_MINUTES, now = new Date() } = {}) {
+  const exp = Math.floor(now.getTime() / 1000) + ttlMinutes * 60;
+  const body = Buffer.from(JSON.stringify({ ...payload, exp })).toString('base64url');
+  return `${body}.${signTokenBody(body, secret)}`;
+}
+
+/**
+ * @returns {Object|null} The token payload, or null when it is forged, malformed or expired
+ */
+function verifyCallToken(token, secret, now = new Date()) {
+  if (typeof token !== 'string') {
+    return null;
+  }
+  const [body, signature, extra] = token.split('.');
+  if (!body || !signature || extra !== undefined) {
+    return null;
+  }
+  const expected = Buffer.from(signTokenBody(body, secret));
+  const received = Buffer.from(signature);
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    return null;
+  }
+  try {
+    const payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+    if (!payload.exp || payload.exp * 1000 < now.getTime()) {
+      return null;
+    }
+    return payload;
+  } catch (error) {
+    return null;
+  }
+}
+
+async function findNearestPrice(crop, { latitude, longitude }) {
+  const [market] = await findNearbyMarkets({
+    lat: latitude,
+    lon: longitude,
+    radiusKm: DEFAULT_RADIUS_KM,
+    commodity: crop,
+    limit: 1
+  });
+  const price = market?.prices[0];
+  if (!price) {
+    return null;
+  }
+  return {
+    commodity: crop,
+    variety: price.variety,
+    market: market.name,
+    modalPrice: price.modalPrice,
+    arrivalDate: price.arrivalDate,
+    distanceKm: market.distanceKm
+  };
+}
+
+async function findRecentWeather(db, { latitude, longitude }, now) {
+  const weather = await db.collection('weather_data').findOne(
+    {
+      location: { $geoWithin: { $centerSphere: [[longitude, latitude], WEATHER_RADIUS_KM / EARTH_RADIUS_KM] } },
+      temperature: { $exists: true },
+      timestamp: { $gte: new Date(now.getTime() - WEATHER_MAX_AGE_HOURS * 60 * 60 * 1000) }
+    },
+    { sort: { timestamp: -1 } }
+  );
+  if (!weather) {
+    return null;
+  }
+  const { temperature, humidity, windSpeed, precipitationProbability, condition, timestamp } = weather;
+  return { temperature, humidity, windSpeed, precipitationProbability, condition, timestamp };
+}
+
+/**
+ * Everything a voice alert says, gathered for one user
+ * @param {Db} db - KrushiMitraDB handle
+ * @param {Object} user - users document
+ * @returns {Promise<Object>} Context for buildVoiceScript
+ */
+async function gatherVoiceAlertContext(db, user, now = new Date()) {
+  const farmer = await db.collection('farmers').findOne(
+    buildUserDataFilters(user).farmers,
+    { sort: { updatedAt: -1 } }
+  );
+  const crops = extractCrops(farmer?.crops || user.profile?.crops);
+  const location = Number.isFinite(user.lastKnownLocation?.latitude) && Number.isFinite(user.lastKnownLocation?.longitude)
+    ? user.lastKnownLocation
+    : null;
+
+  const prices = [];
+  let weather = null;
+  if (location) {
+    for (const crop of crops.slice(0, MAX_SPOKEN_CROPS)) {
+      const price = await findNearestPrice(crop, location);
+      if (price) {
+        prices.push(price);
+      }
+    }
+    weather = await findRecentWeather(db, location, now);
+  }
+
+  const alertsFilter = await getUserAlertsFilter(db, user);
+  const unreadAlerts = await db.collection('alerts').countDocuments(buildInboxQuery(alertsFilter, { unreadOnly: true }));
+
+  return {
+    language: user.preferredLanguage || user.profile?.language || farmer?.language || null,
+    name: user.profile?.name || user.name || farmer?.name || null,
+    crops,
+    prices,
+    weather,
+    unreadAlerts
+  };
+}
+
+/**
+ * Twilio client for outbound calls, or null when Twilio is not configured
+ * @param {Object} env - Environment variables
+ */
+function createVoiceClient(env = process.env) {
+  const from = env.TWILIO_VOICE_FROM || env.TWILIO_PHONE_NUMBER;
+  if (!env.TWILIO_ACCOUNT_SID || !env.TWILIO_AUTH_TOKEN || !from) {
+    return null;
+  }
+  return { client: twilio(env.TWILIO_ACCOUNT_SID, env.TWILIO_AUTH_TOKEN), from };
+}
+
+/**
+ * The user's most recent call within MIN_MINUTES_BETWEEN_CALLS, if any
+ */
+async function findRecentCall(userId, now = new Date()) {
+  return getCollection().findOne(
+    { userId, createdAt: { $gte: new Date(now.getTime() - MIN_MINUTES_BETWEEN_CALLS * 60 * 1000) } },
+    { sort: { createdAt: -1 } }
+  );
+}
+
+/**
+ * Build the message for a user and call their verified phone
+ * @param {Db} db - KrushiMitraDB handle
+ * @param {Object} user - users document
+ * @param {Object} options - { baseUrl (public URL Twilio can reach), voiceClient, purpose,
+ *   attempt and retryOf (for retries), env }
+ * @returns {Promise<Object>} The voice_calls document
+ */
+async function placeVoiceAlertCall(db, user, {
+  baseUrl,
+  voiceClient,
+  purpose = 'voice_alert',
+  attempt = 1,
+  retryOf = null,
+  env = process.env
+}) {
+  const to = user.phoneVerified ? normalizePhoneNumber(user.phone) : null;
+  if (!to) {
+    throw new Error('User has no verified phone number');
+  }
+
+  const now = new Date();
+  const context = await gatherVoiceAlertContext(db, user, now);
+  const script = buildVoiceScript(context);
+  const callId = new ObjectId();
+  const call = {
+    _id: callId,
+    userId: user._id,
+    to,
+    purpose,
+    attempt,
+    retryOf,
+    language: script.language,
+    context,
+    script,
+    status: 'queued',
+    events: [],
+    createdAt: now,
+    updatedAt: now
+  };
+  await getCollection().insertOne(call);
+
+  const token = createCallToken({ cid: callId.toString(), uid: user._id.toString(), lang: script.language }, getCallTokenSecret(env));
+  try {
+    const created = await voiceClient.client.calls.create({
+      to,
+      from: voiceClient.from,
+      url: `${baseUrl}/voice/alerts/twiml?token=${encodeURIComponent(token)}`,
+      method: 'POST',
+      // The callback may arrive before calls.create returns the sid, so name the call in the URL
+      statusCallback: `${baseUrl}/voice/status?cid=${callId}`,
+      statusCallbackEvent: STATUS_CALLBACK_EVENTS,
+      statusCallbackMethod: 'POST'
+    });
+    call.twilioCallSid = created.sid;
+    call.status = created.status || 'queued';
+  } catch (error) {
+    call.status = 'failed';
+    call.lastError = error.message;
+  }
+
+  call.updatedAt = new Date();
+  await getCollection().updateOne(
+    { _id: callId },
+    {
+      $set: {
+        status: call.status,
+        updatedAt: call.updatedAt,
+        ...(call.twilioCallSid ? { twilioCallSid: call.twilioCallSid } : {}),
+        ...(call.lastError ? { lastError: call.lastError } : {})
+      }
+    }
+  );
+  return call;
+}
+
+/**
+ * The call a verified token names
+ * @returns {Promise<Object|null>}
+ */
+async function findCallForToken(payload) {
+  if (!payload?.cid || !ObjectId.isValid(payload.cid)) {
+    return null;
+  }
+  const call = await getCollection().findOne({ _id: new ObjectId(payload.cid) });
+  if (!call || call.userId.toString() !== payload.uid) {
+    return null;
+  }
+  return call;
+}
+
+/**
+ * TwiML that reads the call's script
+ * @param {Object} script - buildVoiceScript(...) result
+ * @returns {string} XML
+ */
+function buildVoiceTwiml(script) {
+  const response = new twilio.twiml.VoiceResponse();
+  script.lines.forEach((line, index) => {
+    if (index > 0) {
+      response.pause({ length: 1 });
+    }
+    response.say(script.say, line);
+  });
+  response.hangup();
+  return response.toString();
+}
+
+/**
+ * When an unanswered alert call should be tried again
+ * @param {Object} call - voice_calls document
+ * @param {string} status - Final Twilio call status
+ * @param {Date} now
+ * @returns {Date|null} null when the call is not retried
+ */
+function nextRetryAt(call, status, now = new Date()) {
+  const attempt = call.attempt || 1;
+  if (call.purpose !== 'voice_alert' || !RETRY_CALL_STATUSES.includes(status) || attempt >= MAX_CALL_ATTEMPTS) {
+    return null;
+  }
+  const delays = RETRY_DELAYS_MINUTES.length > 0 ? RETRY_DELAYS_MINUTES : [10];
+  const delay = delays[Math.min(attempt - 1, delays.length - 1)];
+  return new Date(now.getTime() + delay * 60 * 1000);
+}
+
+/**
+ * Record a Twilio status callback. Callbacks can arrive out of order, so `status` only
+ * moves forward by SequenceNumber; every event is kept in `events`. Calls placed
+ * elsewhere (e.g. from the Twilio console) are found by CallSid and created if unknown.
+ * @param {Object} params - Twilio callback parameters (CallSid, CallStatus, CallDuration, SequenceNumber, ...)
+ * @param {Object} options - { callId } from the callback URL
+ * @returns {Promise<Object|null>} The updated call
+ */
+async function recordCallStatus(params = {}, { callId = null } = {}) {
+  const now = new Date();
+  const status = params.CallStatus;
+  const sequence = Number.isFinite(Number(params.SequenceNumber)) ? Number(params.SequenceNumber) : null;
+  const duration = Number.isFinite(Number(params.CallDuration)) ? Number(params.CallDuration) : null;
+  const event = {
+    event: CALL_EVENT_NAMES[status] || status,
+    status,
+    at: params.Timestamp ? new Date(params.Timestamp) : now,
+    sequence,
+    callSid: params.CallSid || null,
+    duration,
+    answeredBy: params.AnsweredBy || null
+  };
+  const collection = getCollection();
+  const match = callId ? { _id: callId } : { twilioCallSid: params.CallSid };
+
+  await collection.updateOne(
+    match,
+    {
+      $push: { events: event },
+      $set: { updatedAt: now },
+      $setOnInsert: {
+        purpose: 'untracked',
+        to: params.To || null,
+        from: params.From || null,
+        createdAt: now
+      }
+    },
+    { upsert: !callId }
+  );
+
+  const set = { status, updatedAt: now };
+  if (sequence !== null) {
+    set.lastSequence = sequence;
+  }
+  if (params.CallSid) {
+    set.twilioCallSid = params.CallSid;
+  }
+  if (status === 'in-progress') {
+    set.answeredAt = event.at;
+  }
+  if (FINAL_CALL_STATUSES.includes(status)) {
+    set.endedAt = event.at;
+    set.duration = duration;
+  }
+  const filter = sequence === null
+    ? match
+    : { ...match, $or: [{ lastSequence: { $exists: false } }, { lastSequence: { $lt: sequence } }] };
+  await collection.updateOne(filter, { $set: set });
+
+  const call = await collection.findOne(match);
+  const retryAt = call && !call.retry ? nextRetryAt(call, call.status, now) : null;
+  if (retryAt) {
+    await collection.updateOne(
+      { _id: call._id, retry: { $exists: false } },
+      { $set: { retry: { status: 'scheduled', at: retryAt } } }
+    );
+    call.retry = { status: 'scheduled', at: retryAt };
+  }
+  return call;
+}
+
+async function markScriptServed(callId) {
+  await getCollection().updateOne({ _id: callId }, { $set: { scriptServedAt: new Date(), updatedAt: new Date() } });
+}
+
+function formatVoiceCallResponse(call) {
+  return {
+    id: call._id.toString(),
+    status: call.status,
+    language: call.language,
+    script: call.script.lines,
+    twilioCallSid: call.twilioCallSid || null,
+    createdAt: call.createdAt,
+    lastError: call.lastError || null
+  };
+}
+
+module.exports = {
+  MIN_MINUTES_BETWEEN_CALLS,
+  MAX_CALL_ATTEMPTS,
+  initVoiceCallsCollection,
+  getCallTokenSecret,
+  createCallToken,
+  verifyCallToken,
+  findNearestPrice,
+  findRecentWeather,
+  gatherVoiceAlertContext,
+  createVoiceClient,
+  findRecentCall,
+  placeVoiceAlertCall,
+  findCallForToken,
+  buildVoiceTwiml,
+  nextRetryAt,
+  recordCallStatus,
+  markScriptServed,
+  formatVoiceCallResponse
+};